@@ -0,0 +1,270 @@
+/**
+ * Bedrock Model Loader for Minecraft Bedrock geometry (.geo.json)
+ * Converts bones and cubes into the parsed model structure of jsonModelLoader,
+ * so Bedrock mobs and block entities go through buildGeometry like Java models.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { resolveTexturePath } from './jsonModelLoader.js';
+
+/**
+ * File suffix of Bedrock geometry files
+ */
+export const BEDROCK_MODEL_SUFFIX = '.geo.json';
+
+/**
+ * Check whether a file is a Bedrock geometry file
+ * @param {string} fileName - File name or path
+ * @returns {boolean}
+ */
+export function isBedrockModelFile(fileName) {
+  return fileName.endsWith(BEDROCK_MODEL_SUFFIX);
+}
+
+/**
+ * Load a Bedrock geometry file as a parsed model
+ *
+ * Bedrock space is centered on the block with X mirrored, so positions become
+ * Java model space (0-16, centered at 8) with x' = 8 - x, z' = z + 8. Rotations
+ * keep their pivots: a cube's own rotation, then its bone's, then each parent
+ * bone's, each applied X, then Y, then Z (Blockbench's ZYX euler order).
+ *
+ * @param {string} modelPath - Path to the .geo.json file
+ * @param {string} entitiesDir - Base entities directory (resolves the texture like Java models)
+ * @param {Object} options - Loading options
+ * @param {string} options.identifier - Geometry to load ("geometry.chicken"); default: the first one
+ * @param {string} options.texture - Texture reference (default: "entity/<model name>")
+ * @returns {Promise<Object>} Parsed model { name, elements, groups, textures, rawTextures, ambientocclusion, display }
+ * @throws {Error} If the file has no (or not the requested) geometry
+ */
+export async function loadBedrockModel(modelPath, entitiesDir, { identifier = null, texture = null } = {}) {
+  const modelName = path.basename(modelPath, BEDROCK_MODEL_SUFFIX);
+  const geometries = readGeometries(await fs.readJson(modelPath));
+
+  const geometry = identifier
+    ? geometries.find(entry => entry.identifier === identifier)
+    : geometries[0];
+  if (!geometry) {
+    throw new Error(identifier
+      ? `Geometry ${identifier} not found in ${modelPath}`
+      : `No geometry found in ${modelPath}`);
+  }
+
+  const textureRef = texture || `entity/${modelName}`;
+  const rawTextures = { texture: textureRef };
+  const { elements, groups } = convertBones(geometry, modelName);
+
+  return {
+    name: modelName,
+    identifier: geometry.identifier,
+    elements,
+    groups,
+    textures: { texture: resolveTexturePath(textureRef, entitiesDir) },
+    rawTextures,
+    ambientocclusion: true,
+    display: {}
+  };
+}
+
+/**
+ * Read the geometries of a file in either format
+ * 1.12+: { "minecraft:geometry": [{ description: { identifier, texture_width, texture_height }, bones }] }
+ * 1.8/1.10: { "geometry.name": { texturewidth, textureheight, bones } }
+ * @param {Object} data - File contents
+ * @returns {{identifier: string, textureWidth: number, textureHeight: number, bones: Object[]}[]}
+ */
+function readGeometries(data) {
+  if (Array.isArray(data['minecraft:geometry'])) {
+    return data['minecraft:geometry'].map(entry => {
+      const description = entry.description || {};
+      return {
+        identifier: description.identifier,
+        textureWidth: description.texture_width || 64,
+        textureHeight: description.texture_height || 64,
+        bones: entry.bones || []
+      };
+    });
+  }
+
+  // Legacy format: one key per geometry ("geometry.chicken" or "geometry.chicken:geometry.base")
+  return Object.entries(data)
+    .filter(([key, value]) => key.startsWith('geometry.') && value && typeof value === 'object')
+    .map(([key, value]) => ({
+      identifier: key.split(':')[0],
+      textureWidth: value.texturewidth || 64,
+      textureHeight: value.textureheight || 64,
+      bones: value.bones || []
+    }));
+}
+
+/**
+ * Convert a Bedrock position (or pivot) to Java model space
+ */
+function toJavaPoint([x, y, z]) {
+  return [8 - x, y, z + 8];
+}
+
+/**
+ * Convert a Bedrock euler rotation around a pivot to free rotations
+ * Bedrock X and Y turn the other way once X is mirrored.
+ * @param {number[]} rotation - Euler angles [x, y, z] in degrees
+ * @param {number[]} pivot - Bedrock pivot
+ * @returns {Object[]} Rotations { origin, axis, angle }, applied in order
+ */
+function toJavaRotations(rotation, pivot) {
+  if (!rotation) return [];
+  const origin = toJavaPoint(pivot || [0, 0, 0]);
+  const angles = { x: -rotation[0], y: -rotation[1], z: rotation[2] };
+  return ['x', 'y', 'z']
+    .filter(axis => angles[axis])
+    .map(axis => ({ origin, axis, angle: angles[axis] }));
+}
+
+/**
+ * Convert the bones of a geometry to elements and a Blockbench-style group tree
+ * @param {Object} geometry - Geometry from readGeometries
+ * @param {string} modelName - Model name (for error messages)
+ * @returns {{elements: Object[], groups: Object[]}} Elements, and groups { name, origin, rotation, children } where children are element indices or groups
+ */
+function convertBones(geometry, modelName) {
+  const bonesByName = new Map(geometry.bones.map(bone => [bone.name, bone]));
+  const elements = [];
+  const groupsByName = new Map();
+  const rootGroups = [];
+
+  // Rotations of a bone and its ancestors, innermost first
+  const getBoneRotations = (bone) => {
+    const rotations = [];
+    const visited = new Set();
+    for (let current = bone; current; current = bonesByName.get(current.parent)) {
+      if (visited.has(current.name)) {
+        throw new Error(`Model ${modelName}: bone parent cycle at ${current.name}`);
+      }
+      visited.add(current.name);
+      rotations.push(...toJavaRotations(current.rotation, current.pivot));
+    }
+    return rotations;
+  };
+
+  for (const bone of geometry.bones) {
+    const group = {
+      name: bone.name,
+      origin: toJavaPoint(bone.pivot || [0, 0, 0]),
+      rotation: bone.rotation ? [-bone.rotation[0], -bone.rotation[1], bone.rotation[2]] : [0, 0, 0],
+      children: []
+    };
+    groupsByName.set(bone.name, group);
+
+    const boneRotations = getBoneRotations(bone);
+    (bone.cubes || []).forEach(cube => {
+      group.children.push(elements.length);
+      elements.push(convertCube(cube, bone, boneRotations, geometry));
+    });
+  }
+
+  // Nest groups under their parent bones
+  for (const bone of geometry.bones) {
+    const parent = bone.parent && groupsByName.get(bone.parent);
+    if (parent) {
+      parent.children.push(groupsByName.get(bone.name));
+    } else {
+      rootGroups.push(groupsByName.get(bone.name));
+    }
+  }
+
+  return { elements, groups: rootGroups };
+}
+
+/**
+ * Convert a Bedrock cube to an element
+ * @param {Object} cube - Cube { origin, size, uv, inflate, mirror, rotation, pivot }
+ * @param {Object} bone - Owning bone (inflate and mirror defaults, pivot)
+ * @param {Object[]} boneRotations - Rotations of the bone and its ancestors
+ * @param {Object} geometry - Geometry (texture size)
+ * @returns {Object} Element { name, from, to, rotations, faces }
+ */
+function convertCube(cube, bone, boneRotations, geometry) {
+  const [ox, oy, oz] = cube.origin || [0, 0, 0];
+  const size = cube.size || [0, 0, 0];
+  const inflate = cube.inflate ?? bone.inflate ?? 0;
+  const mirror = cube.mirror ?? bone.mirror ?? false;
+
+  // Inflate grows the cube, not its UVs
+  const [fx, fy, fz] = toJavaPoint([ox + size[0], oy, oz]);
+  const from = [fx - inflate, fy - inflate, fz - inflate];
+  const to = [fx + size[0] + inflate, fy + size[1] + inflate, fz + size[2] + inflate];
+
+  const faces = Array.isArray(cube.uv) || !cube.uv
+    ? getBoxUVFaces(cube.uv || [0, 0], size, mirror)
+    : getPerFaceUVFaces(cube.uv);
+
+  // UVs in model units: 16 units span the texture width (see TextureAtlas.getUV)
+  const unit = 16 / geometry.textureWidth;
+  for (const face of Object.values(faces)) {
+    face.uv = face.uv.map(value => value * unit);
+    face.texture = '#texture';
+  }
+
+  return {
+    name: bone.name,
+    from,
+    to,
+    rotations: [...toJavaRotations(cube.rotation, cube.pivot || bone.pivot), ...boneRotations],
+    faces
+  };
+}
+
+/**
+ * Get the faces of a box-UV cube
+ * The texture holds an unfolded box at `uv`: the top row has up and down,
+ * the bottom row east, north, west and south (Blockbench layout, also used by
+ * blockbenchModelLoader for box UV projects).
+ * @param {number[]} uv - Top-left corner of the unfolded box in texture pixels
+ * @param {number[]} size - Cube size [x, y, z]
+ * @param {boolean} mirror - Mirror the box horizontally
+ * @returns {Object} Faces { north: { uv: [u1, v1, u2, v2] }, ... } in texture pixels
+ */
+export function getBoxUVFaces([u, v], size, mirror) {
+  // Box UV uses whole pixels
+  const [w, h, d] = size.map(Math.floor);
+  const faces = {
+    east: [u, v + d, u + d, v + d + h],
+    north: [u + d, v + d, u + d + w, v + d + h],
+    west: [u + d + w, v + d, u + 2 * d + w, v + d + h],
+    south: [u + 2 * d + w, v + d, u + 2 * d + 2 * w, v + d + h],
+    up: [u + d + w, v + d, u + d, v],
+    down: [u + d + 2 * w, v, u + d + w, v + d]
+  };
+
+  if (mirror) {
+    // Flip every face horizontally; east and west trade places
+    for (const [name, rect] of Object.entries(faces)) {
+      faces[name] = [rect[2], rect[1], rect[0], rect[3]];
+    }
+    [faces.east, faces.west] = [faces.west, faces.east];
+  }
+
+  return Object.fromEntries(Object.entries(faces).map(([name, rect]) => [name, { uv: rect }]));
+}
+
+/**
+ * Get the faces of a per-face UV cube
+ * Faces without an entry are not rendered; up and down are stored flipped.
+ * @param {Object} uv - { north: { uv: [u, v], uv_size: [w, h] }, ... }
+ * @returns {Object} Faces { north: { uv: [u1, v1, u2, v2] }, ... } in texture pixels
+ */
+function getPerFaceUVFaces(uv) {
+  const faces = {};
+  for (const [name, face] of Object.entries(uv)) {
+    if (!face || !face.uv) continue;
+    const [fu, fv] = face.uv;
+    const [fw, fh] = face.uv_size || [0, 0];
+    faces[name] = {
+      uv: name === 'up' || name === 'down'
+        ? [fu + fw, fv + fh, fu, fv]
+        : [fu, fv, fu + fw, fv + fh]
+    };
+  }
+  return faces;
+}
@@ -0,0 +1,494 @@
+/**
+ * Block Model Parser
+ * Converts a pack's block models (models/block/*.json) into GLB files, one per
+ * model and blockstate rotation, plus a manifest mapping every blockstate
+ * variant to its GLB.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { loadModel } from './jsonModelLoader.js';
+import { createTextureAtlas } from './textureAtlas.js';
+import { generateEntityGLB, generateEntityMetadata } from './entityGlbGenerator.js';
+import { loadGLBEncoders } from './glbCompression.js';
+import { displayToLua } from './displayTransforms.js';
+import { TINT_MODES } from './geometryBuilder.js';
+import { parseTint } from './itemLayers.js';
+import { ProgressTracker } from './progress.js';
+
+/**
+ * Default block model options (see config/default.json)
+ */
+export const DEFAULT_BLOCK_MODEL_OPTIONS = {
+  textureResolution: 1024,
+  cullFaces: [],
+  tintMode: 'material',
+  tints: {}
+};
+
+const DIRECTIONS = ['down', 'up', 'north', 'south', 'west', 'east'];
+
+/**
+ * Merge and validate block model options
+ * @param {Object} options - Run options (config/CLI)
+ * @returns {{textureResolution: number, cullFaces: string[], tintMode: string, tints: Object}} Resolved options
+ */
+export function resolveBlockModelOptions(options = {}) {
+  const resolved = { ...DEFAULT_BLOCK_MODEL_OPTIONS };
+  for (const key of Object.keys(DEFAULT_BLOCK_MODEL_OPTIONS)) {
+    if (options[key] !== undefined && options[key] !== null) {
+      resolved[key] = options[key];
+    }
+  }
+
+  if (!Number.isInteger(resolved.textureResolution) || resolved.textureResolution < 1) {
+    throw new Error(`Invalid textureResolution: ${resolved.textureResolution} (expected a positive integer)`);
+  }
+  if (!Array.isArray(resolved.cullFaces) || !resolved.cullFaces.every(face => DIRECTIONS.includes(face))) {
+    throw new Error(`Invalid cullFaces: ${JSON.stringify(resolved.cullFaces)} (expected any of ${DIRECTIONS.join(', ')})`);
+  }
+  if (!TINT_MODES.includes(resolved.tintMode)) {
+    throw new Error(`Invalid tintMode: ${resolved.tintMode} (expected ${TINT_MODES.join(', ')})`);
+  }
+  if (typeof resolved.tints !== 'object' || Array.isArray(resolved.tints)) {
+    throw new Error(`Invalid tints: ${JSON.stringify(resolved.tints)} (expected { "grass_block": "#rrggbb", ... })`);
+  }
+  Object.values(resolved.tints).forEach(parseBlockTints);
+
+  return resolved;
+}
+
+/**
+ * Parse a block's tint entry: one color for tintindex 0, or a list per tintindex
+ * @param {string|string[]|number[]} value - "#rrggbb", [r, g, b] or ["#rrggbb", ...]
+ * @returns {number[][]} [r, g, b] (0-255) per tintindex
+ */
+function parseBlockTints(value) {
+  if (Array.isArray(value) && value.every(entry => typeof entry === 'string')) {
+    return value.map(parseTint);
+  }
+  return [parseTint(value)];
+}
+
+/**
+ * Strip the namespace and models folder from a model reference
+ * "minecraft:block/oak_stairs" -> "oak_stairs"
+ * @param {string} modelRef - Model reference from a blockstate
+ * @returns {string} Model name inside models/block
+ */
+function getBlockModelName(modelRef) {
+  return modelRef.replace(/^minecraft:/, '').replace(/^blocks?\//, '');
+}
+
+/**
+ * Resolve a texture reference to a PNG in the pack
+ * "block/stone" -> <blocksPath>/stone.png, other folders are relative to the textures root
+ * @param {string} textureRef - Texture reference (e.g. "minecraft:block/stone")
+ * @param {string} blocksPath - Block textures folder
+ * @returns {string} Texture file path
+ */
+function resolveBlockTexturePath(textureRef, blocksPath) {
+  const cleanRef = textureRef.replace(/^minecraft:/, '');
+  if (/^blocks?\//.test(cleanRef)) {
+    return path.join(blocksPath, `${cleanRef.replace(/^blocks?\//, '')}.png`);
+  }
+  return path.join(path.dirname(blocksPath), `${cleanRef}.png`);
+}
+
+/**
+ * Get the GLB file name for a model and variant rotation
+ * @param {string} modelName - Model name
+ * @param {Object} rotation - Variant rotation { x, y, uvlock }
+ * @returns {string} File name, e.g. "oak_stairs_x180_y90.glb" ("oak_stairs_x180_y90_uvlock.glb" with uvlock)
+ */
+function getVariantFileName(modelName, { x = 0, y = 0, uvlock = false }) {
+  const locked = uvlock && (x || y);
+  return `${modelName}${x ? `_x${x}` : ''}${y ? `_y${y}` : ''}${locked ? '_uvlock' : ''}.glb`;
+}
+
+/**
+ * Read one variant entry's model, rotation and uvlock
+ * @param {Object} entry - Variant entry { model, x, y, uvlock }
+ * @param {string} blockName - Block name (for errors)
+ * @returns {{model: string, x: number, y: number, uvlock: boolean}}
+ */
+function readVariantEntry(entry, blockName) {
+  if (!entry || typeof entry.model !== 'string') {
+    throw new Error(`Blockstate ${blockName} has a variant without a model`);
+  }
+
+  const x = entry.x || 0;
+  const y = entry.y || 0;
+  for (const angle of [x, y]) {
+    if (![0, 90, 180, 270].includes(angle)) {
+      throw new Error(`Blockstate ${blockName} has an invalid rotation ${angle} (expected 0, 90, 180 or 270)`);
+    }
+  }
+
+  return { model: getBlockModelName(entry.model), x, y, uvlock: entry.uvlock === true };
+}
+
+/**
+ * Read a variant's model and rotation
+ * Weighted alternatives (arrays) are read as their first entry, with every
+ * entry and its weight in `alternatives`.
+ * @param {Object|Object[]} variant - Blockstate variant or multipart "apply"
+ * @param {string} blockName - Block name (for errors)
+ * @returns {{model: string, x: number, y: number, uvlock: boolean, alternatives?: Object[]}} Model name and rotation
+ */
+function readVariant(variant, blockName) {
+  if (!Array.isArray(variant)) {
+    return readVariantEntry(variant, blockName);
+  }
+  if (variant.length === 0) {
+    throw new Error(`Blockstate ${blockName} has an empty variant list`);
+  }
+
+  const alternatives = variant.map(entry => {
+    const weight = entry?.weight ?? 1;
+    if (!Number.isInteger(weight) || weight < 1) {
+      throw new Error(`Blockstate ${blockName} has an invalid weight ${weight} (expected a positive integer)`);
+    }
+    return { ...readVariantEntry(entry, blockName), weight };
+  });
+  const { weight, ...first } = alternatives[0];
+  return { ...first, alternatives };
+}
+
+/**
+ * Load the blockstate definitions of a pack
+ * Packs without a blockstates folder get one entry per block model instead.
+ * @param {string} blockstatesDir - Blockstates folder (may be null)
+ * @param {string} blockModelsDir - Block models folder
+ * @returns {Promise<{blocks: Object[], errors: Object[]}>} Blocks { name, variants } or { name, multipart }
+ */
+async function loadBlockstates(blockstatesDir, blockModelsDir) {
+  const blocks = [];
+  const errors = [];
+
+  if (!blockstatesDir) {
+    const files = (await fs.readdir(blockModelsDir)).filter(f => f.endsWith('.json'));
+    for (const file of files) {
+      const name = path.basename(file, '.json');
+      blocks.push({ name, variants: { '': { model: name, x: 0, y: 0 } } });
+    }
+    return { blocks, errors };
+  }
+
+  const files = (await fs.readdir(blockstatesDir)).filter(f => f.endsWith('.json'));
+  for (const file of files) {
+    const name = path.basename(file, '.json');
+    try {
+      const blockstate = await fs.readJson(path.join(blockstatesDir, file));
+      if (blockstate.variants) {
+        const variants = {};
+        for (const [key, variant] of Object.entries(blockstate.variants)) {
+          variants[key] = readVariant(variant, name);
+        }
+        blocks.push({ name, variants });
+      } else if (Array.isArray(blockstate.multipart)) {
+        const multipart = blockstate.multipart.map(part => ({
+          when: part.when || null,
+          ...readVariant(part.apply, name)
+        }));
+        blocks.push({ name, multipart });
+      } else {
+        throw new Error(`Blockstate ${name} has neither variants nor multipart`);
+      }
+    } catch (err) {
+      errors.push({ name, error: err.message });
+    }
+  }
+
+  return { blocks, errors };
+}
+
+/**
+ * Load a block model with its parents and texture atlas
+ * @param {string} modelName - Model name inside models/block
+ * @param {Object} options - Loading options
+ * @param {string} options.blockModelsDir - Block models folder
+ * @param {string} options.blocksPath - Block textures folder
+ * @param {number} options.textureResolution - Longest atlas side (atlas max size)
+ * @param {Object} options.atlasOptions - Atlas options { padding, missingTexture, sizeMode, multiplier }
+ * @returns {Promise<{model: Object, textureAtlas: Object}>}
+ */
+async function loadBlockModel(modelName, { blockModelsDir, blocksPath, textureResolution, atlasOptions = {} }) {
+  const modelPath = path.join(blockModelsDir, `${modelName}.json`);
+  if (!await fs.pathExists(modelPath)) {
+    throw new Error(`Model not found: ${modelPath}`);
+  }
+
+  // Parents ("block/cube_all") are looked up under assets/minecraft/models
+  const assetsDir = path.dirname(path.dirname(blockModelsDir));
+  const model = await loadModel(modelPath, assetsDir);
+
+  // Point texture keys at the pack's PNGs; the atlas maps each ref to its PNG
+  const texturePaths = [];
+  for (const [key, value] of Object.entries(model.rawTextures)) {
+    if (!value || value.startsWith('#')) continue;
+    const texturePath = resolveBlockTexturePath(value, blocksPath);
+    model.textures[key] = texturePath;
+    if (!texturePaths.includes(texturePath)) {
+      texturePaths.push(texturePath);
+    }
+  }
+
+  // Block atlases are capped by their own resolution; the size mode still applies
+  const textureAtlas = await createTextureAtlas(model, texturePaths, { ...atlasOptions, maxSize: textureResolution });
+  return { model, textureAtlas };
+}
+
+/**
+ * Process block models for a texturepack (called from converter.js)
+ * @param {Object} options - Processing options
+ * @param {string} options.texturepackName - Name of the texturepack
+ * @param {string} options.outputBaseDir - Base output directory (e.g., ./export)
+ * @param {string} options.blockModelsDir - Block models folder (assets/minecraft/models/block)
+ * @param {string} options.blockstatesDir - Blockstates folder (optional)
+ * @param {string} options.blocksPath - Block textures folder
+ * @param {number} options.scale - Scale factor (1 = one block per unit)
+ * @param {number} options.textureResolution - Embedded atlas resolution (default: 1024)
+ * @param {string[]} options.cullFaces - Drop faces whose cullface points in these world directions
+ * @param {string} options.tintMode - Tinted faces: 'material' or 'vertex'
+ * @param {Object} options.tints - Tint colors per block (or model) name
+ * @param {Object} options.displayOptions - Model display transforms { mode, transform } (optional)
+ * @param {string} options.nodeMode - GLB nodes: 'single', 'elements' or 'groups' (see entityGlbGenerator.js)
+ * @param {Object} options.atlasOptions - Texture atlas options { padding, missingTexture, sizeMode, multiplier } (optional)
+ * @param {Object} options.glbOptions - GLB quantization and compression { quantize, compression } (optional, see glbCompression.js)
+ * @param {boolean} options.showProgress - Show progress output
+ * @returns {Promise<{results: Object[], errors: Object[]}>}
+ */
+export async function processBlockModelsForPack({
+  texturepackName,
+  outputBaseDir,
+  blockModelsDir,
+  blockstatesDir = null,
+  blocksPath,
+  scale = 1.0,
+  textureResolution = DEFAULT_BLOCK_MODEL_OPTIONS.textureResolution,
+  cullFaces = DEFAULT_BLOCK_MODEL_OPTIONS.cullFaces,
+  tintMode = DEFAULT_BLOCK_MODEL_OPTIONS.tintMode,
+  tints = DEFAULT_BLOCK_MODEL_OPTIONS.tints,
+  displayOptions = null,
+  nodeMode = 'single',
+  atlasOptions = {},
+  glbOptions = null,
+  showProgress = true
+}) {
+  const exportDir = path.join(outputBaseDir, texturepackName);
+  const outputDir = path.join(exportDir, 'models', 'blocks');
+
+  const { blocks, errors } = await loadBlockstates(blockstatesDir, blockModelsDir);
+  if (blocks.length === 0) {
+    return { results: [], errors };
+  }
+  await loadGLBEncoders(glbOptions || {});
+
+  const progressTracker = showProgress ? new ProgressTracker({
+    phase: `Generating block GLBs`,
+    total: blocks.length
+  }) : null;
+
+  if (progressTracker) progressTracker.render();
+
+  // Models are loaded once and GLBs written once per model + rotation + tint
+  const loadedModels = new Map();
+  const writtenFiles = new Map();
+
+  const writeVariant = async ({ model: modelName, x, y, uvlock = false }, blockName) => {
+    // Tints are looked up by block (grass_block), then by model
+    const tintEntry = tints[blockName] ?? tints[modelName];
+    const blockTints = tintEntry !== undefined ? parseBlockTints(tintEntry) : [];
+    const tintKey = JSON.stringify(blockTints);
+
+    let fileName = getVariantFileName(modelName, { x, y, uvlock });
+    const written = writtenFiles.get(fileName);
+    if (written && written.tintKey === tintKey) {
+      return written;
+    }
+    if (written) {
+      // Same model, different tint: give this block its own file
+      fileName = fileName.replace(/\.glb$/, `_${blockName}.glb`);
+      if (writtenFiles.has(fileName)) return writtenFiles.get(fileName);
+    }
+
+    if (!loadedModels.has(modelName)) {
+      loadedModels.set(modelName, await loadBlockModel(modelName, { blockModelsDir, blocksPath, textureResolution, atlasOptions }));
+    }
+    const { model, textureAtlas } = loadedModels.get(modelName);
+
+    // Models without elements (e.g. air, or built-in entity blocks) have nothing to export
+    const glbData = model.elements.length > 0
+      ? generateEntityGLB({ model, textureAtlas, scale: 1/16 * scale, rotation: { x, y }, uvlock, cullFaces, tintMode, tints: blockTints, displayOptions, nodeMode, glbOptions })
+      : null;
+    const file = glbData ? path.posix.join('models', 'blocks', fileName) : null;
+    if (glbData) {
+      await fs.ensureDir(outputDir);
+      await fs.writeFile(path.join(outputDir, fileName), glbData);
+    }
+
+    const result = { file, model: modelName, x, y, uvlock, tintKey, metadata: generateEntityMetadata(model) };
+    if (displayOptions && Object.keys(model.display).length > 0) {
+      result.display = model.display;
+    }
+    writtenFiles.set(fileName, result);
+    return result;
+  };
+
+  // Weighted variants: the first entry, plus a GLB per alternative
+  const writeWeightedVariant = async (variant, blockName) => {
+    const result = await writeVariant(variant, blockName);
+    if (!variant.alternatives) return result;
+
+    const alternatives = [];
+    for (const alternative of variant.alternatives) {
+      alternatives.push({ ...await writeVariant(alternative, blockName), weight: alternative.weight });
+    }
+    return { ...result, alternatives };
+  };
+
+  const results = [];
+  for (const block of blocks) {
+    if (progressTracker) {
+      progressTracker.update({ currentItem: block.name });
+    }
+
+    try {
+      const result = { name: block.name };
+      if (block.variants) {
+        result.variants = {};
+        for (const [key, variant] of Object.entries(block.variants)) {
+          result.variants[key] = await writeWeightedVariant(variant, block.name);
+        }
+      } else {
+        result.multipart = [];
+        for (const part of block.multipart) {
+          result.multipart.push({ when: part.when, ...await writeWeightedVariant(part, block.name) });
+        }
+      }
+      // The held block uses its first model's display transforms
+      const [first] = result.variants ? Object.values(result.variants) : result.multipart;
+      if (first && first.display) {
+        result.display = first.display;
+      }
+
+      results.push(result);
+      if (progressTracker) progressTracker.incrementSuccess(block.name);
+    } catch (err) {
+      errors.push({ name: block.name, error: err.message });
+      if (progressTracker) progressTracker.incrementFailed(block.name);
+    }
+  }
+
+  if (progressTracker) {
+    progressTracker.finish();
+  }
+
+  if (results.length > 0) {
+    await writeBlockModelManifest(exportDir, results, texturepackName);
+  }
+
+  return { results, errors };
+}
+
+/**
+ * Serialize a multipart "when" condition as a Lua table
+ * @param {Object} when - Condition ({ facing: "north" }, { OR: [...] } or { AND: [...] })
+ * @returns {string} Lua table literal
+ */
+function luaCondition(when) {
+  const fields = Object.entries(when).map(([key, value]) => Array.isArray(value)
+    ? `${key} = {${value.map(luaCondition).join(', ')}}`
+    : `["${key}"] = "${value}"`);
+  return `{${fields.join(', ')}}`;
+}
+
+/**
+ * Serialize a manifest variant's fields for Lua
+ * @param {Object} variant - Manifest variant { file, model, x, y, uvlock?, weight?, alternatives? }
+ * @returns {string} Lua table fields
+ */
+function luaVariantFields(variant) {
+  const file = variant.file ? `"${variant.file}"` : 'nil';
+  let fields = `file = ${file}, model = "${variant.model}", x = ${variant.x}, y = ${variant.y}`;
+  if (variant.uvlock) fields += ', uvlock = true';
+  if (variant.weight !== undefined) fields += `, weight = ${variant.weight}`;
+  if (variant.alternatives) {
+    fields += `, alternatives = {${variant.alternatives.map(alternative => `{${luaVariantFields(alternative)}}`).join(', ')}}`;
+  }
+  return fields;
+}
+
+/**
+ * Write block_models.json and block_models.lua
+ * Variants map to { file, model, x, y }; file is null for models without geometry.
+ * uvlock variants carry `uvlock: true`; weighted variants are their first entry,
+ * with every entry and its `weight` in `alternatives`.
+ * Blocks whose model has display transforms carry them as `display`.
+ * @param {string} exportDir - Texturepack export directory
+ * @param {Object[]} results - Processed blocks
+ * @param {string} texturepackName - Name of texturepack
+ * @returns {Promise<{json: string, lua: string}>} Written file paths
+ */
+async function writeBlockModelManifest(exportDir, results, texturepackName) {
+  const jsonPath = path.join(exportDir, 'block_models.json');
+  const luaPath = path.join(exportDir, 'block_models.lua');
+
+  const manifest = {};
+  const sortedResults = [...results].sort((a, b) => a.name.localeCompare(b.name));
+  for (const { name, variants, multipart, display } of sortedResults) {
+    const strip = ({ file, model, x, y, uvlock, weight, alternatives }) => ({
+      file,
+      model,
+      x,
+      y,
+      ...(uvlock && { uvlock }),
+      ...(weight !== undefined && { weight }),
+      ...(alternatives && { alternatives: alternatives.map(strip) })
+    });
+    manifest[name] = {
+      ...(display && { display }),
+      ...(variants
+        ? { variants: Object.fromEntries(Object.entries(variants).map(([key, variant]) => [key, strip(variant)])) }
+        : { multipart: multipart.map(part => ({ when: part.when, ...strip(part) })) })
+    };
+  }
+
+  let lua = '--[[\n';
+  lua += `\tBlock models for ${texturepackName} texturepack\n`;
+  lua += '\tVariant keys are blockstate properties ("facing=north,half=top"); rotations are in degrees\n';
+  lua += '\tWeighted variants list every model with its weight in alternatives\n';
+  lua += '\tGenerated automatically by texturepack-converter\n';
+  lua += ']]\n\n';
+  lua += 'local BLOCK_MODELS = {\n';
+
+  for (const [name, entry] of Object.entries(manifest)) {
+    lua += `\t["${name}"] = {\n`;
+    if (entry.display) {
+      lua += `\t\tdisplay = ${displayToLua(entry.display)},\n`;
+    }
+    if (entry.variants) {
+      lua += '\t\tvariants = {\n';
+      for (const [key, variant] of Object.entries(entry.variants)) {
+        lua += `\t\t\t["${key}"] = {${luaVariantFields(variant)}},\n`;
+      }
+    } else {
+      lua += '\t\tmultipart = {\n';
+      for (const part of entry.multipart) {
+        const when = part.when ? luaCondition(part.when) : 'nil';
+        lua += `\t\t\t{when = ${when}, ${luaVariantFields(part)}},\n`;
+      }
+    }
+    lua += '\t\t},\n';
+    lua += '\t},\n';
+  }
+
+  lua += '}\n\nreturn BLOCK_MODELS\n';
+
+  await fs.ensureDir(exportDir);
+  await fs.writeJson(jsonPath, manifest, { spaces: 2 });
+  await fs.writeFile(luaPath, lua, 'utf8');
+
+  return { json: jsonPath, lua: luaPath };
+}
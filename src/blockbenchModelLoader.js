@@ -0,0 +1,244 @@
+/**
+ * Blockbench Model Loader for Blockbench project files (.bbmodel)
+ * Converts elements, the outliner and embedded textures into the parsed model
+ * structure of jsonModelLoader, so projects go through buildGeometry without
+ * exporting them to Java JSON first.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { resolveTexturePath } from './jsonModelLoader.js';
+import { getBoxUVFaces } from './bedrockModelLoader.js';
+import { readBlockbenchAnimations } from './modelAnimations.js';
+
+/**
+ * File suffix of Blockbench project files
+ */
+export const BLOCKBENCH_MODEL_SUFFIX = '.bbmodel';
+
+/**
+ * Check whether a file is a Blockbench project file
+ * @param {string} fileName - File name or path
+ * @returns {boolean}
+ */
+export function isBlockbenchModelFile(fileName) {
+  return fileName.endsWith(BLOCKBENCH_MODEL_SUFFIX);
+}
+
+const FACE_NAMES = ['north', 'east', 'south', 'west', 'up', 'down'];
+
+/**
+ * Load a Blockbench project as a parsed model
+ *
+ * Java block projects are already in Java model space (0-16). Entity projects
+ * (bedrock, free, ...) are centered on the origin and move by 8 on X and Z.
+ * Rotations keep their pivots: an element's own rotation, then its group's,
+ * then each parent group's, each applied X, then Y, then Z.
+ *
+ * Embedded textures (base64 `source`) are returned as PNG buffers in
+ * `embeddedTextures`, keyed by the texture reference the faces use; textures
+ * without data are referenced by their folder and name like Java models.
+ *
+ * @param {string} modelPath - Path to the .bbmodel file
+ * @param {string} entitiesDir - Base entities directory (resolves non-embedded textures)
+ * @returns {Promise<Object>} Parsed model { name, elements, groups, textures, rawTextures, embeddedTextures, ambientocclusion, display, animations }
+ * @throws {Error} If the file is not a Blockbench project
+ */
+export async function loadBlockbenchModel(modelPath, entitiesDir) {
+  const modelName = path.basename(modelPath, BLOCKBENCH_MODEL_SUFFIX);
+  const data = await fs.readJson(modelPath);
+  if (!data.meta || !Array.isArray(data.elements)) {
+    throw new Error(`Not a Blockbench project: ${modelPath}`);
+  }
+
+  const offset = data.meta.model_format === 'java_block' ? [0, 0, 0] : [8, 0, 8];
+  const { rawTextures, embeddedTextures, uvWidths } = readTextures(data, modelName);
+
+  // Elements by uuid; meshes, locators and null objects have no cube geometry
+  const cubes = data.elements.filter(element => (element.type || 'cube') === 'cube' && element.export !== false);
+  const skipped = data.elements.filter(element => element.type === 'mesh');
+  if (skipped.length > 0) {
+    console.warn(`Model ${modelName}: skipping ${skipped.length} mesh element(s), only cubes are supported`);
+  }
+  const elements = cubes.map(cube => convertElement(cube, offset, data, uvWidths));
+  const elementIndex = new Map(cubes.map((cube, index) => [cube.uuid, index]));
+
+  const groups = convertOutliner(data, elements, elementIndex, offset);
+
+  const textures = {};
+  for (const [key, value] of Object.entries(rawTextures)) {
+    textures[key] = embeddedTextures[value] ? value : resolveTexturePath(value, entitiesDir);
+  }
+
+  return {
+    name: modelName,
+    elements,
+    groups,
+    textures,
+    rawTextures,
+    embeddedTextures,
+    ambientocclusion: data.ambientocclusion !== false,
+    display: data.display || {},
+    animations: readBlockbenchAnimations(data.animations)
+  };
+}
+
+/**
+ * Read the textures of a project
+ * @param {Object} data - Project contents
+ * @param {string} modelName - Model name (prefixes embedded texture references)
+ * @returns {{rawTextures: Object, embeddedTextures: Object, uvWidths: Object}} Texture references by index,
+ *   PNG buffers by reference, and the width UVs are measured in by index
+ */
+function readTextures(data, modelName) {
+  const rawTextures = {};
+  const embeddedTextures = {};
+  const uvWidths = {};
+  const resolution = data.resolution || { width: 16, height: 16 };
+
+  (data.textures || []).forEach((texture, index) => {
+    const textureName = path.basename(texture.name || `texture_${index}`, '.png');
+    const match = /^data:image\/png;base64,(.*)$/.exec(texture.source || '');
+    let textureRef;
+    if (match) {
+      textureRef = `${modelName}/${textureName}`;
+      embeddedTextures[textureRef] = Buffer.from(match[1], 'base64');
+    } else {
+      // Java projects keep the texture's folder ("entity/chest"); default to entity textures
+      textureRef = `${texture.folder || 'entity'}/${textureName}`;
+    }
+    rawTextures[index] = textureRef;
+    uvWidths[index] = texture.uv_width || resolution.width;
+  });
+
+  return { rawTextures, embeddedTextures, uvWidths };
+}
+
+/**
+ * Get the texture index a face points at
+ * Faces store the texture's index, or its uuid in some versions; null means no texture.
+ * @returns {number|null}
+ */
+function getFaceTextureIndex(face, data) {
+  if (face.texture === null || face.texture === false) return null;
+  if (face.texture === undefined) return (data.textures || []).length > 0 ? 0 : null;
+  if (typeof face.texture === 'number') return face.texture;
+  const index = (data.textures || []).findIndex(texture => texture.uuid === face.texture || texture.id === face.texture);
+  return index >= 0 ? index : null;
+}
+
+/**
+ * Convert a Blockbench euler rotation around a pivot to free rotations
+ * @param {number[]} rotation - Euler angles [x, y, z] in degrees
+ * @param {number[]} origin - Pivot in Java model space
+ * @returns {Object[]} Rotations { origin, axis, angle }, applied in order
+ */
+function toRotations(rotation, origin) {
+  if (!rotation) return [];
+  return ['x', 'y', 'z']
+    .map((axis, index) => ({ origin, axis, angle: rotation[index] }))
+    .filter(({ angle }) => angle);
+}
+
+/**
+ * Move a Blockbench point to Java model space
+ */
+function toModelPoint(point, offset) {
+  return (point || [0, 0, 0]).map((value, index) => value + offset[index]);
+}
+
+/**
+ * Convert a Blockbench cube to an element
+ * Single-axis rotations with `rescale` stay Java rotations; anything else
+ * becomes free rotations. Group rotations are added by convertOutliner.
+ * @param {Object} cube - Element { name, from, to, origin, rotation, inflate, rescale, box_uv, uv_offset, mirror_uv, faces }
+ * @param {number[]} offset - Offset to Java model space
+ * @param {Object} data - Project contents
+ * @param {Object} uvWidths - UV width per texture index
+ * @returns {Object} Element { name, from, to, rotation?, rotations, shade, faces }
+ */
+function convertElement(cube, offset, data, uvWidths) {
+  const inflate = cube.inflate || 0;
+  const from = toModelPoint(cube.from, offset).map(value => value - inflate);
+  const to = toModelPoint(cube.to, offset).map(value => value + inflate);
+  const origin = toModelPoint(cube.origin, offset);
+
+  const element = { name: cube.name, from, to, rotations: [] };
+  const rotations = toRotations(cube.rotation, origin);
+  if (cube.rescale && rotations.length === 1 && data.meta.model_format === 'java_block') {
+    element.rotation = { ...rotations[0], rescale: true };
+  } else {
+    element.rotations = rotations;
+  }
+  if (cube.shade === false) element.shade = false;
+
+  // Box UV projects may only store the unfolded box's corner
+  const boxUV = cube.box_uv ?? data.meta.box_uv;
+  const boxFaces = boxUV && cube.uv_offset
+    ? getBoxUVFaces(cube.uv_offset, cube.to.map((value, index) => value - cube.from[index]), Boolean(cube.mirror_uv))
+    : {};
+
+  element.faces = {};
+  for (const faceName of FACE_NAMES) {
+    // Box faces without an entry use the first texture
+    const face = (cube.faces || {})[faceName] || (boxFaces[faceName] && {});
+    const textureIndex = face ? getFaceTextureIndex(face, data) : null;
+    if (textureIndex === null || !(textureIndex in uvWidths)) continue;
+
+    // UVs in model units: 16 units span the texture width (see TextureAtlas.getUV)
+    const uv = face.uv || boxFaces[faceName]?.uv;
+    if (!uv) continue;
+    const unit = 16 / uvWidths[textureIndex];
+    element.faces[faceName] = {
+      uv: uv.map(value => value * unit),
+      texture: `#${textureIndex}`,
+      ...(face.rotation && { rotation: face.rotation }),
+      ...(face.cullface && { cullface: face.cullface }),
+      ...(face.tint !== undefined && face.tint >= 0 && { tintindex: face.tint })
+    };
+  }
+
+  return element;
+}
+
+/**
+ * Convert the outliner to a group tree and add group rotations to the elements
+ * Older projects define groups inline in the outliner; newer ones keep them in
+ * a top-level `groups` list and only reference them by uuid.
+ * @param {Object} data - Project contents
+ * @param {Object[]} elements - Converted elements (rotations are appended)
+ * @param {Map<string, number>} elementIndex - Element index by cube uuid
+ * @param {number[]} offset - Offset to Java model space
+ * @returns {Object[]} Groups { name, origin, rotation, children } where children are element indices or groups;
+ *   elements outside any group are left out
+ */
+function convertOutliner(data, elements, elementIndex, offset) {
+  const groupsByUuid = new Map((data.groups || []).map(group => [group.uuid, group]));
+
+  const convertGroup = (node, parentRotations) => {
+    const group = { ...groupsByUuid.get(node.uuid), ...node };
+    const origin = toModelPoint(group.origin, offset);
+    const rotations = [...toRotations(group.rotation, origin), ...parentRotations];
+    const result = {
+      name: group.name,
+      origin,
+      rotation: group.rotation || [0, 0, 0],
+      children: []
+    };
+    for (const child of group.children || []) {
+      if (typeof child === 'string') {
+        if (!elementIndex.has(child)) continue;
+        const index = elementIndex.get(child);
+        elements[index].rotations.push(...rotations);
+        result.children.push(index);
+      } else {
+        result.children.push(convertGroup(child, rotations));
+      }
+    }
+    return result;
+  };
+
+  return (data.outliner || [])
+    .filter(node => typeof node === 'object')
+    .map(node => convertGroup(node, []));
+}
@@ -1,34 +1,142 @@
 import path from 'path';
 import fs from 'fs-extra';
-import { generateOBJFromPixels, generateMTL } from './objGenerator.js';
-import { generateFBXFromPixels, resetFbxIdCounter } from './fbxGenerator.js';
-import { generateGLBFromPixels } from './glbGenerator.js';
+import { fileURLToPath } from 'url';
+import { generateOBJFromMesh, generateMTL } from './objGenerator.js';
+import { generateFBXFromMesh, resetFbxIdCounter } from './fbxGenerator.js';
+import { generateGLBFromMesh } from './glbGenerator.js';
+import { loadGLBEncoders } from './glbCompression.js';
+import { buildItemMesh, resolveItemOptions, remapMeshUVs } from './itemMesh.js';
+import { TextureAtlas } from './textureAtlas.js';
+import { loadItemModel, loadVanillaItemDisplay } from './jsonModelLoader.js';
+import { bakeDisplayTransform } from './displayTransforms.js';
+import { parseTint, applyTint, compositeLayers, buildLayerSheet } from './itemLayers.js';
 import {
   findPngFiles,
   validateImage,
   extractPixelData,
+  extractTexturePixels,
+  getFramePixels,
   writeOBJFile,
   writeMTLFile,
   getRelativeTexturePath,
   generateOutputPaths,
   upscaleTexture,
-  calculatePixelBounds,
-  writePixelSizesLua
+  getPixelBounds,
+  readItemOverrides,
+  writePixelSizesLua,
+  writeItemAtlasManifest,
+  writeAnimationManifest,
+  writeItemDisplayManifest
 } from './fileHandler.js';
 import { formatError, getBaseName } from './utils.js';
 import { ProgressTracker } from './progress.js';
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Output formats of items and entities
+ * - obj: OBJ + MTL
+ * - fbx / fbx-binary: ASCII or binary FBX 7.4
+ * - glb: GLB with the texture embedded
+ * - gltf: .gltf JSON with an external .bin and the PNG texture
+ * - both: OBJ + MTL and GLB
+ */
+export const OUTPUT_FORMATS = ['obj', 'fbx', 'fbx-binary', 'glb', 'gltf', 'both'];
+
+/**
+ * Write every frame of an animated texture as its own upscaled texture
+ * @param {Object} options - Export options
+ * @param {string} options.texturePath - Path to the animated texture
+ * @param {Object} options.animation - Animation from readTextureAnimation
+ * @param {string} options.outputDir - Directory for the frame textures
+ * @param {string} options.baseName - Texture base name
+ * @param {number} options.size - Upscaled frame size (default: 1024)
+ * @param {string} options.manifestBaseDir - Directory frame paths in the manifest are relative to
+ * @returns {Promise<Object>} Manifest entry { frameWidth, frameHeight, interpolate, frames: [{ index, time, file }] }
+ */
+async function exportAnimationFrames({
+  texturePath,
+  animation,
+  outputDir,
+  baseName,
+  size = 1024,
+  manifestBaseDir
+}) {
+  const pixelData = await extractPixelData(texturePath);
+  const files = [];
+
+  for (let index = 0; index < animation.frameCount; index++) {
+    const framePath = path.join(outputDir, `${baseName}_frame${index}_${size}.png`);
+    await upscaleTexture(getFramePixels(pixelData, animation, index), framePath, size);
+    files.push(path.relative(manifestBaseDir, framePath).split(path.sep).join('/'));
+  }
+
+  return {
+    frameWidth: animation.frameWidth,
+    frameHeight: animation.frameHeight,
+    interpolate: animation.interpolate,
+    frames: animation.frames.map(frame => ({ ...frame, file: files[frame.index] }))
+  };
+}
+
+/**
+ * Read and combine the layer textures of a layered item model
+ * @param {Object} options - Layer options
+ * @param {Object} options.itemModel - Item model from loadItemModel
+ * @param {string} options.layerMode - 'composite' or 'materials'
+ * @param {Object} options.tints - Tint color per layer key (e.g. { layer0: '#a06540' })
+ * @param {number} options.frame - Frame used for animated layers
+ * @returns {Promise<{pixelData: Object, texture: Object, layers: Object[]|null}>}
+ *   pixelData is the composited item, texture the raw pixels to upscale and
+ *   layers the mesh layers (materials mode only)
+ */
+async function readItemLayers({ itemModel, layerMode, tints, frame }) {
+  const layers = [];
+  for (const { key, texturePath } of itemModel.layers) {
+    const pixelData = await extractTexturePixels(texturePath, frame);
+    const [first] = layers;
+    if (first && (pixelData.width !== first.width || pixelData.height !== first.height)) {
+      throw new Error(`Layer ${key} is ${pixelData.width}x${pixelData.height}, expected ${first.width}x${first.height} like ${first.key}`);
+    }
+    layers.push({ key, ...pixelData, tint: tints[key] ? parseTint(tints[key]) : null });
+  }
+
+  const { width, height, channels } = layers[0];
+  const tinted = layers.map(layer => layer.tint ? applyTint(layer.pixels, layer.tint, channels) : layer.pixels);
+  const pixelData = { width, height, channels, pixels: compositeLayers(tinted, channels) };
+
+  if (layerMode === 'composite') {
+    return { pixelData, texture: pixelData, layers: null };
+  }
+
+  // Untinted layers side by side; tints become material colors
+  return {
+    pixelData,
+    texture: buildLayerSheet(layers.map(layer => layer.pixels), width, height, channels),
+    layers: layers.map(layer => ({ name: layer.key, pixels: layer.pixels, color: layer.tint }))
+  };
+}
+
 /**
  * Convert a single texture file to OBJ/MTL and/or FBX using pixel-based voxel extrusion
+ * The item mesh is built once and shared by every output format
  * @param {Object} options - Conversion options
  * @param {string} options.texturePath - Path to texture file
  * @param {string} options.inputBaseDir - Base input directory
  * @param {string} options.outputBaseDir - Base output directory
  * @param {number} options.scale - Scale factor
  * @param {string} options.coordinateSystem - Coordinate system
- * @param {string} options.format - Output format: 'obj', 'fbx', or 'both'
+ * @param {string} options.format - Output format (see OUTPUT_FORMATS)
+ * @param {Object} options.itemOptions - Item options { depth, alphaThreshold, sizeMode, alphaMode, colorMode, keepTexture, meshMode, outlineDiagonals }, overridden per item by a sidecar JSON
+ * @param {Object} options.atlas - Shared atlas entry { page, texturePath, textureData, materialName, uv } (optional, see buildItemAtlases)
+ * @param {Object} options.itemModel - Layered item model from loadItemModel (optional); its layers replace the texture
+ * @param {Object} options.animationOptions - Animated textures { frame, exportFrames } (frame used for geometry, export all frames)
+ * @param {Object} options.display - Display transforms of the item's model (optional)
+ * @param {Object} options.displayOptions - How to export them { mode, transform } (see displayTransforms.js, optional)
+ * @param {Object} options.fbxOptions - FBX options { embedTexture } (optional)
+ * @param {Object} options.glbOptions - GLB/glTF quantization and compression { quantize, compression } (optional, see glbCompression.js)
  * @param {Function} options.onProgress - Progress callback
- * @returns {Promise<{success: boolean, error?: string, warning?: string}>}
+ * @returns {Promise<{success: boolean, error?: string, warning?: string, pixelBounds?: {x: number, y: number}, animation?: Object}>}
  */
 export async function convertTexture({
   texturePath,
@@ -37,11 +145,19 @@ export async function convertTexture({
   scale = 1.0,
   coordinateSystem = 'z-up',
   format = 'both',
+  itemOptions = {},
+  atlas = null,
+  itemModel = null,
+  animationOptions = {},
+  display = null,
+  displayOptions = null,
+  fbxOptions = {},
+  glbOptions = null,
   onProgress
 }) {
   try {
-    // Validate image
-    const imageInfo = await validateImage(texturePath);
+    // Validate image (layered items are validated by their bottom layer)
+    const imageInfo = await validateImage(itemModel ? itemModel.layers[0].texturePath : texturePath);
     if (!imageInfo.valid) {
       return {
         success: false,
@@ -49,8 +165,36 @@ export async function convertTexture({
       };
     }
 
-    // Extract pixel data with alpha channel
-    const pixelData = await extractPixelData(texturePath);
+    // Resolve item options (run options, then sidecar overrides next to the PNG)
+    const overrides = await readItemOverrides(texturePath);
+    const {
+      depth, alphaThreshold, sizeMode, alphaMode, colorMode, keepTexture, layerMode, meshMode, outlineDiagonals, tints
+    } = resolveItemOptions(itemOptions, overrides);
+    // Vertex-colored models don't reference a texture, and atlased items use
+    // their atlas page, so the per-item upscale is optional for both.
+    // Layered items build their own texture and animated items swap textures
+    // at runtime, so neither is atlased.
+    const useTexture = colorMode === 'texture';
+    const atlasEntry = useTexture && !itemModel && !imageInfo.animation ? atlas : null;
+    const { frame = 0, exportFrames = false } = animationOptions;
+    const useOwnTexture = useTexture && !atlasEntry;
+
+    // Extract pixel data with alpha channel (composited for layered items)
+    let pixelData;
+    let textureSource = texturePath;
+    let meshLayers = null;
+    if (itemModel) {
+      const itemLayers = await readItemLayers({ itemModel, layerMode, tints, frame });
+      pixelData = itemLayers.pixelData;
+      textureSource = itemLayers.texture;
+      meshLayers = itemLayers.layers;
+    } else {
+      // Animated textures use one frame for geometry and texture
+      pixelData = await extractTexturePixels(texturePath, frame);
+      if (pixelData.animation) {
+        textureSource = pixelData;
+      }
+    }
 
     // Generate output paths
     const { obj: objPath, mtl: mtlPath, baseName } = generateOutputPaths(
@@ -68,39 +212,77 @@ export async function convertTexture({
     const folderName = path.basename(modelsDir); // 'items' or 'blocks'
     const texturesDir = path.join(texturepackDir, 'textures', folderName);
 
-    // Ensure textures directory exists
-    await fs.ensureDir(texturesDir);
-
     // Generate upscaled texture path in separate textures folder
     const upscaledTexturePath = path.join(texturesDir, `${baseName}_1024.png`);
 
-    // Upscale texture to 1024×1024 using nearest-neighbor
-    await upscaleTexture(texturePath, upscaledTexturePath);
+    if (useOwnTexture || keepTexture) {
+      // Ensure textures directory exists
+      await fs.ensureDir(texturesDir);
+
+      // Upscale texture to 1024×1024 using nearest-neighbor
+      await upscaleTexture(textureSource, upscaledTexturePath);
+    }
+
+    // Every frame of an animated texture, for runtime animation
+    let animation;
+    if (exportFrames && pixelData.animation) {
+      animation = await exportAnimationFrames({
+        texturePath,
+        animation: pixelData.animation,
+        outputDir: texturesDir,
+        baseName,
+        manifestBaseDir: texturepackDir
+      });
+    }
 
-    // Generate material name (sanitized base name)
-    const materialName = baseName.replace(/[^a-zA-Z0-9_]/g, '_');
+    // Generate material name (sanitized base name); atlased items share their page's material
+    const materialName = atlasEntry ? atlasEntry.materialName : baseName.replace(/[^a-zA-Z0-9_]/g, '_');
     const mtlFileName = path.basename(mtlPath);
 
-    // Calculate relative texture path from MTL to upscaled texture
-    const relativeTexturePath = getRelativeTexturePath(mtlPath, upscaledTexturePath);
+    // Calculate relative texture path from MTL to upscaled texture (or atlas page)
+    const relativeTexturePath = useTexture
+      ? getRelativeTexturePath(mtlPath, atlasEntry ? atlasEntry.texturePath : upscaledTexturePath)
+      : null;
 
     const outputFiles = { texture: texturePath };
 
+    // Build the shared item mesh once for all formats
+    const itemMesh = buildItemMesh({
+      name: baseName,
+      materialName,
+      width: pixelData.width,
+      height: pixelData.height,
+      pixels: pixelData.pixels,
+      layers: meshLayers,
+      channels: pixelData.channels,
+      scale,
+      depth,
+      alphaThreshold,
+      sizeMode,
+      alphaMode,
+      colorMode,
+      meshMode,
+      outlineDiagonals
+    });
+    let mesh = atlasEntry ? remapMeshUVs(itemMesh, atlasEntry.uv) : itemMesh;
+
+    // Display translations are in model pixels: 1/16 of the item's width
+    const displayPixelSize = (itemMesh.width * itemMesh.pixelSize) / 16;
+    const displayMode = display && displayOptions ? displayOptions.mode : 'none';
+    if (displayMode === 'bake' && display[displayOptions.transform]) {
+      mesh = bakeDisplayTransform(mesh, display[displayOptions.transform], displayPixelSize);
+    }
+
     // Generate OBJ format if requested
     if (format === 'obj' || format === 'both') {
-      const objContent = generateOBJFromPixels({
-        materialName,
+      const objContent = generateOBJFromMesh({
+        mesh,
         mtlFileName,
-        width: pixelData.width,
-        height: pixelData.height,
-        pixels: pixelData.pixels,
-        channels: pixelData.channels,
-        scale,
         coordinateSystem
       });
 
       const mtlContent = generateMTL({
-        materialName,
+        materials: mesh.materials,
         texturePath: relativeTexturePath
       });
 
@@ -110,44 +292,49 @@ export async function convertTexture({
       outputFiles.mtl = mtlPath;
     }
 
-    // Generate FBX format if requested
-    if (format === 'fbx') {
+    // The upscaled texture (or atlas page) for formats that embed it
+    const readTextureData = async () => {
+      if (atlasEntry) return atlasEntry.textureData;
+      return useTexture ? fs.readFile(upscaledTexturePath) : null;
+    };
+
+    // Generate FBX format if requested (ASCII or binary)
+    if (format === 'fbx' || format === 'fbx-binary') {
       const fbxPath = objPath.replace(/\.obj$/, '.fbx');
-      
-      const fbxContent = generateFBXFromPixels({
-        modelName: baseName,
+      const binary = format === 'fbx-binary';
+
+      const fbxContent = generateFBXFromMesh({
+        mesh,
         texturePath: relativeTexturePath,
-        width: pixelData.width,
-        height: pixelData.height,
-        pixels: pixelData.pixels,
-        channels: pixelData.channels,
-        scale,
-        coordinateSystem
+        coordinateSystem,
+        binary,
+        textureData: binary && fbxOptions.embedTexture ? await readTextureData() : null
       });
 
       if (fbxContent) {
         await fs.ensureDir(path.dirname(fbxPath));
-        await fs.writeFile(fbxPath, fbxContent, 'utf8');
+        await fs.writeFile(fbxPath, fbxContent);
         outputFiles.fbx = fbxPath;
       }
     }
 
+    // Encoders for GLB/glTF compression (loaded once per run)
+    if (['glb', 'gltf', 'both'].includes(format)) {
+      await loadGLBEncoders(glbOptions || {});
+    }
+
     // Generate GLB format if requested (default for 'both')
     if (format === 'glb' || format === 'both') {
       const glbPath = objPath.replace(/\.obj$/, '.glb');
-      
-      // Read the upscaled texture for embedding (better quality)
-      const textureBuffer = await fs.readFile(upscaledTexturePath);
-      
-      const glbContent = generateGLBFromPixels({
-        modelName: baseName,
-        width: pixelData.width,
-        height: pixelData.height,
-        pixels: pixelData.pixels,
-        channels: pixelData.channels,
-        scale,
+
+      const glbContent = generateGLBFromMesh({
+        mesh,
         coordinateSystem,
-        textureData: textureBuffer
+        textureData: await readTextureData(),
+        display,
+        displayMode,
+        pixelSize: displayPixelSize,
+        glbOptions
       });
 
       if (glbContent) {
@@ -157,6 +344,29 @@ export async function convertTexture({
       }
     }
 
+    // Generate glTF format if requested (.gltf + .bin, texture referenced like the MTL does)
+    if (format === 'gltf') {
+      const gltfPath = objPath.replace(/\.obj$/, '.gltf');
+      const binPath = objPath.replace(/\.obj$/, '.bin');
+
+      const gltfContent = generateGLBFromMesh({
+        mesh,
+        coordinateSystem,
+        display,
+        displayMode,
+        pixelSize: displayPixelSize,
+        external: { binUri: path.basename(binPath), textureUri: relativeTexturePath },
+        glbOptions
+      });
+
+      if (gltfContent) {
+        await fs.ensureDir(path.dirname(gltfPath));
+        await fs.writeFile(gltfPath, gltfContent.json, 'utf8');
+        await fs.writeFile(binPath, gltfContent.bin);
+        outputFiles.gltf = gltfPath;
+      }
+    }
+
     if (onProgress) {
       onProgress({
         ...outputFiles,
@@ -166,7 +376,15 @@ export async function convertTexture({
 
     return {
       success: true,
-      warning: imageInfo.warning
+      warning: imageInfo.warning,
+      pixelBounds: getPixelBounds(
+        pixelData.pixels,
+        pixelData.width,
+        pixelData.height,
+        pixelData.channels,
+        alphaMode === 'blend' ? 1 : alphaThreshold // Translucent pixels are part of the model
+      ),
+      animation
     };
   } catch (error) {
     return {
@@ -184,6 +402,10 @@ export async function convertTexture({
  * @param {boolean} options.recursive - Process subdirectories
  * @param {number} options.scale - Scale factor
  * @param {string} options.coordinateSystem - Coordinate system
+ * @param {string} options.format - Output format (see OUTPUT_FORMATS)
+ * @param {Object} options.itemOptions - Item options { depth, alphaThreshold, sizeMode, alphaMode, colorMode, keepTexture, meshMode, outlineDiagonals }
+ * @param {Object} options.fbxOptions - FBX options { embedTexture } (optional)
+ * @param {Object} options.glbOptions - GLB/glTF quantization and compression { quantize, compression } (optional, see glbCompression.js)
  * @param {Function} options.onProgress - Progress callback
  * @returns {Promise<{success: number, failed: number, warnings: number, errors: string[]}>}
  */
@@ -193,6 +415,10 @@ export async function convertDirectory({
   recursive = true,
   scale = 1.0,
   coordinateSystem = 'z-up',
+  format = 'both',
+  itemOptions = {},
+  fbxOptions = {},
+  glbOptions = null,
   onProgress
 }) {
   const results = {
@@ -222,6 +448,10 @@ export async function convertDirectory({
         outputBaseDir,
         scale,
         coordinateSystem,
+        format,
+        itemOptions,
+        fbxOptions,
+        glbOptions,
         onProgress
       });
 
@@ -243,34 +473,40 @@ export async function convertDirectory({
   }
 }
 
+/**
+ * Folders that only hold JSON, searched by name but never searched through
+ * (assets/minecraft/models/item is not the item textures folder)
+ */
+const JSON_FOLDERS = ['models', 'blockstates'];
+
 /**
  * Find folder in texturepack (supports various structures)
+ * `textures/<name>` is preferred anywhere in the pack, so vanilla layouts
+ * (assets/minecraft/{blockstates,items,models,textures}) resolve to their
+ * textures rather than to same-named model or item definition folders.
  * @param {string} texturepackPath - Path to texturepack folder
  * @param {string[]} folderNames - Array of folder names to search for (e.g., ['items', 'item'] or ['blocks', 'block'])
  * @returns {Promise<string|null>} Path to folder or null if not found
  */
 async function findFolder(texturepackPath, folderNames) {
+  const isDirectory = async (folderPath) =>
+    await fs.pathExists(folderPath) && (await fs.stat(folderPath)).isDirectory();
+
   // Common paths to check (in order of preference)
-  const possiblePaths = [];
-  for (const folderName of folderNames) {
-    possiblePaths.push(
-      path.join(texturepackPath, folderName),
-      path.join(texturepackPath, 'textures', folderName)
-    );
-  }
+  const possiblePaths = [
+    ...folderNames.map(folderName => path.join(texturepackPath, 'textures', folderName)),
+    ...folderNames.map(folderName => path.join(texturepackPath, folderName))
+  ];
 
   // Check each possible path
   for (const folderPath of possiblePaths) {
-    if (await fs.pathExists(folderPath)) {
-      const stats = await fs.stat(folderPath);
-      if (stats.isDirectory()) {
-        return folderPath;
-      }
+    if (await isDirectory(folderPath)) {
+      return folderPath;
     }
   }
 
   // If not found, recursively search for folders with matching names
-  async function searchRecursive(dir, depth = 0, maxDepth = 3) {
+  async function searchRecursive(dir, match, depth = 0, maxDepth = 3) {
     if (depth > maxDepth) return null;
 
     try {
@@ -278,11 +514,13 @@ async function findFolder(texturepackPath, folderNames) {
       for (const entry of entries) {
         if (entry.isDirectory()) {
           const entryPath = path.join(dir, entry.name);
-          if (folderNames.includes(entry.name)) {
-            return entryPath;
+          const matched = await match(entry.name, entryPath);
+          if (matched) {
+            return matched;
           }
           // Recursively search subdirectories
-          const found = await searchRecursive(entryPath, depth + 1, maxDepth);
+          if (JSON_FOLDERS.includes(entry.name)) continue;
+          const found = await searchRecursive(entryPath, match, depth + 1, maxDepth);
           if (found) return found;
         }
       }
@@ -292,7 +530,19 @@ async function findFolder(texturepackPath, folderNames) {
     return null;
   }
 
-  return await searchRecursive(texturepackPath);
+  // First `textures/<name>` at any depth, then any folder with a matching name
+  const inTextures = async (name, entryPath) => {
+    if (name !== 'textures') return null;
+    for (const folderName of folderNames) {
+      const folderPath = path.join(entryPath, folderName);
+      if (await isDirectory(folderPath)) return folderPath;
+    }
+    return null;
+  };
+  const byName = async (name, entryPath) => folderNames.includes(name) ? entryPath : null;
+
+  return await searchRecursive(texturepackPath, inTextures) ||
+    await searchRecursive(texturepackPath, byName);
 }
 
 /**
@@ -304,6 +554,86 @@ export async function findItemsFolder(texturepackPath) {
   return await findFolder(texturepackPath, ['items', 'item']);
 }
 
+/**
+ * Find item models folder in texturepack (e.g. assets/minecraft/models/item)
+ * @param {string} texturepackPath - Path to texturepack folder
+ * @returns {Promise<string|null>} Path to item models folder or null if not found
+ */
+export async function findItemModelsFolder(texturepackPath) {
+  const modelsPath = await findFolder(texturepackPath, ['models']);
+  if (!modelsPath) return null;
+
+  for (const folderName of ['item', 'items']) {
+    const folderPath = path.join(modelsPath, folderName);
+    if (await fs.pathExists(folderPath)) {
+      return folderPath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find block models folder in texturepack (e.g. assets/minecraft/models/block)
+ * @param {string} texturepackPath - Path to texturepack folder
+ * @returns {Promise<string|null>} Path to block models folder or null if not found
+ */
+export async function findBlockModelsFolder(texturepackPath) {
+  const modelsPath = await findFolder(texturepackPath, ['models']);
+  if (!modelsPath) return null;
+
+  for (const folderName of ['block', 'blocks']) {
+    const folderPath = path.join(modelsPath, folderName);
+    if (await fs.pathExists(folderPath)) {
+      return folderPath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find blockstates folder in texturepack (e.g. assets/minecraft/blockstates)
+ * @param {string} texturepackPath - Path to texturepack folder
+ * @returns {Promise<string|null>} Path to blockstates folder or null if not found
+ */
+export async function findBlockstatesFolder(texturepackPath) {
+  return await findFolder(texturepackPath, ['blockstates']);
+}
+
+/**
+ * Load the layered item models of a pack
+ * Models that only point at the item's own PNG are skipped, so plain items
+ * convert exactly as without a models folder. Display transforms are kept
+ * for every model.
+ * @param {Object} options - Loading options
+ * @param {string} options.modelsDir - Item models folder
+ * @param {string} options.itemsDir - Item textures folder
+ * @returns {Promise<{models: Map<string, Object>, displays: Map<string, Object>, errors: string[]}>} Item model and display transforms per item name
+ */
+async function loadItemModels({ modelsDir, itemsDir }) {
+  const models = new Map();
+  const displays = new Map();
+  const errors = [];
+
+  const files = (await fs.readdir(modelsDir)).filter(file => file.endsWith('.json'));
+  for (const file of files) {
+    const modelPath = path.join(modelsDir, file);
+    try {
+      const itemModel = await loadItemModel(modelPath, modelsDir, itemsDir);
+      displays.set(itemModel.name, itemModel.display);
+      if (itemModel.layers.length === 0) continue;
+
+      const [layer0] = itemModel.layers;
+      if (itemModel.layers.length === 1 && getBaseName(layer0.texturePath) === itemModel.name) continue;
+
+      models.set(itemModel.name, itemModel);
+    } catch (error) {
+      errors.push(formatError(error, `Failed to load item model ${modelPath}`));
+    }
+  }
+
+  return { models, displays, errors };
+}
+
 /**
  * Find blocks folder in texturepack (supports various structures)
  * @param {string} texturepackPath - Path to texturepack folder
@@ -324,18 +654,21 @@ export async function findEntityFolder(texturepackPath) {
 
 /**
  * Upscale a blocks texture to 1024×1024 (no OBJ generation)
+ * Animated textures are upscaled from a single frame
  * @param {Object} options - Upscaling options
  * @param {string} options.texturePath - Path to texture file
  * @param {string} options.inputBaseDir - Base input directory (blocks folder)
- * @param {string} options.outputBaseDir - Base output directory (models folder)
+ * @param {string} options.outputBaseDir - Base output directory (textures/block folder)
+ * @param {Object} options.animationOptions - Animated textures { frame, exportFrames }
  * @param {Function} options.onProgress - Progress callback
- * @returns {Promise<{success: boolean, error?: string, warning?: string}>}
+ * @returns {Promise<{success: boolean, error?: string, warning?: string, animation?: Object}>}
  */
 async function upscaleBlocksTexture({
   texturePath,
   inputBaseDir,
   outputBaseDir,
   size = 1024,
+  animationOptions = {},
   onProgress
 }) {
   try {
@@ -361,9 +694,25 @@ async function upscaleBlocksTexture({
     await fs.ensureDir(texturesDir);
 
     const upscaledTexturePath = path.join(texturesDir, `${baseName}_${size}.png`);
+    const { frame = 0, exportFrames = false } = animationOptions;
 
     // Upscale texture using nearest-neighbor
-    await upscaleTexture(texturePath, upscaledTexturePath, size);
+    const source = imageInfo.animation ? await extractTexturePixels(texturePath, frame) : texturePath;
+    await upscaleTexture(source, upscaledTexturePath, size);
+
+    // Every frame of an animated texture, for runtime animation
+    let animation;
+    if (exportFrames && imageInfo.animation) {
+      animation = await exportAnimationFrames({
+        texturePath,
+        animation: imageInfo.animation,
+        outputDir: texturesDir,
+        baseName,
+        size,
+        // outputBaseDir is <pack>/textures/block
+        manifestBaseDir: path.dirname(path.dirname(outputBaseDir))
+      });
+    }
 
     if (onProgress) {
       onProgress({
@@ -375,7 +724,8 @@ async function upscaleBlocksTexture({
 
     return {
       success: true,
-      warning: imageInfo.warning
+      warning: imageInfo.warning,
+      animation
     };
   } catch (error) {
     return {
@@ -449,6 +799,90 @@ async function upscaleEntityTexture({
   }
 }
 
+/**
+ * Pack all item textures of a pack into shared atlas pages
+ * Pages are written to textures/items/item_atlas_<page>.png; each item keeps a
+ * packed rect of its page (see TextureAtlas.buildAtlas). Only items textured after
+ * their sidecar overrides are packed.
+ * @param {Object} options - Atlas options
+ * @param {string} options.itemsPath - Items folder of the texturepack
+ * @param {string} options.outputDir - Texturepack output directory
+ * @param {Object} options.itemOptions - Run item options (see convertTexture)
+ * @param {number} options.resolution - Atlas page resolution (default: 4096)
+ * @param {number} options.itemsPerPage - Maximum items per page (default: 256)
+ * @param {number} options.padding - Extruded edge pixels around each item (see TextureAtlas)
+ * @returns {Promise<{entries: Map<string, Object>, manifest: Object}>} Atlas entry per texture path and the manifest
+ */
+async function buildItemAtlases({
+  itemsPath,
+  outputDir,
+  itemOptions = {},
+  resolution = 4096,
+  itemsPerPage = 256,
+  padding
+}) {
+  const entries = new Map();
+  const manifest = { pages: [], items: {} };
+  const texturesDir = path.join(outputDir, 'textures', 'items');
+
+  // Skip unreadable, animated and vertex-colored items so they don't take up atlas cells
+  const textureFiles = [];
+  for (const texturePath of await findPngFiles(itemsPath, true)) {
+    const imageInfo = await validateImage(texturePath);
+    if (!imageInfo.valid || imageInfo.animation) continue;
+
+    // Invalid overrides are reported when the item is converted
+    let colorMode;
+    try {
+      ({ colorMode } = resolveItemOptions(itemOptions, await readItemOverrides(texturePath)));
+    } catch (error) {
+      continue;
+    }
+    if (colorMode === 'texture') {
+      textureFiles.push(texturePath);
+    }
+  }
+
+  for (let start = 0; start < textureFiles.length; start += itemsPerPage) {
+    const page = manifest.pages.length;
+    const pagePaths = textureFiles.slice(start, start + itemsPerPage);
+
+    const atlas = new TextureAtlas({ sizeMode: 'max', maxSize: resolution, padding });
+    await atlas.loadTextures(pagePaths);
+    const textureData = await atlas.buildAtlas();
+
+    const fileName = `item_atlas_${page}.png`;
+    const atlasPath = path.join(texturesDir, fileName);
+    await fs.outputFile(atlasPath, textureData);
+
+    const { atlasWidth: width, atlasHeight: height } = atlas;
+    manifest.pages.push({ page, file: `textures/items/${fileName}`, width, height });
+
+    for (const texturePath of pagePaths) {
+      const rect = atlas.getTextureRect(texturePath);
+      if (!rect) continue;
+
+      // Image space UVs (v=0 at the top), like the item mesh
+      const uv = [
+        rect.x / width,
+        rect.y / height,
+        (rect.x + rect.width) / width,
+        (rect.y + rect.height) / height
+      ];
+      entries.set(texturePath, {
+        page,
+        texturePath: atlasPath,
+        textureData,
+        materialName: `item_atlas_${page}`,
+        uv
+      });
+      manifest.items[getBaseName(texturePath)] = { page, rect, uv };
+    }
+  }
+
+  return { entries, manifest };
+}
+
 /**
  * Process a folder of textures (items, blocks, or entity)
  * @param {Object} options - Processing options
@@ -457,9 +891,18 @@ async function upscaleEntityTexture({
  * @param {string} options.outputDir - Output directory
  * @param {number} options.scale - Scale factor (only used for items)
  * @param {string} options.coordinateSystem - Coordinate system (only used for items)
- * @param {string} options.format - Output format: 'obj', 'fbx', or 'both'
+ * @param {string} options.format - Output format (see OUTPUT_FORMATS)
+ * @param {Object} options.itemOptions - Item options (only used for items)
+ * @param {Map<string, Object>} options.atlasEntries - Shared atlas entry per texture path (only used for items, optional)
+ * @param {Map<string, Object>} options.itemModels - Layered item model per item name (only used for items, optional)
+ * @param {Object} options.animationOptions - Animated textures { frame, exportFrames } (items and blocks)
+ * @param {Map<string, Object>} options.itemDisplays - Display transforms per item name (only used for items, optional)
+ * @param {Object} options.defaultItemDisplay - Display transforms of items without a model (only used for items, optional)
+ * @param {Object} options.displayOptions - Display export options { mode, transform } (only used for items, optional)
+ * @param {Object} options.fbxOptions - FBX options { embedTexture } (only used for items, optional)
+ * @param {Object} options.glbOptions - GLB/glTF quantization and compression { quantize, compression } (only used for items, optional)
  * @param {Function} options.onProgress - Progress callback
- * @returns {Promise<{success: number, failed: number, warnings: number, errors: string[], pixelSizes: Object}>}
+ * @returns {Promise<{success: number, failed: number, warnings: number, errors: string[], pixelSizes: Object, animations: Object, displays: Object}>}
  */
 async function processTextureFolder({
   folderPath,
@@ -468,6 +911,15 @@ async function processTextureFolder({
   scale,
   coordinateSystem,
   format = 'both',
+  itemOptions = {},
+  atlasEntries = null,
+  itemModels = null,
+  animationOptions = {},
+  itemDisplays = null,
+  defaultItemDisplay = null,
+  displayOptions = null,
+  fbxOptions = {},
+  glbOptions = null,
   progressTracker = null
 }) {
   const results = {
@@ -475,12 +927,24 @@ async function processTextureFolder({
     failed: 0,
     warnings: 0,
     errors: [],
-    pixelSizes: {}
+    pixelSizes: {},
+    animations: {},
+    displays: {}
   };
 
   // Find all PNG files in folder (recursively to handle subfolders)
   const textureFiles = await findPngFiles(folderPath, true);
 
+  // Layered item models without a PNG of their own (e.g. spawn egg variants)
+  if (itemModels) {
+    const itemNames = new Set(textureFiles.map(getBaseName));
+    for (const name of itemModels.keys()) {
+      if (!itemNames.has(name)) {
+        textureFiles.push(path.join(folderPath, `${name}.png`));
+      }
+    }
+  }
+
   if (textureFiles.length === 0) {
     results.errors.push(`No PNG files found in ${folderName} folder: ${folderPath}`);
     return results;
@@ -511,7 +975,8 @@ async function processTextureFolder({
       result = await upscaleBlocksTexture({
         texturePath,
         inputBaseDir: folderPath,
-        outputBaseDir: outputDir
+        outputBaseDir: outputDir,
+        animationOptions
       });
     } else if (isBlocks4096Folder) {
       // Blocks 4096x: upscale to 4096x for entity use
@@ -530,22 +995,38 @@ async function processTextureFolder({
       });
     } else {
       // Items: generate OBJ/MTL/FBX/GLB and upscale texture
+      const display = (itemDisplays && itemDisplays.get(itemName)) || defaultItemDisplay;
       result = await convertTexture({
         texturePath,
         inputBaseDir: folderPath,
         outputBaseDir: outputDir,
         scale,
         coordinateSystem,
-        format
+        format,
+        itemOptions,
+        atlas: atlasEntries ? atlasEntries.get(texturePath) || null : null,
+        itemModel: itemModels ? itemModels.get(itemName) || null : null,
+        animationOptions,
+        display,
+        displayOptions,
+        fbxOptions,
+        glbOptions
       });
 
-      // Calculate pixel bounds for items
-      const bounds = await calculatePixelBounds(texturePath);
-      if (bounds) {
-        results.pixelSizes[itemName] = bounds;
+      // Pixel bounds for items (uses the item's alpha threshold)
+      if (result.pixelBounds) {
+        results.pixelSizes[itemName] = result.pixelBounds;
+      }
+      if (result.success && display && Object.keys(display).length > 0) {
+        results.displays[itemName] = display;
       }
     }
 
+    // Exported animation frames (items and blocks)
+    if (result.animation) {
+      results.animations[itemName] = result.animation;
+    }
+
     if (result.success) {
       results.success++;
       if (result.warning) {
@@ -574,7 +1055,17 @@ async function processTextureFolder({
  * @param {string} options.outputBaseDir - Base output directory
  * @param {number} options.scale - Scale factor (applied uniformly to all textures in pack)
  * @param {string} options.coordinateSystem - Coordinate system
- * @param {string} options.format - Output format: 'obj', 'fbx', or 'both'
+ * @param {string} options.format - Output format (see OUTPUT_FORMATS)
+ * @param {string} options.entityFormat - Entity output format (see OUTPUT_FORMATS, default 'glb')
+ * @param {Object} options.itemOptions - Item options { depth, alphaThreshold, sizeMode, alphaMode, colorMode, keepTexture, meshMode, outlineDiagonals }
+ * @param {Object} options.itemAtlas - Pack all item textures into shared atlases { resolution, itemsPerPage } (optional)
+ * @param {Object} options.animationOptions - Animated textures { frame, exportFrames } for items and blocks
+ * @param {Object} options.blockModels - Convert block models/blockstates to GLBs { textureResolution, cullFaces, tintMode, tints } (optional)
+ * @param {Object} options.displayOptions - Model display transforms { mode, transform } for items, block models and entities (optional)
+ * @param {string} options.nodeMode - Block model and entity GLB nodes: 'single', 'elements' or 'groups' (see entityGlbGenerator.js)
+ * @param {Object} options.atlasOptions - Texture atlas options { padding, missingTexture, sizeMode, multiplier, maxSize } for block models and entities; item atlases use the padding (optional)
+ * @param {Object} options.fbxOptions - FBX options { embedTexture } (optional)
+ * @param {Object} options.glbOptions - GLB/glTF quantization and compression { quantize, compression } (optional, see glbCompression.js)
  * @param {Function} options.onProgress - Progress callback
  * @returns {Promise<{success: number, failed: number, warnings: number, errors: string[]}>}
  */
@@ -584,6 +1075,16 @@ export async function convertTexturepack({
   scale = 1.0,
   coordinateSystem = 'z-up',
   format = 'both',
+  entityFormat = 'glb',
+  itemOptions = {},
+  itemAtlas = null,
+  animationOptions = {},
+  blockModels = null,
+  displayOptions = null,
+  nodeMode = 'single',
+  atlasOptions = {},
+  fbxOptions = {},
+  glbOptions = null,
   showProgress = true,
   processEntities = true,
   entitiesModelDir = null
@@ -593,11 +1094,17 @@ export async function convertTexturepack({
     failed: 0,
     warnings: 0,
     errors: [],
+    blockResults: null,
     entityResults: null
   };
 
   // Collect all pixel sizes from items
   const allPixelSizes = {};
+  // Collect exported animation frames
+  const allAnimations = { items: {}, blocks: {} };
+  // Collect item display transforms
+  const allDisplays = {};
+  const useDisplay = displayOptions && displayOptions.mode !== 'none';
 
   try {
     // Get texturepack name for output structure
@@ -620,6 +1127,36 @@ export async function convertTexturepack({
         progressTracker.render();
       }
 
+      // Pack item textures into shared atlas pages (vertex-colored items need no texture)
+      let atlasEntries = null;
+      if (itemAtlas) {
+        const { entries, manifest } = await buildItemAtlases({
+          itemsPath,
+          outputDir: path.join(outputBaseDir, texturepackName),
+          itemOptions,
+          resolution: itemAtlas.resolution,
+          itemsPerPage: itemAtlas.itemsPerPage,
+          padding: atlasOptions.padding
+        });
+        if (manifest.pages.length > 0) {
+          await writeItemAtlasManifest(path.join(outputBaseDir, texturepackName), manifest, texturepackName);
+        }
+        atlasEntries = entries;
+      }
+
+      // Layered item models (layer0, layer1, ...) from the pack's models/item folder
+      const itemModelsPath = await findItemModelsFolder(texturepackPath);
+      let itemModels = null;
+      let itemDisplays = null;
+      if (itemModelsPath) {
+        const loaded = await loadItemModels({ modelsDir: itemModelsPath, itemsDir: itemsPath });
+        itemModels = loaded.models;
+        itemDisplays = loaded.displays;
+        results.errors.push(...loaded.errors);
+      }
+      // Items without a model of their own render as item/generated
+      const defaultItemDisplay = useDisplay ? await loadVanillaItemDisplay('generated') : null;
+
       // Output items to models/items folder
       const itemsOutputDir = path.join(outputTexturepackDir, 'items');
       const itemsResults = await processTextureFolder({
@@ -629,6 +1166,15 @@ export async function convertTexturepack({
         scale,
         coordinateSystem,
         format,
+        itemOptions,
+        atlasEntries,
+        itemModels,
+        animationOptions,
+        itemDisplays: useDisplay ? itemDisplays : null,
+        defaultItemDisplay,
+        displayOptions: useDisplay ? displayOptions : null,
+        fbxOptions,
+        glbOptions,
         progressTracker
       });
 
@@ -639,6 +1185,8 @@ export async function convertTexturepack({
 
       // Collect pixel sizes
       Object.assign(allPixelSizes, itemsResults.pixelSizes);
+      Object.assign(allAnimations.items, itemsResults.animations);
+      Object.assign(allDisplays, itemsResults.displays);
     }
     // Note: items folder is optional if blocks folder exists
 
@@ -657,8 +1205,10 @@ export async function convertTexturepack({
         outputDir: blocksOutputDir,
         scale, // Not used for blocks, but passed for consistency
         coordinateSystem, // Not used for blocks, but passed for consistency
+        animationOptions,
         progressTracker
       });
+      Object.assign(allAnimations.blocks, blocksResults.animations);
 
       results.success += blocksResults.success;
       results.failed += blocksResults.failed;
@@ -728,12 +1278,45 @@ export async function convertTexturepack({
       await writePixelSizesLua(luaOutputPath, allPixelSizes, texturepackName);
     }
 
+    // Write the animation manifest if any frames were exported
+    if (Object.keys(allAnimations.items).length > 0 || Object.keys(allAnimations.blocks).length > 0) {
+      await writeAnimationManifest(path.join(outputBaseDir, texturepackName), allAnimations, texturepackName);
+    }
+
+    // Write the item display manifest (how each item is held, framed and dropped)
+    if (Object.keys(allDisplays).length > 0) {
+      await writeItemDisplayManifest(path.join(outputBaseDir, texturepackName), allDisplays, texturepackName);
+    }
+
+    // Block models (models/block + blockstates) to one GLB per model and rotation
+    if (blockModels && blocksPath) {
+      const blockModelsPath = await findBlockModelsFolder(texturepackPath);
+      if (blockModelsPath) {
+        const { processBlockModelsForPack, resolveBlockModelOptions } = await import('./blockModelParser.js');
+        results.blockResults = await processBlockModelsForPack({
+          texturepackName,
+          outputBaseDir,
+          blockModelsDir: blockModelsPath,
+          blockstatesDir: await findBlockstatesFolder(texturepackPath),
+          blocksPath,
+          scale,
+          ...resolveBlockModelOptions(blockModels),
+          displayOptions: useDisplay ? displayOptions : null,
+          nodeMode,
+          atlasOptions,
+          glbOptions,
+          showProgress
+        });
+        results.errors.push(...results.blockResults.errors.map(({ name, error }) => `Block ${name}: ${error}`));
+      }
+    }
+
     // Process entity models if requested and entity textures were processed
     if (processEntities && (entityPath || blocksPath)) {
       const { processEntitiesForPack } = await import('./entityParser.js');
       
       // Determine where to find entity model JSON files
-      const modelDir = entitiesModelDir || path.join(path.dirname(path.dirname(__dirname)), 'entities', 'model');
+      const modelDir = entitiesModelDir || path.join(__dirname, '..', 'entities', 'model');
       
       if (await fs.pathExists(modelDir)) {
         console.log('\n');
@@ -742,6 +1325,12 @@ export async function convertTexturepack({
           outputBaseDir,
           entitiesModelDir: modelDir,
           scale: 1.0,
+          format: entityFormat,
+          displayOptions: useDisplay ? displayOptions : null,
+          nodeMode,
+          atlasOptions,
+          fbxOptions,
+          glbOptions,
           showProgress
         });
       }
@@ -761,6 +1350,17 @@ export async function convertTexturepack({
  * @param {string} options.outputDir - Output directory
  * @param {number} options.scale - Scale factor (applied uniformly to all texturepacks)
  * @param {string} options.coordinateSystem - Coordinate system
+ * @param {string} options.format - Output format (see OUTPUT_FORMATS)
+ * @param {string} options.entityFormat - Entity output format (see OUTPUT_FORMATS, default 'glb')
+ * @param {Object} options.itemOptions - Item options { depth, alphaThreshold, sizeMode, alphaMode, colorMode, keepTexture, meshMode, outlineDiagonals }
+ * @param {Object} options.itemAtlas - Shared item atlas options { resolution, itemsPerPage } (optional)
+ * @param {Object} options.animationOptions - Animated textures { frame, exportFrames }
+ * @param {Object} options.blockModels - Block model options (optional, converts block models/blockstates to GLBs)
+ * @param {Object} options.displayOptions - Model display transforms { mode, transform } (optional)
+ * @param {string} options.nodeMode - Block model and entity GLB nodes (optional)
+ * @param {Object} options.atlasOptions - Texture atlas options { padding, missingTexture, sizeMode, multiplier, maxSize } (optional)
+ * @param {Object} options.fbxOptions - FBX options { embedTexture } (optional)
+ * @param {Object} options.glbOptions - GLB/glTF quantization and compression { quantize, compression } (optional, see glbCompression.js)
  * @param {Function} options.onProgress - Progress callback
  * @returns {Promise<{success: number, failed: number, warnings: number, errors: string[], texturepacks: {name: string, results: object}[]}>}
  */
@@ -769,6 +1369,17 @@ export async function convertTexturepacks({
   outputDir,
   scale = 1.0,
   coordinateSystem = 'z-up',
+  format = 'both',
+  entityFormat = 'glb',
+  itemOptions = {},
+  itemAtlas = null,
+  animationOptions = {},
+  blockModels = null,
+  displayOptions = null,
+  nodeMode = 'single',
+  atlasOptions = {},
+  fbxOptions = {},
+  glbOptions = null,
   onProgress
 }) {
   const overallResults = {
@@ -800,6 +1411,17 @@ export async function convertTexturepacks({
         outputBaseDir: outputDir,
         scale,
         coordinateSystem,
+        format,
+        entityFormat,
+        itemOptions,
+        itemAtlas,
+        animationOptions,
+        blockModels,
+        displayOptions,
+        nodeMode,
+        atlasOptions,
+        fbxOptions,
+        glbOptions,
         onProgress
       });
 
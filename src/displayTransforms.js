@@ -0,0 +1,223 @@
+/**
+ * Display transforms for Minecraft models
+ * A model's `display` block says how it's held, worn, framed and dropped
+ * (thirdperson_righthand, gui, ground, ...). These helpers merge it along the
+ * parent chain, bake one transform into geometry or turn it into glTF nodes.
+ */
+
+import { calculateBounds } from './geometryBuilder.js';
+
+/**
+ * Display slots of the model format
+ */
+export const DISPLAY_SLOTS = [
+  'thirdperson_righthand',
+  'thirdperson_lefthand',
+  'firstperson_righthand',
+  'firstperson_lefthand',
+  'gui',
+  'head',
+  'ground',
+  'fixed'
+];
+
+/**
+ * How exporters use display transforms
+ * - none: ignored
+ * - extras: raw transforms in the GLB node's extras
+ * - nodes: one empty child node per slot (display_gui, ...) carrying the transform
+ * - bake: one slot's transform (`transform`) applied to the geometry of every format
+ */
+export const DISPLAY_MODES = ['none', 'extras', 'nodes', 'bake'];
+
+/**
+ * Default display options (see config/default.json)
+ */
+export const DEFAULT_DISPLAY_OPTIONS = {
+  mode: 'extras',
+  transform: 'thirdperson_righthand'
+};
+
+/**
+ * Merge and validate display options
+ * @param {Object} options - Run options (config/CLI)
+ * @returns {{mode: string, transform: string}} Resolved options
+ */
+export function resolveDisplayOptions(options = {}) {
+  const resolved = { ...DEFAULT_DISPLAY_OPTIONS };
+  for (const key of Object.keys(DEFAULT_DISPLAY_OPTIONS)) {
+    if (options[key] !== undefined && options[key] !== null) {
+      resolved[key] = options[key];
+    }
+  }
+
+  if (!DISPLAY_MODES.includes(resolved.mode)) {
+    throw new Error(`Invalid display mode: ${resolved.mode} (expected ${DISPLAY_MODES.join(', ')})`);
+  }
+  if (!DISPLAY_SLOTS.includes(resolved.transform)) {
+    throw new Error(`Invalid display transform: ${resolved.transform} (expected ${DISPLAY_SLOTS.join(', ')})`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Merge a child's display block over its parent's
+ * Each slot is inherited on its own, so a child overriding `gui` keeps the parent's `ground`.
+ * @param {Object} parentDisplay - Parent display (may be undefined)
+ * @param {Object} childDisplay - Child display (may be undefined)
+ * @returns {Object} Merged display
+ */
+export function mergeDisplay(parentDisplay, childDisplay) {
+  return { ...(parentDisplay || {}), ...(childDisplay || {}) };
+}
+
+/**
+ * Fill in a display entry's defaults
+ * @param {Object} entry - Display entry { rotation, translation, scale }
+ * @returns {{rotation: number[], translation: number[], scale: number[]}} Complete entry
+ */
+function normalizeEntry(entry = {}) {
+  return {
+    rotation: entry.rotation || [0, 0, 0],
+    translation: entry.translation || [0, 0, 0],
+    scale: entry.scale || [1, 1, 1]
+  };
+}
+
+/**
+ * Get the rotation of a display entry as a quaternion
+ * The game rotates around X, then Y, then Z (Quaternionf.rotationXYZ).
+ * @param {number[]} rotation - Euler angles [x, y, z] in degrees
+ * @returns {number[]} Quaternion [x, y, z, w]
+ */
+function eulerToQuaternion([rx, ry, rz]) {
+  const half = (degrees) => (degrees * Math.PI) / 360;
+  const [sx, cx] = [Math.sin(half(rx)), Math.cos(half(rx))];
+  const [sy, cy] = [Math.sin(half(ry)), Math.cos(half(ry))];
+  const [sz, cz] = [Math.sin(half(rz)), Math.cos(half(rz))];
+
+  // qx * qy * qz
+  return [
+    sx * cy * cz + cx * sy * sz,
+    cx * sy * cz - sx * cy * sz,
+    cx * cy * sz + sx * sy * cz,
+    cx * cy * cz - sx * sy * sz
+  ];
+}
+
+/**
+ * Rotate a vector by a quaternion
+ */
+function rotateByQuaternion([vx, vy, vz], [qx, qy, qz, qw]) {
+  // v + 2w(q x v) + 2(q x (q x v))
+  const tx = 2 * (qy * vz - qz * vy);
+  const ty = 2 * (qz * vx - qx * vz);
+  const tz = 2 * (qx * vy - qy * vx);
+  return [
+    vx + qw * tx + (qy * tz - qz * ty),
+    vy + qw * ty + (qz * tx - qx * tz),
+    vz + qw * tz + (qx * ty - qy * tx)
+  ];
+}
+
+/**
+ * Bake a display entry into geometry centered at the model origin
+ * Scale, then rotation, then translation, like the game.
+ * @param {Object} geometry - Geometry or item mesh { positions, normals, indices, ... }
+ * @param {Object} entry - Display entry { rotation, translation, scale }
+ * @param {number} pixelSize - World units per model pixel (1/16 block)
+ * @returns {Object} Geometry with transformed positions and normals (and flipped winding for mirroring scales)
+ */
+export function bakeDisplayTransform(geometry, entry, pixelSize) {
+  const { rotation, translation, scale } = normalizeEntry(entry);
+  const quaternion = eulerToQuaternion(rotation);
+
+  const positions = new Float32Array(geometry.positions.length);
+  const normals = new Float32Array(geometry.normals.length);
+  for (let i = 0; i < positions.length; i += 3) {
+    const position = rotateByQuaternion([
+      geometry.positions[i] * scale[0],
+      geometry.positions[i + 1] * scale[1],
+      geometry.positions[i + 2] * scale[2]
+    ], quaternion);
+    positions[i] = position[0] + translation[0] * pixelSize;
+    positions[i + 1] = position[1] + translation[1] * pixelSize;
+    positions[i + 2] = position[2] + translation[2] * pixelSize;
+
+    // Normals take the inverse scale, then the rotation
+    const normal = rotateByQuaternion([
+      geometry.normals[i] / scale[0],
+      geometry.normals[i + 1] / scale[1],
+      geometry.normals[i + 2] / scale[2]
+    ], quaternion);
+    const length = Math.hypot(...normal) || 1;
+    normals[i] = normal[0] / length;
+    normals[i + 1] = normal[1] / length;
+    normals[i + 2] = normal[2] / length;
+  }
+
+  // A mirroring scale turns the triangles inside out
+  let indices = geometry.indices;
+  if (scale[0] * scale[1] * scale[2] < 0) {
+    indices = indices.slice();
+    for (let i = 0; i < indices.length; i += 3) {
+      [indices[i + 1], indices[i + 2]] = [indices[i + 2], indices[i + 1]];
+    }
+  }
+
+  return {
+    ...geometry,
+    positions,
+    normals,
+    indices,
+    ...(geometry.bounds && { bounds: calculateBounds(positions) })
+  };
+}
+
+/**
+ * Build glTF nodes carrying the display transforms (one per slot)
+ * @param {Object} display - Model display block
+ * @param {number} pixelSize - World units per model pixel (1/16 block)
+ * @param {string} coordinateSystem - 'y-up', or 'z-up' when the parent node's mesh is stored Z-up
+ * @returns {Object[]} glTF nodes named display_<slot>
+ */
+export function buildDisplayNodes(display, pixelSize, coordinateSystem = 'y-up') {
+  return DISPLAY_SLOTS.filter(slot => display[slot]).map(slot => {
+    const { rotation, translation, scale } = normalizeEntry(display[slot]);
+    let nodeTranslation = translation.map(value => value * pixelSize);
+    let nodeRotation = eulerToQuaternion(rotation);
+    let nodeScale = [...scale];
+
+    // Z-up meshes are stored as (x, z, -y) under a compensating parent rotation
+    if (coordinateSystem === 'z-up') {
+      const [tx, ty, tz] = nodeTranslation;
+      const [qx, qy, qz, qw] = nodeRotation;
+      const [sx, sy, sz] = nodeScale;
+      nodeTranslation = [tx, tz, -ty];
+      nodeRotation = [qx, qz, -qy, qw];
+      nodeScale = [sx, sz, sy];
+    }
+
+    return {
+      name: `display_${slot}`,
+      translation: nodeTranslation,
+      rotation: nodeRotation,
+      scale: nodeScale
+    };
+  });
+}
+
+/**
+ * Format a display block as a Lua table literal
+ * @param {Object} display - Model display block
+ * @returns {string} e.g. {gui = {rotation = {30, 225, 0}, translation = {0, 0, 0}, scale = {0.625, 0.625, 0.625}}}
+ */
+export function displayToLua(display) {
+  const vector = (values) => `{${values.join(', ')}}`;
+  const slots = DISPLAY_SLOTS.filter(slot => display[slot]).map(slot => {
+    const { rotation, translation, scale } = normalizeEntry(display[slot]);
+    return `${slot} = {rotation = ${vector(rotation)}, translation = ${vector(translation)}, scale = ${vector(scale)}}`;
+  });
+  return `{${slots.join(', ')}}`;
+}
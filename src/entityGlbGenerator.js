@@ -1,9 +1,26 @@
 /**
  * Entity GLB Generator
- * Generates GLB 2.0 binary format from parsed Minecraft JSON models
+ * Generates GLB 2.0 binary format (or .gltf with external files) from parsed
+ * Minecraft JSON models, and flat meshes for the OBJ and FBX writers
  */
 
-import { buildGeometry, calculateBounds } from './geometryBuilder.js';
+import { buildGeometry, rotateGeometry, getModelDirections, calculateBounds, applyRotation } from './geometryBuilder.js';
+import { srgbToLinear, packGLTF } from './glbGenerator.js';
+import { bakeDisplayTransform, buildDisplayNodes } from './displayTransforms.js';
+import { buildAnimationChannels, eulerToQuaternion, multiply } from './modelAnimations.js';
+
+/**
+ * How entity GLBs are split into nodes
+ * - single: the whole model is one mesh on one node
+ * - elements: one node per element, named by its `name` or `__comment`
+ * - groups: one node per Blockbench group (outliner `groups`), nested like the
+ *   groups; elements outside any group get their own node. Models without
+ *   groups fall back to elements.
+ * Part nodes sit at their pivot (element rotation origin, or group origin), so
+ * rotating a node turns the part like Blockbench does. In groups mode, the
+ * model's `animations` (Bedrock or Blockbench) become glTF node animations.
+ */
+export const NODE_MODES = ['single', 'elements', 'groups'];
 
 /**
  * Generate GLB binary content from a parsed model
@@ -11,62 +28,388 @@ import { buildGeometry, calculateBounds } from './geometryBuilder.js';
  * @param {Object} options.model - Parsed model from jsonModelLoader
  * @param {Object} options.textureAtlas - TextureAtlas instance with loaded textures
  * @param {number} options.scale - Scale factor (default: 1/16)
- * @returns {Buffer} GLB binary content
+ * @param {Object} options.rotation - Blockstate variant rotation { x, y } in degrees (optional)
+ * @param {boolean} options.uvlock - Keep face textures aligned to the world under the rotation (blockstate `uvlock`)
+ * @param {string[]} options.cullFaces - World directions whose cullface faces are dropped (default: none)
+ * @param {string} options.tintMode - Tinted faces: 'material' or 'vertex' (default: 'material')
+ * @param {number[][]} options.tints - Tint color [r, g, b] (0-255) per tintindex (optional)
+ * @param {Object} options.displayOptions - Export the model's display transforms { mode, transform } (optional)
+ * @param {string} options.nodeMode - 'single', 'elements' or 'groups' (see NODE_MODES, default: 'single')
+ *   groups also exports the model's animations
+ * @param {Object} options.external - Write a .gltf with external files { binUri, textureUri } instead of a GLB (optional);
+ *   the atlas is referenced by `textureUri` rather than embedded
+ * @param {Object} options.glbOptions - GLB options { quantize, compression } (optional, see glbCompression.js)
+ * @returns {Buffer|{json: string, bin: Buffer}|null} GLB binary content (or the .gltf JSON and .bin content), or null without geometry
+ */
+export function generateEntityGLB(options) {
+  const built = buildScene(options);
+  if (!built) return null;
+
+  // Embedded atlas, unless the .gltf references it
+  const { external = null, glbOptions = null } = options;
+  const textureData = external ? null : options.textureAtlas.getAtlasBuffer();
+
+  return buildGLB(options.model, built.scene, textureData, { displayMode: built.displayMode, scale: options.scale, external, glbOptions });
+}
+
+/**
+ * Generate one flat mesh of a model for the OBJ and FBX writers
+ * The model is a single mesh in glTF space (Y up); nodes, display nodes and
+ * animations are GLB/glTF only, a baked display transform still applies.
+ * @param {Object} options - Same options as generateEntityGLB (nodeMode is ignored)
+ * @returns {Object|null} Mesh { name, positions, normals, uvs, colors, indices, groups, materials } like buildItemMesh's,
+ *   or null without geometry
+ */
+export function generateEntityMesh(options) {
+  const built = buildScene({ ...options, nodeMode: 'single' });
+  if (!built) return null;
+
+  const { model } = options;
+  const { geometry } = built.scene.meshes[0];
+  return {
+    ...geometry,
+    name: model.name,
+    materials: built.scene.materials.map(material => ({
+      name: getMaterialName(model.name, material),
+      alphaMode: 'MASK',
+      color: material.color || null
+    }))
+  };
+}
+
+/**
+ * Build the part nodes, meshes, materials and animations of a model
+ * @param {Object} options - Options of generateEntityGLB
+ * @returns {{scene: Object, displayMode: string}|null} Scene (see buildGLB) and display mode, or null without geometry
  */
-export function generateEntityGLB({ model, textureAtlas, scale = 1/16 }) {
-  // Build geometry
-  const geometry = buildGeometry(model, textureAtlas, scale);
+function buildScene({
+  model,
+  textureAtlas,
+  scale = 1/16,
+  rotation = null,
+  uvlock = false,
+  cullFaces = [],
+  tintMode = 'material',
+  tints = [],
+  displayOptions = null,
+  nodeMode = 'single'
+}) {
+  if (!NODE_MODES.includes(nodeMode)) {
+    throw new Error(`Invalid node mode: ${nodeMode} (expected ${NODE_MODES.join(', ')})`);
+  }
+  
+  // Cullface directions are rotated along with the variant
+  const geometryOptions = {
+    cullFaces: getModelDirections(cullFaces, rotation || {}),
+    tintMode,
+    tints,
+    uvlock: uvlock ? rotation : null
+  };
+  
+  // A baked display transform applies in model space, before the variant rotation;
+  // part pivots go through the same transforms as the geometry
+  const display = model.display || {};
+  const displayMode = displayOptions ? displayOptions.mode : 'none';
+  const bakeEntry = displayMode === 'bake' ? display[displayOptions.transform] : null;
+  const transform = (geometry) => rotateGeometry(
+    bakeEntry ? bakeDisplayTransform(geometry, bakeEntry, scale) : geometry,
+    rotation || {}
+  );
+  const transformPoint = (point) => Array.from(transform({
+    positions: new Float32Array(point.map(c => (c - 8) * scale)),
+    normals: new Float32Array([0, 1, 0]),
+    indices: new Uint16Array(0)
+  }).positions);
   
-  if (geometry.positions.length === 0) {
+  // Parts become nodes; materials are shared by every part's mesh
+  const scene = { meshes: [], nodes: [], materials: [], animations: [] };
+  const materialIndex = new Map();
+  // Group nodes by lowercase name, for animations (Bedrock bone names ignore case)
+  const bones = new Map();
+  
+  const addPart = (part, parentPivot, ancestorRotation) => {
+    const pivot = part.pivot ? transformPoint(part.pivot) : [0, 0, 0];
+    const node = { name: part.name, children: [] };
+    if (part.pivot) {
+      node.translation = pivot.map((c, i) => c - parentPivot[i]);
+    }
+    scene.nodes.push(node);
+    if (part.rotation && !bones.has(part.name.toLowerCase())) {
+      bones.set(part.name.toLowerCase(), {
+        node: scene.nodes.length - 1,
+        rotation: part.rotation,
+        ancestorRotation,
+        translation: node.translation
+      });
+    }
+    
+    if (part.elements.length > 0) {
+      const geometry = transform(buildGeometry({ ...model, elements: part.elements }, textureAtlas, scale, geometryOptions));
+      if (geometry.positions.length > 0) {
+        // Vertices relative to the node's pivot
+        const positions = new Float32Array(geometry.positions.length);
+        for (let i = 0; i < positions.length; i++) {
+          positions[i] = geometry.positions[i] - pivot[i % 3];
+        }
+        const groups = geometry.groups.map(group => {
+          const material = geometry.materials[group.material];
+          const key = `${material.shade}|${material.tintindex}|${material.color || ''}`;
+          if (!materialIndex.has(key)) {
+            materialIndex.set(key, scene.materials.length);
+            scene.materials.push(material);
+          }
+          return { ...group, material: materialIndex.get(key) };
+        });
+        node.mesh = scene.meshes.length;
+        scene.meshes.push({ name: part.name, geometry: { ...geometry, positions, groups } });
+      }
+    }
+    
+    // A group's rest rotation is baked into its children too
+    const childRotation = part.rotation ? multiply(ancestorRotation, eulerToQuaternion(part.rotation)) : ancestorRotation;
+    for (const child of part.children) {
+      node.children.push(addPart(child, pivot, childRotation));
+    }
+    return scene.nodes.indexOf(node);
+  };
+  addPart(getModelParts(model, nodeMode), [0, 0, 0], [0, 0, 0, 1]);
+  
+  if (scene.meshes.length === 0) {
     console.warn(`Model ${model.name} has no geometry`);
     return null;
   }
   
-  // Calculate bounds
-  const bounds = calculateBounds(geometry.positions);
+  // Animations move the bone nodes in model space
+  if (nodeMode === 'groups' && bones.size > 0 && model.animations?.length > 0) {
+    if (bakeEntry || rotation?.x || rotation?.y) {
+      console.warn(`Model ${model.name}: animations are not exported for rotated or baked models`);
+    } else {
+      scene.animations = model.animations
+        .map(animation => buildAnimationChannels(animation, bones, scale))
+        .filter(Boolean);
+    }
+  }
   
-  // Get texture data
-  const textureData = textureAtlas.getAtlasBuffer();
+  return { scene, displayMode };
+}
+
+/**
+ * Split a model into parts (see NODE_MODES)
+ * @param {Object} model - Parsed model
+ * @param {string} nodeMode - Node mode
+ * @returns {Object} Root part { name, pivot, rotation, elements, children }; pivots are in model space (0-16), null for the root;
+ *   group parts keep their rest rotation [x, y, z] (degrees)
+ */
+function getModelParts(model, nodeMode) {
+  const root = { name: model.name, pivot: null, elements: [], children: [] };
+  if (nodeMode === 'single') {
+    root.elements = model.elements;
+    return root;
+  }
+  
+  const elementPart = (element, index) => ({
+    name: element.name || element.__comment || `${model.name}_${index}`,
+    pivot: getElementPivot(element),
+    elements: [element],
+    children: []
+  });
   
-  // Build GLB
-  return buildGLB(model.name, geometry, bounds, textureData);
+  if (nodeMode === 'groups' && Array.isArray(model.groups) && model.groups.length > 0) {
+    const grouped = new Set();
+    // Parent groups' rest rotations (innermost first) move a group's pivot like its geometry
+    const groupPart = (group, ancestorRotations) => {
+      const origin = group.origin || [8, 8, 8];
+      const rotation = group.rotation || [0, 0, 0];
+      const part = {
+        name: group.name,
+        pivot: rotatePoint(origin, ancestorRotations),
+        rotation,
+        elements: [],
+        children: []
+      };
+      const groupRotations = ['x', 'y', 'z']
+        .map((axis, index) => ({ origin, axis, angle: rotation[index] }))
+        .filter(({ angle }) => angle);
+      // Blockbench groups list element indices and nested groups
+      for (const child of group.children || []) {
+        if (typeof child === 'number') {
+          if (model.elements[child]) part.elements.push(model.elements[child]);
+          grouped.add(child);
+        } else {
+          part.children.push(groupPart(child, [...groupRotations, ...ancestorRotations]));
+        }
+      }
+      return part;
+    };
+    // Element indices outside any group become element nodes below
+    root.children = model.groups.filter(group => typeof group === 'object').map(group => groupPart(group, []));
+    model.elements.forEach((element, index) => {
+      if (!grouped.has(index)) root.children.push(elementPart(element, index));
+    });
+    return root;
+  }
+  
+  root.children = model.elements.map(elementPart);
+  return root;
 }
 
 /**
- * Build GLB binary from geometry data
+ * Get the pivot of an element: its rotation origin, or its center
+ * Group rotations after the element's own rotation move the pivot with the element.
  */
-function buildGLB(modelName, geometry, bounds, textureData) {
-  const { positions, normals, uvs, indices } = geometry;
+function getElementPivot(element) {
+  const rotations = [...(element.rotation ? [element.rotation] : []), ...(element.rotations || [])];
+  if (rotations.length > 0) {
+    return rotatePoint(rotations[0].origin || [8, 8, 8], rotations);
+  }
+  const { from = [0, 0, 0], to = [16, 16, 16] } = element;
+  return from.map((c, i) => (c + to[i]) / 2);
+}
+
+/**
+ * Apply rotations { origin, axis, angle } to a model-space point, in order
+ */
+function rotatePoint(point, rotations) {
+  return rotations.reduce((points, rotation) => applyRotation(points, rotation), [point])[0];
+}
+
+/**
+ * Get the name of a geometry material: <model>_material, with _tint<index> and _unlit suffixes
+ */
+function getMaterialName(modelName, material) {
+  const suffix = `${material.tintindex !== null ? `_tint${material.tintindex}` : ''}${material.shade ? '' : '_unlit'}`;
+  return `${modelName}_material${suffix}`;
+}
+
+/**
+ * Build the glTF material for a geometry material
+ * Unlit (shade: false) faces use KHR_materials_unlit; tinted faces keep their
+ * tintindex in extras so a runtime can recolor them.
+ */
+function buildMaterial(modelName, material) {
+  return {
+    name: getMaterialName(modelName, material),
+    pbrMetallicRoughness: {
+      // Tints multiply the texture (glTF factors are linear)
+      baseColorFactor: material.color
+        ? [...material.color.map(channel => srgbToLinear(channel / 255)), 1]
+        : [1, 1, 1, 1],
+      metallicFactor: 0,
+      roughnessFactor: 1
+    },
+    doubleSided: true,
+    alphaMode: "MASK",
+    alphaCutoff: 0.5,
+    ...(!material.shade && { extensions: { KHR_materials_unlit: {} } }),
+    ...(material.tintindex !== null && { extras: { tintindex: material.tintindex } })
+  };
+}
+
+/**
+ * Build GLB binary from a scene of part nodes and their meshes
+ * Node 0 is the model's root node. Display transforms go to its extras or to
+ * display_<slot> child nodes per `displayMode`.
+ * @param {Object} model - Parsed model
+ * @param {Object} scene - { meshes: [{ name, geometry }], nodes: [{ name, translation, mesh, children }], materials, animations }
+ *   animations are { name, loop, length, channels: [{ node, path, interpolation, times, values }] } (see modelAnimations.js)
+ * @param {Buffer} textureData - PNG atlas to embed (null when `external` references it)
+ * @param {Object} options - { displayMode, scale, external, glbOptions } (external: { binUri, textureUri }, see packGLTF)
+ * @returns {Buffer|{json: string, bin: Buffer}} GLB binary content, or the .gltf JSON and .bin content
+ */
+function buildGLB(model, scene, textureData, { displayMode = 'none', scale = 1/16, external = null, glbOptions = null } = {}) {
+  const modelName = model.name;
   
-  // Calculate buffer sizes and offsets (4-byte aligned)
+  // Binary chunk: every array gets its own 4-byte aligned buffer view
   const align4 = (n) => Math.ceil(n / 4) * 4;
+  const bufferViews = [];
+  const binChunks = [];
+  let byteLength = 0;
+  const addBufferView = (data) => {
+    binChunks.push({ data, offset: byteLength });
+    bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: data.byteLength });
+    byteLength += align4(data.byteLength);
+    return bufferViews.length - 1;
+  };
   
-  const positionByteLength = positions.byteLength;
-  const normalByteLength = normals.byteLength;
-  const uvByteLength = uvs.byteLength;
-  const indexByteLength = indices.byteLength;
-  const imageByteLength = textureData ? textureData.length : 0;
-  
-  let offset = 0;
-  const positionOffset = offset;
-  offset += align4(positionByteLength);
+  const accessors = [];
+  const addAccessor = (accessor) => {
+    accessors.push(accessor);
+    return accessors.length - 1;
+  };
   
-  const normalOffset = offset;
-  offset += align4(normalByteLength);
+  const meshes = scene.meshes.map(({ name, geometry }) => {
+    const { positions, normals, uvs, indices, groups } = geometry;
+    const vertexCount = positions.length / 3;
+    const bounds = calculateBounds(positions);
+    
+    const attributes = {
+      POSITION: addAccessor({ bufferView: addBufferView(positions), componentType: 5126, count: vertexCount, type: "VEC3", min: bounds.min, max: bounds.max }),
+      NORMAL: addAccessor({ bufferView: addBufferView(normals), componentType: 5126, count: vertexCount, type: "VEC3" }),
+      TEXCOORD_0: addAccessor({ bufferView: addBufferView(uvs), componentType: 5126, count: vertexCount, type: "VEC2" })
+    };
+    
+    // One index accessor per material group, all in the mesh's index view
+    const indexView = addBufferView(indices);
+    const indexAccessors = groups.map(group => addAccessor({
+      bufferView: indexView,
+      byteOffset: group.start * indices.BYTES_PER_ELEMENT,
+      componentType: indices instanceof Uint32Array ? 5125 : 5123, // UNSIGNED_INT or UNSIGNED_SHORT
+      count: group.count,
+      type: "SCALAR"
+    }));
+    
+    // Tint vertex colors are stored as sRGB in the geometry, linear in glTF
+    if (geometry.colors) {
+      const colors = new Float32Array(geometry.colors.length);
+      for (let i = 0; i < colors.length; i++) {
+        colors[i] = i % 4 === 3 ? geometry.colors[i] : srgbToLinear(geometry.colors[i]);
+      }
+      attributes.COLOR_0 = addAccessor({ bufferView: addBufferView(colors), componentType: 5126, count: vertexCount, type: "VEC4" });
+    }
+    
+    return {
+      name,
+      // One primitive per material group, all sharing the vertex attributes
+      primitives: groups.map((group, groupIndex) => ({
+        attributes,
+        indices: indexAccessors[groupIndex],
+        material: group.material
+      }))
+    };
+  });
   
-  const uvOffset = offset;
-  offset += align4(uvByteLength);
+  const nodes = scene.nodes.map(({ name, translation, mesh, children }) => ({
+    name,
+    ...(mesh !== undefined && { mesh }),
+    ...(translation && { translation }),
+    ...(children.length > 0 && { children })
+  }));
   
-  const indexOffset = offset;
-  offset += align4(indexByteLength);
+  // Ambient occlusion is a renderer setting, so it's passed along as a hint
+  const hasDisplay = Boolean(model.display) && Object.keys(model.display).length > 0;
+  nodes[0].extras = {
+    ambientocclusion: model.ambientocclusion !== false,
+    ...(displayMode === 'extras' && hasDisplay && { display: model.display })
+  };
   
-  let imageOffset = 0;
-  if (textureData) {
-    imageOffset = offset;
-    offset += align4(imageByteLength);
+  // Display transforms as empty child nodes of the model node
+  if (displayMode === 'nodes' && hasDisplay) {
+    const displayNodes = buildDisplayNodes(model.display, scale);
+    nodes[0].children = [...(nodes[0].children || []), ...displayNodes.map((node, index) => nodes.length + index)];
+    nodes.push(...displayNodes);
   }
   
-  const totalBufferLength = offset;
+  // One sampler per channel; loop mode and length go to extras (glTF has no loop flag)
+  const animations = (scene.animations || []).map(({ name, loop, length, channels }) => ({
+    name,
+    samplers: channels.map(({ interpolation, times, values }) => ({
+      input: addAccessor({ bufferView: addBufferView(times), componentType: 5126, count: times.length, type: "SCALAR", min: [times[0]], max: [times[times.length - 1]] }),
+      output: addAccessor({ bufferView: addBufferView(values), componentType: 5126, count: times.length, type: values.length / times.length === 4 ? "VEC4" : "VEC3" }),
+      interpolation
+    })),
+    channels: channels.map(({ node, path }, index) => ({ sampler: index, target: { node, path } })),
+    extras: { loop, length }
+  }));
   
   // Build GLTF JSON
   const gltf = {
@@ -76,81 +419,25 @@ function buildGLB(modelName, geometry, bounds, textureData) {
     },
     scene: 0,
     scenes: [{ nodes: [0] }],
-    nodes: [{
-      mesh: 0,
-      name: modelName
-    }],
-    meshes: [{
-      name: modelName,
-      primitives: [{
-        attributes: {
-          POSITION: 0,
-          NORMAL: 1,
-          TEXCOORD_0: 2
-        },
-        indices: 3,
-        material: 0
-      }]
-    }],
-    accessors: [
-      {
-        bufferView: 0,
-        componentType: 5126, // FLOAT
-        count: positions.length / 3,
-        type: "VEC3",
-        min: bounds.min,
-        max: bounds.max
-      },
-      {
-        bufferView: 1,
-        componentType: 5126, // FLOAT
-        count: normals.length / 3,
-        type: "VEC3"
-      },
-      {
-        bufferView: 2,
-        componentType: 5126, // FLOAT
-        count: uvs.length / 2,
-        type: "VEC2"
-      },
-      {
-        bufferView: 3,
-        componentType: indices instanceof Uint32Array ? 5125 : 5123, // UNSIGNED_INT or UNSIGNED_SHORT
-        count: indices.length,
-        type: "SCALAR"
-      }
-    ],
-    bufferViews: [
-      { buffer: 0, byteOffset: positionOffset, byteLength: positionByteLength },
-      { buffer: 0, byteOffset: normalOffset, byteLength: normalByteLength },
-      { buffer: 0, byteOffset: uvOffset, byteLength: uvByteLength },
-      { buffer: 0, byteOffset: indexOffset, byteLength: indexByteLength }
-    ],
-    buffers: [{ byteLength: totalBufferLength }],
-    materials: [{
-      name: `${modelName}_material`,
-      pbrMetallicRoughness: {
-        baseColorFactor: [1, 1, 1, 1],
-        metallicFactor: 0,
-        roughnessFactor: 1
-      },
-      doubleSided: true,
-      alphaMode: "MASK",
-      alphaCutoff: 0.5
-    }]
+    nodes,
+    meshes,
+    accessors,
+    bufferViews,
+    buffers: [{ byteLength: 0 }],
+    materials: scene.materials.map(material => buildMaterial(modelName, material)),
+    ...(animations.length > 0 && { animations })
   };
   
-  // Add texture if provided
-  if (textureData) {
-    gltf.bufferViews.push({
-      buffer: 0,
-      byteOffset: imageOffset,
-      byteLength: imageByteLength
-    });
-    gltf.images = [{
-      bufferView: 4,
-      mimeType: "image/png"
-    }];
+  if (scene.materials.some(material => !material.shade)) {
+    gltf.extensionsUsed = ['KHR_materials_unlit'];
+  }
+  
+  // Add texture if provided (embedded, or next to the .gltf)
+  const textureUri = external ? external.textureUri : null;
+  if (textureData || textureUri) {
+    gltf.images = [textureData
+      ? { bufferView: addBufferView(textureData), mimeType: "image/png" }
+      : { uri: textureUri }];
     gltf.textures = [{
       source: 0,
       sampler: 0
@@ -161,71 +448,19 @@ function buildGLB(modelName, geometry, bounds, textureData) {
       wrapS: 33071,    // CLAMP_TO_EDGE
       wrapT: 33071     // CLAMP_TO_EDGE
     }];
-    gltf.materials[0].pbrMetallicRoughness.baseColorTexture = { index: 0 };
+    for (const material of gltf.materials) {
+      material.pbrMetallicRoughness.baseColorTexture = { index: 0 };
+    }
   }
-  
-  // Convert GLTF JSON to buffer
-  const jsonString = JSON.stringify(gltf);
-  const jsonBuffer = Buffer.from(jsonString, 'utf8');
-  const jsonPaddedLength = align4(jsonBuffer.length);
-  const jsonPadding = jsonPaddedLength - jsonBuffer.length;
+  gltf.buffers[0].byteLength = byteLength;
   
   // Create binary buffer
-  const binBuffer = Buffer.alloc(totalBufferLength);
-  Buffer.from(positions.buffer).copy(binBuffer, positionOffset);
-  Buffer.from(normals.buffer).copy(binBuffer, normalOffset);
-  Buffer.from(uvs.buffer).copy(binBuffer, uvOffset);
-  Buffer.from(indices.buffer).copy(binBuffer, indexOffset);
-  if (textureData) {
-    textureData.copy(binBuffer, imageOffset);
-  }
-  
-  const binPaddedLength = align4(binBuffer.length);
-  const binPadding = binPaddedLength - binBuffer.length;
-  
-  // Calculate total GLB size
-  // 12 byte header + JSON chunk (8 byte header + padded data) + BIN chunk (8 byte header + padded data)
-  const totalLength = 12 + 8 + jsonPaddedLength + 8 + binPaddedLength;
-  const glb = Buffer.alloc(totalLength);
-  let writeOffset = 0;
-  
-  // GLB Header
-  glb.writeUInt32LE(0x46546C67, writeOffset); // magic "glTF"
-  writeOffset += 4;
-  glb.writeUInt32LE(2, writeOffset); // version 2
-  writeOffset += 4;
-  glb.writeUInt32LE(totalLength, writeOffset); // total length
-  writeOffset += 4;
-  
-  // JSON Chunk Header
-  glb.writeUInt32LE(jsonPaddedLength, writeOffset); // chunk length
-  writeOffset += 4;
-  glb.writeUInt32LE(0x4E4F534A, writeOffset); // chunk type "JSON"
-  writeOffset += 4;
-  
-  // JSON Chunk Data
-  jsonBuffer.copy(glb, writeOffset);
-  writeOffset += jsonBuffer.length;
-  // Pad with spaces (0x20)
-  for (let i = 0; i < jsonPadding; i++) {
-    glb.writeUInt8(0x20, writeOffset++);
-  }
-  
-  // BIN Chunk Header
-  glb.writeUInt32LE(binPaddedLength, writeOffset); // chunk length
-  writeOffset += 4;
-  glb.writeUInt32LE(0x004E4942, writeOffset); // chunk type "BIN\0"
-  writeOffset += 4;
-  
-  // BIN Chunk Data
-  binBuffer.copy(glb, writeOffset);
-  writeOffset += binBuffer.length;
-  // Pad with zeros
-  for (let i = 0; i < binPadding; i++) {
-    glb.writeUInt8(0x00, writeOffset++);
+  const binBuffer = Buffer.alloc(byteLength);
+  for (const { data, offset } of binChunks) {
+    Buffer.from(data.buffer, data.byteOffset, data.byteLength).copy(binBuffer, offset);
   }
   
-  return glb;
+  return packGLTF(gltf, binBuffer, { external, glbOptions });
 }
 
 /**
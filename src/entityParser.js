@@ -2,7 +2,8 @@
 
 /**
  * Entity Parser - Main CLI entry point
- * Converts Minecraft JSON model definitions into GLB 3D models
+ * Converts Minecraft JSON model definitions (and Bedrock .geo.json geometry, Blockbench .bbmodel projects) into GLB 3D models,
+ * or into OBJ, FBX and glTF (see OUTPUT_FORMATS)
  */
 
 import fs from 'fs-extra';
@@ -11,8 +12,16 @@ import { fileURLToPath } from 'url';
 import { program } from 'commander';
 import chalk from 'chalk';
 import { loadModel, loadAllModels, getModelTextures, resolveTexturePath } from './jsonModelLoader.js';
-import { createTextureAtlas } from './textureAtlas.js';
-import { generateEntityGLB, generateEntityMetadata } from './entityGlbGenerator.js';
+import { loadBedrockModel, isBedrockModelFile, BEDROCK_MODEL_SUFFIX } from './bedrockModelLoader.js';
+import { loadBlockbenchModel, isBlockbenchModelFile, BLOCKBENCH_MODEL_SUFFIX } from './blockbenchModelLoader.js';
+import { loadAnimationFile, isAnimationFile, ANIMATION_FILE_SUFFIX } from './modelAnimations.js';
+import { createTextureAtlas, resolveAtlasOptions, MISSING_TEXTURE_MODES, ATLAS_SIZE_MODES } from './textureAtlas.js';
+import { generateEntityGLB, generateEntityMesh, generateEntityMetadata, NODE_MODES } from './entityGlbGenerator.js';
+import { generateOBJFromMesh, generateMTL } from './objGenerator.js';
+import { generateFBXFromMesh } from './fbxGenerator.js';
+import { loadGLBEncoders, resolveGLBOptions, GLB_COMPRESSION_MODES } from './glbCompression.js';
+import { OUTPUT_FORMATS } from './converter.js';
+import { displayToLua } from './displayTransforms.js';
 import { ProgressTracker } from './progress.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -29,9 +38,12 @@ async function loadCategories() {
 
 /**
  * Get category for an entity
+ * A category is a list of entity names, or { entities, atlas } when its
+ * entities get their own atlas options (see getCategoryAtlasOptions).
  */
 function getCategory(entityName, categories) {
-  for (const [category, entities] of Object.entries(categories)) {
+  for (const [category, entry] of Object.entries(categories)) {
+    const entities = Array.isArray(entry) ? entry : entry.entities || [];
     if (entities.includes(entityName)) {
       return category;
     }
@@ -39,6 +51,33 @@ function getCategory(entityName, categories) {
   return 'Uncategorized';
 }
 
+/**
+ * Get the atlas options a category overrides (e.g. { "maxSize": 512 })
+ * @param {string} category - Category name
+ * @param {Object} categories - Categories from entityCategories.json
+ * @returns {Object} Atlas options to merge over the run's
+ */
+function getCategoryAtlasOptions(category, categories) {
+  const entry = categories[category];
+  return entry && !Array.isArray(entry) ? entry.atlas || {} : {};
+}
+
+/**
+ * Check whether a file is an entity model (Java JSON, Bedrock geometry or Blockbench project)
+ */
+function isEntityModelFile(file) {
+  return (file.endsWith('.json') && !isAnimationFile(file)) || isBlockbenchModelFile(file);
+}
+
+/**
+ * Get the entity name of a model file (chest.json, chicken.geo.json, bell.bbmodel)
+ */
+function getEntityModelName(file) {
+  if (isBedrockModelFile(file)) return path.basename(file, BEDROCK_MODEL_SUFFIX);
+  if (isBlockbenchModelFile(file)) return path.basename(file, BLOCKBENCH_MODEL_SUFFIX);
+  return path.basename(file, '.json');
+}
+
 /**
  * Resolve texture path to use upscaled textures from export folder
  * Falls back to original entities folder or input folder if upscaled not found
@@ -106,29 +145,133 @@ function resolveUpscaledTexturePath(textureRef, exportTexturesDir, entitiesDir,
   return pathsToCheck[0];
 }
 
+/**
+ * Write a model in an output format (see OUTPUT_FORMATS)
+ * GLBs embed the atlas; OBJ, FBX and glTF reference it as <name>.png next to
+ * the model. OBJ and FBX are one flat mesh (see generateEntityMesh).
+ * @param {Object} options - Write options
+ * @param {Object} options.model - Parsed model
+ * @param {Object} options.textureAtlas - TextureAtlas with the model's textures
+ * @param {string} options.modelDir - Output directory
+ * @param {string} options.format - Output format
+ * @param {Object} options.fbxOptions - FBX options { embedTexture }
+ * @param {Object} options.generateOptions - Options for generateEntityGLB { scale, displayOptions, nodeMode, glbOptions }
+ * @returns {Promise<Object>} Written files by format { glb, gltf, bin, obj, mtl, fbx, texture }
+ */
+async function writeEntityModel({ model, textureAtlas, modelDir, format, fbxOptions, generateOptions }) {
+  const basePath = path.join(modelDir, model.name);
+  const textureFileName = `${model.name}.png`;
+  const options = { model, textureAtlas, ...generateOptions };
+  const outputFiles = {};
+  await fs.ensureDir(modelDir);
+
+  if (format === 'glb' || format === 'both') {
+    const glbData = generateEntityGLB(options);
+    if (!glbData) {
+      throw new Error(`Failed to generate GLB for ${model.name}`);
+    }
+    outputFiles.glb = `${basePath}.glb`;
+    await fs.writeFile(outputFiles.glb, glbData);
+  }
+
+  if (format === 'gltf') {
+    const gltfData = generateEntityGLB({
+      ...options,
+      external: { binUri: `${model.name}.bin`, textureUri: textureFileName }
+    });
+    if (!gltfData) {
+      throw new Error(`Failed to generate glTF for ${model.name}`);
+    }
+    outputFiles.gltf = `${basePath}.gltf`;
+    outputFiles.bin = `${basePath}.bin`;
+    await fs.writeFile(outputFiles.gltf, gltfData.json, 'utf8');
+    await fs.writeFile(outputFiles.bin, gltfData.bin);
+  }
+
+  if (format === 'obj' || format === 'both' || format === 'fbx' || format === 'fbx-binary') {
+    const mesh = generateEntityMesh(options);
+    if (!mesh) {
+      throw new Error(`Failed to generate ${format === 'both' ? 'OBJ' : format.toUpperCase()} for ${model.name}`);
+    }
+
+    if (format === 'obj' || format === 'both') {
+      outputFiles.obj = `${basePath}.obj`;
+      outputFiles.mtl = `${basePath}.mtl`;
+      await fs.writeFile(outputFiles.obj, generateOBJFromMesh({ mesh, mtlFileName: `${model.name}.mtl` }), 'utf8');
+      await fs.writeFile(outputFiles.mtl, generateMTL({ materials: mesh.materials, texturePath: textureFileName }), 'utf8');
+    } else {
+      // Entity geometry is Y-up, like the GLBs
+      const binary = format === 'fbx-binary';
+      outputFiles.fbx = `${basePath}.fbx`;
+      await fs.writeFile(outputFiles.fbx, generateFBXFromMesh({
+        mesh,
+        texturePath: textureFileName,
+        coordinateSystem: 'y-up',
+        sourceCoordinateSystem: 'y-up',
+        binary,
+        textureData: binary && fbxOptions.embedTexture ? textureAtlas.getAtlasBuffer() : null
+      }));
+    }
+  }
+
+  // Every format but GLB references the atlas
+  if (format !== 'glb') {
+    outputFiles.texture = `${basePath}.png`;
+    await fs.writeFile(outputFiles.texture, textureAtlas.getAtlasBuffer());
+  }
+
+  return outputFiles;
+}
+
 /**
  * Process a single model
  */
 async function processModel(modelName, options) {
-  const { entitiesDir, outputDir, pack, scale, verbose, exportTexturesDir, inputDir } = options;
-  
-  // Model JSON files are in entities/model/ (the static model definitions)
-  const modelPath = path.join(entitiesDir, `${modelName}.json`);
+  const {
+    entitiesDir, outputDir, pack, scale, verbose, exportTexturesDir, inputDir,
+    format = 'glb', displayOptions = null, nodeMode = 'single', atlasOptions = {}, fbxOptions = {}, glbOptions = null
+  } = options;
+  
+  // Model JSON files are in entities/model/ (the static model definitions),
+  // either Java models, Bedrock geometry (.geo.json) or Blockbench projects (.bbmodel)
+  let modelPath = null;
+  for (const suffix of ['.json', BEDROCK_MODEL_SUFFIX, BLOCKBENCH_MODEL_SUFFIX]) {
+    const candidate = path.join(entitiesDir, `${modelName}${suffix}`);
+    if (await fs.pathExists(candidate)) {
+      modelPath = candidate;
+      break;
+    }
+  }
   
-  if (!await fs.pathExists(modelPath)) {
-    throw new Error(`Model not found: ${modelPath}`);
+  if (!modelPath) {
+    throw new Error(`Model not found: ${path.join(entitiesDir, `${modelName}.json`)}`);
   }
   
   if (verbose) console.log(chalk.gray(`  Loading model: ${modelName}`));
   
   // Load model - use the directory containing models for resolving texture refs
   const entitiesBaseDir = path.dirname(entitiesDir);
-  const model = await loadModel(modelPath, entitiesBaseDir);
+  let model;
+  if (isBedrockModelFile(modelPath)) {
+    model = await loadBedrockModel(modelPath, entitiesBaseDir);
+  } else if (isBlockbenchModelFile(modelPath)) {
+    model = await loadBlockbenchModel(modelPath, entitiesBaseDir);
+  } else {
+    model = await loadModel(modelPath, entitiesBaseDir);
+  }
+  const embeddedTextures = model.embeddedTextures || {};
+  
+  // Bedrock animations next to the model (chicken.animation.json) add to the model's own
+  const animationPath = path.join(entitiesDir, `${modelName}${ANIMATION_FILE_SUFFIX}`);
+  if (await fs.pathExists(animationPath)) {
+    model.animations = [...(model.animations || []), ...await loadAnimationFile(animationPath)];
+  }
   
   // Get texture paths - use upscaled textures from export folder
   const texturePaths = [];
   for (const [key, value] of Object.entries(model.rawTextures || {})) {
-    if (value && !value.startsWith('#')) {
+    // Embedded textures are loaded from the model itself
+    if (value && !value.startsWith('#') && !embeddedTextures[value]) {
       // Resolve to upscaled texture path in export folder (with inputDir fallback)
       const resolved = resolveUpscaledTexturePath(value, exportTexturesDir, entitiesBaseDir, inputDir);
       if (!texturePaths.includes(resolved)) {
@@ -142,43 +285,50 @@ async function processModel(modelName, options) {
   // Update model.textures with resolved paths for atlas creation
   const resolvedTextures = {};
   for (const [key, value] of Object.entries(model.rawTextures || {})) {
-    if (value && !value.startsWith('#')) {
+    if (embeddedTextures[value]) {
+      resolvedTextures[key] = value;
+    } else if (value && !value.startsWith('#')) {
       resolvedTextures[key] = resolveUpscaledTexturePath(value, exportTexturesDir, entitiesBaseDir, inputDir);
     }
   }
   model.textures = resolvedTextures;
   
-  // Create texture atlas
-  const textureAtlas = await createTextureAtlas(model, texturePaths);
+  // Create texture atlas; the entity's category may size it differently
+  const categories = await loadCategories();
+  const category = getCategory(modelName, categories);
+  const modelAtlasOptions = resolveAtlasOptions({ ...atlasOptions, ...getCategoryAtlasOptions(category, categories) });
+  const textureAtlas = await createTextureAtlas(model, texturePaths, modelAtlasOptions);
   
-  // Generate GLB
-  const glbData = generateEntityGLB({
+  // Generate the model files
+  if (['glb', 'gltf', 'both'].includes(format)) {
+    await loadGLBEncoders(glbOptions || {});
+  }
+  const outputFiles = await writeEntityModel({
     model,
     textureAtlas,
-    scale
+    modelDir: path.join(outputDir, pack, 'models', 'entities', category),
+    format,
+    fbxOptions,
+    generateOptions: { scale, displayOptions, nodeMode, glbOptions }
   });
-  
-  if (!glbData) {
-    throw new Error(`Failed to generate GLB for ${modelName}`);
-  }
-  
-  // Get category
-  const categories = await loadCategories();
-  const category = getCategory(modelName, categories);
-  
-  // Create output path
-  const outputPath = path.join(outputDir, pack, 'models', 'entities', category, `${modelName}.glb`);
-  await fs.ensureDir(path.dirname(outputPath));
-  await fs.writeFile(outputPath, glbData);
+  const outputPath = outputFiles.glb || outputFiles.gltf || outputFiles.fbx || outputFiles.obj;
   
   // Generate metadata
   const metadata = generateEntityMetadata(model);
   metadata.category = category;
+  if (displayOptions && Object.keys(model.display).length > 0) {
+    metadata.display = model.display;
+  }
+  // Animations are exported on the group nodes
+  if (nodeMode === 'groups' && model.groups?.length > 0 && model.animations?.length > 0) {
+    metadata.animations = model.animations.map(animation => animation.name);
+  }
   
   return {
     name: modelName,
     category,
     outputPath,
+    outputFiles,
     metadata
   };
 }
@@ -190,7 +340,7 @@ async function processAllModels(options) {
   const { entitiesDir, outputDir, pack, scale, verbose, exportTexturesDir } = options;
   
   const files = await fs.readdir(entitiesDir);
-  const modelFiles = files.filter(f => f.endsWith('.json'));
+  const modelFiles = files.filter(isEntityModelFile);
   
   console.log(chalk.bold(`\nProcessing ${modelFiles.length} entity models...\n`));
   
@@ -200,7 +350,7 @@ async function processAllModels(options) {
   const categoryResults = {};
   
   for (const file of modelFiles) {
-    const modelName = path.basename(file, '.json');
+    const modelName = getEntityModelName(file);
     process.stdout.write(`  ${chalk.cyan(modelName.padEnd(25))}`);
     
     try {
@@ -251,6 +401,12 @@ async function processAllModels(options) {
  * @param {string} options.entitiesModelDir - Directory containing entity model JSON files
  * @param {string} options.inputDir - Input directory containing original textures (e.g., ./input/Skyblox)
  * @param {number} options.scale - Scale factor
+ * @param {string} options.format - Output format (see OUTPUT_FORMATS, default: 'glb')
+ * @param {Object} options.displayOptions - Model display transforms { mode, transform } (optional)
+ * @param {string} options.nodeMode - GLB nodes: 'single', 'elements' or 'groups' (see entityGlbGenerator.js)
+ * @param {Object} options.atlasOptions - Texture atlas options { padding, missingTexture, sizeMode, multiplier, maxSize } (optional)
+ * @param {Object} options.fbxOptions - FBX options { embedTexture } (optional)
+ * @param {Object} options.glbOptions - GLB/glTF quantization and compression { quantize, compression } (optional, see glbCompression.js)
  * @param {boolean} options.showProgress - Show progress output
  * @returns {Promise<{results: Object[], errors: Object[]}>}
  */
@@ -260,6 +416,12 @@ export async function processEntitiesForPack({
   entitiesModelDir,
   inputDir,
   scale = 1.0,
+  format = 'glb',
+  displayOptions = null,
+  nodeMode = 'single',
+  atlasOptions = {},
+  fbxOptions = {},
+  glbOptions = null,
   showProgress = true
 }) {
   const exportTexturesDir = path.join(outputBaseDir, texturepackName, 'textures');
@@ -273,7 +435,7 @@ export async function processEntitiesForPack({
   }
   
   const files = await fs.readdir(entitiesModelDir);
-  const modelFiles = files.filter(f => f.endsWith('.json'));
+  const modelFiles = files.filter(isEntityModelFile);
   
   if (modelFiles.length === 0) {
     console.log(chalk.yellow(`  No entity models found in: ${entitiesModelDir}`));
@@ -289,14 +451,14 @@ export async function processEntitiesForPack({
   
   // Create progress tracker
   const progressTracker = showProgress ? new ProgressTracker({
-    phase: `Generating entity GLBs`,
+    phase: `Generating entity models`,
     total: modelFiles.length
   }) : null;
   
   if (progressTracker) progressTracker.render();
   
   for (const file of modelFiles) {
-    const modelName = path.basename(file, '.json');
+    const modelName = getEntityModelName(file);
     
     if (progressTracker) {
       progressTracker.update({ currentItem: modelName });
@@ -310,7 +472,13 @@ export async function processEntitiesForPack({
         scale: 1/16 * scale,
         verbose: false,
         exportTexturesDir,
-        inputDir: effectiveInputDir
+        inputDir: effectiveInputDir,
+        format,
+        displayOptions,
+        nodeMode,
+        atlasOptions,
+        fbxOptions,
+        glbOptions
       });
       
       results.push(result);
@@ -369,6 +537,12 @@ async function generateMetadataLua(results, exportDir, pack) {
     lines.push(`        category = "${metadata.category}",`);
     lines.push(`        elements = ${metadata.elements},`);
     lines.push(`        dimensions = {x = ${metadata.dimensions.x}, y = ${metadata.dimensions.y}, z = ${metadata.dimensions.z}},`);
+    if (metadata.display) {
+      lines.push(`        display = ${displayToLua(metadata.display)},`);
+    }
+    if (metadata.animations) {
+      lines.push(`        animations = {${metadata.animations.map(name => `"${name}"`).join(', ')}},`);
+    }
     lines.push(`        assetId = nil,`);
     lines.push('    },');
   }
@@ -408,11 +582,11 @@ async function generateListFiles(results, categoryResults, exportDir) {
 function runCLI() {
   program
     .name('entityParser')
-    .description('Convert Minecraft JSON models to GLB')
+    .description('Convert Minecraft JSON models, Bedrock geometry and Blockbench projects to GLB, OBJ, FBX or glTF')
     .version('1.0.0');
 
   program
-    .option('-m, --model <name>', 'Process single model (without .json extension)')
+    .option('-m, --model <name>', 'Process single model (without .json, .geo.json or .bbmodel extension)')
     .option('-a, --all', 'Process all models')
     .option('-p, --pack <name>', 'Pack name for output', 'Skyblox')
     .option('-o, --output <dir>', 'Output base directory', './export')
@@ -420,6 +594,16 @@ function runCLI() {
     .option('-s, --scale <number>', 'Scale factor (16 units = 1 unit at scale 1)', parseFloat, 1.0)
     .option('-e, --entities-dir <dir>', 'Path to entities model directory', './entities/model')
     .option('-t, --textures-dir <dir>', 'Path to upscaled textures (default: export/{pack}/textures)')
+    .option('-f, --format <format>', `Output format: ${OUTPUT_FORMATS.join(', ')}`, 'glb')
+    .option('--fbx-embed-texture', 'Embed the atlas PNG in binary FBX files (--format fbx-binary)')
+    .option('--quantize', 'Store GLB/glTF vertex data as KHR_mesh_quantization integers')
+    .option('--compression <mode>', `GLB/glTF mesh compression: ${GLB_COMPRESSION_MODES.join(', ')}`, 'none')
+    .option('-n, --node-mode <mode>', `GLB nodes: ${NODE_MODES.join(', ')} (one node per element, or per Blockbench group)`, 'single')
+    .option('--atlas-padding <pixels>', 'Extruded edge pixels around each texture in the atlas', (value) => parseInt(value, 10))
+    .option('--atlas-size-mode <mode>', `Atlas size: ${ATLAS_SIZE_MODES.join(', ')}`)
+    .option('--atlas-multiplier <factor>', 'Pixels per texture pixel (--atlas-size-mode multiplier)', (value) => parseInt(value, 10))
+    .option('--atlas-max-size <pixels>', 'Longest atlas side (--atlas-size-mode max)', (value) => parseInt(value, 10))
+    .option('--missing-texture <mode>', `Faces whose texture cannot be resolved: ${MISSING_TEXTURE_MODES.join(', ')}`)
     .option('-v, --verbose', 'Enable verbose logging')
     .action(async (options) => {
       try {
@@ -433,6 +617,12 @@ function runCLI() {
           ? path.resolve(options.input)
           : path.join(path.resolve('.'), 'input', options.pack);
         const scale = 1 / 16 * options.scale;
+        if (!OUTPUT_FORMATS.includes(options.format)) {
+          throw new Error(`Invalid format: ${options.format} (expected ${OUTPUT_FORMATS.join(', ')})`);
+        }
+        if (!NODE_MODES.includes(options.nodeMode)) {
+          throw new Error(`Invalid node mode: ${options.nodeMode} (expected ${NODE_MODES.join(', ')})`);
+        }
         
         const processOptions = {
           entitiesDir,
@@ -441,7 +631,18 @@ function runCLI() {
           scale,
           verbose: options.verbose,
           exportTexturesDir,
-          inputDir
+          inputDir,
+          format: options.format,
+          fbxOptions: { embedTexture: Boolean(options.fbxEmbedTexture) },
+          glbOptions: resolveGLBOptions({ quantize: Boolean(options.quantize), compression: options.compression }),
+          nodeMode: options.nodeMode,
+          atlasOptions: resolveAtlasOptions({
+            padding: options.atlasPadding,
+            missingTexture: options.missingTexture,
+            sizeMode: options.atlasSizeMode,
+            multiplier: options.atlasMultiplier,
+            maxSize: options.atlasMaxSize
+          })
         };
         
         if (options.model) {
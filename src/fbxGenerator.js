@@ -1,14 +1,22 @@
 /**
- * FBX ASCII Generator for pixel-based 3D models
- * Generates FBX 7.4 ASCII format compatible with Roblox
+ * FBX Generator for pixel-based 3D models
+ * Builds an FBX 7.4 document (see fbxWriter.js) compatible with Roblox and
+ * writes it as ASCII or binary FBX.
  */
 
+import { node, int, objectName, property70, encodeFBXAscii, encodeFBXBinary, FBX_VERSION } from './fbxWriter.js';
+
+/**
+ * Application name written into the file metadata
+ */
+const CREATOR = 'texturepack-converter';
+
 /**
  * Generate a unique ID for FBX objects
  */
 let fbxIdCounter = 1000000000;
 function generateFbxId() {
-  return fbxIdCounter++;
+  return BigInt(fbxIdCounter++);
 }
 
 /**
@@ -19,404 +27,329 @@ export function resetFbxIdCounter() {
 }
 
 /**
- * Generate FBX ASCII content from pixel data
- * @param {Object} options - Generation options
- * @param {string} options.modelName - Name of the model
- * @param {string} options.texturePath - Relative path to texture file
- * @param {number} options.width - Texture width in pixels
- * @param {number} options.height - Texture height in pixels
- * @param {Uint8Array} options.pixels - RGBA pixel data
- * @param {number} options.channels - Number of channels (should be 4)
- * @param {number} options.scale - Scale factor
- * @param {string} options.coordinateSystem - 'z-up' or 'y-up'
- * @returns {string} FBX ASCII content
+ * Build the header nodes with the creation time
+ * @param {Date} createdAt - Creation time
+ * @returns {Object[]} FBXHeaderExtension and Creator nodes
  */
-export function generateFBXFromPixels({
-  modelName,
-  texturePath,
-  width,
-  height,
-  pixels,
-  channels = 4,
-  scale = 1.0,
-  coordinateSystem = 'z-up'
-}) {
-  // Collect all opaque pixel positions
-  const opaquePixels = [];
-  const alphaThreshold = 128;
+function buildHeader(createdAt) {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  // SceneInfo dates are GMT: "dd/mm/yyyy hh:mm:ss.mmm"
+  const gmt = `${pad(createdAt.getUTCDate())}/${pad(createdAt.getUTCMonth() + 1)}/${createdAt.getUTCFullYear()} ` +
+    `${pad(createdAt.getUTCHours())}:${pad(createdAt.getUTCMinutes())}:${pad(createdAt.getUTCSeconds())}.${pad(createdAt.getUTCMilliseconds(), 3)}`;
+
+  return [
+    node('FBXHeaderExtension', [], [
+      node('FBXHeaderVersion', [int(1003)]),
+      node('FBXVersion', [int(FBX_VERSION)]),
+      node('EncryptionType', [int(0)]),
+      node('CreationTimeStamp', [], [
+        node('Version', [int(1000)]),
+        node('Year', [int(createdAt.getFullYear())]),
+        node('Month', [int(createdAt.getMonth() + 1)]),
+        node('Day', [int(createdAt.getDate())]),
+        node('Hour', [int(createdAt.getHours())]),
+        node('Minute', [int(createdAt.getMinutes())]),
+        node('Second', [int(createdAt.getSeconds())]),
+        node('Millisecond', [int(createdAt.getMilliseconds())])
+      ]),
+      node('Creator', [CREATOR]),
+      node('SceneInfo', [objectName('SceneInfo', 'GlobalInfo'), 'UserData'], [
+        node('Type', ['UserData']),
+        node('Version', [int(100)]),
+        node('MetaData', [], [
+          node('Version', [int(100)]),
+          node('Title', ['']),
+          node('Subject', ['']),
+          node('Author', ['']),
+          node('Keywords', ['']),
+          node('Revision', ['']),
+          node('Comment', [''])
+        ]),
+        node('Properties70', [], [
+          property70('Original', 'Compound', '', ''),
+          property70('Original|ApplicationVendor', 'KString', '', '', CREATOR),
+          property70('Original|ApplicationName', 'KString', '', '', CREATOR),
+          property70('Original|DateTime_GMT', 'DateTime', '', '', gmt),
+          property70('LastSaved', 'Compound', '', ''),
+          property70('LastSaved|ApplicationVendor', 'KString', '', '', CREATOR),
+          property70('LastSaved|ApplicationName', 'KString', '', '', CREATOR),
+          property70('LastSaved|DateTime_GMT', 'DateTime', '', '', gmt)
+        ])
+      ])
+    ]),
+    node('Creator', [CREATOR])
+  ];
+}
 
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const index = (y * width + x) * channels;
-      const alpha = pixels[index + 3];
-      if (alpha >= alphaThreshold) {
-        opaquePixels.push({ x, y });
-      }
+/**
+ * Build the Definitions node from object counts
+ * @param {Object} counts - Object count by type { Geometry: 1, ... }
+ */
+function buildDefinitions(counts) {
+  const templates = {
+    Geometry: 'FbxMesh',
+    Model: 'FbxNode',
+    Material: 'FbxSurfaceLambert',
+    Texture: 'FbxFileTexture',
+    Video: 'FbxVideo'
+  };
+  const types = Object.entries({ GlobalSettings: 1, ...counts }).filter(([, count]) => count > 0);
+
+  return node('Definitions', [], [
+    node('Version', [int(100)]),
+    node('Count', [int(types.reduce((sum, [, count]) => sum + count, 0))]),
+    ...types.map(([type, count]) => node('ObjectType', [type], [
+      node('Count', [int(count)]),
+      ...(templates[type] ? [node('PropertyTemplate', [templates[type]], [node('Properties70')])] : [])
+    ]))
+  ]);
+}
+
+/**
+ * Convert vectors between Z-up and Y-up
+ * Z-up to Y-up is (x, y, z) -> (x, z, -y), as in the OBJ and GLB writers.
+ * @param {Float32Array} vectors - Positions or normals [x, y, z, ...]
+ * @param {string} from - 'z-up' or 'y-up'
+ * @param {string} to - 'z-up' or 'y-up'
+ * @returns {Float32Array} The vectors in `to` (the input itself if the systems match)
+ */
+function convertCoordinateSystem(vectors, from, to) {
+  if (from === to) return vectors;
+  const converted = new Float32Array(vectors.length);
+  for (let i = 0; i < vectors.length; i += 3) {
+    converted[i] = vectors[i];
+    if (to === 'y-up') {
+      converted[i + 1] = vectors[i + 2];
+      converted[i + 2] = -vectors[i + 1];
+    } else {
+      converted[i + 1] = -vectors[i + 2];
+      converted[i + 2] = vectors[i + 1];
     }
   }
+  return converted;
+}
 
-  if (opaquePixels.length === 0) {
+/**
+ * Generate FBX content from an item mesh
+ * @param {Object} options - Generation options
+ * @param {Object} options.mesh - Item mesh from buildItemMesh (or an entity mesh from generateEntityMesh)
+ * @param {string} options.texturePath - Relative path to texture file, or null to skip the texture (vertex colors)
+ * @param {string} options.coordinateSystem - 'z-up' or 'y-up'; the mesh is converted to it and the header says so
+ * @param {string} options.sourceCoordinateSystem - Coordinate system the mesh is built in: item meshes are 'z-up',
+ *   entity meshes 'y-up' (default: 'z-up')
+ * @param {boolean} options.binary - Write binary FBX instead of ASCII (default: false)
+ * @param {Buffer} options.textureData - PNG data embedded into the file (binary only, optional)
+ * @param {Date} options.createdAt - Creation time written into the header (default: now)
+ * @returns {string|Buffer|null} FBX ASCII content or binary FBX, or null if the mesh is empty
+ */
+export function generateFBXFromMesh({
+  mesh,
+  texturePath,
+  coordinateSystem = 'z-up',
+  sourceCoordinateSystem = 'z-up',
+  binary = false,
+  textureData = null,
+  createdAt = new Date()
+}) {
+  if (mesh.indices.length === 0) {
     return null;
   }
 
-  // Calculate pixel size
-  const pixelSize = scale / Math.max(width, height);
-  const halfWidth = (width * pixelSize) / 2;
-  const halfHeight = (height * pixelSize) / 2;
-  const thickness = pixelSize * 0.5;
+  const modelName = mesh.name;
+  const { uvs: vertexUvs, indices } = mesh;
+  const positions = convertCoordinateSystem(mesh.positions, sourceCoordinateSystem, coordinateSystem);
+  const vertexNormals = convertCoordinateSystem(mesh.normals, sourceCoordinateSystem, coordinateSystem);
 
-  // Generate vertices and faces for all opaque pixels
-  const vertices = [];
-  const uvs = [];
-  const faces = [];
-  const uvIndices = [];
-
-  for (const pixel of opaquePixels) {
-    const baseVertexIndex = vertices.length / 3;
-    const baseUvIndex = uvs.length / 2;
+  // Trim float32 noise from the mesh buffers
+  const num = (value) => +value.toFixed(6);
 
-    // Calculate pixel bounds in world space
-    const left = pixel.x * pixelSize - halfWidth;
-    const right = (pixel.x + 1) * pixelSize - halfWidth;
-    const top = (height - pixel.y) * pixelSize - halfHeight;
-    const bottom = (height - pixel.y - 1) * pixelSize - halfHeight;
-
-    // UV coordinates for this pixel
-    const uvLeft = pixel.x / width;
-    const uvRight = (pixel.x + 1) / width;
-    const uvTop = 1 - pixel.y / height;
-    const uvBottom = 1 - (pixel.y + 1) / height;
+  // FBX texture space has v=0 at the bottom of the image
+  const uvs = [];
+  for (let i = 0; i < vertexUvs.length; i += 2) {
+    uvs.push(num(vertexUvs[i]), num(1 - vertexUvs[i + 1]));
+  }
 
-    // Add 8 vertices for the voxel (box)
-    if (coordinateSystem === 'z-up') {
-      // Front face (z = thickness/2)
-      vertices.push(left, bottom, thickness / 2);   // 0
-      vertices.push(right, bottom, thickness / 2);  // 1
-      vertices.push(right, top, thickness / 2);     // 2
-      vertices.push(left, top, thickness / 2);      // 3
-      // Back face (z = -thickness/2)
-      vertices.push(left, bottom, -thickness / 2);  // 4
-      vertices.push(right, bottom, -thickness / 2); // 5
-      vertices.push(right, top, -thickness / 2);    // 6
-      vertices.push(left, top, -thickness / 2);     // 7
-    } else {
-      // Y-up coordinate system
-      vertices.push(left, top, thickness / 2);      // 0
-      vertices.push(right, top, thickness / 2);     // 1
-      vertices.push(right, bottom, thickness / 2);  // 2
-      vertices.push(left, bottom, thickness / 2);   // 3
-      vertices.push(left, top, -thickness / 2);     // 4
-      vertices.push(right, top, -thickness / 2);    // 5
-      vertices.push(right, bottom, -thickness / 2); // 6
-      vertices.push(left, bottom, -thickness / 2);  // 7
+  // Triangles in group order, with normals mapped by polygon vertex
+  const faces = [];
+  const normals = [];
+  const polygonMaterials = [];
+  for (const group of mesh.groups) {
+    for (let i = group.start; i < group.start + group.count; i++) {
+      const index = indices[i];
+      faces.push(index);
+      normals.push(vertexNormals[index * 3], vertexNormals[index * 3 + 1], vertexNormals[index * 3 + 2]);
     }
+    for (let i = 0; i < group.count / 3; i++) {
+      polygonMaterials.push(group.material);
+    }
+  }
 
-    // UVs for each face (4 UVs per face, 6 faces)
-    // Front and back use the texture
-    uvs.push(uvLeft, uvBottom);  // 0
-    uvs.push(uvRight, uvBottom); // 1
-    uvs.push(uvRight, uvTop);    // 2
-    uvs.push(uvLeft, uvTop);     // 3
-    // For sides, use edge UVs
-    uvs.push(uvLeft, uvBottom);  // 4
-    uvs.push(uvRight, uvBottom); // 5
-    uvs.push(uvRight, uvTop);    // 6
-    uvs.push(uvLeft, uvTop);     // 7
-
-    const v = baseVertexIndex;
-    const u = baseUvIndex;
-
-    // Front face
-    faces.push(v + 0, v + 1, v + 2, v + 3);
-    uvIndices.push(u + 0, u + 1, u + 2, u + 3);
-
-    // Back face
-    faces.push(v + 5, v + 4, v + 7, v + 6);
-    uvIndices.push(u + 1, u + 0, u + 3, u + 2);
-
-    // Top face
-    faces.push(v + 3, v + 2, v + 6, v + 7);
-    uvIndices.push(u + 3, u + 2, u + 6, u + 7);
-
-    // Bottom face
-    faces.push(v + 4, v + 5, v + 1, v + 0);
-    uvIndices.push(u + 4, u + 5, u + 1, u + 0);
-
-    // Right face
-    faces.push(v + 1, v + 5, v + 6, v + 2);
-    uvIndices.push(u + 1, u + 5, u + 6, u + 2);
-
-    // Left face
-    faces.push(v + 4, v + 0, v + 3, v + 7);
-    uvIndices.push(u + 0, u + 4, u + 7, u + 3);
+  // Convert triangle indices to FBX format (negative index marks end of polygon)
+  const polygonIndices = [];
+  for (let i = 0; i < faces.length; i += 3) {
+    polygonIndices.push(faces[i], faces[i + 1], -(faces[i + 2] + 1));
   }
 
   // Generate FBX IDs
+  const documentId = generateFbxId();
   const geometryId = generateFbxId();
   const modelId = generateFbxId();
-  const materialId = generateFbxId();
+  const materialIds = mesh.materials.map(() => generateFbxId());
   const textureId = generateFbxId();
   const videoId = generateFbxId();
-
-  // Build FBX ASCII content
-  let fbx = '';
-
-  // FBX Header
-  fbx += `; FBX 7.4.0 project file
-; Generated by texturepack-converter
-; ----------------------------------------------------
-
-FBXHeaderExtension:  {
-\tFBXHeaderVersion: 1003
-\tFBXVersion: 7400
-\tCreationTimeStamp:  {
-\t\tVersion: 1000
-\t\tYear: 2024
-\t\tMonth: 1
-\t\tDay: 1
-\t\tHour: 0
-\t\tMinute: 0
-\t\tSecond: 0
-\t\tMillisecond: 0
-\t}
-\tCreator: "texturepack-converter"
-}
-
-GlobalSettings:  {
-\tVersion: 1000
-\tProperties70:  {
-\t\tP: "UpAxis", "int", "Integer", "",${coordinateSystem === 'z-up' ? '2' : '1'}
-\t\tP: "UpAxisSign", "int", "Integer", "",1
-\t\tP: "FrontAxis", "int", "Integer", "",${coordinateSystem === 'z-up' ? '1' : '2'}
-\t\tP: "FrontAxisSign", "int", "Integer", "",1
-\t\tP: "CoordAxis", "int", "Integer", "",0
-\t\tP: "CoordAxisSign", "int", "Integer", "",1
-\t\tP: "OriginalUpAxis", "int", "Integer", "",-1
-\t\tP: "OriginalUpAxisSign", "int", "Integer", "",1
-\t\tP: "UnitScaleFactor", "double", "Number", "",1
-\t}
-}
-
-; Documents Description
-Documents:  {
-\tCount: 1
-\tDocument: 1000000000, "", "Scene" {
-\t\tProperties70:  {
-\t\t\tP: "SourceObject", "object", "", ""
-\t\t\tP: "ActiveAnimStackName", "KString", "", "", ""
-\t\t}
-\t\tRootNode: 0
-\t}
-}
-
-; Object definitions
-Definitions:  {
-\tVersion: 100
-\tCount: 5
-\tObjectType: "GlobalSettings" {
-\t\tCount: 1
-\t}
-\tObjectType: "Geometry" {
-\t\tCount: 1
-\t\tPropertyTemplate: "FbxMesh" {
-\t\t\tProperties70:  {
-\t\t\t}
-\t\t}
-\t}
-\tObjectType: "Model" {
-\t\tCount: 1
-\t\tPropertyTemplate: "FbxNode" {
-\t\t\tProperties70:  {
-\t\t\t}
-\t\t}
-\t}
-\tObjectType: "Material" {
-\t\tCount: 1
-\t\tPropertyTemplate: "FbxSurfaceLambert" {
-\t\t\tProperties70:  {
-\t\t\t}
-\t\t}
-\t}
-\tObjectType: "Texture" {
-\t\tCount: 1
-\t\tPropertyTemplate: "FbxFileTexture" {
-\t\t\tProperties70:  {
-\t\t\t}
-\t\t}
-\t}
-\tObjectType: "Video" {
-\t\tCount: 1
-\t\tPropertyTemplate: "FbxVideo" {
-\t\t\tProperties70:  {
-\t\t\t}
-\t\t}
-\t}
-}
-
-; Object properties
-Objects:  {
-`;
-
-  // Geometry
-  fbx += `\tGeometry: ${geometryId}, "Geometry::${modelName}", "Mesh" {
-\t\tVertices: *${vertices.length} {
-\t\t\ta: ${vertices.join(',')}
-\t\t}
-\t\tPolygonVertexIndex: *${faces.length} {
-\t\t\ta: `;
-
-  // Convert quad indices to FBX format (negative index marks end of polygon)
-  const polygonIndices = [];
-  for (let i = 0; i < faces.length; i += 4) {
-    polygonIndices.push(faces[i], faces[i + 1], faces[i + 2], -(faces[i + 3] + 1));
-  }
-  fbx += polygonIndices.join(',');
-
-  fbx += `
-\t\t}
-\t\tGeometryVersion: 124
-\t\tLayerElementNormal: 0 {
-\t\t\tVersion: 102
-\t\t\tName: ""
-\t\t\tMappingInformationType: "ByPolygonVertex"
-\t\t\tReferenceInformationType: "Direct"
-\t\t\tNormals: *${faces.length * 3} {
-\t\t\t\ta: `;
-
-  // Generate normals (simplified - all faces get appropriate normals)
-  const normals = [];
-  for (let i = 0; i < faces.length / 4; i++) {
-    const faceType = i % 6;
-    let nx = 0, ny = 0, nz = 0;
-    if (coordinateSystem === 'z-up') {
-      switch (faceType) {
-        case 0: nz = 1; break;  // Front
-        case 1: nz = -1; break; // Back
-        case 2: ny = 1; break;  // Top
-        case 3: ny = -1; break; // Bottom
-        case 4: nx = 1; break;  // Right
-        case 5: nx = -1; break; // Left
-      }
-    } else {
-      switch (faceType) {
-        case 0: nz = 1; break;  // Front
-        case 1: nz = -1; break; // Back
-        case 2: ny = 1; break;  // Top
-        case 3: ny = -1; break; // Bottom
-        case 4: nx = 1; break;  // Right
-        case 5: nx = -1; break; // Left
+  const hasTexture = Boolean(texturePath);
+
+  const layerElement = (type) => node('LayerElement', [], [node('Type', [type]), node('TypedIndex', [int(0)])]);
+  const geometry = node('Geometry', [geometryId, objectName('Geometry', modelName), 'Mesh'], [
+    node('Vertices', [new Float64Array(Array.from(positions, num))]),
+    node('PolygonVertexIndex', [new Int32Array(polygonIndices)]),
+    node('GeometryVersion', [int(124)]),
+    node('LayerElementNormal', [int(0)], [
+      node('Version', [int(102)]),
+      node('Name', ['']),
+      node('MappingInformationType', ['ByPolygonVertex']),
+      node('ReferenceInformationType', ['Direct']),
+      node('Normals', [new Float64Array(normals)])
+    ]),
+    node('LayerElementUV', [int(0)], [
+      node('Version', [int(101)]),
+      node('Name', ['UVMap']),
+      node('MappingInformationType', ['ByPolygonVertex']),
+      node('ReferenceInformationType', ['IndexToDirect']),
+      node('UV', [new Float64Array(uvs)]),
+      node('UVIndex', [new Int32Array(faces)])
+    ]),
+    // Vertex colors (RGBA per vertex, indexed like the UVs)
+    ...(mesh.colors ? [node('LayerElementColor', [int(0)], [
+      node('Version', [int(101)]),
+      node('Name', ['Col']),
+      node('MappingInformationType', ['ByPolygonVertex']),
+      node('ReferenceInformationType', ['IndexToDirect']),
+      node('Colors', [new Float64Array(Array.from(mesh.colors, num))]),
+      node('ColorIndex', [new Int32Array(faces)])
+    ])] : []),
+    node('LayerElementMaterial', [int(0)], [
+      node('Version', [int(101)]),
+      node('Name', ['']),
+      node('MappingInformationType', [mesh.materials.length > 1 ? 'ByPolygon' : 'AllSame']),
+      node('ReferenceInformationType', ['IndexToDirect']),
+      node('Materials', [new Int32Array(mesh.materials.length > 1 ? polygonMaterials : [0])])
+    ]),
+    node('Layer', [int(0)], [
+      node('Version', [int(100)]),
+      layerElement('LayerElementNormal'),
+      layerElement('LayerElementMaterial'),
+      layerElement('LayerElementUV'),
+      ...(mesh.colors ? [layerElement('LayerElementColor')] : [])
+    ])
+  ]);
+
+  const model = node('Model', [modelId, objectName('Model', modelName), 'Mesh'], [
+    node('Version', [int(232)]),
+    node('Properties70', [], [
+      property70('ScalingMax', 'Vector3D', 'Vector', '', 0, 0, 0),
+      property70('DefaultAttributeIndex', 'int', 'Integer', '', 0)
+    ]),
+    node('Shading', [true]),
+    node('Culling', ['CullingOff'])
+  ]);
+
+  const materials = mesh.materials.map((material, materialIndex) => {
+    // Layer tints multiply the diffuse texture
+    const diffuse = material.color ? material.color.map(channel => num(channel / 255)) : [1, 1, 1];
+    return node('Material', [materialIds[materialIndex], objectName('Material', material.name), ''], [
+      node('Version', [int(102)]),
+      node('ShadingModel', ['lambert']),
+      node('MultiLayer', [int(0)]),
+      node('Properties70', [], [
+        property70('DiffuseColor', 'Color', '', 'A', ...diffuse),
+        property70('Emissive', 'Vector3D', 'Vector', '', 0, 0, 0),
+        property70('Ambient', 'Vector3D', 'Vector', '', 0.2, 0.2, 0.2),
+        property70('Diffuse', 'Vector3D', 'Vector', '', ...diffuse),
+        property70('Opacity', 'double', 'Number', '', 1),
+        ...(material.alphaMode === 'BLEND' ? [
+          property70('TransparentColor', 'Color', '', 'A', 1, 1, 1),
+          property70('TransparencyFactor', 'Number', '', 'A', 1)
+        ] : [])
+      ])
+    ]);
+  });
+
+  const textures = !hasTexture ? [] : [
+    node('Texture', [textureId, objectName('Texture', `${modelName}_tex`), ''], [
+      node('Type', ['TextureVideoClip']),
+      node('Version', [int(202)]),
+      node('TextureName', [objectName('Texture', `${modelName}_tex`)]),
+      node('Properties70', [], [property70('UseMaterial', 'bool', '', '', 1)]),
+      node('Media', [objectName('Video', `${modelName}_video`)]),
+      node('FileName', [texturePath]),
+      node('RelativeFilename', [texturePath])
+    ]),
+    // Video (texture source); binary files can carry the PNG itself
+    node('Video', [videoId, objectName('Video', `${modelName}_video`), 'Clip'], [
+      node('Type', ['Clip']),
+      node('Properties70', [], [property70('Path', 'KString', 'XRefUrl', '', texturePath)]),
+      node('FileName', [texturePath]),
+      node('RelativeFilename', [texturePath]),
+      ...(binary && textureData ? [node('Content', [textureData])] : [])
+    ])
+  ];
+
+  // Object connections
+  const connections = [
+    node('C', ['OO', modelId, 0n]),
+    node('C', ['OO', geometryId, modelId])
+  ];
+  mesh.materials.forEach((material, materialIndex) => {
+    connections.push(node('C', ['OO', materialIds[materialIndex], modelId]));
+    if (hasTexture) {
+      connections.push(node('C', ['OP', textureId, materialIds[materialIndex], 'DiffuseColor']));
+      if (material.alphaMode === 'BLEND') {
+        connections.push(node('C', ['OP', textureId, materialIds[materialIndex], 'TransparentColor']));
       }
     }
-    // 4 vertices per face
-    for (let j = 0; j < 4; j++) {
-      normals.push(nx, ny, nz);
-    }
+  });
+  if (hasTexture) {
+    connections.push(node('C', ['OO', videoId, textureId]));
   }
-  fbx += normals.join(',');
-
-  fbx += `
-\t\t\t}
-\t\t}
-\t\tLayerElementUV: 0 {
-\t\t\tVersion: 101
-\t\t\tName: "UVMap"
-\t\t\tMappingInformationType: "ByPolygonVertex"
-\t\t\tReferenceInformationType: "IndexToDirect"
-\t\t\tUV: *${uvs.length} {
-\t\t\t\ta: ${uvs.join(',')}
-\t\t\t}
-\t\t\tUVIndex: *${uvIndices.length} {
-\t\t\t\ta: ${uvIndices.join(',')}
-\t\t\t}
-\t\t}
-\t\tLayerElementMaterial: 0 {
-\t\t\tVersion: 101
-\t\t\tName: ""
-\t\t\tMappingInformationType: "AllSame"
-\t\t\tReferenceInformationType: "IndexToDirect"
-\t\t\tMaterials: *1 {
-\t\t\t\ta: 0
-\t\t\t}
-\t\t}
-\t\tLayer: 0 {
-\t\t\tVersion: 100
-\t\t\tLayerElement:  {
-\t\t\t\tType: "LayerElementNormal"
-\t\t\t\tTypedIndex: 0
-\t\t\t}
-\t\t\tLayerElement:  {
-\t\t\t\tType: "LayerElementMaterial"
-\t\t\t\tTypedIndex: 0
-\t\t\t}
-\t\t\tLayerElement:  {
-\t\t\t\tType: "LayerElementUV"
-\t\t\t\tTypedIndex: 0
-\t\t\t}
-\t\t}
-\t}
-`;
-
-  // Model
-  fbx += `\tModel: ${modelId}, "Model::${modelName}", "Mesh" {
-\t\tVersion: 232
-\t\tProperties70:  {
-\t\t\tP: "ScalingMax", "Vector3D", "Vector", "",0,0,0
-\t\t\tP: "DefaultAttributeIndex", "int", "Integer", "",0
-\t\t}
-\t\tShading: T
-\t\tCulling: "CullingOff"
-\t}
-`;
-
-  // Material
-  fbx += `\tMaterial: ${materialId}, "Material::${modelName}_mat", "" {
-\t\tVersion: 102
-\t\tShadingModel: "lambert"
-\t\tMultiLayer: 0
-\t\tProperties70:  {
-\t\t\tP: "DiffuseColor", "Color", "", "A",1,1,1
-\t\t\tP: "Emissive", "Vector3D", "Vector", "",0,0,0
-\t\t\tP: "Ambient", "Vector3D", "Vector", "",0.2,0.2,0.2
-\t\t\tP: "Diffuse", "Vector3D", "Vector", "",1,1,1
-\t\t\tP: "Opacity", "double", "Number", "",1
-\t\t}
-\t}
-`;
-
-  // Texture
-  fbx += `\tTexture: ${textureId}, "Texture::${modelName}_tex", "" {
-\t\tType: "TextureVideoClip"
-\t\tVersion: 202
-\t\tTextureName: "Texture::${modelName}_tex"
-\t\tMedia: "Video::${modelName}_video"
-\t\tFileName: "${texturePath}"
-\t\tRelativeFilename: "${texturePath}"
-\t\tProperties70:  {
-\t\t\tP: "UseMaterial", "bool", "", "",1
-\t\t}
-\t}
-`;
-
-  // Video (texture source)
-  fbx += `\tVideo: ${videoId}, "Video::${modelName}_video", "Clip" {
-\t\tType: "Clip"
-\t\tProperties70:  {
-\t\t\tP: "Path", "KString", "XRefUrl", "", "${texturePath}"
-\t\t}
-\t\tFileName: "${texturePath}"
-\t\tRelativeFilename: "${texturePath}"
-\t}
-}
-
-; Object connections
-Connections:  {
-\tC: "OO",${modelId},0
-\tC: "OO",${geometryId},${modelId}
-\tC: "OO",${materialId},${modelId}
-\tC: "OP",${textureId},${materialId}, "DiffuseColor"
-\tC: "OO",${videoId},${textureId}
-}
-`;
 
-  return fbx;
+  const document = [
+    ...buildHeader(createdAt),
+    node('GlobalSettings', [], [
+      node('Version', [int(1000)]),
+      node('Properties70', [], [
+        property70('UpAxis', 'int', 'Integer', '', coordinateSystem === 'z-up' ? 2 : 1),
+        property70('UpAxisSign', 'int', 'Integer', '', 1),
+        property70('FrontAxis', 'int', 'Integer', '', coordinateSystem === 'z-up' ? 1 : 2),
+        property70('FrontAxisSign', 'int', 'Integer', '', 1),
+        property70('CoordAxis', 'int', 'Integer', '', 0),
+        property70('CoordAxisSign', 'int', 'Integer', '', 1),
+        property70('OriginalUpAxis', 'int', 'Integer', '', -1),
+        property70('OriginalUpAxisSign', 'int', 'Integer', '', 1),
+        property70('UnitScaleFactor', 'double', 'Number', '', 1)
+      ])
+    ]),
+    node('Documents', [], [
+      node('Count', [int(1)]),
+      node('Document', [documentId, '', 'Scene'], [
+        node('Properties70', [], [
+          property70('SourceObject', 'object', '', ''),
+          property70('ActiveAnimStackName', 'KString', '', '', '')
+        ]),
+        node('RootNode', [0n])
+      ])
+    ]),
+    node('References'),
+    buildDefinitions({
+      Geometry: 1,
+      Model: 1,
+      Material: mesh.materials.length,
+      Texture: textures.length > 0 ? 1 : 0,
+      Video: textures.length > 0 ? 1 : 0
+    }),
+    node('Objects', [], [geometry, model, ...materials, ...textures]),
+    node('Connections', [], connections)
+  ];
+
+  return binary ? encodeFBXBinary(document) : encodeFBXAscii(document);
 }
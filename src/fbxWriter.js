@@ -0,0 +1,243 @@
+/**
+ * FBX Writer for FBX 7.4 documents
+ * Documents are trees of nodes { name, properties, children } built once and
+ * written either as ASCII text or as binary FBX (large arrays zlib-compressed).
+ *
+ * Property values map to FBX types by their JavaScript type: string (S),
+ * boolean (C), number (D), bigint (L), Buffer (R), Int32Array (i),
+ * Float64Array (d), Float32Array (f) and BigInt64Array (l). Use int() for
+ * 32-bit integers (I) and objectName() for object names.
+ */
+
+import zlib from 'zlib';
+
+/**
+ * FBX version written by both encoders
+ */
+export const FBX_VERSION = 7400;
+
+const BINARY_MAGIC = Buffer.from('Kaydara FBX Binary  \0\x1a\0', 'binary');
+
+/**
+ * End of a node's child list in binary files (an empty node record)
+ */
+const NULL_RECORD = Buffer.alloc(13);
+
+/**
+ * Arrays smaller than this many bytes are stored uncompressed
+ */
+const MIN_COMPRESSED_ARRAY_BYTES = 128;
+
+/**
+ * File id, creation time and footer id of binary files
+ * FBX SDK readers check these three against each other, so every file uses
+ * the same valid set (the one Blender writes); the real creation time goes
+ * into FBXHeaderExtension and SceneInfo instead.
+ */
+const BINARY_FILE_ID = Buffer.from('28b32aebb624ccc2bfc8b02aa92bfcf1', 'hex');
+const BINARY_CREATION_TIME = '1970-01-01 10:00:00:000';
+const BINARY_FOOTER_ID = Buffer.from('fabcab09d0c8d466b176fb831cf7267e', 'hex');
+const BINARY_FOOTER_MAGIC = Buffer.from('f85a8c6adef5d97eece90ce3758f290b', 'hex');
+
+/**
+ * Create a node
+ * @param {string} name - Node name
+ * @param {Array} properties - Property values
+ * @param {Object[]} children - Child nodes
+ * @returns {Object} Node { name, properties, children }
+ */
+export function node(name, properties = [], children = []) {
+  return { name, properties, children };
+}
+
+/**
+ * Wrap a 32-bit integer property value
+ */
+export function int(value) {
+  return { type: 'I', value };
+}
+
+/**
+ * Wrap an object name ("Class::name" in ASCII, "name\0\x01Class" in binary)
+ * @param {string} className - Object class (Model, Geometry, Material, ...)
+ * @param {string} name - Object name
+ */
+export function objectName(className, name) {
+  return { type: 'S', value: name, className };
+}
+
+/**
+ * Create a Properties70 entry
+ * Values of int, enum and bool properties are written as 32-bit integers,
+ * KTime values as 64-bit integers and other numbers as doubles.
+ * @param {string} name - Property name
+ * @param {string} type - Property type (int, double, Color, KString, ...)
+ * @param {string} label - Data type label (Integer, Number, Vector, ...)
+ * @param {string} flags - Flags ("A" for animatable)
+ * @param {...*} values - Property values
+ * @returns {Object} P node
+ */
+export function property70(name, type, label, flags, ...values) {
+  const typed = values.map(value => {
+    if (typeof value !== 'number') return value;
+    if (['int', 'enum', 'bool'].includes(type)) return int(value);
+    if (type === 'KTime') return BigInt(value);
+    return value;
+  });
+  return node('P', [name, type, label, flags, ...typed]);
+}
+
+/**
+ * Write a document as ASCII FBX
+ * @param {Object[]} nodes - Top-level nodes
+ * @returns {string} FBX ASCII content
+ */
+export function encodeFBXAscii(nodes) {
+  const lines = [
+    `; FBX ${FBX_VERSION / 1000}.0 project file`,
+    '; Generated by texturepack-converter',
+    '; ----------------------------------------------------',
+    ''
+  ];
+
+  const formatValue = (value) => {
+    if (typeof value === 'string') return `"${value.replace(/"/g, '&quot;')}"`;
+    if (typeof value === 'boolean') return value ? 'T' : 'F';
+    if (Buffer.isBuffer(value)) return `"${value.toString('base64')}"`;
+    if (value && value.type === 'I') return String(value.value);
+    if (value && value.className) return formatValue(`${value.className}::${value.value}`);
+    return String(value);
+  };
+
+  const writeNode = (current, depth) => {
+    const indent = '\t'.repeat(depth);
+    const array = current.properties.find(value => ArrayBuffer.isView(value) && !Buffer.isBuffer(value));
+    if (array) {
+      // Arrays are written as a block: Name: *count { a: ... }
+      lines.push(`${indent}${current.name}: *${array.length} {`);
+      lines.push(`${indent}\ta: ${Array.from(array, String).join(',')}`);
+      lines.push(`${indent}}`);
+      return;
+    }
+
+    const properties = current.properties.map(formatValue).join(', ');
+    if (current.children.length === 0 && properties) {
+      lines.push(`${indent}${current.name}: ${properties}`);
+      return;
+    }
+    // Nodes without properties are always blocks, like in binary files
+    lines.push(`${indent}${current.name}: ${properties} {`);
+    current.children.forEach(child => writeNode(child, depth + 1));
+    lines.push(`${indent}}`);
+  };
+
+  nodes.forEach(current => {
+    writeNode(current, 0);
+    lines.push('');
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Encode one property value
+ */
+function encodeProperty(value) {
+  const typed = (code, size, write) => {
+    const buffer = Buffer.alloc(1 + size);
+    buffer.write(code, 0, 'ascii');
+    write(buffer);
+    return buffer;
+  };
+  const bytes = (code, data) => {
+    const head = Buffer.alloc(5);
+    head.write(code, 0, 'ascii');
+    head.writeUInt32LE(data.length, 1);
+    return Buffer.concat([head, data]);
+  };
+
+  if (typeof value === 'string') return bytes('S', Buffer.from(value, 'utf8'));
+  if (Buffer.isBuffer(value)) return bytes('R', value);
+  if (typeof value === 'boolean') return typed('C', 1, buffer => buffer.writeUInt8(value ? 1 : 0, 1));
+  if (typeof value === 'bigint') return typed('L', 8, buffer => buffer.writeBigInt64LE(value, 1));
+  if (typeof value === 'number') return typed('D', 8, buffer => buffer.writeDoubleLE(value, 1));
+  if (value.type === 'I') return typed('I', 4, buffer => buffer.writeInt32LE(value.value, 1));
+  if (value.className) return bytes('S', Buffer.from(`${value.value}\0\x01${value.className}`, 'utf8'));
+
+  const arrayCodes = [[Int32Array, 'i'], [Float64Array, 'd'], [Float32Array, 'f'], [BigInt64Array, 'l']];
+  const [, code] = arrayCodes.find(([ArrayType]) => value instanceof ArrayType) || [];
+  if (!code) {
+    throw new Error(`Unsupported FBX property value: ${value}`);
+  }
+  const raw = Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  const compressed = raw.length >= MIN_COMPRESSED_ARRAY_BYTES;
+  const data = compressed ? zlib.deflateSync(raw) : raw;
+  const head = Buffer.alloc(13);
+  head.write(code, 0, 'ascii');
+  head.writeUInt32LE(value.length, 1);
+  head.writeUInt32LE(compressed ? 1 : 0, 5);
+  head.writeUInt32LE(data.length, 9);
+  return Buffer.concat([head, data]);
+}
+
+/**
+ * Encode a node record starting at a file offset
+ * Records store the absolute offset of their end, so children are encoded
+ * after the parent's header size is known.
+ */
+function encodeNode(current, offset) {
+  const name = Buffer.from(current.name, 'ascii');
+  const properties = Buffer.concat(current.properties.map(encodeProperty));
+  const parts = [];
+  let end = offset + 13 + name.length + properties.length;
+
+  for (const child of current.children) {
+    const encoded = encodeNode(child, end);
+    parts.push(encoded);
+    end += encoded.length;
+  }
+  // Nodes with children, and nodes without anything, end with a null record
+  if (current.children.length > 0 || current.properties.length === 0) {
+    parts.push(NULL_RECORD);
+    end += NULL_RECORD.length;
+  }
+
+  const head = Buffer.alloc(13);
+  head.writeUInt32LE(end, 0);
+  head.writeUInt32LE(current.properties.length, 4);
+  head.writeUInt32LE(properties.length, 8);
+  head.writeUInt8(name.length, 12);
+  return Buffer.concat([head, name, properties, ...parts]);
+}
+
+/**
+ * Write a document as binary FBX
+ * The file id and creation time records that belong to the footer are added
+ * after FBXHeaderExtension.
+ * @param {Object[]} nodes - Top-level nodes
+ * @returns {Buffer} Binary FBX content
+ */
+export function encodeFBXBinary(nodes) {
+  const headerIndex = nodes.findIndex(current => current.name === 'FBXHeaderExtension');
+  const topLevel = [...nodes];
+  topLevel.splice(headerIndex + 1, 0,
+    node('FileId', [BINARY_FILE_ID]),
+    node('CreationTime', [BINARY_CREATION_TIME]));
+
+  const version = Buffer.alloc(4);
+  version.writeUInt32LE(FBX_VERSION, 0);
+  const parts = [BINARY_MAGIC, version];
+  let offset = BINARY_MAGIC.length + version.length;
+  for (const current of topLevel) {
+    const encoded = encodeNode(current, offset);
+    parts.push(encoded);
+    offset += encoded.length;
+  }
+  parts.push(NULL_RECORD, BINARY_FOOTER_ID, Buffer.alloc(4));
+  offset += NULL_RECORD.length + BINARY_FOOTER_ID.length + 4;
+
+  // Footer: padding to a 16-byte boundary (a full 16 bytes if already aligned),
+  // the version again, 120 zero bytes and a fixed magic
+  const padding = 16 - (offset % 16);
+  parts.push(Buffer.alloc(padding), version, Buffer.alloc(120), BINARY_FOOTER_MAGIC);
+  return Buffer.concat(parts);
+}
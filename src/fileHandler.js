@@ -2,6 +2,7 @@ import fs from 'fs-extra';
 import path from 'path';
 import sharp from 'sharp';
 import { isPngFile, validateTextureDimensions, ensureDirectoryExists, getBaseName } from './utils.js';
+import { displayToLua } from './displayTransforms.js';
 
 /**
  * Find all PNG files in a directory (recursively or not)
@@ -32,19 +33,24 @@ export async function findPngFiles(dirPath, recursive = true) {
 
 /**
  * Validate and get image metadata
+ * Animated textures (with a .png.mcmeta) are validated by their frame size
  * @param {string} filePath - Path to image file
- * @returns {Promise<{width: number, height: number, valid: boolean, warning?: string}>}
+ * @returns {Promise<{width: number, height: number, valid: boolean, warning?: string, animation?: Object}>}
  */
 export async function validateImage(filePath) {
   try {
     const metadata = await sharp(filePath).metadata();
-    const validation = validateTextureDimensions(metadata.width, metadata.height);
+    const animation = await readTextureAnimation(filePath, metadata.width, metadata.height);
+    const validation = animation
+      ? validateTextureDimensions(animation.frameWidth, animation.frameHeight)
+      : validateTextureDimensions(metadata.width, metadata.height);
 
     return {
       width: metadata.width,
       height: metadata.height,
       valid: validation.valid,
-      warning: validation.warning
+      warning: validation.warning,
+      animation
     };
   } catch (error) {
     return {
@@ -79,6 +85,103 @@ export async function extractPixelData(filePath) {
   }
 }
 
+/**
+ * Read the animation of a texture from its .png.mcmeta
+ * Frames are laid out left to right, top to bottom; without an explicit
+ * width/height they are square (the shorter side of the image).
+ * @param {string} texturePath - Path to texture file
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Promise<Object|null>} { frameWidth, frameHeight, frameCount, interpolate, frames: [{ index, time }] } (time in ticks), or null if not animated
+ */
+export async function readTextureAnimation(texturePath, width, height) {
+  const metaPath = `${texturePath}.mcmeta`;
+  if (!(await fs.pathExists(metaPath))) {
+    return null;
+  }
+
+  let meta;
+  try {
+    meta = await fs.readJson(metaPath);
+  } catch (error) {
+    throw new Error(`Invalid animation metadata in ${metaPath}: ${error.message}`);
+  }
+  if (!meta.animation) {
+    return null;
+  }
+
+  const animation = meta.animation;
+  const frameSize = Math.min(width, height);
+  const frameWidth = animation.width || (animation.height ? width : frameSize);
+  const frameHeight = animation.height || (animation.width ? height : frameSize);
+  const frameCount = Math.floor(width / frameWidth) * Math.floor(height / frameHeight);
+  const frametime = animation.frametime || 1;
+
+  if (frameCount === 0) {
+    throw new Error(`Animation frames of ${frameWidth}x${frameHeight} don't fit in ${width}x${height} (${metaPath})`);
+  }
+
+  // Explicit frame order: plain indices or { index, time }
+  const frames = Array.isArray(animation.frames)
+    ? animation.frames.map(frame => typeof frame === 'number'
+      ? { index: frame, time: frametime }
+      : { index: frame.index, time: frame.time || frametime })
+    : Array.from({ length: frameCount }, (_, index) => ({ index, time: frametime }));
+
+  const invalid = frames.find(frame => !Number.isInteger(frame.index) || frame.index < 0 || frame.index >= frameCount);
+  if (invalid) {
+    throw new Error(`Animation frame ${invalid.index} out of range, texture has ${frameCount} frames (${metaPath})`);
+  }
+
+  return {
+    frameWidth,
+    frameHeight,
+    frameCount,
+    interpolate: animation.interpolate === true,
+    frames
+  };
+}
+
+/**
+ * Crop one frame out of an animated texture's pixel data
+ * @param {Object} pixelData - Pixel data from extractPixelData
+ * @param {Object} animation - Animation from readTextureAnimation
+ * @param {number} index - Frame index in the texture
+ * @returns {{width: number, height: number, pixels: Uint8Array, channels: number}} Frame pixel data
+ */
+export function getFramePixels(pixelData, animation, index) {
+  const { frameWidth, frameHeight } = animation;
+  const { width, channels } = pixelData;
+  const columns = Math.floor(width / frameWidth);
+  const left = (index % columns) * frameWidth;
+  const top = Math.floor(index / columns) * frameHeight;
+
+  const pixels = new Uint8Array(frameWidth * frameHeight * channels);
+  for (let y = 0; y < frameHeight; y++) {
+    const start = ((top + y) * width + left) * channels;
+    pixels.set(pixelData.pixels.subarray(start, start + frameWidth * channels), y * frameWidth * channels);
+  }
+
+  return { width: frameWidth, height: frameHeight, pixels, channels };
+}
+
+/**
+ * Extract the pixel data used for geometry: the whole texture, or one frame of an animated texture
+ * @param {string} filePath - Path to image file
+ * @param {number} frame - Frame to use for animated textures (clamped to the last frame, default: 0)
+ * @returns {Promise<{width: number, height: number, pixels: Uint8Array, channels: number, animation: Object|null, frame?: number}>}
+ */
+export async function extractTexturePixels(filePath, frame = 0) {
+  const pixelData = await extractPixelData(filePath);
+  const animation = await readTextureAnimation(filePath, pixelData.width, pixelData.height);
+  if (!animation) {
+    return { ...pixelData, animation: null };
+  }
+
+  const frameIndex = Math.min(frame, animation.frameCount - 1);
+  return { ...getFramePixels(pixelData, animation, frameIndex), animation, frame: frameIndex };
+}
+
 /**
  * Get alpha value for a pixel at given coordinates
  * @param {Uint8Array} pixels - Pixel data (RGBA format)
@@ -145,14 +248,23 @@ export function getRelativeTexturePath(mtlPath, texturePath) {
 
 /**
  * Upscale texture to 1024×1024 using nearest-neighbor interpolation
- * @param {string} inputTexturePath - Path to input texture
+ * @param {string|Object} inputTexturePath - Path to input texture, or raw pixel data { pixels, width, height, channels }
  * @param {string} outputTexturePath - Path to save upscaled texture
  * @returns {Promise<void>}
  */
 export async function upscaleTexture(inputTexturePath, outputTexturePath, size = 1024) {
   try {
     await ensureDirectoryExists(path.dirname(outputTexturePath));
-    await sharp(inputTexturePath)
+    const input = typeof inputTexturePath === 'string'
+      ? sharp(inputTexturePath)
+      : sharp(Buffer.from(inputTexturePath.pixels), {
+        raw: {
+          width: inputTexturePath.width,
+          height: inputTexturePath.height,
+          channels: inputTexturePath.channels
+        }
+      });
+    await input
       .resize(size, size, {
         kernel: sharp.kernel.nearest
       })
@@ -162,6 +274,35 @@ export async function upscaleTexture(inputTexturePath, outputTexturePath, size =
   }
 }
 
+/**
+ * Calculate the bounding box of non-transparent pixels in raw pixel data
+ * @param {Uint8Array} pixels - Pixel data (RGBA format)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} channels - Number of channels (4 for RGBA)
+ * @param {number} alphaThreshold - Alpha threshold (0-255, default: 128)
+ * @returns {{x: number, y: number} | null} Pixel dimensions or null if fully transparent
+ */
+export function getPixelBounds(pixels, width, height, channels = 4, alphaThreshold = 128) {
+  let minX = width, maxX = -1, minY = height, maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = (y * width + x) * channels;
+      const alpha = pixels[index + 3];
+      if (alpha >= alphaThreshold) {
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+      }
+    }
+  }
+
+  if (minX > maxX || minY > maxY) return null;
+  return { x: maxX - minX + 1, y: maxY - minY + 1 };
+}
+
 /**
  * Calculate the bounding box of non-transparent pixels in an image
  * @param {string} imagePath - Path to the image file
@@ -175,32 +316,32 @@ export async function calculatePixelBounds(imagePath, alphaThreshold = 128) {
       .raw()
       .toBuffer({ resolveWithObject: true });
 
-    const width = info.width;
-    const height = info.height;
-    const channels = info.channels;
-
-    let minX = width, maxX = -1, minY = height, maxY = -1;
-
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const index = (y * width + x) * channels;
-        const alpha = data[index + 3];
-        if (alpha >= alphaThreshold) {
-          minX = Math.min(minX, x);
-          maxX = Math.max(maxX, x);
-          minY = Math.min(minY, y);
-          maxY = Math.max(maxY, y);
-        }
-      }
-    }
-
-    if (minX > maxX || minY > maxY) return null;
-    return { x: maxX - minX + 1, y: maxY - minY + 1 };
+    return getPixelBounds(data, info.width, info.height, info.channels, alphaThreshold);
   } catch (error) {
     return null;
   }
 }
 
+/**
+ * Read per-item overrides from a sidecar JSON next to a texture
+ * e.g. items/shield.png -> items/shield.json
+ * @param {string} texturePath - Path to texture file
+ * @returns {Promise<Object>} Override values (empty if there is no sidecar)
+ */
+export async function readItemOverrides(texturePath) {
+  const sidecarPath = path.join(path.dirname(texturePath), `${getBaseName(texturePath)}.json`);
+
+  if (!(await fs.pathExists(sidecarPath))) {
+    return {};
+  }
+
+  try {
+    return await fs.readJson(sidecarPath);
+  } catch (error) {
+    throw new Error(`Invalid item overrides in ${sidecarPath}: ${error.message}`);
+  }
+}
+
 /**
  * Write item pixel sizes to a Lua file
  * @param {string} outputPath - Path to output Lua file
@@ -227,6 +368,121 @@ export async function writePixelSizesLua(outputPath, pixelSizes, texturepackName
   await fs.writeFile(outputPath, lua, 'utf8');
 }
 
+/**
+ * Write the item atlas manifest as JSON and Lua
+ * @param {string} outputDir - Texturepack output directory
+ * @param {Object} manifest - { pages: [{ page, file, width, height }], items: { name: { page, rect, uv } } }
+ * @param {string} texturepackName - Name of the texturepack
+ * @returns {Promise<{json: string, lua: string}>} Written file paths
+ */
+export async function writeItemAtlasManifest(outputDir, manifest, texturepackName) {
+  const jsonPath = path.join(outputDir, 'item_atlas.json');
+  const luaPath = path.join(outputDir, 'item_atlas.lua');
+
+  let lua = '--[[\n';
+  lua += `\tItem texture atlas for ${texturepackName} texturepack\n`;
+  lua += '\tGenerated automatically by texturepack-converter\n';
+  lua += ']]\n\n';
+  lua += 'local ITEM_ATLAS = {\n';
+
+  lua += '\tpages = {\n';
+  for (const page of manifest.pages) {
+    lua += `\t\t{page = ${page.page}, file = "${page.file}", width = ${page.width}, height = ${page.height}},\n`;
+  }
+  lua += '\t},\n';
+
+  // rect is in atlas pixels, uv in 0-1 with v=0 at the top of the image
+  lua += '\titems = {\n';
+  const sortedNames = Object.keys(manifest.items).sort((a, b) => a.localeCompare(b));
+  for (const name of sortedNames) {
+    const { page, rect, uv } = manifest.items[name];
+    lua += `\t\t["${name}"] = {page = ${page}, x = ${rect.x}, y = ${rect.y}, width = ${rect.width}, height = ${rect.height}, uv = {${uv.join(', ')}}},\n`;
+  }
+  lua += '\t},\n';
+
+  lua += '}\n\nreturn ITEM_ATLAS\n';
+
+  await ensureDirectoryExists(outputDir);
+  await fs.writeJson(jsonPath, manifest, { spaces: 2 });
+  await fs.writeFile(luaPath, lua, 'utf8');
+
+  return { json: jsonPath, lua: luaPath };
+}
+
+/**
+ * Write the texture animation manifest (frame files and timing) as JSON and Lua
+ * @param {string} outputDir - Texturepack output directory
+ * @param {Object} animations - { items: { name: animation }, blocks: { name: animation } }
+ *   where animation is { frameWidth, frameHeight, interpolate, frames: [{ index, time, file }] }
+ * @param {string} texturepackName - Name of the texturepack
+ * @returns {Promise<{json: string, lua: string}>} Written file paths
+ */
+export async function writeAnimationManifest(outputDir, animations, texturepackName) {
+  const jsonPath = path.join(outputDir, 'texture_animations.json');
+  const luaPath = path.join(outputDir, 'texture_animations.lua');
+
+  let lua = '--[[\n';
+  lua += `\tTexture animations for ${texturepackName} texturepack\n`;
+  lua += '\tFrame times are in ticks (1 tick = 1/20 second)\n';
+  lua += '\tGenerated automatically by texturepack-converter\n';
+  lua += ']]\n\n';
+  lua += 'local TEXTURE_ANIMATIONS = {\n';
+
+  for (const [category, entries] of Object.entries(animations)) {
+    lua += `\t${category} = {\n`;
+    const sortedNames = Object.keys(entries).sort((a, b) => a.localeCompare(b));
+    for (const name of sortedNames) {
+      const animation = entries[name];
+      lua += `\t\t["${name}"] = {interpolate = ${animation.interpolate}, frames = {\n`;
+      for (const frame of animation.frames) {
+        lua += `\t\t\t{index = ${frame.index}, time = ${frame.time}, file = "${frame.file}"},\n`;
+      }
+      lua += '\t\t}},\n';
+    }
+    lua += '\t},\n';
+  }
+
+  lua += '}\n\nreturn TEXTURE_ANIMATIONS\n';
+
+  await ensureDirectoryExists(outputDir);
+  await fs.writeJson(jsonPath, animations, { spaces: 2 });
+  await fs.writeFile(luaPath, lua, 'utf8');
+
+  return { json: jsonPath, lua: luaPath };
+}
+
+/**
+ * Write the item display manifest (model display transforms per item) as JSON and Lua
+ * @param {string} outputDir - Texturepack output directory
+ * @param {Object} displays - { name: display } where display is the model's display block
+ * @param {string} texturepackName - Name of the texturepack
+ * @returns {Promise<{json: string, lua: string}>} Written file paths
+ */
+export async function writeItemDisplayManifest(outputDir, displays, texturepackName) {
+  const jsonPath = path.join(outputDir, 'item_display.json');
+  const luaPath = path.join(outputDir, 'item_display.lua');
+
+  let lua = '--[[\n';
+  lua += `\tItem display transforms for ${texturepackName} texturepack\n`;
+  lua += '\tRotation in degrees (X, then Y, then Z), translation in model pixels (1/16 block)\n';
+  lua += '\tGenerated automatically by texturepack-converter\n';
+  lua += ']]\n\n';
+  lua += 'local ITEM_DISPLAY = {\n';
+
+  const sortedNames = Object.keys(displays).sort((a, b) => a.localeCompare(b));
+  for (const name of sortedNames) {
+    lua += `\t["${name}"] = ${displayToLua(displays[name])},\n`;
+  }
+
+  lua += '}\n\nreturn ITEM_DISPLAY\n';
+
+  await ensureDirectoryExists(outputDir);
+  await fs.writeJson(jsonPath, displays, { spaces: 2 });
+  await fs.writeFile(luaPath, lua, 'utf8');
+
+  return { json: jsonPath, lua: luaPath };
+}
+
 /**
  * Generate output file paths
  * @param {string} inputTexturePath - Path to input texture
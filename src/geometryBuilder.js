@@ -15,35 +15,112 @@ const FACE_DEFINITIONS = {
   down:  { verts: [0, 1, 5, 4], normal: [0, -1, 0], uvOrder: [0, 1, 2, 3] }
 };
 
+/**
+ * Where a face's texture lies in block space (0-16), per face direction: the
+ * point at UV (0, 0) and the directions u and v run in. These are the UVs
+ * buildGeometry gives full faces without a `uv`.
+ */
+const FACE_UV_AXES = {
+  north: { origin: [16, 16, 0], u: [-1, 0, 0], v: [0, -1, 0] },
+  south: { origin: [0, 16, 16], u: [1, 0, 0], v: [0, -1, 0] },
+  east:  { origin: [16, 16, 16], u: [0, 0, -1], v: [0, -1, 0] },
+  west:  { origin: [0, 16, 0], u: [0, 0, 1], v: [0, -1, 0] },
+  up:    { origin: [0, 16, 0], u: [1, 0, 0], v: [0, 0, 1] },
+  down:  { origin: [0, 0, 0], u: [1, 0, 0], v: [0, 0, 1] }
+};
+
+/**
+ * How tinted faces (tintindex) are exported
+ * - material: tinted faces get their own material per tintindex (colored by the tint, if known)
+ * - vertex: the tint color is baked into vertex colors (white elsewhere)
+ */
+export const TINT_MODES = ['material', 'vertex'];
+
 /**
  * Build geometry from a model's elements
+ *
+ * Faces are grouped by material: shade: false faces (or elements) are unlit and
+ * faces with a tintindex are tintable (see TINT_MODES), like itemMesh groups.
+ * Elements may also carry `rotations`: unrestricted { origin, axis, angle }
+ * rotations applied in order after `rotation` (Bedrock cubes and bones,
+ * Blockbench elements and groups).
+ *
  * @param {Object} model - Parsed model with elements
  * @param {Object} textureAtlas - Texture atlas with UV mappings
  * @param {number} scale - Scale factor (default: 1/16 to convert to 1 unit = 1 block)
- * @returns {Object} Geometry data { positions, normals, uvs, indices }
+ * @param {Object} options - Face options
+ * @param {string[]} options.cullFaces - Drop faces whose cullface is one of these directions (model space)
+ * @param {string} options.tintMode - 'material' or 'vertex' (default: 'material')
+ * @param {number[][]} options.tints - Tint color [r, g, b] (0-255) per tintindex (optional)
+ * @param {Object} options.uvlock - Variant rotation { x, y } the face textures stay aligned to the world under
+ *   (blockstate `uvlock`, optional; see lockFaceUV)
+ * @returns {Object} Geometry data { positions, normals, uvs, colors, indices, groups, materials }
+ *   colors is null unless tintMode is 'vertex' and a tinted face exists;
+ *   groups are index ranges { material, start, count }; materials are { shade, tintindex, color? }
  */
-export function buildGeometry(model, textureAtlas, scale = 1/16) {
+export function buildGeometry(model, textureAtlas, scale = 1/16, { cullFaces = [], tintMode = 'material', tints = [], uvlock = null } = {}) {
   const positions = [];
   const normals = [];
   const uvs = [];
-  const indices = [];
+  const colors = [];
+  // Face indices per material key, concatenated into groups at the end
+  const buckets = new Map();
   
-  for (const element of model.elements) {
-    buildElement(element, model, textureAtlas, scale, positions, normals, uvs, indices);
+  const context = { model, textureAtlas, scale, cullFaces, tintMode, tints, uvlock, positions, normals, uvs, colors, buckets };
+  model.elements.forEach((element, index) => {
+    if (element.rotation) {
+      validateRotation(element.rotation, model, element, index);
+    }
+    buildElement(element, context);
+  });
+  
+  const indices = [];
+  const groups = [];
+  const materials = [];
+  for (const { material, indices: faceIndices } of buckets.values()) {
+    groups.push({ material: materials.length, start: indices.length, count: faceIndices.length });
+    materials.push(material);
+    for (const index of faceIndices) indices.push(index);
   }
   
+  const hasColors = colors.some(channel => channel !== 1);
+  
   return {
     positions: new Float32Array(positions),
     normals: new Float32Array(normals),
     uvs: new Float32Array(uvs),
-    indices: indices.length > 65535 ? new Uint32Array(indices) : new Uint16Array(indices)
+    colors: hasColors ? new Float32Array(colors) : null,
+    indices: positions.length / 3 > 65535 ? new Uint32Array(indices) : new Uint16Array(indices),
+    groups,
+    materials
   };
 }
 
+/**
+ * Get (or create) the index bucket of a face's material
+ */
+function getFaceBucket(element, faceData, { tintMode, tints, buckets }) {
+  // shade is an element property in vanilla models; a face-level value wins
+  const shade = (faceData.shade ?? element.shade) !== false;
+  // In vertex mode the tint lives in the vertex colors, not the material
+  const tintindex = tintMode === 'material' && Number.isInteger(faceData.tintindex) ? faceData.tintindex : null;
+  
+  const key = `${shade}|${tintindex}`;
+  if (!buckets.has(key)) {
+    const color = tintindex !== null ? tints[tintindex] : null;
+    buckets.set(key, {
+      material: { shade, tintindex, ...(color && { color }) },
+      indices: []
+    });
+  }
+  return buckets.get(key);
+}
+
 /**
  * Build geometry for a single element
  */
-function buildElement(element, model, textureAtlas, scale, positions, normals, uvs, indices) {
+function buildElement(element, context) {
+  const { model, textureAtlas, scale, cullFaces, tintMode, tints, uvlock, positions, normals, uvs, colors } = context;
   const { from, to, rotation, faces } = element;
   
   if (!from || !to || !faces) return;
@@ -64,6 +141,11 @@ function buildElement(element, model, textureAtlas, scale, positions, normals, u
   if (rotation) {
     vertices = applyRotation(vertices, rotation);
   }
+  // Free rotations (any angle) from Bedrock and Blockbench models, innermost first
+  const rotations = element.rotations || [];
+  for (const extraRotation of rotations) {
+    vertices = applyRotation(vertices, extraRotation);
+  }
   
   // Scale vertices
   vertices = vertices.map(v => v.map(c => (c - 8) * scale)); // Center at origin, then scale
@@ -73,14 +155,23 @@ function buildElement(element, model, textureAtlas, scale, positions, normals, u
     const faceDef = FACE_DEFINITIONS[faceName];
     if (!faceDef) continue;
     
+    // Faces against a neighbor that is known to be solid are never visible
+    if (faceData.cullface && cullFaces.includes(faceData.cullface)) continue;
+    
     const baseIndex = positions.length / 3;
+    const bucket = getFaceBucket(element, faceData, context);
+    const tint = tintMode === 'vertex' && Number.isInteger(faceData.tintindex) ? tints[faceData.tintindex] : null;
     
     // Get UV coordinates
     const uv = faceData.uv || autoGenerateUV(element, faceName);
     const atlasUV = textureAtlas.getUV(faceData.texture, uv, model.rawTextures, faceName);
     
     // Apply UV rotation if specified
-    const rotatedUV = applyUVRotation(atlasUV, faceData.rotation || 0);
+    let rotatedUV = applyUVRotation(atlasUV, faceData.rotation || 0);
+    if (uvlock && (uvlock.x || uvlock.y)) {
+      const toAtlas = (u, v) => textureAtlas.getUV(faceData.texture, [u, v, u, v], model.rawTextures, faceName).slice(0, 2);
+      rotatedUV = lockFaceUV(rotatedUV, faceName, uvlock, toAtlas);
+    }
     
     // Add 4 vertices for this face (quad)
     for (let i = 0; i < 4; i++) {
@@ -95,35 +186,74 @@ function buildElement(element, model, textureAtlas, scale, positions, normals, u
       if (rotation) {
         normal = rotateNormal(normal, rotation);
       }
+      for (const extraRotation of rotations) {
+        normal = rotateNormal(normal, extraRotation);
+      }
       normals.push(normal[0], normal[1], normal[2]);
       
       // UV
       const uvIdx = i;
       uvs.push(rotatedUV[uvIdx * 2], rotatedUV[uvIdx * 2 + 1]);
+      
+      // Vertex color (sRGB, 0-1): the tint, or white
+      if (tint) {
+        colors.push(tint[0] / 255, tint[1] / 255, tint[2] / 255, 1);
+      } else {
+        colors.push(1, 1, 1, 1);
+      }
     }
     
     // Add indices for two triangles (quad)
-    indices.push(
+    bucket.indices.push(
       baseIndex, baseIndex + 1, baseIndex + 2,
       baseIndex, baseIndex + 2, baseIndex + 3
     );
   }
 }
 
+/**
+ * Element rotation angles allowed by the model format
+ */
+const ROTATION_ANGLES = [-45, -22.5, 0, 22.5, 45];
+
+/**
+ * Validate an element rotation against the model format
+ * @param {Object} rotation - Rotation definition { origin, axis, angle, rescale }
+ * @param {Object} model - Parsed model (for the error message)
+ * @param {Object} element - Element (for the error message)
+ * @param {number} index - Element index (for the error message)
+ * @throws {Error} If the axis or angle is out of spec
+ */
+function validateRotation(rotation, model, element, index) {
+  // Blockbench exports names; hand-written models often carry a __comment
+  const elementName = element.name || element.__comment || `#${index}`;
+  if (!ROTATION_ANGLES.includes(rotation.angle ?? 0)) {
+    throw new Error(`Model ${model.name}, element ${elementName}: invalid rotation angle ${rotation.angle} (expected ${ROTATION_ANGLES.join(', ')})`);
+  }
+  // A zero rotation without an axis is harmless
+  if (rotation.angle && !['x', 'y', 'z'].includes(rotation.axis)) {
+    throw new Error(`Model ${model.name}, element ${elementName}: invalid rotation axis ${JSON.stringify(rotation.axis)} (expected x, y or z)`);
+  }
+}
+
 /**
  * Apply rotation to vertices
+ * With rescale, the two axes across the rotation axis are stretched by
+ * 1 / cos(angle) so the rotated element spans the block again (cross plants).
  * @param {number[][]} vertices - Array of vertex positions
- * @param {Object} rotation - Rotation definition { origin, axis, angle }
+ * @param {Object} rotation - Rotation definition { origin, axis, angle, rescale }
  * @returns {number[][]} Rotated vertices
  */
-function applyRotation(vertices, rotation) {
-  const { origin = [8, 8, 8], axis, angle } = rotation;
+export function applyRotation(vertices, rotation) {
+  const { origin = [8, 8, 8], axis, angle, rescale = false } = rotation;
   
   if (!axis || !angle) return vertices;
   
   const radians = (angle * Math.PI) / 180;
   const cos = Math.cos(radians);
   const sin = Math.sin(radians);
+  const stretch = rescale ? 1 / cos : 1;
+  const axisScale = [axis === 'x' ? 1 : stretch, axis === 'y' ? 1 : stretch, axis === 'z' ? 1 : stretch];
   
   return vertices.map(vertex => {
     // Translate to origin
@@ -160,11 +290,11 @@ function applyRotation(vertices, rotation) {
         rotated = v;
     }
     
-    // Translate back
+    // Rescale, then translate back
     return [
-      rotated[0] + origin[0],
-      rotated[1] + origin[1],
-      rotated[2] + origin[2]
+      rotated[0] * axisScale[0] + origin[0],
+      rotated[1] * axisScale[1] + origin[1],
+      rotated[2] * axisScale[2] + origin[2]
     ];
   });
 }
@@ -254,6 +384,99 @@ function applyUVRotation(uv, rotation) {
   return rotated;
 }
 
+/**
+ * Keep a face's texture aligned to the world under a variant rotation (uvlock)
+ * The face's UVs (0-16) are mapped to the block-space points they cover,
+ * rotated with the variant and read back in the UV layout of the direction the
+ * face ends up facing. Full faces then get the same UVs as an unrotated face
+ * in that direction; partial faces keep the part of the texture at their new
+ * position (an upside-down stair's step shows the texture's bottom half).
+ * @param {number[]} atlasUV - Face corner UVs in atlas space [u0, v0, ..., u3, v3]
+ * @param {string} faceName - Face direction in model space
+ * @param {Object} rotation - Variant rotation { x, y } in degrees
+ * @param {Function} toAtlas - Map a texture UV (0-16) to atlas space: (u, v) => [u, v]
+ * @returns {number[]} Locked corner UVs in atlas space
+ */
+function lockFaceUV(atlasUV, faceName, rotation, toAtlas) {
+  const from = FACE_UV_AXES[faceName];
+  const [nx, ny, nz] = rotateVariantVector(FACE_DEFINITIONS[faceName].normal, rotation);
+  const rotatedFace = Object.keys(FACE_DEFINITIONS).find(name => {
+    const [dx, dy, dz] = FACE_DEFINITIONS[name].normal;
+    return nx === dx && ny === dy && nz === dz;
+  });
+  const to = FACE_UV_AXES[rotatedFace];
+
+  // Texture UV (0-16) -> block point -> rotated block point -> texture UV of the rotated face
+  const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  const lock = (u, v) => {
+    const point = from.origin.map((c, i) => c + u * from.u[i] + v * from.v[i] - 8);
+    const rotated = rotateVariantVector(point, rotation).map((c, i) => c + 8 - to.origin[i]);
+    return [dot(rotated, to.u), dot(rotated, to.v)];
+  };
+
+  // Atlas UVs are an axis-aligned scale and offset of texture UVs
+  const [u0, v0] = toAtlas(0, 0);
+  const [u16, v16] = toAtlas(16, 16);
+  const locked = [];
+  for (let i = 0; i < atlasUV.length; i += 2) {
+    const u = u16 !== u0 ? (atlasUV[i] - u0) / (u16 - u0) * 16 : 0;
+    const v = v16 !== v0 ? (atlasUV[i + 1] - v0) / (v16 - v0) * 16 : 0;
+    locked.push(...toAtlas(...lock(u, v)));
+  }
+  return locked;
+}
+
+/**
+ * Rotate built geometry by a blockstate variant rotation
+ * Minecraft applies x first, then y, both in 90° steps and clockwise
+ * (y: 90 turns a north-facing model east), around the block center.
+ * @param {Object} geometry - Geometry from buildGeometry (centered at the origin)
+ * @param {Object} rotation - Variant rotation { x, y } in degrees
+ * @returns {Object} Rotated geometry (indices and UVs are shared)
+ */
+export function rotateGeometry(geometry, { x = 0, y = 0 } = {}) {
+  if (!x && !y) return geometry;
+
+  const rotate = (vector) => rotateVariantVector(vector, { x, y });
+
+  const positions = new Float32Array(geometry.positions.length);
+  const normals = new Float32Array(geometry.normals.length);
+  for (let i = 0; i < positions.length; i += 3) {
+    positions.set(rotate([geometry.positions[i], geometry.positions[i + 1], geometry.positions[i + 2]]), i);
+    normals.set(rotate([geometry.normals[i], geometry.normals[i + 1], geometry.normals[i + 2]]), i);
+  }
+
+  return { ...geometry, positions, normals };
+}
+
+/**
+ * Rotate a vector by a blockstate variant rotation (see rotateGeometry)
+ */
+function rotateVariantVector(vector, { x = 0, y = 0 }) {
+  let v = vector;
+  if (x) v = rotateNormal(v, { axis: 'x', angle: -x });
+  if (y) v = rotateNormal(v, { axis: 'y', angle: -y });
+  // 90° steps: snap away float noise
+  return v.map(c => Math.round(c * 1e6) / 1e6);
+}
+
+/**
+ * Get the model-space face directions that end up facing the given world directions
+ * Used to turn cullFaces into the model space of a rotated variant.
+ * @param {string[]} directions - World directions (down, up, north, south, west, east)
+ * @param {Object} rotation - Variant rotation { x, y } in degrees
+ * @returns {string[]} Model-space directions
+ */
+export function getModelDirections(directions, rotation = {}) {
+  return Object.keys(FACE_DEFINITIONS).filter(faceName => {
+    const [nx, ny, nz] = rotateVariantVector(FACE_DEFINITIONS[faceName].normal, rotation);
+    return directions.some(direction => {
+      const [dx, dy, dz] = FACE_DEFINITIONS[direction].normal;
+      return nx === dx && ny === dy && nz === dz;
+    });
+  });
+}
+
 /**
  * Calculate bounding box of geometry
  * @param {Float32Array} positions - Position data
@@ -0,0 +1,534 @@
+/**
+ * GLB Compression for item, entity and block model GLBs
+ * Optional passes over a finished glTF document and its binary buffer (see
+ * packGLTF): KHR_mesh_quantization stores vertex attributes as small integers,
+ * EXT_meshopt_compression (meshoptimizer) or KHR_draco_mesh_compression
+ * (Draco) compress the mesh data. Both encoders are WebAssembly builds that
+ * run offline; they are loaded once per run by loadGLBEncoders.
+ */
+
+/**
+ * How mesh data is compressed
+ * - none: raw buffers
+ * - meshopt: EXT_meshopt_compression vertex and index codecs; combines with quantize
+ * - draco: KHR_draco_mesh_compression per primitive, with Draco's own quantization
+ */
+export const GLB_COMPRESSION_MODES = ['none', 'meshopt', 'draco'];
+
+/**
+ * Default GLB options (see config/default.json)
+ * - quantize: KHR_mesh_quantization (integer positions, normals and UVs)
+ * - compression: see GLB_COMPRESSION_MODES
+ */
+export const DEFAULT_GLB_OPTIONS = {
+  quantize: false,
+  compression: 'none'
+};
+
+/**
+ * Draco quantization bits per attribute (positions use an explicit grid, see findPositionGrid)
+ */
+const DRACO_QUANTIZATION_BITS = { NORMAL: 10, TEXCOORD_0: 16, COLOR_0: 10, GENERIC: 16 };
+
+/**
+ * Largest integer of a quantized position (unsigned 16-bit)
+ */
+const MAX_QUANTIZED_POSITION = 65535;
+
+const COMPONENT_COUNTS = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT4: 16 };
+const COMPONENT_ARRAYS = {
+  5120: Int8Array,
+  5121: Uint8Array,
+  5122: Int16Array,
+  5123: Uint16Array,
+  5125: Uint32Array,
+  5126: Float32Array
+};
+
+// Encoders, loaded by loadGLBEncoders
+let meshoptEncoder = null;
+let dracoEncoder = null;
+
+/**
+ * Merge and validate GLB options
+ * @param {Object} options - Run options (config/CLI)
+ * @returns {{quantize: boolean, compression: string}} Resolved options
+ */
+export function resolveGLBOptions(options = {}) {
+  const resolved = { ...DEFAULT_GLB_OPTIONS };
+  for (const key of Object.keys(DEFAULT_GLB_OPTIONS)) {
+    if (options[key] !== undefined && options[key] !== null) {
+      resolved[key] = options[key];
+    }
+  }
+
+  if (!GLB_COMPRESSION_MODES.includes(resolved.compression)) {
+    throw new Error(`Invalid GLB compression: ${resolved.compression} (expected ${GLB_COMPRESSION_MODES.join(', ')})`);
+  }
+  if (resolved.quantize && resolved.compression === 'draco') {
+    throw new Error('Invalid GLB options: quantize cannot be combined with draco compression (Draco quantizes attributes itself)');
+  }
+  resolved.quantize = Boolean(resolved.quantize);
+
+  return resolved;
+}
+
+/**
+ * Load the encoder of a compression mode (once per run)
+ * @param {Object} options - Resolved GLB options
+ * @returns {Promise<void>}
+ */
+export async function loadGLBEncoders({ compression = 'none' } = {}) {
+  if (compression === 'meshopt' && !meshoptEncoder) {
+    const { MeshoptEncoder } = await import('meshoptimizer');
+    await MeshoptEncoder.ready;
+    meshoptEncoder = MeshoptEncoder;
+  }
+  if (compression === 'draco' && !dracoEncoder) {
+    const { default: draco3d } = await import('draco3d');
+    dracoEncoder = await draco3d.createEncoderModule({});
+  }
+}
+
+/**
+ * Check whether GLB options change the output
+ * @param {Object} options - GLB options (optional)
+ * @returns {boolean}
+ */
+export function isGLBCompressed(options) {
+  return Boolean(options) && (options.quantize || (options.compression || 'none') !== 'none');
+}
+
+/**
+ * Quantize and/or compress a glTF document
+ * Accessors must be tightly packed in buffer 0, as the GLB writers lay them
+ * out. The document's buffer views are rebuilt: one per accessor and image
+ * (and Draco primitive); unused accessors are dropped.
+ * @param {Object} gltf - glTF JSON (modified)
+ * @param {Buffer} binBuffer - Binary buffer content
+ * @param {Object} options - Resolved GLB options { quantize, compression }
+ * @returns {{gltf: Object, binBuffer: Buffer}} Compressed document and binary buffer
+ * @throws {Error} If the encoder of the compression mode was not loaded
+ */
+export function compressGLTF(gltf, binBuffer, { quantize = false, compression = 'none' } = {}) {
+  if (compression === 'meshopt' && !meshoptEncoder) {
+    throw new Error('meshopt encoder is not loaded (call loadGLBEncoders first)');
+  }
+  if (compression === 'draco' && !dracoEncoder) {
+    throw new Error('Draco encoder is not loaded (call loadGLBEncoders first)');
+  }
+
+  // Accessor data is read once, then transformed in place
+  const entries = (gltf.accessors || []).map(accessor => ({
+    accessor: { ...accessor },
+    array: readAccessor(gltf, binBuffer, accessor)
+  }));
+  const images = (gltf.images || []).map(image => image.bufferView !== undefined
+    ? readBufferView(gltf, binBuffer, image.bufferView)
+    : null);
+
+  if (quantize) {
+    quantizeMeshes(gltf, entries);
+  }
+  const dracoBlobs = compression === 'draco' ? encodeDracoPrimitives(gltf, entries) : [];
+
+  return layoutDocument(gltf, entries, images, dracoBlobs, compression === 'meshopt');
+}
+
+/**
+ * Read the bytes of a buffer view
+ */
+function readBufferView(gltf, binBuffer, viewIndex) {
+  const view = gltf.bufferViews[viewIndex];
+  const start = view.byteOffset || 0;
+  return Buffer.from(binBuffer.subarray(start, start + view.byteLength));
+}
+
+/**
+ * Read an accessor's values into a typed array of its component type
+ */
+function readAccessor(gltf, binBuffer, accessor) {
+  const ArrayType = COMPONENT_ARRAYS[accessor.componentType];
+  const length = accessor.count * COMPONENT_COUNTS[accessor.type];
+  const view = gltf.bufferViews[accessor.bufferView];
+  const start = (view.byteOffset || 0) + (accessor.byteOffset || 0);
+  // Copied, since the binary buffer need not be aligned for the array type
+  const bytes = Uint8Array.from(binBuffer.subarray(start, start + length * ArrayType.BYTES_PER_ELEMENT));
+  return new ArrayType(bytes.buffer);
+}
+
+/**
+ * Greatest common divisor of two non-negative numbers, within a tolerance
+ */
+function approximateGcd(a, b, tolerance) {
+  while (b > tolerance) {
+    let remainder = a % b;
+    if (b - remainder <= tolerance) remainder = 0;
+    [a, b] = [b, remainder];
+  }
+  return a;
+}
+
+/**
+ * Find the grid that positions sit on
+ * Item voxels and most model elements lie on a pixel grid, so storing each
+ * coordinate as a whole number of grid steps from the minimum is lossless.
+ * Positions off any grid (rotated elements) use the finest 16-bit grid over
+ * their range instead.
+ * @param {Float32Array[]} arrays - Position arrays (VEC3)
+ * @returns {{origin: number[], step: number, maxIndex: number, exact: boolean}} Grid origin (per-axis minimum),
+ *   uniform step, largest grid index and whether every position is on the grid
+ */
+function findPositionGrid(arrays) {
+  const origin = [Infinity, Infinity, Infinity];
+  let largest = 0;
+  for (const array of arrays) {
+    for (let i = 0; i < array.length; i++) {
+      origin[i % 3] = Math.min(origin[i % 3], array[i]);
+      largest = Math.max(largest, Math.abs(array[i]));
+    }
+  }
+  if (origin[0] === Infinity) {
+    return { origin: [0, 0, 0], step: 1, maxIndex: 0, exact: true };
+  }
+
+  // Float32 positions carry rounding noise relative to their magnitude
+  const tolerance = Math.max(largest, 1e-6) * 1e-6;
+  const deltas = new Set();
+  let range = 0;
+  for (const array of arrays) {
+    for (let i = 0; i < array.length; i++) {
+      const delta = array[i] - origin[i % 3];
+      deltas.add(delta);
+      range = Math.max(range, delta);
+    }
+  }
+  if (range <= tolerance) {
+    return { origin, step: 1, maxIndex: 0, exact: true };
+  }
+
+  let step = 0;
+  for (const delta of deltas) {
+    step = approximateGcd(Math.max(step, delta), Math.min(step, delta), tolerance);
+  }
+  // The remainders carry the noise along; the range holds a whole number of steps
+  if (step > tolerance) {
+    step = range / Math.round(range / step);
+  }
+  const onGrid = step > tolerance && range / step <= MAX_QUANTIZED_POSITION &&
+    [...deltas].every(delta => Math.abs(Math.round(delta / step) * step - delta) <= tolerance);
+  if (!onGrid) {
+    step = range / MAX_QUANTIZED_POSITION;
+  }
+
+  return { origin, step, maxIndex: Math.round(range / step), exact: onGrid };
+}
+
+/**
+ * Apply KHR_mesh_quantization to every mesh
+ * Positions become unsigned shorts (grid steps from the grid origin, see
+ * findPositionGrid); the mesh moves to a child node of its node that scales
+ * and offsets them back, so the node's own transform, children and animations
+ * are unchanged. Normals become normalized bytes and UVs within 0-1 normalized
+ * unsigned shorts.
+ * @param {Object} gltf - glTF JSON (meshes and nodes are modified)
+ * @param {Object[]} entries - Accessor entries { accessor, array } (modified)
+ */
+function quantizeMeshes(gltf, entries) {
+  const nodeCount = gltf.nodes.length;
+  gltf.meshes.forEach((mesh, meshIndex) => {
+    const attributeSets = [...new Set(mesh.primitives.map(primitive => primitive.attributes))];
+    const positionIndices = [...new Set(attributeSets.map(attributes => attributes.POSITION))];
+    const grid = findPositionGrid(positionIndices.map(index => entries[index].array));
+
+    for (const index of positionIndices) {
+      const entry = entries[index];
+      const positions = new Uint16Array(entry.array.length);
+      for (let i = 0; i < positions.length; i++) {
+        positions[i] = Math.round((entry.array[i] - grid.origin[i % 3]) / grid.step);
+      }
+      setQuantized(entry, positions, 5123, false); // UNSIGNED_SHORT
+      Object.assign(entry.accessor, getBounds(positions, 3));
+    }
+
+    for (const attributes of attributeSets) {
+      const normals = entries[attributes.NORMAL];
+      if (normals && normals.accessor.componentType === 5126) {
+        setQuantized(normals, Int8Array.from(normals.array, value => Math.round(value * 127)), 5120, true); // BYTE
+      }
+      const uvs = entries[attributes.TEXCOORD_0];
+      if (uvs && uvs.accessor.componentType === 5126 && uvs.array.every(value => value >= 0 && value <= 1)) {
+        setQuantized(uvs, Uint16Array.from(uvs.array, value => Math.round(value * 65535)), 5123, true); // UNSIGNED_SHORT
+      }
+    }
+
+    // Dequantize through a child node: position = origin + step * stored
+    for (let nodeIndex = 0; nodeIndex < nodeCount; nodeIndex++) {
+      const node = gltf.nodes[nodeIndex];
+      if (node.mesh !== meshIndex) continue;
+      delete node.mesh;
+      node.children = [...(node.children || []), gltf.nodes.length];
+      gltf.nodes.push({
+        name: `${mesh.name || node.name}_mesh`,
+        mesh: meshIndex,
+        translation: grid.origin,
+        scale: [grid.step, grid.step, grid.step]
+      });
+    }
+  });
+
+  addExtension(gltf, 'KHR_mesh_quantization', true);
+}
+
+/**
+ * Replace an entry's values with quantized ones
+ */
+function setQuantized(entry, array, componentType, normalized) {
+  entry.array = array;
+  entry.accessor.componentType = componentType;
+  if (normalized) {
+    entry.accessor.normalized = true;
+  }
+}
+
+/**
+ * Encode every primitive with Draco (KHR_draco_mesh_compression)
+ * Each primitive is encoded with only the vertices it uses; its attribute and
+ * index accessors are replaced by new ones without buffer views, counted as
+ * the decoder outputs them. Positions use an explicit quantization grid, so
+ * grid-aligned positions decode exactly (see findPositionGrid).
+ * @param {Object} gltf - glTF JSON (primitives are modified)
+ * @param {Object[]} entries - Accessor entries (new entries are appended)
+ * @returns {Object[]} Draco data { extension, data }; the extension's bufferView is set by layoutDocument
+ */
+function encodeDracoPrimitives(gltf, entries) {
+  const draco = dracoEncoder;
+  const attributeTypes = { POSITION: draco.POSITION, NORMAL: draco.NORMAL, TEXCOORD_0: draco.TEX_COORD, COLOR_0: draco.COLOR };
+  const blobs = [];
+
+  for (const mesh of gltf.meshes) {
+    for (const primitive of mesh.primitives) {
+      // Vertices used by the primitive, in first-use order
+      const indices = entries[primitive.indices].array;
+      const vertexIndex = new Map();
+      const faces = new Uint32Array(indices.length);
+      indices.forEach((vertex, i) => {
+        if (!vertexIndex.has(vertex)) vertexIndex.set(vertex, vertexIndex.size);
+        faces[i] = vertexIndex.get(vertex);
+      });
+      const vertices = [...vertexIndex.keys()];
+
+      const dracoMesh = new draco.Mesh();
+      const builder = new draco.MeshBuilder();
+      const encoder = new draco.Encoder();
+      const dracoBuffer = new draco.DracoInt8Array();
+      encoder.SetTrackEncodedProperties(true); // for the point and face counts below
+      builder.AddFacesToMesh(dracoMesh, faces.length / 3, faces);
+
+      const attributes = {};
+      const dracoAttributes = {};
+      for (const [semantic, accessorIndex] of Object.entries(primitive.attributes)) {
+        const { accessor, array } = entries[accessorIndex];
+        const components = COMPONENT_COUNTS[accessor.type];
+        const values = new Float32Array(vertices.length * components);
+        vertices.forEach((vertex, i) => {
+          for (let c = 0; c < components; c++) values[i * components + c] = array[vertex * components + c];
+        });
+        const type = attributeTypes[semantic] ?? draco.GENERIC;
+        dracoAttributes[semantic] = builder.AddFloatAttributeToMesh(dracoMesh, type, vertices.length, components, values);
+
+        if (semantic === 'POSITION') {
+          const grid = findPositionGrid([values]);
+          const bits = Math.max(1, Math.ceil(Math.log2(grid.maxIndex + 1)));
+          encoder.SetAttributeExplicitQuantization(type, bits, 3, grid.origin, grid.step * (2 ** bits - 1));
+        } else {
+          encoder.SetAttributeQuantization(type, DRACO_QUANTIZATION_BITS[semantic] ?? DRACO_QUANTIZATION_BITS.GENERIC);
+        }
+
+        attributes[semantic] = {
+          componentType: 5126, // FLOAT
+          type: accessor.type,
+          ...(semantic === 'POSITION' && getBounds(values, 3))
+        };
+      }
+
+      const length = encoder.EncodeMeshToDracoBuffer(dracoMesh, dracoBuffer);
+      const pointCount = encoder.GetNumberOfEncodedPoints();
+      const faceCount = encoder.GetNumberOfEncodedFaces();
+      const data = Buffer.alloc(Math.max(length, 0));
+      for (let i = 0; i < data.length; i++) {
+        data[i] = dracoBuffer.GetValue(i);
+      }
+      [dracoBuffer, encoder, builder, dracoMesh].forEach(object => draco.destroy(object));
+      if (length <= 0) {
+        throw new Error(`Draco encoding failed for mesh ${mesh.name}`);
+      }
+
+      // New accessors, as the decoder outputs them
+      const addEntry = (accessor) => {
+        entries.push({ accessor, array: null });
+        return entries.length - 1;
+      };
+      primitive.attributes = Object.fromEntries(Object.entries(attributes)
+        .map(([semantic, accessor]) => [semantic, addEntry({ ...accessor, count: pointCount })]));
+      primitive.indices = addEntry({
+        componentType: pointCount > 65535 ? 5125 : 5123, // UNSIGNED_INT or UNSIGNED_SHORT
+        count: faceCount * 3,
+        type: 'SCALAR'
+      });
+      const extension = { attributes: dracoAttributes };
+      primitive.extensions = { ...primitive.extensions, KHR_draco_mesh_compression: extension };
+      blobs.push({ extension, data });
+    }
+  }
+
+  addExtension(gltf, 'KHR_draco_mesh_compression', true);
+  return blobs;
+}
+
+/**
+ * Get the min/max of a vector array
+ */
+function getBounds(values, components) {
+  const min = new Array(components).fill(Infinity);
+  const max = new Array(components).fill(-Infinity);
+  values.forEach((value, i) => {
+    min[i % components] = Math.min(min[i % components], value);
+    max[i % components] = Math.max(max[i % components], value);
+  });
+  return { min, max };
+}
+
+/**
+ * Lay out the accessors, images and Draco data in a new binary buffer
+ * Vertex attributes are padded to 4-byte elements. With meshopt, vertex
+ * attributes and triangle indices are compressed into buffer 0 and decode
+ * into a fallback buffer 1 that has no data (EXT_meshopt_compression).
+ * @returns {{gltf: Object, binBuffer: Buffer}}
+ */
+function layoutDocument(gltf, entries, images, dracoBlobs, meshopt) {
+  const align4 = (n) => Math.ceil(n / 4) * 4;
+  const chunks = [];
+  let byteLength = 0;
+  let fallbackLength = 0;
+  const bufferViews = [];
+  const append = (data) => {
+    const byteOffset = byteLength;
+    chunks.push({ data, offset: byteOffset });
+    byteLength += align4(data.length);
+    return byteOffset;
+  };
+  const addView = (data, view = {}) => {
+    bufferViews.push({ buffer: 0, byteOffset: append(data), byteLength: data.length, ...view });
+    return bufferViews.length - 1;
+  };
+  const addMeshoptView = (data, stride, count, mode) => {
+    const encoded = Buffer.from(meshoptEncoder.encodeGltfBuffer(new Uint8Array(data.buffer, data.byteOffset, data.length), count, stride, mode));
+    bufferViews.push({
+      buffer: 1,
+      byteOffset: fallbackLength,
+      byteLength: data.length,
+      ...(mode === 'ATTRIBUTES' && { byteStride: stride }),
+      extensions: {
+        EXT_meshopt_compression: { buffer: 0, byteOffset: append(encoded), byteLength: encoded.length, byteStride: stride, mode, count }
+      }
+    });
+    fallbackLength += align4(data.length);
+    return bufferViews.length - 1;
+  };
+
+  // Accessors in use, renumbered
+  const accessors = [];
+  const accessorIndex = new Map();
+  const vertexAttributes = new Set();
+  const triangleIndices = new Set();
+  const useAccessor = (index) => {
+    if (!accessorIndex.has(index)) {
+      accessorIndex.set(index, accessors.length);
+      accessors.push(index);
+    }
+    return accessorIndex.get(index);
+  };
+  for (const mesh of gltf.meshes || []) {
+    const attributeSets = new Map();
+    for (const primitive of mesh.primitives) {
+      // Primitives may share one attributes object
+      if (!attributeSets.has(primitive.attributes)) {
+        attributeSets.set(primitive.attributes, Object.fromEntries(Object.entries(primitive.attributes)
+          .map(([semantic, index]) => {
+            vertexAttributes.add(index);
+            return [semantic, useAccessor(index)];
+          })));
+      }
+      primitive.attributes = attributeSets.get(primitive.attributes);
+      if (primitive.indices !== undefined) {
+        if ((primitive.mode ?? 4) === 4) triangleIndices.add(primitive.indices); // TRIANGLES
+        primitive.indices = useAccessor(primitive.indices);
+      }
+    }
+  }
+  for (const animation of gltf.animations || []) {
+    for (const sampler of animation.samplers) {
+      sampler.input = useAccessor(sampler.input);
+      sampler.output = useAccessor(sampler.output);
+    }
+  }
+
+  gltf.accessors = accessors.map(index => {
+    const { accessor, array } = entries[index];
+    const { bufferView, byteOffset, ...rest } = accessor;
+    if (!array) return rest;
+
+    const data = Buffer.from(array.buffer, array.byteOffset, array.byteLength);
+    const elementSize = COMPONENT_COUNTS[accessor.type] * array.BYTES_PER_ELEMENT;
+    if (vertexAttributes.has(index)) {
+      // Vertex attribute elements start on 4-byte boundaries
+      const stride = align4(elementSize);
+      let padded = data;
+      if (stride !== elementSize) {
+        padded = Buffer.alloc(stride * accessor.count);
+        for (let i = 0; i < accessor.count; i++) {
+          data.copy(padded, i * stride, i * elementSize, (i + 1) * elementSize);
+        }
+      }
+      const view = meshopt
+        ? addMeshoptView(padded, stride, accessor.count, 'ATTRIBUTES')
+        : addView(padded, stride !== elementSize ? { byteStride: stride } : {});
+      return { bufferView: view, ...rest };
+    }
+    if (meshopt && triangleIndices.has(index) && accessor.count % 3 === 0) {
+      return { bufferView: addMeshoptView(data, array.BYTES_PER_ELEMENT, accessor.count, 'TRIANGLES'), ...rest };
+    }
+    return { bufferView: addView(data), ...rest };
+  });
+
+  (gltf.images || []).forEach((image, index) => {
+    if (images[index]) image.bufferView = addView(images[index]);
+  });
+  for (const { extension, data } of dracoBlobs) {
+    extension.bufferView = addView(data);
+  }
+
+  gltf.bufferViews = bufferViews;
+  gltf.buffers = [{ byteLength }];
+  if (meshopt) {
+    gltf.buffers.push({ byteLength: fallbackLength, extensions: { EXT_meshopt_compression: { fallback: true } } });
+    addExtension(gltf, 'EXT_meshopt_compression', true);
+  }
+
+  const binBuffer = Buffer.alloc(byteLength);
+  for (const { data, offset } of chunks) {
+    data.copy(binBuffer, offset);
+  }
+  return { gltf, binBuffer };
+}
+
+/**
+ * List an extension as used (and required)
+ */
+function addExtension(gltf, name, required) {
+  gltf.extensionsUsed = [...new Set([...(gltf.extensionsUsed || []), name])];
+  if (required) {
+    gltf.extensionsRequired = [...new Set([...(gltf.extensionsRequired || []), name])];
+  }
+}
@@ -3,162 +3,85 @@
  * Generates GLB 2.0 format compatible with Roblox
  */
 
+import { calculateBounds } from './geometryBuilder.js';
+import { buildDisplayNodes } from './displayTransforms.js';
+import { compressGLTF, isGLBCompressed } from './glbCompression.js';
+
+/**
+ * Convert an sRGB channel (0-1) to linear, as glTF expects for COLOR_0
+ * @param {number} value - sRGB channel (0-1)
+ * @returns {number} Linear channel (0-1)
+ */
+export function srgbToLinear(value) {
+  return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
 /**
- * Generate GLB binary content from pixel data
+ * Generate GLB binary content from an item mesh
  * @param {Object} options - Generation options
- * @param {string} options.modelName - Name of the model
- * @param {number} options.width - Texture width in pixels
- * @param {number} options.height - Texture height in pixels
- * @param {Uint8Array} options.pixels - RGBA pixel data
- * @param {number} options.channels - Number of channels (should be 4)
- * @param {number} options.scale - Scale factor
+ * @param {Object} options.mesh - Item mesh from buildItemMesh
  * @param {string} options.coordinateSystem - 'z-up' or 'y-up'
  * @param {Buffer} options.textureData - PNG texture data (optional, for embedded texture)
- * @returns {Buffer} GLB binary content
+ *   Meshes with vertex colors get a COLOR_0 attribute instead of needing a texture
+ * @param {Object} options.display - Item model display block (optional)
+ * @param {string} options.displayMode - 'extras' or 'nodes' to write the display transforms (see displayTransforms.js)
+ * @param {number} options.pixelSize - Mesh units per model pixel, for display translations
+ * @param {Object} options.external - Write a .gltf with external files { binUri, textureUri } instead of a GLB (optional);
+ *   the texture is referenced by `textureUri` rather than embedded
+ * @param {Object} options.glbOptions - GLB options { quantize, compression } (optional, see glbCompression.js)
+ * @returns {Buffer|{json: string, bin: Buffer}|null} GLB binary content (or the .gltf JSON and .bin content), or null if the mesh is empty
  */
-export function generateGLBFromPixels({
-  modelName,
-  width,
-  height,
-  pixels,
-  channels = 4,
-  scale = 1.0,
+export function generateGLBFromMesh({
+  mesh,
   coordinateSystem = 'z-up',
-  textureData = null
+  textureData = null,
+  display = null,
+  displayMode = 'none',
+  pixelSize = 1 / 16,
+  external = null,
+  glbOptions = null
 }) {
-  // Collect all opaque pixel positions
-  const opaquePixels = [];
-  const alphaThreshold = 128;
-
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const index = (y * width + x) * channels;
-      const alpha = pixels[index + 3];
-      if (alpha >= alphaThreshold) {
-        opaquePixels.push({ x, y });
-      }
-    }
-  }
-
-  if (opaquePixels.length === 0) {
+  if (mesh.indices.length === 0) {
     return null;
   }
 
-  // Calculate pixel size
-  const pixelSize = scale / Math.max(width, height);
-  const halfWidth = (width * pixelSize) / 2;
-  const halfHeight = (height * pixelSize) / 2;
-  const thickness = pixelSize * 0.5;
-
-  // Generate mesh data
-  const positions = [];
-  const normals = [];
-  const uvs = [];
-  const indices = [];
-
-  for (const pixel of opaquePixels) {
-    const baseIndex = positions.length / 3;
-
-    // Calculate pixel bounds in world space
-    const left = pixel.x * pixelSize - halfWidth;
-    const right = (pixel.x + 1) * pixelSize - halfWidth;
-    const bottom = (height - pixel.y - 1) * pixelSize - halfHeight;
-    const top = (height - pixel.y) * pixelSize - halfHeight;
-
-    // UV coordinates for this pixel (mirrored for correct orientation)
-    // In GLTF, V=0 is at top of image, V=1 is at bottom
-    const uvLeft = pixel.x / width;
-    const uvRight = (pixel.x + 1) / width;
-    const uvTop = pixel.y / height;
-    const uvBottom = (pixel.y + 1) / height;
-
-    // GLTF uses Y-up by default, so we need to convert if using Z-up
-    const addVertex = (x, y, z, nx, ny, nz, u, v) => {
-      if (coordinateSystem === 'z-up') {
-        // Convert Z-up to Y-up for GLTF (swap Y and Z)
-        positions.push(x, z, -y);
-        normals.push(nx, nz, -ny);
-      } else {
-        positions.push(x, y, z);
-        normals.push(nx, ny, nz);
-      }
-      uvs.push(u, v);
-    };
-
-    // Front face (+Z in model space)
-    const frontZ = thickness / 2;
-    addVertex(left, bottom, frontZ, 0, 0, 1, uvLeft, uvBottom);
-    addVertex(right, bottom, frontZ, 0, 0, 1, uvRight, uvBottom);
-    addVertex(right, top, frontZ, 0, 0, 1, uvRight, uvTop);
-    addVertex(left, top, frontZ, 0, 0, 1, uvLeft, uvTop);
-    indices.push(baseIndex, baseIndex + 1, baseIndex + 2);
-    indices.push(baseIndex, baseIndex + 2, baseIndex + 3);
-
-    // Back face (-Z in model space)
-    const backZ = -thickness / 2;
-    const backBase = positions.length / 3;
-    addVertex(right, bottom, backZ, 0, 0, -1, uvLeft, uvBottom);
-    addVertex(left, bottom, backZ, 0, 0, -1, uvRight, uvBottom);
-    addVertex(left, top, backZ, 0, 0, -1, uvRight, uvTop);
-    addVertex(right, top, backZ, 0, 0, -1, uvLeft, uvTop);
-    indices.push(backBase, backBase + 1, backBase + 2);
-    indices.push(backBase, backBase + 2, backBase + 3);
-
-    // Top face (+Y in model space)
-    const topBase = positions.length / 3;
-    addVertex(left, top, frontZ, 0, 1, 0, uvLeft, uvTop);
-    addVertex(right, top, frontZ, 0, 1, 0, uvRight, uvTop);
-    addVertex(right, top, backZ, 0, 1, 0, uvRight, uvTop);
-    addVertex(left, top, backZ, 0, 1, 0, uvLeft, uvTop);
-    indices.push(topBase, topBase + 1, topBase + 2);
-    indices.push(topBase, topBase + 2, topBase + 3);
-
-    // Bottom face (-Y in model space)
-    const bottomBase = positions.length / 3;
-    addVertex(left, bottom, backZ, 0, -1, 0, uvLeft, uvBottom);
-    addVertex(right, bottom, backZ, 0, -1, 0, uvRight, uvBottom);
-    addVertex(right, bottom, frontZ, 0, -1, 0, uvRight, uvBottom);
-    addVertex(left, bottom, frontZ, 0, -1, 0, uvLeft, uvBottom);
-    indices.push(bottomBase, bottomBase + 1, bottomBase + 2);
-    indices.push(bottomBase, bottomBase + 2, bottomBase + 3);
-
-    // Right face (+X in model space)
-    const rightBase = positions.length / 3;
-    addVertex(right, bottom, frontZ, 1, 0, 0, uvRight, uvBottom);
-    addVertex(right, bottom, backZ, 1, 0, 0, uvRight, uvBottom);
-    addVertex(right, top, backZ, 1, 0, 0, uvRight, uvTop);
-    addVertex(right, top, frontZ, 1, 0, 0, uvRight, uvTop);
-    indices.push(rightBase, rightBase + 1, rightBase + 2);
-    indices.push(rightBase, rightBase + 2, rightBase + 3);
-
-    // Left face (-X in model space)
-    const leftBase = positions.length / 3;
-    addVertex(left, bottom, backZ, -1, 0, 0, uvLeft, uvBottom);
-    addVertex(left, bottom, frontZ, -1, 0, 0, uvLeft, uvBottom);
-    addVertex(left, top, frontZ, -1, 0, 0, uvLeft, uvTop);
-    addVertex(left, top, backZ, -1, 0, 0, uvLeft, uvTop);
-    indices.push(leftBase, leftBase + 1, leftBase + 2);
-    indices.push(leftBase, leftBase + 2, leftBase + 3);
+  const modelName = mesh.name;
+  const vertexCount = mesh.positions.length / 3;
+
+  // GLTF uses Y-up by default, so we need to convert if using Z-up
+  let positionBuffer = mesh.positions;
+  let normalBuffer = mesh.normals;
+  if (coordinateSystem === 'z-up') {
+    // Convert Z-up to Y-up for GLTF (swap Y and Z)
+    positionBuffer = new Float32Array(mesh.positions.length);
+    normalBuffer = new Float32Array(mesh.normals.length);
+    for (let i = 0; i < vertexCount; i++) {
+      positionBuffer[i * 3] = mesh.positions[i * 3];
+      positionBuffer[i * 3 + 1] = mesh.positions[i * 3 + 2];
+      positionBuffer[i * 3 + 2] = -mesh.positions[i * 3 + 1];
+      normalBuffer[i * 3] = mesh.normals[i * 3];
+      normalBuffer[i * 3 + 1] = mesh.normals[i * 3 + 2];
+      normalBuffer[i * 3 + 2] = -mesh.normals[i * 3 + 1];
+    }
   }
 
   // Calculate bounds for accessor min/max
-  let minPos = [Infinity, Infinity, Infinity];
-  let maxPos = [-Infinity, -Infinity, -Infinity];
-  for (let i = 0; i < positions.length; i += 3) {
-    minPos[0] = Math.min(minPos[0], positions[i]);
-    minPos[1] = Math.min(minPos[1], positions[i + 1]);
-    minPos[2] = Math.min(minPos[2], positions[i + 2]);
-    maxPos[0] = Math.max(maxPos[0], positions[i]);
-    maxPos[1] = Math.max(maxPos[1], positions[i + 1]);
-    maxPos[2] = Math.max(maxPos[2], positions[i + 2]);
+  const { min: minPos, max: maxPos } = calculateBounds(positionBuffer);
+
+  // UVs are already in GLTF space (V=0 at top of image)
+  const uvBuffer = mesh.uvs;
+  const indexBuffer = mesh.indices;
+  const indexComponentType = indexBuffer instanceof Uint32Array ? 5125 : 5123; // UNSIGNED_INT or UNSIGNED_SHORT
+
+  // Vertex colors are stored as sRGB in the mesh, linear in glTF
+  let colorBuffer = null;
+  if (mesh.colors) {
+    colorBuffer = new Float32Array(mesh.colors.length);
+    for (let i = 0; i < mesh.colors.length; i++) {
+      colorBuffer[i] = i % 4 === 3 ? mesh.colors[i] : srgbToLinear(mesh.colors[i]);
+    }
   }
 
-  // Create binary buffer
-  const positionBuffer = new Float32Array(positions);
-  const normalBuffer = new Float32Array(normals);
-  const uvBuffer = new Float32Array(uvs);
-  const indexBuffer = indices.length > 65535 ? new Uint32Array(indices) : new Uint16Array(indices);
-
   // Calculate buffer offsets and lengths
   const positionByteLength = positionBuffer.byteLength;
   const normalByteLength = normalBuffer.byteLength;
@@ -181,11 +104,19 @@ export function generateGLBFromPixels({
   const indexOffset = bufferOffset;
   bufferOffset += align4(indexByteLength);
 
+  let colorOffset = 0;
+  if (colorBuffer) {
+    colorOffset = bufferOffset;
+    bufferOffset += align4(colorBuffer.byteLength);
+  }
+
+  // External .gltf files reference the texture instead
+  const embeddedTexture = external ? null : textureData;
   let imageOffset = 0;
   let imageByteLength = 0;
-  if (textureData) {
+  if (embeddedTexture) {
     imageOffset = bufferOffset;
-    imageByteLength = textureData.length;
+    imageByteLength = embeddedTexture.length;
     bufferOffset += align4(imageByteLength);
   }
 
@@ -213,21 +144,23 @@ export function generateGLBFromPixels({
     }],
     meshes: [{
       name: modelName,
-      primitives: [{
+      // One primitive per material group, all sharing the vertex attributes
+      primitives: mesh.groups.map((group, groupIndex) => ({
         attributes: {
           POSITION: 0,
           NORMAL: 1,
-          TEXCOORD_0: 2
+          TEXCOORD_0: 2,
+          ...(colorBuffer && { COLOR_0: 3 + mesh.groups.length })
         },
-        indices: 3,
-        material: 0
-      }]
+        indices: 3 + groupIndex,
+        material: group.material
+      }))
     }],
     accessors: [
       {
         bufferView: 0,
         componentType: 5126, // FLOAT
-        count: positions.length / 3,
+        count: vertexCount,
         type: "VEC3",
         min: minPos,
         max: maxPos
@@ -235,21 +168,22 @@ export function generateGLBFromPixels({
       {
         bufferView: 1,
         componentType: 5126, // FLOAT
-        count: normals.length / 3,
+        count: vertexCount,
         type: "VEC3"
       },
       {
         bufferView: 2,
         componentType: 5126, // FLOAT
-        count: uvs.length / 2,
+        count: vertexCount,
         type: "VEC2"
       },
-      {
+      ...mesh.groups.map(group => ({
         bufferView: 3,
-        componentType: indices.length > 65535 ? 5125 : 5123, // UNSIGNED_INT or UNSIGNED_SHORT
-        count: indices.length,
+        byteOffset: group.start * indexBuffer.BYTES_PER_ELEMENT,
+        componentType: indexComponentType,
+        count: group.count,
         type: "SCALAR"
-      }
+      }))
     ],
     bufferViews: [
       { buffer: 0, byteOffset: positionOffset, byteLength: positionByteLength },
@@ -258,27 +192,58 @@ export function generateGLBFromPixels({
       { buffer: 0, byteOffset: indexOffset, byteLength: indexByteLength }
     ],
     buffers: [{ byteLength: totalBufferLength }],
-    materials: [{
-      name: `${modelName}_material`,
+    materials: mesh.materials.map(material => ({
+      name: material.name,
       pbrMetallicRoughness: {
-        baseColorFactor: [1, 1, 1, 1],
+        // Layer tints multiply the texture (glTF factors are linear)
+        baseColorFactor: material.color
+          ? [...material.color.map(channel => srgbToLinear(channel / 255)), 1]
+          : [1, 1, 1, 1],
         metallicFactor: 0,
         roughnessFactor: 1
-      }
-    }]
+      },
+      // Translucent pixels blend with the texture alpha
+      ...(material.alphaMode === 'BLEND' && { alphaMode: "BLEND" })
+    }))
   };
 
+  // Display transforms as raw extras or as child nodes of the item node
+  if (display && Object.keys(display).length > 0) {
+    if (displayMode === 'extras') {
+      gltf.nodes[0].extras = { display };
+    } else if (displayMode === 'nodes') {
+      const displayNodes = buildDisplayNodes(display, pixelSize, coordinateSystem);
+      gltf.nodes[0].children = displayNodes.map((node, index) => index + 1);
+      gltf.nodes.push(...displayNodes);
+    }
+  }
+
+  // Vertex colors follow the index accessors
+  if (colorBuffer) {
+    gltf.bufferViews.push({ buffer: 0, byteOffset: colorOffset, byteLength: colorBuffer.byteLength });
+    gltf.accessors.push({
+      bufferView: gltf.bufferViews.length - 1,
+      componentType: 5126, // FLOAT
+      count: vertexCount,
+      type: "VEC4"
+    });
+  }
+
   // Add texture if provided
-  if (textureData) {
+  if (embeddedTexture) {
     gltf.bufferViews.push({
       buffer: 0,
       byteOffset: imageOffset,
       byteLength: imageByteLength
     });
     gltf.images = [{
-      bufferView: 4,
+      bufferView: gltf.bufferViews.length - 1,
       mimeType: "image/png"
     }];
+  } else if (external && external.textureUri) {
+    gltf.images = [{ uri: external.textureUri }];
+  }
+  if (gltf.images) {
     gltf.textures = [{
       source: 0,
       sampler: 0
@@ -289,24 +254,56 @@ export function generateGLBFromPixels({
       wrapS: 33071,    // CLAMP_TO_EDGE
       wrapT: 33071     // CLAMP_TO_EDGE
     }];
-    gltf.materials[0].pbrMetallicRoughness.baseColorTexture = { index: 0 };
+    for (const material of gltf.materials) {
+      material.pbrMetallicRoughness.baseColorTexture = { index: 0 };
+    }
   }
 
-  // Convert GLTF JSON to buffer
-  const jsonString = JSON.stringify(gltf);
-  const jsonBuffer = Buffer.from(jsonString, 'utf8');
-  const jsonPaddedLength = align4(jsonBuffer.length);
-  const jsonPadding = jsonPaddedLength - jsonBuffer.length;
-
   // Create binary buffer
   const binBuffer = Buffer.alloc(totalBufferLength);
   Buffer.from(positionBuffer.buffer).copy(binBuffer, positionOffset);
   Buffer.from(normalBuffer.buffer).copy(binBuffer, normalOffset);
   Buffer.from(uvBuffer.buffer).copy(binBuffer, uvOffset);
   Buffer.from(indexBuffer.buffer).copy(binBuffer, indexOffset);
-  if (textureData) {
-    textureData.copy(binBuffer, imageOffset);
+  if (colorBuffer) {
+    Buffer.from(colorBuffer.buffer).copy(binBuffer, colorOffset);
   }
+  if (embeddedTexture) {
+    embeddedTexture.copy(binBuffer, imageOffset);
+  }
+
+  return packGLTF(gltf, binBuffer, { external, glbOptions });
+}
+
+/**
+ * Pack a glTF document with its binary buffer
+ * GLBs carry both in one file; with `external` the buffer is referenced by
+ * its `binUri` instead, to be written as a .bin next to the .gltf. Quantization
+ * and compression are applied first (see glbCompression.js).
+ * @param {Object} gltf - glTF JSON (buffers[0] is the binary buffer)
+ * @param {Buffer} binBuffer - Binary buffer content
+ * @param {Object} options - Packing options
+ * @param {Object} options.external - { binUri } to pack a .gltf instead of a GLB (optional)
+ * @param {Object} options.glbOptions - GLB options { quantize, compression } (optional)
+ * @returns {Buffer|{json: string, bin: Buffer}} GLB binary content, or the .gltf JSON and .bin content
+ */
+export function packGLTF(gltf, binBuffer, { external = null, glbOptions = null } = {}) {
+  if (isGLBCompressed(glbOptions)) {
+    ({ gltf, binBuffer } = compressGLTF(gltf, binBuffer, glbOptions));
+  }
+
+  if (external) {
+    gltf.buffers[0].uri = external.binUri;
+    return { json: JSON.stringify(gltf, null, 2), bin: binBuffer };
+  }
+
+  const align4 = (n) => Math.ceil(n / 4) * 4;
+
+  // Convert GLTF JSON to buffer
+  const jsonString = JSON.stringify(gltf);
+  const jsonBuffer = Buffer.from(jsonString, 'utf8');
+  const jsonPaddedLength = align4(jsonBuffer.length);
+  const jsonPadding = jsonPaddedLength - jsonBuffer.length;
 
   const binPaddedLength = align4(binBuffer.length);
   const binPadding = binPaddedLength - binBuffer.length;
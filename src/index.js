@@ -4,8 +4,14 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import path from 'path';
 import fs from 'fs-extra';
-import { convertDirectory, convertTexturepacks, convertTexturepack, findItemsFolder, findBlocksFolder } from './converter.js';
+import { convertDirectory, convertTexturepacks, convertTexturepack, findItemsFolder, findBlocksFolder, OUTPUT_FORMATS } from './converter.js';
 import { uploadTexturepack } from './uploader.js';
+import { resolveItemOptions } from './itemMesh.js';
+import { resolveBlockModelOptions } from './blockModelParser.js';
+import { resolveDisplayOptions } from './displayTransforms.js';
+import { NODE_MODES } from './entityGlbGenerator.js';
+import { resolveAtlasOptions } from './textureAtlas.js';
+import { resolveGLBOptions, GLB_COMPRESSION_MODES } from './glbCompression.js';
 import { Spinner } from './progress.js';
 import { fileURLToPath } from 'url';
 
@@ -30,7 +36,33 @@ program
   .option('-s, --scale <number>', 'Scale factor for model size (applied uniformly to texturepack)', parseFloat, defaultConfig.scale)
   .option('--coordinate-system <system>', 'Coordinate system (z-up or y-up)', defaultConfig.coordinateSystem)
   .option('--texturepack-mode', 'Process texturepacks (default: auto-detect)', false)
-  .option('-f, --format <format>', 'Output format: obj, fbx, or both', 'both')
+  .option('-f, --format <format>', 'Output format for items and entities: obj, fbx (ASCII), fbx-binary, glb, gltf (.gltf + .bin + PNG), or both (obj and glb); entities are glb unless given', 'both')
+  .option('--fbx-embed-texture', 'Embed the texture PNG in binary FBX files (--format fbx-binary)', defaultConfig.fbx.embedTexture)
+  .option('--quantize', 'Store GLB/glTF vertex data as 16-bit and 8-bit integers (KHR_mesh_quantization)', defaultConfig.glb.quantize)
+  .option('--compression <mode>', `GLB/glTF mesh compression: ${GLB_COMPRESSION_MODES.join(', ')} (meshopt: EXT_meshopt_compression, draco: KHR_draco_mesh_compression)`, defaultConfig.glb.compression)
+  .option('--depth <pixels>', 'Item extrusion depth in pixels', parseFloat, defaultConfig.item.depth)
+  .option('--alpha-threshold <value>', 'Minimum pixel alpha (1-255) for item voxels', (value) => parseInt(value, 10), defaultConfig.item.alphaThreshold)
+  .option('--size-mode <mode>', 'Item sizing: fit (longest side = scale), width (width = scale), or pixel (16 pixels = scale)', defaultConfig.item.sizeMode)
+  .option('--alpha-mode <mode>', 'Pixels below the alpha threshold: mask (drop) or blend (separate translucent material)', defaultConfig.item.alphaMode)
+  .option('--color-mode <mode>', 'Item colors: texture (UV-mapped PNG) or vertex (baked vertex colors, no texture)', defaultConfig.item.colorMode)
+  .option('--keep-texture', 'Still write the per-item upscaled texture when models use vertex colors or an atlas', defaultConfig.item.keepTexture)
+  .option('--layer-mode <mode>', 'Layered item models: composite (flatten tinted layers) or materials (one material per layer)', defaultConfig.item.layerMode)
+  .option('--mesh-mode <mode>', 'Item geometry: voxel (pixel quads) or outline (triangulated outline with perimeter walls, texture colors only)', defaultConfig.item.meshMode)
+  .option('--outline-diagonals', 'Outline mesh mode: cut pixel staircases into diagonal edges (fewer triangles, silhouette loses half a pixel at each cut)', defaultConfig.item.outlineDiagonals)
+  .option('--animation-frame <index>', 'Frame of animated (.png.mcmeta) textures used for geometry and the upscaled texture', (value) => parseInt(value, 10), defaultConfig.animation.frame)
+  .option('--export-frames', 'Export every frame of animated textures with a frame-timing manifest', defaultConfig.animation.exportFrames)
+  .option('--item-atlas', 'Pack all item textures of a texturepack into shared atlas pages', false)
+  .option('--block-models', 'Convert block models and blockstates to GLBs (one per model and rotation)', false)
+  .option('--cull-faces <faces>', 'Block models: drop faces whose cullface points in these directions (comma-separated, e.g. down,north)', (value) => value.split(',').map(face => face.trim()).filter(Boolean), defaultConfig.blockModels.cullFaces)
+  .option('--tint-mode <mode>', 'Block models: tinted faces (grass, leaves) get a material per tintindex (material) or vertex colors (vertex)', defaultConfig.blockModels.tintMode)
+  .option('--display-mode <mode>', 'Model display transforms (held, gui, ground...): none, extras (GLB node extras), nodes (GLB child nodes) or bake (apply --display-transform to the geometry)', defaultConfig.display.mode)
+  .option('--display-transform <slot>', 'Display transform baked by --display-mode bake (e.g. thirdperson_righthand, gui, ground)', defaultConfig.display.transform)
+  .option('--atlas-padding <pixels>', 'Texture atlases: extruded edge pixels around each packed texture (stops bleeding)', (value) => parseInt(value, 10), defaultConfig.textureAtlas.padding)
+  .option('--atlas-size-mode <mode>', 'Block model and entity atlas size: native (texture pixels), multiplier (--atlas-multiplier pixels per texture pixel) or max (largest whole-number upscale within --atlas-max-size)', defaultConfig.textureAtlas.sizeMode)
+  .option('--atlas-multiplier <factor>', 'Pixels per texture pixel for --atlas-size-mode multiplier', (value) => parseInt(value, 10), defaultConfig.textureAtlas.multiplier)
+  .option('--atlas-max-size <pixels>', 'Longest entity atlas side for --atlas-size-mode max (block models use blockModels.textureResolution)', (value) => parseInt(value, 10), defaultConfig.textureAtlas.maxSize)
+  .option('--missing-texture <mode>', 'Block model and entity faces whose texture cannot be resolved: warn (use the first texture), checker (magenta-black checker) or error', defaultConfig.textureAtlas.missingTexture)
+  .option('--node-mode <mode>', 'Block model and entity GLBs: single (one mesh), elements (one node per element) or groups (one node per Blockbench group), pivoted for animation', defaultConfig.entityModels.nodeMode)
   .option('--upload', 'Upload FBX models to Roblox after conversion (requires .env config)', false)
   .action(async (options) => {
     const spinner = new Spinner('Initializing converter...');
@@ -47,6 +79,68 @@ program
         process.exit(1);
       }
 
+      // Item options (per-item sidecar JSON files override these)
+      const itemOptions = {
+        depth: options.depth,
+        alphaThreshold: options.alphaThreshold,
+        sizeMode: options.sizeMode,
+        alphaMode: options.alphaMode,
+        colorMode: options.colorMode,
+        keepTexture: options.keepTexture,
+        layerMode: options.layerMode,
+        meshMode: options.meshMode,
+        outlineDiagonals: options.outlineDiagonals,
+        tints: defaultConfig.item.tints
+      };
+      resolveItemOptions(itemOptions); // Fail fast on invalid CLI/config values
+
+      // Animated textures (texturepack mode only)
+      const animationOptions = {
+        frame: options.animationFrame,
+        exportFrames: options.exportFrames
+      };
+      if (!Number.isInteger(animationOptions.frame) || animationOptions.frame < 0) {
+        throw new Error(`Invalid animation frame: ${options.animationFrame} (expected a frame index >= 0)`);
+      }
+
+      // Shared item atlas (texturepack mode only)
+      const itemAtlas = options.itemAtlas ? { ...defaultConfig.itemAtlas } : null;
+
+      // Block models (texturepack mode only)
+      const blockModels = options.blockModels
+        ? resolveBlockModelOptions({ ...defaultConfig.blockModels, cullFaces: options.cullFaces, tintMode: options.tintMode })
+        : null;
+
+      // Model display transforms (texturepack mode only)
+      const displayOptions = resolveDisplayOptions({ mode: options.displayMode, transform: options.displayTransform });
+
+      if (!OUTPUT_FORMATS.includes(options.format)) {
+        throw new Error(`Invalid format: ${options.format} (expected ${OUTPUT_FORMATS.join(', ')})`);
+      }
+
+      // Entities stay GLB unless --format is given explicitly (texturepack mode only)
+      const entityFormat = program.getOptionValueSource('format') === 'cli' ? options.format : 'glb';
+
+      // Block model and entity GLB nodes (texturepack mode only)
+      if (!NODE_MODES.includes(options.nodeMode)) {
+        throw new Error(`Invalid node mode: ${options.nodeMode} (expected ${NODE_MODES.join(', ')})`);
+      }
+
+      // Texture atlas packing (item atlases, block models and entities)
+      const atlasOptions = resolveAtlasOptions({
+        padding: options.atlasPadding,
+        missingTexture: options.missingTexture,
+        sizeMode: options.atlasSizeMode,
+        multiplier: options.atlasMultiplier,
+        maxSize: options.atlasMaxSize
+      });
+
+      // FBX output
+      const fbxOptions = { embedTexture: options.fbxEmbedTexture };
+
+      // GLB/glTF quantization and compression (items, block models and entities)
+      const glbOptions = resolveGLBOptions({ quantize: options.quantize, compression: options.compression });
+
       const inputStats = await fs.stat(inputPath);
       const isDirectory = inputStats.isDirectory();
 
@@ -102,6 +196,16 @@ program
             scale: options.scale,
             coordinateSystem: options.coordinateSystem,
             format: options.format,
+            entityFormat,
+            itemOptions,
+            itemAtlas,
+            animationOptions,
+            blockModels,
+            displayOptions,
+            nodeMode: options.nodeMode,
+            atlasOptions,
+            fbxOptions,
+            glbOptions,
             showProgress: true
           });
 
@@ -123,7 +227,18 @@ program
             texturepacksDir: inputPath,
             outputDir,
             scale: options.scale,
-            coordinateSystem: options.coordinateSystem
+            coordinateSystem: options.coordinateSystem,
+            format: options.format,
+            entityFormat,
+            itemOptions,
+            itemAtlas,
+            animationOptions,
+            blockModels,
+            displayOptions,
+            nodeMode: options.nodeMode,
+            atlasOptions,
+            fbxOptions,
+            glbOptions
           });
         }
 
@@ -149,7 +264,11 @@ program
           outputDir,
           recursive: options.recursive,
           scale: options.scale,
-          coordinateSystem: options.coordinateSystem
+          coordinateSystem: options.coordinateSystem,
+          format: options.format,
+          itemOptions,
+          fbxOptions,
+          glbOptions
         });
 
         dirSpinner.succeed(`Converted ${results.success} files`);
@@ -0,0 +1,92 @@
+/**
+ * Item Layers for layered item models (layer0, layer1, ...)
+ * Tints and composites layer pixels, or lays them out side by side so each
+ * layer can keep its own material.
+ */
+
+/**
+ * Parse a tint color
+ * @param {string|number[]} value - '#rrggbb' or [r, g, b] (0-255)
+ * @returns {number[]} [r, g, b] (0-255)
+ */
+export function parseTint(value) {
+  if (typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value)) {
+    return [1, 3, 5].map(offset => parseInt(value.slice(offset, offset + 2), 16));
+  }
+  if (Array.isArray(value) && value.length === 3 &&
+      value.every(channel => Number.isInteger(channel) && channel >= 0 && channel <= 255)) {
+    return value;
+  }
+  throw new Error(`Invalid tint: ${JSON.stringify(value)} (expected "#rrggbb" or [r, g, b])`);
+}
+
+/**
+ * Multiply the RGB of every pixel by a tint color (like Minecraft's item tinting)
+ * @param {Uint8Array} pixels - RGBA pixel data
+ * @param {number[]} tint - [r, g, b] (0-255)
+ * @param {number} channels - Number of channels (4 for RGBA)
+ * @returns {Uint8Array} Tinted copy of the pixels
+ */
+export function applyTint(pixels, tint, channels = 4) {
+  const tinted = Uint8Array.from(pixels);
+  for (let i = 0; i < tinted.length; i += channels) {
+    tinted[i] = Math.round(tinted[i] * tint[0] / 255);
+    tinted[i + 1] = Math.round(tinted[i + 1] * tint[1] / 255);
+    tinted[i + 2] = Math.round(tinted[i + 2] * tint[2] / 255);
+  }
+  return tinted;
+}
+
+/**
+ * Composite layers bottom to top (layer0 first) with "over" alpha blending
+ * @param {Uint8Array[]} layerPixels - RGBA pixel data per layer, all the same size
+ * @param {number} channels - Number of channels (4 for RGBA)
+ * @returns {Uint8Array} Composited RGBA pixel data
+ */
+export function compositeLayers(layerPixels, channels = 4) {
+  const result = Uint8Array.from(layerPixels[0]);
+
+  for (const pixels of layerPixels.slice(1)) {
+    for (let i = 0; i < result.length; i += channels) {
+      const srcAlpha = pixels[i + 3] / 255;
+      if (srcAlpha === 0) continue;
+
+      const dstAlpha = result[i + 3] / 255;
+      const outAlpha = srcAlpha + dstAlpha * (1 - srcAlpha);
+      for (let c = 0; c < 3; c++) {
+        result[i + c] = Math.round(
+          (pixels[i + c] * srcAlpha + result[i + c] * dstAlpha * (1 - srcAlpha)) / outAlpha
+        );
+      }
+      result[i + 3] = Math.round(outAlpha * 255);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Lay layers out side by side in one texture (layer0 leftmost)
+ * Each layer keeps its own section, so the item still needs a single texture.
+ * @param {Uint8Array[]} layerPixels - RGBA pixel data per layer, all the same size
+ * @param {number} width - Layer width in pixels
+ * @param {number} height - Layer height in pixels
+ * @param {number} channels - Number of channels (4 for RGBA)
+ * @returns {{pixels: Uint8Array, width: number, height: number, channels: number}} Sheet pixel data
+ */
+export function buildLayerSheet(layerPixels, width, height, channels = 4) {
+  const sheetWidth = width * layerPixels.length;
+  const pixels = new Uint8Array(sheetWidth * height * channels);
+  const rowLength = width * channels;
+
+  layerPixels.forEach((layer, index) => {
+    for (let y = 0; y < height; y++) {
+      pixels.set(
+        layer.subarray(y * rowLength, (y + 1) * rowLength),
+        (y * sheetWidth + index * width) * channels
+      );
+    }
+  });
+
+  return { pixels, width: sheetWidth, height, channels };
+}
@@ -0,0 +1,335 @@
+/**
+ * Item Mesh builder for pixel-based item models
+ * Builds one format-independent mesh (positions, normals, UVs, groups, materials)
+ * per texture; the OBJ, GLB and FBX generators only serialize it.
+ */
+
+import { buildOpacityMask, buildColorKeys, meshMask } from './voxelMesher.js';
+import { meshOutline } from './outlineMesher.js';
+import { calculateBounds } from './geometryBuilder.js';
+import { parseTint } from './itemLayers.js';
+
+/**
+ * How the model is sized: world units per texture pixel for each mode
+ */
+const SIZE_MODES = {
+  fit: (width, height, scale) => scale / Math.max(width, height), // Longest side spans `scale`
+  width: (width, height, scale) => scale / width,                 // Texture width spans `scale`
+  pixel: (width, height, scale) => scale / 16                     // 16 pixels span `scale`, so HD items grow
+};
+
+/**
+ * Default item options (see config/default.json)
+ */
+export const DEFAULT_ITEM_OPTIONS = {
+  depth: 1,
+  alphaThreshold: 128,
+  sizeMode: 'fit',
+  alphaMode: 'mask',
+  colorMode: 'texture',
+  keepTexture: false,
+  layerMode: 'composite',
+  meshMode: 'voxel',
+  outlineDiagonals: false,
+  tints: {}
+};
+
+/**
+ * How pixels below the alpha threshold are handled
+ * - mask: dropped; everything else is rendered opaque
+ * - blend: kept (if alpha > 0) on a separate alpha-blended material
+ */
+const ALPHA_MODES = ['mask', 'blend'];
+
+/**
+ * Where item colors come from
+ * - texture: UV-mapped texture file
+ * - vertex: each voxel's RGBA baked into vertex colors (no texture needed)
+ */
+const COLOR_MODES = ['texture', 'vertex'];
+
+/**
+ * How layered item models (layer0, layer1, ...) are turned into a mesh
+ * - composite: layers are tinted and flattened into one texture
+ * - materials: every layer keeps its own material (tint becomes the material color)
+ */
+const LAYER_MODES = ['composite', 'materials'];
+
+/**
+ * How the solid pixels are turned into geometry
+ * - voxel: merged pixel quads on the front and back (vertex colors need these)
+ * - outline: the exact pixel silhouette traced into outlines, with triangulated
+ *   front and back caps and perimeter walls only (far fewer triangles);
+ *   outlineDiagonals also cuts staircases into diagonal edges
+ */
+const MESH_MODES = ['voxel', 'outline'];
+
+/**
+ * Merge and validate item options
+ * @param {Object} options - Run options (config/CLI)
+ * @param {Object} overrides - Per-item overrides (sidecar JSON)
+ * @returns {{depth: number, alphaThreshold: number, sizeMode: string, alphaMode: string, colorMode: string, keepTexture: boolean, layerMode: string, meshMode: string, outlineDiagonals: boolean, tints: Object}} Resolved options
+ */
+export function resolveItemOptions(options = {}, overrides = {}) {
+  const resolved = { ...DEFAULT_ITEM_OPTIONS };
+  for (const source of [options, overrides]) {
+    for (const key of Object.keys(DEFAULT_ITEM_OPTIONS)) {
+      if (source[key] !== undefined && source[key] !== null) {
+        resolved[key] = source[key];
+      }
+    }
+  }
+
+  if (typeof resolved.depth !== 'number' || !(resolved.depth > 0)) {
+    throw new Error(`Invalid depth: ${resolved.depth} (expected a positive number of pixels)`);
+  }
+  if (!Number.isInteger(resolved.alphaThreshold) || resolved.alphaThreshold < 1 || resolved.alphaThreshold > 255) {
+    throw new Error(`Invalid alphaThreshold: ${resolved.alphaThreshold} (expected an integer from 1 to 255)`);
+  }
+  if (!SIZE_MODES[resolved.sizeMode]) {
+    throw new Error(`Invalid sizeMode: ${resolved.sizeMode} (expected ${Object.keys(SIZE_MODES).join(', ')})`);
+  }
+  if (!ALPHA_MODES.includes(resolved.alphaMode)) {
+    throw new Error(`Invalid alphaMode: ${resolved.alphaMode} (expected ${ALPHA_MODES.join(', ')})`);
+  }
+  if (!COLOR_MODES.includes(resolved.colorMode)) {
+    throw new Error(`Invalid colorMode: ${resolved.colorMode} (expected ${COLOR_MODES.join(', ')})`);
+  }
+  if (typeof resolved.keepTexture !== 'boolean') {
+    throw new Error(`Invalid keepTexture: ${resolved.keepTexture} (expected true or false)`);
+  }
+  if (!LAYER_MODES.includes(resolved.layerMode)) {
+    throw new Error(`Invalid layerMode: ${resolved.layerMode} (expected ${LAYER_MODES.join(', ')})`);
+  }
+  if (!MESH_MODES.includes(resolved.meshMode)) {
+    throw new Error(`Invalid meshMode: ${resolved.meshMode} (expected ${MESH_MODES.join(', ')})`);
+  }
+  if (typeof resolved.outlineDiagonals !== 'boolean') {
+    throw new Error(`Invalid outlineDiagonals: ${resolved.outlineDiagonals} (expected true or false)`);
+  }
+  if (resolved.meshMode === 'outline' && resolved.colorMode === 'vertex') {
+    throw new Error('Invalid meshMode: outline (caps span differently colored pixels, expected voxel with colorMode vertex)');
+  }
+  if (typeof resolved.tints !== 'object' || Array.isArray(resolved.tints)) {
+    throw new Error(`Invalid tints: ${JSON.stringify(resolved.tints)} (expected { "layer0": "#rrggbb", ... })`);
+  }
+  Object.values(resolved.tints).forEach(parseTint);
+
+  return resolved;
+}
+
+/**
+ * Build the shared item mesh from pixel data
+ *
+ * Model space: the texture lies in the XY plane (+Y up), extruded along Z
+ * (+Z front) and centered at the origin. Pixel size follows `sizeMode`.
+ * UVs are in image space (v=0 at the top of the texture). With `layers`, the
+ * texture is the layer sheet (layers side by side, see buildLayerSheet) and each
+ * pixel belongs to the topmost solid layer. In vertex color mode
+ * quads never span differently colored pixels and `colors` holds one RGBA
+ * (sRGB, 0-1) per vertex. In outline mode the front and back of each part are
+ * triangulated polygons (see outlineMesher) instead of pixel quads.
+ *
+ * @param {Object} options - Build options
+ * @param {string} options.name - Model name
+ * @param {string} options.materialName - Material name (default: `${name}_material`)
+ * @param {number} options.width - Texture width in pixels
+ * @param {number} options.height - Texture height in pixels
+ * @param {Uint8Array} options.pixels - RGBA pixel data
+ * @param {Object[]} options.layers - Separate material layers { name, pixels, color } bottom to top (optional, replaces pixels)
+ * @param {number} options.channels - Number of channels (should be 4)
+ * @param {number} options.scale - Scale factor
+ * @param {number} options.depth - Extrusion depth in pixels (default: 1)
+ * @param {number} options.alphaThreshold - Minimum alpha for a solid pixel (default: 128)
+ * @param {string} options.sizeMode - 'fit', 'width' or 'pixel' (default: 'fit')
+ * @param {string} options.alphaMode - 'mask' or 'blend' (default: 'mask')
+ * @param {string} options.colorMode - 'texture' or 'vertex' (default: 'texture')
+ * @param {string} options.meshMode - 'voxel' or 'outline' (default: 'voxel', outline needs colorMode 'texture')
+ * @param {boolean} options.outlineDiagonals - Outline mode: cut pixel staircases into diagonal edges (default: false)
+ * @returns {Object} Mesh { name, width, height, pixelSize, depth, positions, normals, uvs, colors, indices, groups, materials, bounds, solidCount }
+ *   colors is null unless colorMode is 'vertex'
+ *   groups are index ranges { material, start, count }; materials are { name, alphaMode: 'OPAQUE' | 'BLEND', color? }
+ *   where color is an optional [r, g, b] (0-255) tint
+ */
+export function buildItemMesh({
+  name,
+  materialName,
+  width,
+  height,
+  pixels,
+  layers = null,
+  channels = 4,
+  scale = 1.0,
+  depth: depthPixels = DEFAULT_ITEM_OPTIONS.depth,
+  alphaThreshold = DEFAULT_ITEM_OPTIONS.alphaThreshold,
+  sizeMode = DEFAULT_ITEM_OPTIONS.sizeMode,
+  alphaMode = DEFAULT_ITEM_OPTIONS.alphaMode,
+  colorMode = DEFAULT_ITEM_OPTIONS.colorMode,
+  meshMode = DEFAULT_ITEM_OPTIONS.meshMode,
+  outlineDiagonals = DEFAULT_ITEM_OPTIONS.outlineDiagonals
+}) {
+  const baseMaterialName = materialName || `${name}_material`;
+  const vertexColors = colorMode === 'vertex';
+  const colorKeys = (partPixels) => vertexColors ? buildColorKeys(partPixels, width, height, channels) : null;
+  const meshPart = (mask, occluders, keys, neighbors = occluders) => meshMode === 'outline'
+    ? meshOutline({ mask, width, height, occluders, neighbors, diagonals: outlineDiagonals })
+    : meshMask({ mask, width, height, occluders, keys });
+
+  // Each part becomes one material group; `section` is its slot in the texture
+  const parts = [];
+
+  if (layers) {
+    // Every pixel belongs to the topmost layer that is solid there, so layers
+    // never overlap; walls between two layers are culled like inner walls.
+    const layerMasks = layers.map(layer => buildOpacityMask(layer.pixels, width, height, channels, alphaThreshold));
+    const solidMask = new Uint8Array(width * height);
+    for (let i = layerMasks.length - 1; i >= 0; i--) {
+      for (let cell = 0; cell < width * height; cell++) {
+        if (solidMask[cell]) {
+          layerMasks[i][cell] = 0;
+        } else if (layerMasks[i][cell]) {
+          solidMask[cell] = 1;
+        }
+      }
+    }
+
+    layers.forEach((layer, index) => {
+      parts.push({
+        material: {
+          name: `${baseMaterialName}_${layer.name}`,
+          alphaMode: 'OPAQUE',
+          ...(layer.color && { color: layer.color })
+        },
+        pixels: layer.pixels,
+        section: index,
+        ...meshPart(layerMasks[index], solidMask, colorKeys(layer.pixels))
+      });
+    });
+  } else {
+    const opaqueMask = buildOpacityMask(pixels, width, height, channels, alphaThreshold);
+    const keys = colorKeys(pixels);
+
+    // Translucent pixels: visible but below the threshold. Their walls are
+    // culled against opaque pixels, while opaque walls stay visible through them.
+    let translucentMask = null;
+    if (alphaMode === 'blend') {
+      translucentMask = new Uint8Array(width * height);
+      for (let i = 0; i < width * height; i++) {
+        const alpha = pixels[i * channels + 3];
+        translucentMask[i] = alpha > 0 && alpha < alphaThreshold ? 1 : 0;
+      }
+    }
+
+    parts.push({
+      material: { name: baseMaterialName, alphaMode: 'OPAQUE' },
+      pixels,
+      section: 0,
+      ...meshPart(opaqueMask, null, keys, translucentMask)
+    });
+
+    if (translucentMask) {
+      parts.push({
+        material: { name: `${baseMaterialName}_translucent`, alphaMode: 'BLEND' },
+        pixels,
+        section: 0,
+        ...meshPart(translucentMask, opaqueMask, keys)
+      });
+    }
+  }
+  const sectionCount = layers ? layers.length : 1;
+
+  const pixelSize = SIZE_MODES[sizeMode](width, height, scale);
+  const depth = depthPixels * pixelSize;
+  const halfWidth = (width * pixelSize) / 2;
+  const halfHeight = (height * pixelSize) / 2;
+
+  const positions = [];
+  const normals = [];
+  const uvs = [];
+  const colors = [];
+  const indices = [];
+  const groups = [];
+  const materials = [];
+  let solidCount = 0;
+
+  for (const part of parts) {
+    solidCount += part.solidCount;
+    if (part.quads.length === 0) continue;
+
+    const start = indices.length;
+    for (const quad of part.quads) {
+      const baseIndex = positions.length / 3;
+      // All cells of a quad share one color in vertex mode
+      const colorOffset = vertexColors ? (quad.rect.y0 * width + quad.rect.x0) * channels : 0;
+
+      for (let i = 0; i < quad.corners.length; i++) {
+        const [cx, cy, cz] = quad.corners[i];
+        const [pu, pv] = quad.uvs[i];
+        positions.push(
+          cx * pixelSize - halfWidth,
+          cy * pixelSize - halfHeight,
+          cz * depth / 2
+        );
+        normals.push(...quad.normal);
+        uvs.push((part.section + pu / width) / sectionCount, pv / height);
+        if (vertexColors) {
+          colors.push(
+            part.pixels[colorOffset] / 255,
+            part.pixels[colorOffset + 1] / 255,
+            part.pixels[colorOffset + 2] / 255,
+            part.pixels[colorOffset + 3] / 255
+          );
+        }
+      }
+
+      // Outline caps bring their own triangulation
+      for (const corner of quad.triangles || [0, 1, 2, 0, 2, 3]) {
+        indices.push(baseIndex + corner);
+      }
+    }
+
+    // Index range drawn with this part's material
+    groups.push({ material: materials.length, start, count: indices.length - start });
+    materials.push(part.material);
+  }
+
+  // Keep a material even for empty meshes so the MTL stays valid
+  if (materials.length === 0) {
+    materials.push(parts[0].material);
+  }
+
+  const positionArray = new Float32Array(positions);
+
+  return {
+    name,
+    width,
+    height,
+    pixelSize,
+    depth,
+    positions: positionArray,
+    normals: new Float32Array(normals),
+    uvs: new Float32Array(uvs),
+    colors: vertexColors ? new Float32Array(colors) : null,
+    indices: positions.length / 3 > 65535 ? new Uint32Array(indices) : new Uint16Array(indices),
+    groups,
+    materials,
+    bounds: calculateBounds(positionArray),
+    solidCount
+  };
+}
+
+/**
+ * Remap a mesh's UVs into a rectangle of a shared atlas
+ * @param {Object} mesh - Item mesh from buildItemMesh
+ * @param {number[]} uvRect - Atlas rectangle [u0, v0, u1, v1] in image space (v=0 at the top)
+ * @returns {Object} Mesh with remapped UVs (other buffers are shared)
+ */
+export function remapMeshUVs(mesh, uvRect) {
+  const [u0, v0, u1, v1] = uvRect;
+  const uvs = new Float32Array(mesh.uvs.length);
+  for (let i = 0; i < mesh.uvs.length; i += 2) {
+    uvs[i] = u0 + mesh.uvs[i] * (u1 - u0);
+    uvs[i + 1] = v0 + mesh.uvs[i + 1] * (v1 - v0);
+  }
+  return { ...mesh, uvs };
+}
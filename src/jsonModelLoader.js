@@ -5,28 +5,50 @@
 
 import fs from 'fs-extra';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { mergeDisplay } from './displayTransforms.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Version of the bundled vanilla parent models (vanilla-models/<version>)
+ */
+export const VANILLA_MODELS_VERSION = '1.21';
+
+const VANILLA_MODELS_DIR = path.join(__dirname, '..', 'vanilla-models', VANILLA_MODELS_VERSION);
+
+/**
+ * Parents built into the game (no JSON file); they end a parent chain
+ */
+const BUILTIN_PARENT = /^(minecraft:)?builtin\//;
 
 /**
  * Load and parse a JSON model file
  * @param {string} modelPath - Path to the JSON model file
  * @param {string} entitiesDir - Base entities directory
+ * @param {string[]} chain - Model paths already being loaded (detects parent cycles)
  * @returns {Promise<Object>} Parsed model with resolved textures
  */
-export async function loadModel(modelPath, entitiesDir) {
+export async function loadModel(modelPath, entitiesDir, chain = []) {
   const modelData = await fs.readJson(modelPath);
   const modelName = path.basename(modelPath, '.json');
   
   // Handle parent inheritance if present
-  if (modelData.parent) {
-    const parentModel = await loadParentModel(modelData.parent, entitiesDir);
+  if (modelData.parent && !BUILTIN_PARENT.test(modelData.parent)) {
+    const parentModel = await loadParentModel(modelData.parent, entitiesDir, [...chain, modelPath]);
     modelData.elements = modelData.elements || parentModel.elements;
-    modelData.textures = { ...parentModel.textures, ...modelData.textures };
+    modelData.ambientocclusion = modelData.ambientocclusion ?? parentModel.ambientocclusion;
+    modelData.display = mergeDisplay(parentModel.display, modelData.display);
+    // Merge raw refs so inherited "block/..." values resolve like the child's own
+    modelData.textures = { ...parentModel.rawTextures, ...modelData.textures };
   }
   
-  // Resolve texture paths
+  // Resolve texture paths; "#" variables follow the merged chain to their final texture
   const resolvedTextures = {};
   for (const [key, value] of Object.entries(modelData.textures || {})) {
-    resolvedTextures[key] = resolveTexturePath(value, entitiesDir);
+    const textureRef = resolveTextureVariable(value, modelData.textures);
+    resolvedTextures[key] = textureRef ? resolveTexturePath(textureRef, entitiesDir) : value;
   }
   
   return {
@@ -35,33 +57,74 @@ export async function loadModel(modelPath, entitiesDir) {
     textures: resolvedTextures,
     rawTextures: modelData.textures || {},
     ambientocclusion: modelData.ambientocclusion !== false,
+    display: modelData.display || {},
     credit: modelData.credit
   };
 }
 
 /**
  * Load a parent model
+ * The pack's own models are searched first, then the bundled vanilla parents.
  * @param {string} parentRef - Parent reference (e.g., "block/cube")
- * @param {string} entitiesDir - Base entities directory
+ * @param {string} entitiesDir - Base entities directory (or the pack's assets/minecraft directory)
+ * @param {string[]} chain - Model paths already being loaded, child last
  * @returns {Promise<Object>} Parent model data
+ * @throws {Error} If the parent is not found or the chain loops
  */
-async function loadParentModel(parentRef, entitiesDir) {
-  // Try to find parent in models directory
-  const possiblePaths = [
-    path.join(entitiesDir, 'model', `${parentRef}.json`),
-    path.join(entitiesDir, 'model', `${parentRef.replace('block/', '')}.json`),
-    path.join(entitiesDir, 'model', `${parentRef.replace('minecraft:', '')}.json`)
-  ];
+async function loadParentModel(parentRef, entitiesDir, chain) {
+  const cleanRef = parentRef.replace('minecraft:', '');
+
+  // Try to find parent in models directory (entities/model, or a pack's assets/minecraft/models)
+  const possiblePaths = [];
+  for (const modelsFolder of ['model', 'models']) {
+    possiblePaths.push(
+      path.join(entitiesDir, modelsFolder, `${cleanRef}.json`),
+      path.join(entitiesDir, modelsFolder, `${cleanRef.replace('block/', '')}.json`)
+    );
+  }
+  possiblePaths.push(...getVanillaModelPaths(cleanRef));
   
   for (const parentPath of possiblePaths) {
     if (await fs.pathExists(parentPath)) {
-      return loadModel(parentPath, entitiesDir);
+      if (chain.includes(parentPath)) {
+        throw new Error(`Parent model cycle: ${[...chain, parentPath].map(p => path.basename(p, '.json')).join(' -> ')}`);
+      }
+      return loadModel(parentPath, entitiesDir, chain);
     }
   }
   
-  // Return empty parent if not found
-  console.warn(`Parent model not found: ${parentRef}`);
-  return { elements: [], textures: {} };
+  throw new Error(`Parent model not found: ${parentRef} (parent of ${path.basename(chain[chain.length - 1], '.json')})`);
+}
+
+/**
+ * Get the bundled vanilla model files a reference may point to
+ * "block/cube_all" -> vanilla-models/<version>/block/cube_all.json
+ * @param {string} modelRef - Model reference without namespace
+ * @returns {string[]} Candidate file paths
+ */
+function getVanillaModelPaths(modelRef) {
+  // Old references without a folder ("cube_all") are block models
+  return modelRef.includes('/')
+    ? [path.join(VANILLA_MODELS_DIR, `${modelRef}.json`)]
+    : [path.join(VANILLA_MODELS_DIR, 'block', `${modelRef}.json`)];
+}
+
+/**
+ * Follow "#" texture variables to the texture they finally point at
+ * @param {string} value - Texture value ("#side" or "block/stone")
+ * @param {Object} textures - Merged texture variables of the whole parent chain
+ * @returns {string|null} Texture reference, or null if a variable is undefined or loops
+ */
+function resolveTextureVariable(value, textures) {
+  const visited = new Set();
+  let current = value;
+  while (current && current.startsWith('#')) {
+    const key = current.slice(1);
+    if (visited.has(key)) return null;
+    visited.add(key);
+    current = textures[key];
+  }
+  return current || null;
 }
 
 /**
@@ -107,21 +170,95 @@ export function resolveTextureKey(textureKey, textures, entitiesDir) {
   // Remove # prefix
   const key = textureKey.startsWith('#') ? textureKey.slice(1) : textureKey;
   
-  // Look up in textures
-  const textureRef = textures[key];
+  // Look up in textures, following "#" references (loops resolve to null)
+  const textureRef = resolveTextureVariable(`#${key}`, textures);
   if (!textureRef) {
     console.warn(`Texture key not found: ${textureKey}`);
     return null;
   }
   
-  // If still a reference, resolve recursively (but limit depth)
-  if (textureRef.startsWith('#')) {
-    return resolveTextureKey(textureRef, textures, entitiesDir);
-  }
-  
   return textureRef;
 }
 
+/**
+ * Load a layered item model (item/generated style: layer0, layer1, ...)
+ * Parents are looked up in the pack's models folder, then in the bundled
+ * vanilla parents; builtin/generated ends the chain.
+ * @param {string} modelPath - Path to the item model JSON
+ * @param {string} modelsDir - Item models directory (e.g. models/item)
+ * @param {string} itemsDir - Item textures directory
+ * @returns {Promise<{name: string, layers: {key: string, texturePath: string}[], display: Object}>} Layers bottom to top (empty if the model has none) and the inherited display transforms
+ */
+export async function loadItemModel(modelPath, modelsDir, itemsDir) {
+  const textures = {};
+  let display = {};
+  const visited = new Set([modelPath]);
+  let currentPath = modelPath;
+
+  while (currentPath) {
+    const modelData = await fs.readJson(currentPath);
+
+    // Child textures win over parent textures
+    for (const [key, value] of Object.entries(modelData.textures || {})) {
+      if (!(key in textures)) textures[key] = value;
+    }
+    display = mergeDisplay(modelData.display, display);
+
+    const childPath = currentPath;
+    currentPath = null;
+    if (modelData.parent && !BUILTIN_PARENT.test(modelData.parent)) {
+      const parentRef = modelData.parent.replace('minecraft:', '');
+      // "item/handheld" (or a bare "handheld") lives next to the item models, "block/stone" in models/block
+      const isItemRef = /^items?\//.test(parentRef) || !parentRef.includes('/');
+      const parentName = parentRef.replace(/^items?\//, '');
+      const possiblePaths = isItemRef
+        ? [path.join(modelsDir, `${parentName}.json`), path.join(VANILLA_MODELS_DIR, 'item', `${parentName}.json`)]
+        : [path.join(path.dirname(modelsDir), `${parentRef}.json`), ...getVanillaModelPaths(parentRef)];
+
+      for (const parentPath of possiblePaths) {
+        if (await fs.pathExists(parentPath)) {
+          currentPath = parentPath;
+          break;
+        }
+      }
+      if (!currentPath) {
+        throw new Error(`Parent model not found: ${modelData.parent} (parent of ${path.basename(childPath, '.json')})`);
+      }
+      if (visited.has(currentPath)) {
+        throw new Error(`Parent model cycle: ${[...visited, currentPath].map(p => path.basename(p, '.json')).join(' -> ')}`);
+      }
+      visited.add(currentPath);
+    }
+  }
+
+  const layers = Object.keys(textures)
+    .filter(key => /^layer\d+$/.test(key))
+    .sort((a, b) => parseInt(a.slice(5), 10) - parseInt(b.slice(5), 10))
+    .map(key => {
+      const textureRef = resolveTextureKey(key, textures, itemsDir);
+      if (!textureRef) {
+        throw new Error(`Unresolved texture ${key} in item model ${modelPath}`);
+      }
+      // "minecraft:item/leather_helmet" -> <itemsDir>/leather_helmet.png
+      const cleanRef = textureRef.replace('minecraft:', '').replace(/^items?\//, '');
+      return { key, texturePath: path.join(itemsDir, `${cleanRef}.png`) };
+    });
+
+  return { name: path.basename(modelPath, '.json'), layers, display };
+}
+
+/**
+ * Get the display transforms of a bundled vanilla item model
+ * Used for items the pack has no model for (they render as item/generated).
+ * @param {string} modelName - Vanilla item model name (e.g. "generated", "handheld")
+ * @returns {Promise<Object>} Display block
+ */
+export async function loadVanillaItemDisplay(modelName = 'generated') {
+  const itemModelsDir = path.join(VANILLA_MODELS_DIR, 'item');
+  const { display } = await loadItemModel(path.join(itemModelsDir, `${modelName}.json`), itemModelsDir, itemModelsDir);
+  return display;
+}
+
 /**
  * Get all unique texture paths used by a model
  * @param {Object} model - Parsed model
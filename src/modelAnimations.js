@@ -0,0 +1,340 @@
+/**
+ * Bone animations for entity models
+ * Reads Bedrock animation files (.animation.json) and the animations of
+ * Blockbench projects, and turns them into glTF node animation channels for
+ * the bone nodes of an entity GLB (see NODE_MODES in entityGlbGenerator.js).
+ */
+
+import fs from 'fs-extra';
+
+/**
+ * File suffix of Bedrock animation files (chicken.animation.json next to chicken.geo.json)
+ */
+export const ANIMATION_FILE_SUFFIX = '.animation.json';
+
+/**
+ * Check whether a file is a Bedrock animation file
+ * @param {string} fileName - File name or path
+ * @returns {boolean}
+ */
+export function isAnimationFile(fileName) {
+  return fileName.endsWith(ANIMATION_FILE_SUFFIX);
+}
+
+const CHANNELS = ['rotation', 'position', 'scale'];
+
+/**
+ * Time between the two keys that stand for a jump (pre/post values, step keyframes)
+ */
+const JUMP_TIME = 0.0001;
+
+/**
+ * Largest rotation (degrees, per axis) between two exported rotation keys
+ * glTF interpolates quaternions along the short way, so longer turns get extra keys.
+ */
+const MAX_ROTATION_STEP = 90;
+
+/*
+ * Animations are read into one shape:
+ * { name, loop: 'loop' | 'once' | 'hold', length, bones: { [boneName]: { rotation, position, scale } } }
+ * where each channel is a list of keyframes { time, pre: [x, y, z], post: [x, y, z], interpolation }
+ * (interpolation 'linear' or 'step', for the segment starting at the keyframe). Values use the
+ * Bedrock convention: rotation in degrees, position in pixels, both with X (and Y rotation) mirrored.
+ */
+
+/**
+ * Load a Bedrock animation file
+ * Keyframes that are Molang expressions rather than numbers cannot be exported;
+ * their channel is skipped with a warning.
+ * @param {string} filePath - Path to the .animation.json file
+ * @returns {Promise<Object[]>} Animations
+ */
+export async function loadAnimationFile(filePath) {
+  const data = await fs.readJson(filePath);
+  return Object.entries(data.animations || {}).map(([name, animation]) => {
+    const bones = {};
+    for (const [boneName, bone] of Object.entries(animation.bones || {})) {
+      bones[boneName] = {};
+      for (const channel of CHANNELS) {
+        if (bone[channel] === undefined) continue;
+        const keyframes = readBedrockChannel(bone[channel], channel);
+        if (keyframes) {
+          bones[boneName][channel] = keyframes;
+        } else {
+          console.warn(`Animation ${name}: skipping ${boneName} ${channel} (not a number keyframe)`);
+        }
+      }
+    }
+
+    return {
+      name,
+      loop: animation.loop === true ? 'loop' : animation.loop === 'hold_on_last_frame' ? 'hold' : 'once',
+      length: animation.animation_length ?? getAnimationLength(bones),
+      bones
+    };
+  });
+}
+
+/**
+ * Read the animations of a Blockbench project
+ * @param {Object[]} animations - Project `animations`
+ * @returns {Object[]} Animations
+ */
+export function readBlockbenchAnimations(animations = []) {
+  return animations.map(animation => {
+    const bones = {};
+    for (const animator of Object.values(animation.animators || {})) {
+      if ((animator.type || 'bone') !== 'bone' || !animator.name) continue;
+      const bone = {};
+      for (const channel of CHANNELS) {
+        const keyframes = (animator.keyframes || [])
+          .filter(keyframe => keyframe.channel === channel)
+          .map(keyframe => {
+            const points = (keyframe.data_points || []).map(point => readVector([point.x, point.y, point.z], channel));
+            if (points.length === 0 || points.some(point => !point)) return null;
+            return {
+              time: keyframe.time,
+              pre: points[0],
+              post: points[points.length - 1],
+              interpolation: keyframe.interpolation === 'step' ? 'step' : 'linear'
+            };
+          });
+        if (keyframes.length === 0) continue;
+        if (keyframes.some(keyframe => !keyframe)) {
+          console.warn(`Animation ${animation.name}: skipping ${animator.name} ${channel} (not a number keyframe)`);
+          continue;
+        }
+        bone[channel] = keyframes.sort((a, b) => a.time - b.time);
+      }
+      bones[animator.name] = bone;
+    }
+
+    return {
+      name: animation.name,
+      loop: ['loop', 'hold'].includes(animation.loop) ? animation.loop : 'once',
+      length: animation.length ?? getAnimationLength(bones),
+      bones
+    };
+  });
+}
+
+/**
+ * Read a Bedrock animation channel
+ * A channel is a constant value or keyframes by time ("0.5": value); a value is a
+ * vector, a number (all axes) or { pre, post, lerp_mode }.
+ * @returns {Object[]|null} Keyframes, or null if a value is not a number
+ */
+function readBedrockChannel(value, channel) {
+  const isKeyframes = value && typeof value === 'object' && !Array.isArray(value) && !('pre' in value || 'post' in value);
+  const entries = isKeyframes ? Object.entries(value) : [['0', value]];
+
+  const keyframes = [];
+  for (const [time, keyframe] of entries) {
+    const isJump = keyframe && typeof keyframe === 'object' && !Array.isArray(keyframe);
+    const pre = readVector(isJump ? keyframe.pre ?? keyframe.post : keyframe, channel);
+    const post = readVector(isJump ? keyframe.post ?? keyframe.pre : keyframe, channel);
+    if (!pre || !post) return null;
+    keyframes.push({ time: parseFloat(time), pre, post, interpolation: 'linear' });
+  }
+  return keyframes.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Read a keyframe value as a vector
+ * @param {number|string|Array} value - Number, numeric string, or [x, y, z] of those
+ * @param {string} channel - Channel (a single scale value applies to every axis)
+ * @returns {number[]|null} [x, y, z], or null if a component is not a number
+ */
+function readVector(value, channel) {
+  const components = Array.isArray(value) ? value : [value, value, value];
+  if (components.length !== 3) return null;
+  const vector = components.map(component => {
+    if (component === '' || component === undefined || component === null) return channel === 'scale' ? 1 : 0;
+    return typeof component === 'number' ? component : Number(String(component).trim());
+  });
+  return vector.every(Number.isFinite) ? vector : null;
+}
+
+/**
+ * Get the time of an animation's last keyframe
+ */
+function getAnimationLength(bones) {
+  let length = 0;
+  for (const bone of Object.values(bones)) {
+    for (const keyframes of Object.values(bone)) {
+      for (const keyframe of keyframes) length = Math.max(length, keyframe.time);
+    }
+  }
+  return length;
+}
+
+/**
+ * Build the glTF channels of an animation
+ *
+ * Bone nodes carry no rest rotation (it's baked into the vertices), so a
+ * keyframe rotation becomes the change from the rest pose, expressed in the
+ * orientation the bone's ancestors' rest rotations give it:
+ * A * R(rest + keyframe) * R(rest)^-1 * A^-1. Positions move the node from its
+ * rest translation along the same rotated axes. Scale is applied along the
+ * node's axes, which is exact for uniform scale or bones without rest rotation.
+ *
+ * @param {Object} animation - Animation (see loadAnimationFile)
+ * @param {Map<string, Object>} bones - Bone nodes by lowercase name { node, rotation, ancestorRotation, translation };
+ *   rotation is the rest rotation [x, y, z] in degrees (model space), ancestorRotation a quaternion
+ * @param {number} scale - World units per model pixel
+ * @returns {{name: string, loop: string, length: number, channels: Object[]}|null} Channels { node, path, interpolation, times, values },
+ *   or null if no bone of the animation is in the model
+ */
+export function buildAnimationChannels(animation, bones, scale) {
+  const channels = [];
+  for (const [boneName, boneAnimation] of Object.entries(animation.bones)) {
+    const bone = bones.get(boneName.toLowerCase());
+    if (!bone) continue;
+
+    const restRotation = eulerToQuaternion(bone.rotation);
+    const restInverse = conjugate(restRotation);
+    const ancestorInverse = conjugate(bone.ancestorRotation);
+
+    for (const channel of CHANNELS) {
+      const keyframes = boneAnimation[channel];
+      if (!keyframes || keyframes.length === 0) continue;
+
+      const { times, values, interpolation } = sampleKeyframes(keyframes, channel === 'rotation');
+      let path;
+      let convert;
+      if (channel === 'rotation') {
+        path = 'rotation';
+        // Bedrock rotations turn X and Y the other way round
+        convert = ([x, y, z]) => {
+          const euler = [bone.rotation[0] - x, bone.rotation[1] - y, bone.rotation[2] + z];
+          return multiply(multiply(bone.ancestorRotation, multiply(eulerToQuaternion(euler), restInverse)), ancestorInverse);
+        };
+      } else if (channel === 'position') {
+        path = 'translation';
+        convert = ([x, y, z]) => rotateVector([-x * scale, y * scale, z * scale], bone.ancestorRotation)
+          .map((value, index) => value + bone.translation[index]);
+      } else {
+        path = 'scale';
+        convert = (vector) => vector;
+      }
+
+      // Quaternions along one channel stay in one hemisphere so each step takes the short way
+      const converted = values.map(convert);
+      if (path === 'rotation') {
+        for (let i = 1; i < converted.length; i++) {
+          if (dot(converted[i - 1], converted[i]) < 0) converted[i] = converted[i].map(value => -value);
+        }
+      }
+
+      channels.push({
+        node: bone.node,
+        path,
+        interpolation,
+        times: new Float32Array(times),
+        values: new Float32Array(converted.flat())
+      });
+    }
+  }
+
+  if (channels.length === 0) return null;
+  return { name: animation.name, loop: animation.loop, length: animation.length, channels };
+}
+
+/**
+ * Turn keyframes into glTF sampler keys
+ * All-step channels use STEP. Otherwise keys are LINEAR, and jumps (pre/post
+ * values, step segments) become two keys JUMP_TIME apart.
+ * @param {Object[]} keyframes - Keyframes sorted by time
+ * @param {boolean} isRotation - Split long rotation segments (see MAX_ROTATION_STEP)
+ * @returns {{times: number[], values: number[][], interpolation: string}}
+ */
+function sampleKeyframes(keyframes, isRotation) {
+  if (keyframes.every(keyframe => keyframe.interpolation === 'step')) {
+    return {
+      times: keyframes.map(keyframe => keyframe.time),
+      values: keyframes.map(keyframe => keyframe.post),
+      interpolation: 'STEP'
+    };
+  }
+
+  const times = [];
+  const values = [];
+  const push = (time, value) => {
+    // Keys must strictly increase in time
+    if (times.length > 0 && time <= times[times.length - 1]) time = times[times.length - 1] + JUMP_TIME;
+    times.push(time);
+    values.push(value);
+  };
+
+  keyframes.forEach((keyframe, index) => {
+    const isJump = index > 0 && keyframe.pre.some((value, axis) => value !== keyframe.post[axis]);
+    if (isJump) push(keyframe.time, keyframe.pre);
+    push(isJump ? keyframe.time + JUMP_TIME : keyframe.time, keyframe.post);
+
+    const next = keyframes[index + 1];
+    if (!next) return;
+    if (keyframe.interpolation === 'step') {
+      // Hold until the next keyframe
+      push(next.time - JUMP_TIME, keyframe.post);
+    } else if (isRotation) {
+      const largest = Math.max(...next.pre.map((value, axis) => Math.abs(value - keyframe.post[axis])));
+      const steps = Math.ceil(largest / MAX_ROTATION_STEP);
+      for (let step = 1; step < steps; step++) {
+        const amount = step / steps;
+        push(
+          keyframe.time + (next.time - keyframe.time) * amount,
+          keyframe.post.map((value, axis) => value + (next.pre[axis] - value) * amount)
+        );
+      }
+    }
+  });
+
+  return { times, values, interpolation: 'LINEAR' };
+}
+
+/**
+ * Get the quaternion of a model-space rotation
+ * Rotates around X, then Y, then Z, like element and bone rotations (see geometryBuilder.js).
+ * @param {number[]} rotation - Euler angles [x, y, z] in degrees
+ * @returns {number[]} Quaternion [x, y, z, w]
+ */
+export function eulerToQuaternion([rx, ry, rz]) {
+  const axisQuaternion = (axis, degrees) => {
+    const half = (degrees * Math.PI) / 360;
+    const quaternion = [0, 0, 0, Math.cos(half)];
+    quaternion[axis] = Math.sin(half);
+    return quaternion;
+  };
+  return multiply(axisQuaternion(2, rz), multiply(axisQuaternion(1, ry), axisQuaternion(0, rx)));
+}
+
+/**
+ * Multiply two quaternions (a * b applies b first)
+ */
+export function multiply([ax, ay, az, aw], [bx, by, bz, bw]) {
+  return [
+    aw * bx + ax * bw + ay * bz - az * by,
+    aw * by - ax * bz + ay * bw + az * bx,
+    aw * bz + ax * by - ay * bx + az * bw,
+    aw * bw - ax * bx - ay * by - az * bz
+  ];
+}
+
+/**
+ * Invert a unit quaternion
+ */
+function conjugate([x, y, z, w]) {
+  return [-x, -y, -z, w];
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+}
+
+/**
+ * Rotate a vector by a unit quaternion
+ */
+function rotateVector(vector, quaternion) {
+  const rotated = multiply(multiply(quaternion, [...vector, 0]), conjugate(quaternion));
+  return rotated.slice(0, 3);
+}
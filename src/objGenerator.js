@@ -1,210 +1,91 @@
-import path from 'path';
-
 /**
- * Generate a single voxel (cube) vertices, texture coordinates, and faces
- * @param {number} x - Center X position
- * @param {number} y - Center Y position
- * @param {number} z - Center Z position
- * @param {number} size - Size of the voxel (half-extent)
- * @param {number} vertexOffset - Starting vertex index (1-based)
- * @param {number} textureOffset - Starting texture coordinate index (1-based)
- * @param {Object} uvCoords - UV coordinates for this pixel {uMin, uMax, vMin, vMax}
- * @param {string} coordinateSystem - Coordinate system
- * @returns {{vertices: string[], textureCoords: string[], faces: string[]}}
- */
-function generateVoxel(x, y, z, size, vertexOffset, textureOffset, uvCoords, coordinateSystem = 'z-up') {
-  const s = size;
-  let vertices;
-
-  if (coordinateSystem === 'z-up') {
-    // 8 vertices for a cube centered at (x, y, z)
-    vertices = [
-      `v ${x - s} ${y - s} ${z + s}`,  // Front bottom-left
-      `v ${x + s} ${y - s} ${z + s}`,  // Front bottom-right
-      `v ${x + s} ${y + s} ${z + s}`,  // Front top-right
-      `v ${x - s} ${y + s} ${z + s}`,  // Front top-left
-      `v ${x - s} ${y - s} ${z - s}`,  // Back bottom-left
-      `v ${x + s} ${y - s} ${z - s}`,  // Back bottom-right
-      `v ${x + s} ${y + s} ${z - s}`,  // Back top-right
-      `v ${x - s} ${y + s} ${z - s}`   // Back top-left
-    ];
-  } else {
-    // Y-up coordinate system
-    vertices = [
-      `v ${x - s} ${y + s} ${z - s}`,  // Front bottom-left
-      `v ${x + s} ${y + s} ${z - s}`,  // Front bottom-right
-      `v ${x + s} ${y + s} ${z + s}`,  // Front top-right
-      `v ${x - s} ${y + s} ${z + s}`,  // Front top-left
-      `v ${x - s} ${y - s} ${z - s}`,  // Back bottom-left
-      `v ${x + s} ${y - s} ${z - s}`,  // Back bottom-right
-      `v ${x + s} ${y - s} ${z + s}`,  // Back top-right
-      `v ${x - s} ${y - s} ${z + s}`   // Back top-left
-    ];
-  }
-
-  // Generate texture coordinates for this voxel (4 corners of the pixel)
-  // UV coordinates: bottom-left, bottom-right, top-right, top-left
-  const textureCoords = [
-    `vt ${uvCoords.uMin} ${uvCoords.vMin}`,  // Bottom-left
-    `vt ${uvCoords.uMax} ${uvCoords.vMin}`,  // Bottom-right
-    `vt ${uvCoords.uMax} ${uvCoords.vMax}`,  // Top-right
-    `vt ${uvCoords.uMin} ${uvCoords.vMax}`   // Top-left
-  ];
-
-  // Faces for a cube (6 faces, 2 triangles each)
-  // Using relative vertex and texture indices
-  const baseIdx = vertexOffset;
-  const baseTexIdx = textureOffset;
-  const faces = [
-    // Front face (with texture)
-    `f ${baseIdx}/${baseTexIdx}/1 ${baseIdx + 1}/${baseTexIdx + 1}/1 ${baseIdx + 2}/${baseTexIdx + 2}/1`,
-    `f ${baseIdx}/${baseTexIdx}/1 ${baseIdx + 2}/${baseTexIdx + 2}/1 ${baseIdx + 3}/${baseTexIdx + 3}/1`,
-    // Back face (with texture, flipped)
-    `f ${baseIdx + 5}/${baseTexIdx + 1}/2 ${baseIdx + 4}/${baseTexIdx}/2 ${baseIdx + 7}/${baseTexIdx + 3}/2`,
-    `f ${baseIdx + 5}/${baseTexIdx + 1}/2 ${baseIdx + 7}/${baseTexIdx + 3}/2 ${baseIdx + 6}/${baseTexIdx + 2}/2`,
-    // Top face (no texture on sides, reuse coords)
-    `f ${baseIdx + 3}/${baseTexIdx + 3}/3 ${baseIdx + 2}/${baseTexIdx + 2}/3 ${baseIdx + 6}/${baseTexIdx + 2}/3`,
-    `f ${baseIdx + 3}/${baseTexIdx + 3}/3 ${baseIdx + 6}/${baseTexIdx + 2}/3 ${baseIdx + 7}/${baseTexIdx + 1}/3`,
-    // Bottom face
-    `f ${baseIdx}/${baseTexIdx}/4 ${baseIdx + 4}/${baseTexIdx + 3}/4 ${baseIdx + 5}/${baseTexIdx + 2}/4`,
-    `f ${baseIdx}/${baseTexIdx}/4 ${baseIdx + 5}/${baseTexIdx + 2}/4 ${baseIdx + 1}/${baseTexIdx + 1}/4`,
-    // Right face
-    `f ${baseIdx + 1}/${baseTexIdx + 1}/5 ${baseIdx + 5}/${baseTexIdx}/5 ${baseIdx + 6}/${baseTexIdx + 3}/5`,
-    `f ${baseIdx + 1}/${baseTexIdx + 1}/5 ${baseIdx + 6}/${baseTexIdx + 3}/5 ${baseIdx + 2}/${baseTexIdx + 2}/5`,
-    // Left face
-    `f ${baseIdx + 4}/${baseTexIdx + 1}/6 ${baseIdx}/${baseTexIdx}/6 ${baseIdx + 3}/${baseTexIdx + 3}/6`,
-    `f ${baseIdx + 4}/${baseTexIdx + 1}/6 ${baseIdx + 3}/${baseTexIdx + 3}/6 ${baseIdx + 7}/${baseTexIdx + 2}/6`
-  ];
-
-  return { vertices, textureCoords, faces };
-}
-
-/**
- * Generate OBJ file content from pixel data (voxel-based extrusion)
+ * Generate OBJ file content from an item mesh (voxel-based extrusion)
  * @param {Object} options - Generation options
- * @param {string} options.materialName - Name of the material
+ * @param {Object} options.mesh - Item mesh from buildItemMesh (or an entity mesh from generateEntityMesh)
  * @param {string} options.mtlFileName - Name of the MTL file
- * @param {number} options.width - Texture width in pixels
- * @param {number} options.height - Texture height in pixels
- * @param {Uint8Array} options.pixels - Pixel data (RGBA format)
- * @param {number} options.channels - Number of channels (4 for RGBA)
- * @param {number} options.scale - Scale factor
- * @param {string} options.coordinateSystem - Coordinate system ('z-up' or 'y-up')
+ * @param {string} options.coordinateSystem - 'z-up' writes the mesh as built (item meshes are Z-up),
+ *   'y-up' converts it to Y-up like the GLB writer does (default: 'z-up')
  * @returns {string} OBJ file content
  */
-export function generateOBJFromPixels({
-  materialName,
-  mtlFileName,
-  width,
-  height,
-  pixels,
-  channels = 4,
-  scale = 1.0,
-  coordinateSystem = 'z-up'
-}) {
-  // Calculate pixel size in units
-  // For a 16x16 texture with scale=1.0: pixelSize = 1.0/16 = 0.0625
-  const pixelSize = scale / width;
-  const halfPixel = pixelSize / 2;
-  const depth = pixelSize; // 1 pixel deep
-
-  // Center offset to center the model at origin
-  const centerX = -scale / 2;
-  const centerY = -scale / 2;
-
-  // Collect all voxels
-  const allVertices = [];
-  const allTextureCoords = [];
-  const allFaces = [];
-  let vertexIndex = 1; // OBJ uses 1-based indexing
-  let textureIndex = 1; // OBJ uses 1-based indexing
-
-  // Vertex normals (same for all voxels)
-  const normals = coordinateSystem === 'z-up' ? [
-    'vn 0.0 0.0 1.0',   // 1: Front face (+Z)
-    'vn 0.0 0.0 -1.0',  // 2: Back face (-Z)
-    'vn 0.0 1.0 0.0',   // 3: Top face (+Y)
-    'vn 0.0 -1.0 0.0',  // 4: Bottom face (-Y)
-    'vn 1.0 0.0 0.0',   // 5: Right face (+X)
-    'vn -1.0 0.0 0.0'   // 6: Left face (-X)
-  ] : [
-    'vn 0.0 1.0 0.0',   // 1: Front face (+Y)
-    'vn 0.0 -1.0 0.0',  // 2: Back face (-Y)
-    'vn 0.0 0.0 1.0',   // 3: Top face (+Z)
-    'vn 0.0 0.0 -1.0',  // 4: Bottom face (-Z)
-    'vn 1.0 0.0 0.0',   // 5: Right face (+X)
-    'vn -1.0 0.0 0.0'   // 6: Left face (-X)
-  ];
-
-  // Note: We check alpha directly here instead of importing to avoid circular dependency
+export function generateOBJFromMesh({ mesh, mtlFileName, coordinateSystem = 'z-up' }) {
+  const { uvs, colors, indices, groups, materials } = mesh;
+  const vertexCount = mesh.positions.length / 3;
 
-  // Process each pixel
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      // Check if pixel is opaque (alpha >= 128)
-      const index = (y * width + x) * channels;
-      const alpha = pixels[index + 3];
+  // Y-up: (x, y, z) -> (x, z, -y) for positions and normals alike
+  let positions = mesh.positions;
+  let normals = mesh.normals;
+  if (coordinateSystem === 'y-up') {
+    positions = new Float32Array(mesh.positions.length);
+    normals = new Float32Array(mesh.normals.length);
+    for (let i = 0; i < vertexCount; i++) {
+      positions[i * 3] = mesh.positions[i * 3];
+      positions[i * 3 + 1] = mesh.positions[i * 3 + 2];
+      positions[i * 3 + 2] = -mesh.positions[i * 3 + 1];
+      normals[i * 3] = mesh.normals[i * 3];
+      normals[i * 3 + 1] = mesh.normals[i * 3 + 2];
+      normals[i * 3 + 2] = -mesh.normals[i * 3 + 1];
+    }
+  }
 
-      if (alpha >= 128) { // Opaque pixel
-        // Calculate pixel center position
-        // Flip Y coordinate (texture Y=0 is top, but we want Y=0 at bottom)
-        const pixelX = centerX + (x + 0.5) * pixelSize;
-        const pixelY = centerY + (height - y - 0.5) * pixelSize;
-        const pixelZ = 0; // Centered on Z axis (depth extends from -halfPixel to +halfPixel)
+  // Trim float32 noise from the mesh buffers
+  const num = (value) => +value.toFixed(6);
 
-        // Calculate UV coordinates for this pixel
-        // In texture coordinates: u goes 0-1 left to right, v goes 0-1 bottom to top
-        // Pixel at (x, y) where y=0 is top of image
-        // UV: u = x/width to (x+1)/width, v = (height-1-y)/height to (height-y)/height
-        const uMin = x / width;
-        const uMax = (x + 1) / width;
-        const vMin = (height - 1 - y) / height; // Bottom of pixel in UV space
-        const vMax = (height - y) / height;     // Top of pixel in UV space
+  const vertexLines = [];
+  const textureLines = [];
+  for (let i = 0; i < vertexCount; i++) {
+    const vertex = `v ${num(positions[i * 3])} ${num(positions[i * 3 + 1])} ${num(positions[i * 3 + 2])}`;
+    // Vertex colors use the common `v x y z r g b` extension (no alpha)
+    vertexLines.push(colors
+      ? `${vertex} ${num(colors[i * 4])} ${num(colors[i * 4 + 1])} ${num(colors[i * 4 + 2])}`
+      : vertex);
+    // OBJ texture space has v=0 at the bottom of the image
+    textureLines.push(`vt ${num(uvs[i * 2])} ${num(1 - uvs[i * 2 + 1])}`);
+  }
 
-        // Generate voxel at this pixel position with correct UV mapping
-        const voxel = generateVoxel(
-          pixelX,
-          pixelY,
-          pixelZ,
-          halfPixel,
-          vertexIndex,
-          textureIndex,
-          { uMin, uMax, vMin, vMax },
-          coordinateSystem
-        );
+  // Item meshes only use a handful of axis-aligned normals, so share them
+  const normalLines = [];
+  const normalIndexByKey = new Map();
+  const vertexNormalIndex = new Array(vertexCount);
+  for (let i = 0; i < vertexCount; i++) {
+    const key = `${normals[i * 3]} ${normals[i * 3 + 1]} ${normals[i * 3 + 2]}`;
+    if (!normalIndexByKey.has(key)) {
+      normalLines.push(`vn ${key}`);
+      normalIndexByKey.set(key, normalLines.length);
+    }
+    vertexNormalIndex[i] = normalIndexByKey.get(key);
+  }
 
-        allVertices.push(...voxel.vertices);
-        allTextureCoords.push(...voxel.textureCoords);
-        allFaces.push(...voxel.faces);
+  // OBJ uses 1-based indexing: vertex/texture/normal
+  const corner = (index) => `${index + 1}/${index + 1}/${vertexNormalIndex[index]}`;
 
-        vertexIndex += 8; // Each voxel has 8 vertices
-        textureIndex += 4; // Each voxel has 4 texture coordinates
-      }
+  const faceLines = [];
+  for (const group of groups) {
+    faceLines.push(`usemtl ${materials[group.material].name}`);
+    for (let i = group.start; i < group.start + group.count; i += 3) {
+      faceLines.push(`f ${corner(indices[i])} ${corner(indices[i + 1])} ${corner(indices[i + 2])}`);
     }
   }
 
   // Build OBJ content
-  const voxelCount = (vertexIndex - 1) / 8; // Total number of voxels generated
+  // Only item meshes are built from voxels
+  const isVoxelMesh = mesh.solidCount !== undefined;
   const lines = [
     `# OBJ file generated by texturepack-converter`,
-    `# Voxel-based 3D geometry from pixel data`,
+    isVoxelMesh ? `# Voxel-based 3D geometry from pixel data` : `# Model geometry`,
     `# Material library`,
     `mtllib ${mtlFileName}`,
     ``,
-    `# Vertices (${allVertices.length} vertices from ${voxelCount} voxels)`,
-    ...allVertices,
+    isVoxelMesh ? `# Vertices (${vertexCount} vertices from ${mesh.solidCount} voxels)` : `# Vertices (${vertexCount} vertices)`,
+    ...vertexLines,
     ``,
-    `# Texture coordinates (${allTextureCoords.length} texture coordinates)`,
-    ...allTextureCoords,
+    `# Texture coordinates (${textureLines.length} texture coordinates)`,
+    ...textureLines,
     ``,
     `# Vertex normals`,
-    ...normals,
-    ``,
-    `# Material`,
-    `usemtl ${materialName}`,
+    ...normalLines,
     ``,
     `# Faces`,
-    ...allFaces,
+    ...faceLines,
     ``
   ];
 
@@ -213,7 +94,7 @@ export function generateOBJFromPixels({
 
 /**
  * Generate OBJ file content for a 3D box (card with thickness) - DEPRECATED
- * Kept for backward compatibility, but should use generateOBJFromPixels instead
+ * Kept for backward compatibility, but should use generateOBJFromMesh instead
  * @param {Object} options - Generation options
  * @param {string} options.materialName - Name of the material
  * @param {string} options.mtlFileName - Name of the MTL file
@@ -365,22 +246,36 @@ export function generateOBJ({ materialName, mtlFileName, scale = 1.0, thickness
 /**
  * Generate MTL (Material Template Library) file content
  * @param {Object} options - Generation options
- * @param {string} options.materialName - Name of the material
- * @param {string} options.texturePath - Path to the texture file (relative to MTL file)
+ * @param {string} options.materialName - Name of the material (when materials is not given)
+ * @param {Object[]} options.materials - Mesh materials { name, alphaMode, color } (optional)
+ * @param {string} options.texturePath - Path to the texture file (relative to MTL file), or null for untextured (vertex color) materials
  * @returns {string} MTL file content
  */
-export function generateMTL({ materialName, texturePath }) {
-  const lines = [
-    `# MTL file generated by texturepack-converter`,
-    `newmtl ${materialName}`,
-    `Ka 1.000 1.000 1.000`,  // Ambient color (white)
-    `Kd 1.000 1.000 1.000`,  // Diffuse color (white)
-    `Ks 0.000 0.000 0.000`,  // Specular color (black, no specular)
-    `Ns 0.000`,              // Shininess (0 = no specular highlight)
-    `d 1.0`,                 // Dissolve (opacity, 1.0 = fully opaque)
-    `illum 1`,               // Illumination model (1 = flat)
-    `map_Kd ${texturePath}`  // Diffuse texture map
-  ];
+export function generateMTL({ materialName, materials, texturePath }) {
+  const entries = materials || [{ name: materialName, alphaMode: 'OPAQUE' }];
+  const lines = [`# MTL file generated by texturepack-converter`];
+
+  entries.forEach((material, index) => {
+    // Layer tints multiply the diffuse texture
+    const diffuse = material.color
+      ? material.color.map(channel => (channel / 255).toFixed(3)).join(' ')
+      : '1.000 1.000 1.000';
+    if (index > 0) lines.push('');
+    lines.push(
+      `newmtl ${material.name}`,
+      `Ka 1.000 1.000 1.000`,  // Ambient color (white)
+      `Kd ${diffuse}`,         // Diffuse color (white unless tinted)
+      `Ks 0.000 0.000 0.000`,  // Specular color (black, no specular)
+      `Ns 0.000`,              // Shininess (0 = no specular highlight)
+      `d 1.0`,                 // Dissolve (opacity, 1.0 = fully opaque)
+      `illum 1`                // Illumination model (1 = flat)
+    );
+    if (!texturePath) return;
+    lines.push(`map_Kd ${texturePath}`); // Diffuse texture map
+    if (material.alphaMode === 'BLEND') {
+      lines.push(`map_d ${texturePath}`); // Dissolve from the texture alpha
+    }
+  });
 
   return lines.join('\n');
 }
@@ -0,0 +1,743 @@
+/**
+ * Outline Mesher for pixel-based item models
+ * Traces the solid pixels of a mask into outlines (outer contours and holes)
+ * along the exact pixel contour, triangulates the front and back caps once and
+ * extrudes only the perimeter walls. Staircases of 1-pixel steps can
+ * optionally be cut into diagonal edges. A low-poly alternative to voxelMesher
+ * with the same quad format.
+ */
+
+import { FACE_NORMALS } from './voxelMesher.js';
+
+/**
+ * Twice the signed area of triangle abc (positive when counter-clockwise)
+ */
+function cross(a, b, c) {
+  return (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+}
+
+function samePoint(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+/**
+ * Twice the signed area of an outline (positive when counter-clockwise)
+ */
+function outlineArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x0, y0] = points[i];
+    const [x1, y1] = points[(i + 1) % points.length];
+    area += x0 * y1 - x1 * y0;
+  }
+  return area;
+}
+
+/**
+ * Trace the outlines of the solid cells of a mask
+ * Outlines run along cell edges in pixel units with Y up (0 at the bottom of
+ * the texture) and the solid side on their left, so outer contours are
+ * counter-clockwise and holes clockwise. Cells touching only at a corner get
+ * separate outlines, and corners where an outline runs straight on are dropped.
+ * @param {Uint8Array} mask - Solid cells (1) in row-major order, y=0 is top
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @returns {number[][][]} Outlines as lists of [x, y] corners
+ */
+function traceOutlines(mask, width, height) {
+  const isSolid = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[(height - 1 - y) * width + x] === 1;
+
+  // Boundary edges by start corner, each with the solid cell on its left
+  const edgesByStart = new Map();
+  const edges = [];
+  const addEdge = (x0, y0, x1, y1) => {
+    const edge = { from: [x0, y0], to: [x1, y1], used: false };
+    const key = `${x0},${y0}`;
+    if (!edgesByStart.has(key)) edgesByStart.set(key, []);
+    edgesByStart.get(key).push(edge);
+    edges.push(edge);
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!isSolid(x, y)) continue;
+      if (!isSolid(x, y - 1)) addEdge(x, y, x + 1, y);
+      if (!isSolid(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+      if (!isSolid(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+      if (!isSolid(x - 1, y)) addEdge(x, y + 1, x, y);
+    }
+  }
+
+  const outlines = [];
+  for (const first of edges) {
+    if (first.used) continue;
+
+    const points = [];
+    let edge = first;
+    while (!edge.used) {
+      edge.used = true;
+      points.push(edge.from);
+      const [dx, dy] = [edge.to[0] - edge.from[0], edge.to[1] - edge.from[1]];
+      const next = edgesByStart.get(`${edge.to[0]},${edge.to[1]}`).filter(candidate => !candidate.used || candidate === first);
+      // Where two outlines meet at a corner, turn left to stay around the same cells
+      edge = next.length === 1
+        ? next[0]
+        : next.find(candidate => candidate.to[0] - candidate.from[0] === -dy && candidate.to[1] - candidate.from[1] === dx) || next[0];
+    }
+
+    outlines.push(points.filter((point, i) => {
+      const prev = points[(i + points.length - 1) % points.length];
+      const next = points[(i + 1) % points.length];
+      return cross(prev, point, next) !== 0;
+    }));
+  }
+
+  return outlines;
+}
+
+/**
+ * Cut the staircases of an outline into diagonal edges
+ * An edge may replace a run of corners when it starts and ends at inner
+ * corners, every skipped corner lies less than a pixel outside of it (so it
+ * only cuts into solid pixels, never over empty ones) and every skipped edge
+ * faces empty cells. Outer corners, single-pixel tips and edges against
+ * occluders are kept.
+ * @param {number[][]} points - Outline corners
+ * @param {Function} isEdgeOpen - (p, q) => true when the edge pq faces only empty cells
+ * @returns {number[][]} Simplified corners (a subset of points)
+ */
+function simplifyOutline(points, isEdgeOpen) {
+  const count = points.length;
+  const at = offset => points[offset % count];
+  const isInner = offset => cross(at(offset + count - 1), at(offset), at(offset + 1)) < 0;
+
+  let start = 0;
+  while (start < count && !isInner(start)) start++;
+  if (start === count) return points;
+
+  const result = [];
+  let anchor = start;
+  while (anchor < start + count) {
+    result.push(at(anchor));
+    let next = anchor + 1;
+    for (let end = anchor + 2; end <= start + count && isEdgeOpen(at(end - 2), at(end - 1)); end++) {
+      const [a, b] = [at(anchor), at(end)];
+      const lengthSquared = (b[0] - a[0]) ** 2 + (b[1] - a[1]) ** 2;
+      let valid = true;
+      for (let skipped = anchor + 1; skipped < end && valid; skipped++) {
+        const side = cross(a, b, at(skipped));
+        valid = side <= 0 && side * side < lengthSquared;
+      }
+      if (!valid) break;
+      if (isInner(end) && isEdgeOpen(at(end - 1), b)) next = end;
+    }
+    anchor = next;
+  }
+  return result;
+}
+
+/**
+ * Check whether segments ab and cd meet anywhere but at a shared end
+ */
+function segmentsMeet(a, b, c, d) {
+  const d1 = cross(a, b, c);
+  const d2 = cross(a, b, d);
+  const d3 = cross(c, d, a);
+  const d4 = cross(c, d, b);
+  const within = (p, q, r) => Math.min(p[0], q[0]) <= r[0] && r[0] <= Math.max(p[0], q[0]) &&
+    Math.min(p[1], q[1]) <= r[1] && r[1] <= Math.max(p[1], q[1]);
+  const inside = (p, q, r) => within(p, q, r) && !samePoint(p, r) && !samePoint(q, r);
+
+  if (d1 === 0 && d2 === 0) {
+    // Collinear: overlapping, or one end inside the other segment
+    return inside(a, b, c) || inside(a, b, d) || inside(c, d, a) || inside(c, d, b) ||
+      (samePoint(a, c) && samePoint(b, d)) || (samePoint(a, d) && samePoint(b, c));
+  }
+  if ((d1 === 0 && inside(a, b, c)) || (d2 === 0 && inside(a, b, d)) ||
+      (d3 === 0 && inside(c, d, a)) || (d4 === 0 && inside(c, d, b))) {
+    return true;
+  }
+  return Math.sign(d1) * Math.sign(d2) < 0 && Math.sign(d3) * Math.sign(d4) < 0;
+}
+
+/**
+ * Simplify outlines, keeping the exact outline wherever a new diagonal edge
+ * would cross or touch another edge (thin parts, nearby holes)
+ * @param {number[][][]} outlines - Traced outlines
+ * @param {Function} isEdgeOpen - (p, q) => true when the edge pq faces only empty cells
+ * @returns {number[][][]} Simplified outlines, in the same order
+ */
+function simplifyOutlines(outlines, isEdgeOpen) {
+  const shapes = outlines.map(points => simplifyOutline(points, isEdgeOpen));
+  const edgesOf = points => points.map((p, i) => [p, points[(i + 1) % points.length]]);
+
+  // Edges by the 8x8 pixel blocks their bounds touch
+  const blocksOf = ([p, q]) => {
+    const blocks = [];
+    for (let bx = Math.floor(Math.min(p[0], q[0]) / 8); bx <= Math.floor(Math.max(p[0], q[0]) / 8); bx++) {
+      for (let by = Math.floor(Math.min(p[1], q[1]) / 8); by <= Math.floor(Math.max(p[1], q[1]) / 8); by++) {
+        blocks.push(`${bx},${by}`);
+      }
+    }
+    return blocks;
+  };
+
+  let reverted = true;
+  while (reverted) {
+    reverted = false;
+    const edgesByBlock = new Map();
+    for (const points of shapes) {
+      for (const edge of edgesOf(points)) {
+        for (const block of blocksOf(edge)) {
+          if (!edgesByBlock.has(block)) edgesByBlock.set(block, []);
+          edgesByBlock.get(block).push(edge);
+        }
+      }
+    }
+    shapes.forEach((points, outline) => {
+      if (points === outlines[outline]) return;
+      const crossing = edgesOf(points).some(([p, q]) => p[0] !== q[0] && p[1] !== q[1] &&
+        blocksOf([p, q]).some(block => edgesByBlock.get(block).some(([c, d]) =>
+          !(samePoint(p, c) && samePoint(q, d)) && segmentsMeet(p, q, c, d))));
+      if (crossing) {
+        shapes[outline] = outlines[outline];
+        reverted = true;
+      }
+    });
+  }
+  return shapes;
+}
+
+/**
+ * Polygon triangulation by ear clipping, after the earcut library: holes are
+ * joined to the outer ring with bridges, then ears are cut. Rings that touch
+ * themselves at a corner (holes meeting diagonally) are handled by the later
+ * passes. Nodes are { i, x, y, prev, next } in a circular list.
+ */
+
+/**
+ * Twice the signed area of triangle pqr, negative when counter-clockwise
+ */
+function area(p, q, r) {
+  return (q.y - p.y) * (r.x - q.x) - (q.x - p.x) * (r.y - q.y);
+}
+
+function equals(p, q) {
+  return p.x === q.x && p.y === q.y;
+}
+
+function pointInTriangle(ax, ay, bx, by, cx, cy, px, py) {
+  return (cx - px) * (ay - py) >= (ax - px) * (cy - py) &&
+    (ax - px) * (by - py) >= (bx - px) * (ay - py) &&
+    (bx - px) * (cy - py) >= (cx - px) * (by - py);
+}
+
+function insertNode(i, [x, y], last) {
+  const node = { i, x, y, prev: null, next: null };
+  if (last) {
+    node.next = last.next;
+    node.prev = last;
+    last.next.prev = node;
+    last.next = node;
+  } else {
+    node.prev = node;
+    node.next = node;
+  }
+  return node;
+}
+
+function removeNode(node) {
+  node.next.prev = node.prev;
+  node.prev.next = node.next;
+}
+
+/**
+ * Build a ring from outline points
+ * @returns {Object} Last node
+ */
+function buildRing(points, firstIndex) {
+  let last = null;
+  points.forEach((point, index) => {
+    last = insertNode(firstIndex + index, point, last);
+  });
+  if (last && equals(last, last.next)) {
+    removeNode(last);
+    last = last.next;
+  }
+  return last;
+}
+
+/**
+ * Remove repeated corners and corners on a straight line
+ * Dropped outline corners are put back by splitAtCorners.
+ */
+function filterPoints(start, end = start) {
+  if (!start) return start;
+  let node = start;
+  let again;
+  do {
+    again = false;
+    if (equals(node, node.next) || area(node.prev, node, node.next) === 0) {
+      removeNode(node);
+      node = end = node.prev;
+      if (node === node.next) break;
+      again = true;
+    } else {
+      node = node.next;
+    }
+  } while (again || node !== end);
+  return end;
+}
+
+function isEar(ear) {
+  const a = ear.prev;
+  const b = ear;
+  const c = ear.next;
+  if (area(a, b, c) >= 0) return false; // Reflex or flat
+
+  // No reflex corner may lie in the triangle (copies of its first corner aside)
+  for (let node = c.next; node !== a; node = node.next) {
+    if (!equals(node, a) && pointInTriangle(a.x, a.y, b.x, b.y, c.x, c.y, node.x, node.y) &&
+        area(node.prev, node, node.next) >= 0) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function onSegment(p, q, r) {
+  return q.x <= Math.max(p.x, r.x) && q.x >= Math.min(p.x, r.x) && q.y <= Math.max(p.y, r.y) && q.y >= Math.min(p.y, r.y);
+}
+
+/**
+ * Check whether segments p1q1 and p2q2 intersect (touching counts)
+ */
+function intersects(p1, q1, p2, q2) {
+  const o1 = Math.sign(area(p1, q1, p2));
+  const o2 = Math.sign(area(p1, q1, q2));
+  const o3 = Math.sign(area(p2, q2, p1));
+  const o4 = Math.sign(area(p2, q2, q1));
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (o1 === 0 && onSegment(p1, p2, q1)) ||
+    (o2 === 0 && onSegment(p1, q2, q1)) ||
+    (o3 === 0 && onSegment(p2, p1, q2)) ||
+    (o4 === 0 && onSegment(p2, q1, q2));
+}
+
+function intersectsPolygon(a, b) {
+  let node = a;
+  do {
+    if (node.i !== a.i && node.next.i !== a.i && node.i !== b.i && node.next.i !== b.i &&
+        intersects(node, node.next, a, b)) {
+      return true;
+    }
+    node = node.next;
+  } while (node !== a);
+  return false;
+}
+
+/**
+ * Check whether the diagonal ab leaves a into the polygon
+ */
+function locallyInside(a, b) {
+  return area(a.prev, a, a.next) < 0
+    ? area(a, b, a.next) >= 0 && area(a, a.prev, b) >= 0
+    : area(a, b, a.prev) < 0 || area(a, a.next, b) < 0;
+}
+
+/**
+ * Check whether the middle of the diagonal ab is inside the polygon
+ */
+function middleInside(a, b) {
+  let node = a;
+  let inside = false;
+  const px = (a.x + b.x) / 2;
+  const py = (a.y + b.y) / 2;
+  do {
+    if (((node.y > py) !== (node.next.y > py)) && node.next.y !== node.y &&
+        (px < (node.next.x - node.x) * (py - node.y) / (node.next.y - node.y) + node.x)) {
+      inside = !inside;
+    }
+    node = node.next;
+  } while (node !== a);
+  return inside;
+}
+
+function isValidDiagonal(a, b) {
+  return a.next.i !== b.i && a.prev.i !== b.i && !intersectsPolygon(a, b) &&
+    ((locallyInside(a, b) && locallyInside(b, a) && middleInside(a, b) &&
+      (area(a.prev, a, b.prev) !== 0 || area(a, b.prev, b) !== 0)) ||
+     (equals(a, b) && area(a.prev, a, a.next) > 0 && area(b.prev, b, b.next) > 0));
+}
+
+/**
+ * Split a ring in two along the diagonal ab
+ * @returns {Object} The copy of b that starts the second ring
+ */
+function splitPolygon(a, b) {
+  const a2 = { i: a.i, x: a.x, y: a.y, prev: null, next: null };
+  const b2 = { i: b.i, x: b.x, y: b.y, prev: null, next: null };
+  const an = a.next;
+  const bp = b.prev;
+
+  a.next = b;
+  b.prev = a;
+  a2.next = an;
+  an.prev = a2;
+  b2.next = a2;
+  a2.prev = b2;
+  bp.next = b2;
+  b2.prev = bp;
+  return b2;
+}
+
+/**
+ * Cut triangles where two neighboring edges cross (a ring touching itself)
+ */
+function cureLocalIntersections(start, triangles) {
+  let node = start;
+  do {
+    const a = node.prev;
+    const b = node.next.next;
+    if (!equals(a, b) && intersects(a, node, node.next, b) && locallyInside(a, b) && locallyInside(b, a)) {
+      triangles.push(a.i, node.i, b.i);
+      removeNode(node);
+      removeNode(node.next);
+      node = start = b;
+    }
+    node = node.next;
+  } while (node !== start);
+  return filterPoints(node);
+}
+
+/**
+ * Split a ring that has no ears left along a valid diagonal and triangulate both halves
+ */
+function splitEarcut(start, triangles) {
+  let a = start;
+  do {
+    for (let b = a.next.next; b !== a.prev; b = b.next) {
+      if (a.i !== b.i && isValidDiagonal(a, b)) {
+        let c = splitPolygon(a, b);
+        a = filterPoints(a, a.next);
+        c = filterPoints(c, c.next);
+        cutEars(a, triangles, 0);
+        cutEars(c, triangles, 0);
+        return;
+      }
+    }
+    a = a.next;
+  } while (a !== start);
+}
+
+/**
+ * Cut ears off a ring until it is used up
+ * Passes when no ear is found: 1 drops repeated and straight corners again,
+ * 2 cures local self-intersections, 3 splits the ring in two.
+ */
+function cutEars(ear, triangles, pass) {
+  if (!ear) return;
+  let stop = ear;
+  while (ear.prev !== ear.next) {
+    const prev = ear.prev;
+    const next = ear.next;
+    if (isEar(ear)) {
+      triangles.push(prev.i, ear.i, next.i);
+      removeNode(ear);
+      ear = next.next;
+      stop = next.next;
+      continue;
+    }
+
+    ear = next;
+    if (ear === stop) {
+      if (pass === 0) {
+        cutEars(filterPoints(ear), triangles, 1);
+      } else if (pass === 1) {
+        cutEars(cureLocalIntersections(filterPoints(ear), triangles), triangles, 2);
+      } else if (pass === 2) {
+        splitEarcut(ear, triangles);
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * Find the outer ring node a hole's leftmost corner can be bridged to
+ * A ray goes left from the hole to the nearest edge; if corners of the ring
+ * lie between the hole and that edge, the one closest to the ray wins.
+ */
+function findHoleBridge(hole, outerNode) {
+  const hx = hole.x;
+  const hy = hole.y;
+  let node = outerNode;
+  let qx = -Infinity;
+  let bridge = null;
+
+  if (equals(hole, node)) return node;
+  do {
+    if (equals(hole, node.next)) return node.next;
+    if (hy <= node.y && hy >= node.next.y && node.next.y !== node.y) {
+      const x = node.x + (hy - node.y) * (node.next.x - node.x) / (node.next.y - node.y);
+      if (x <= hx && x > qx) {
+        qx = x;
+        bridge = node.x < node.next.x ? node : node.next;
+        if (x === hx) return bridge; // The hole touches this edge
+      }
+    }
+    node = node.next;
+  } while (node !== outerNode);
+  if (!bridge) return null;
+
+  const stop = bridge;
+  const mx = bridge.x;
+  const my = bridge.y;
+  let tanMin = Infinity;
+  node = bridge;
+  do {
+    if (hx >= node.x && node.x >= mx && hx !== node.x &&
+        pointInTriangle(hy < my ? hx : qx, hy, mx, my, hy < my ? qx : hx, hy, node.x, node.y)) {
+      const tan = Math.abs(hy - node.y) / (hx - node.x);
+      if (locallyInside(node, hole) &&
+          (tan < tanMin || (tan === tanMin && (node.x > bridge.x || (node.x === bridge.x && sectorContainsSector(bridge, node)))))) {
+        bridge = node;
+        tanMin = tan;
+      }
+    }
+    node = node.next;
+  } while (node !== stop);
+  return bridge;
+}
+
+function sectorContainsSector(m, p) {
+  return area(m.prev, m, p.prev) < 0 && area(p.next, m, m.next) < 0;
+}
+
+/**
+ * Join holes to the outer ring, leftmost hole first
+ */
+function eliminateHoles(holeRings, outerNode) {
+  const leftmost = holeRings.map(ring => {
+    let best = ring;
+    let node = ring;
+    do {
+      if (node.x < best.x || (node.x === best.x && node.y < best.y)) best = node;
+      node = node.next;
+    } while (node !== ring);
+    return best;
+  }).sort((a, b) => a.x - b.x || a.y - b.y);
+
+  for (const hole of leftmost) {
+    const bridge = findHoleBridge(hole, outerNode);
+    if (!bridge) continue;
+    const bridgeReverse = splitPolygon(bridge, hole);
+    filterPoints(bridgeReverse, bridgeReverse.next);
+    outerNode = filterPoints(bridge, bridge.next);
+  }
+  return outerNode;
+}
+
+/**
+ * Split triangles whose edges run over outline corners
+ * Corners dropped while triangulating (straight after a bridge, or where the
+ * outline touches itself) would otherwise leave T-junctions against the walls.
+ * Corners are whole pixels, so only the lattice points of each edge are checked.
+ * @param {number[]} triangles - Point indices, three per triangle
+ * @param {number[][]} points - Outline points
+ * @returns {number[]} Triangles with no corner inside an edge
+ */
+function splitAtCorners(triangles, points) {
+  const indexByPoint = new Map(points.map((point, index) => [point.join(','), index]));
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  const cornerOnEdge = (p, q) => {
+    const [dx, dy] = [points[q][0] - points[p][0], points[q][1] - points[p][1]];
+    const steps = gcd(Math.abs(dx), Math.abs(dy));
+    for (let step = 1; step < steps; step++) {
+      const key = `${points[p][0] + dx / steps * step},${points[p][1] + dy / steps * step}`;
+      if (indexByPoint.has(key)) return indexByPoint.get(key);
+    }
+    return -1;
+  };
+
+  const result = [];
+  const pending = [];
+  for (let t = 0; t < triangles.length; t += 3) {
+    pending.push([triangles[t], triangles[t + 1], triangles[t + 2]]);
+  }
+  while (pending.length > 0) {
+    const [a, b, c] = pending.pop();
+    const split = [[a, b, c], [b, c, a], [c, a, b]].find(([p, q]) => cornerOnEdge(p, q) >= 0);
+    if (split) {
+      const [p, q, r] = split;
+      const corner = cornerOnEdge(p, q);
+      pending.push([p, corner, r], [corner, q, r]);
+    } else {
+      result.push(a, b, c);
+    }
+  }
+  return result;
+}
+
+/**
+ * Triangulate an outline with holes
+ * @param {number[][]} outer - Outer contour (counter-clockwise)
+ * @param {number[][][]} holes - Holes (clockwise)
+ * @returns {number[]} Indices into [...outer, ...holes.flat()], three per triangle (counter-clockwise)
+ */
+function triangulate(outer, holes) {
+  const triangles = [];
+  let outerNode = buildRing(outer, 0);
+  if (!outerNode || outerNode.next === outerNode.prev) return triangles;
+
+  let firstIndex = outer.length;
+  const holeRings = holes.map(hole => {
+    const ring = buildRing(hole, firstIndex);
+    firstIndex += hole.length;
+    return ring;
+  });
+
+  outerNode = eliminateHoles(holeRings, outerNode);
+  cutEars(outerNode, triangles, 0);
+  return splitAtCorners(triangles, [outer, ...holes].flat());
+}
+
+/**
+ * Mesh the solid cells of a mask into triangulated caps and perimeter walls
+ * Faces use the format of voxelMesher's quads (pixel units, Y up, z -1 back /
+ * +1 front, image-space UVs in pixels). Caps are polygons with any number of
+ * corners and a `triangles` list of corner indices; walls are quads, one per
+ * diagonal edge and per run of a straight edge that is not covered by an
+ * occluder. Outlines follow the pixel contour, with only collinear corners
+ * merged, unless `diagonals` is set. Diagonal walls are named after their main
+ * direction.
+ * @param {Object} options - Meshing options
+ * @param {Uint8Array} options.mask - Solid cells (1) in row-major order, y=0 is top
+ * @param {number} options.width - Mask width in pixels
+ * @param {number} options.height - Mask height in pixels
+ * @param {Uint8Array} options.occluders - Cells that hide walls facing them (default: none)
+ * @param {Uint8Array} options.neighbors - Cells of other parts; edges facing them stay on the pixel grid (default: occluders)
+ * @param {boolean} options.diagonals - Cut staircases into diagonal edges (fewer triangles, but the
+ *   silhouette loses half a pixel at each cut corner, default: false)
+ * @returns {{quads: Object[], solidCount: number}} Faces with face, normal, corners, uvs and (caps) triangles
+ */
+export function meshOutline({ mask, width, height, occluders = null, neighbors = occluders, diagonals = false }) {
+  const solidCount = mask.reduce((sum, value) => sum + value, 0);
+  const quads = [];
+
+  if (solidCount === 0) {
+    return { quads, solidCount };
+  }
+
+  const isSet = (cells, x, y) => cells !== null && x >= 0 && y >= 0 && x < width && y < height &&
+    cells[(height - 1 - y) * width + x] === 1;
+  const isOccluded = (x, y) => isSet(occluders, x, y);
+  // Cells outside a straight edge, one per pixel of it (to the right of it)
+  const outsideCells = (p, q) => {
+    const length = Math.abs(q[0] - p[0]) + Math.abs(q[1] - p[1]);
+    const [dx, dy] = [(q[0] - p[0]) / length, (q[1] - p[1]) / length];
+    return Array.from({ length }, (_, step) => [
+      Math.floor(p[0] + dx * step + (dx + dy) / 2),
+      Math.floor(p[1] + dy * step + (dy - dx) / 2)
+    ]);
+  };
+  const isEdgeOpen = (p, q) => outsideCells(p, q).every(([x, y]) => !isSet(neighbors, x, y));
+
+  const outlines = traceOutlines(mask, width, height);
+  const outers = outlines.filter(points => outlineArea(points) > 0);
+  const holes = outlines.filter(points => outlineArea(points) < 0);
+
+  // A hole belongs to the smallest outer contour around it; test a point just
+  // inside the hole next to its first edge (the empty side is on the right)
+  const contains = (points, [x, y]) => {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const [xi, yi] = points[i];
+      const [xj, yj] = points[j];
+      if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  };
+  const holesByOuter = outers.map(() => []);
+  for (const hole of holes) {
+    const [a, b] = hole;
+    const length = Math.abs(b[0] - a[0]) + Math.abs(b[1] - a[1]);
+    const probe = [
+      (a[0] + b[0]) / 2 + (b[1] - a[1]) / length * 0.25,
+      (a[1] + b[1]) / 2 - (b[0] - a[0]) / length * 0.25
+    ];
+    let owner = -1;
+    outers.forEach((outer, i) => {
+      if (contains(outer, probe) && (owner < 0 || outlineArea(outer) < outlineArea(outers[owner]))) {
+        owner = i;
+      }
+    });
+    if (owner >= 0) holesByOuter[owner].push(hole);
+  }
+
+  const shapes = new Map(diagonals
+    ? simplifyOutlines(outlines, isEdgeOpen).map((shape, i) => [outlines[i], shape])
+    : outlines.map(points => [points, points]));
+
+  outers.forEach((outer, i) => {
+    const holeShapes = holesByOuter[i].map(hole => shapes.get(hole));
+    const points = [shapes.get(outer), ...holeShapes].flat();
+    const triangles = triangulate(shapes.get(outer), holeShapes);
+
+    // Front and back caps share one triangulation
+    const uvs = points.map(([x, y]) => [x, height - y]);
+    const backTriangles = [];
+    for (let t = 0; t < triangles.length; t += 3) {
+      backTriangles.push(triangles[t], triangles[t + 2], triangles[t + 1]);
+    }
+    quads.push({ face: 'front', normal: FACE_NORMALS.front, corners: points.map(([x, y]) => [x, y, 1]), uvs, triangles });
+    quads.push({ face: 'back', normal: FACE_NORMALS.back, corners: points.map(([x, y]) => [x, y, -1]), uvs, triangles: backTriangles });
+  });
+
+  // Walls face away from the solid side (the outward normal of pq is [dy, -dx]).
+  // Straight walls sample the middle of the pixel row or column they close off;
+  // diagonal walls run through the corner pixels they cut, so they sample along
+  // the edge itself, like the caps do.
+  const addWall = (p, q) => {
+    const [dx, dy] = [q[0] - p[0], q[1] - p[1]];
+    const length = Math.hypot(dx, dy);
+    const straight = dx === 0 || dy === 0;
+    const face = Math.abs(dy) >= Math.abs(dx) ? (dy > 0 ? 'right' : 'left') : (dx < 0 ? 'top' : 'bottom');
+    const inset = straight ? 0.5 / length : 0;
+    const uv = ([x, y]) => [x - dy * inset, height - (y + dx * inset)];
+    quads.push({
+      face,
+      normal: straight ? FACE_NORMALS[face] : [dy / length, -dx / length, 0],
+      corners: [[p[0], p[1], -1], [q[0], q[1], -1], [q[0], q[1], 1], [p[0], p[1], 1]],
+      uvs: [uv(p), uv(q), uv(q), uv(p)]
+    });
+  };
+  for (const points of shapes.values()) {
+    points.forEach((p, i) => {
+      const q = points[(i + 1) % points.length];
+      if (p[0] !== q[0] && p[1] !== q[1]) {
+        addWall(p, q); // Diagonal edges only skip open edges
+        return;
+      }
+
+      // Occluded cells split a straight edge into runs
+      const cells = outsideCells(p, q);
+      const [dx, dy] = [Math.sign(q[0] - p[0]), Math.sign(q[1] - p[1])];
+      let runStart = null;
+      for (let step = 0; step <= cells.length; step++) {
+        const open = step < cells.length && !isOccluded(...cells[step]);
+        const corner = [p[0] + dx * step, p[1] + dy * step];
+        if (open && runStart === null) {
+          runStart = corner;
+        } else if (!open && runStart !== null) {
+          addWall(runStart, corner);
+          runStart = null;
+        }
+      }
+    });
+  }
+
+  return { quads, solidCount };
+}
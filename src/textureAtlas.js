@@ -7,17 +7,102 @@ import fs from 'fs-extra';
 import path from 'path';
 import sharp from 'sharp';
 
+/**
+ * What to do with faces whose texture can't be resolved
+ * - warn: report it; the face uses the atlas's first texture
+ * - checker: report it; the face uses a magenta-black checker added to the atlas
+ * - error: fail the model
+ */
+export const MISSING_TEXTURE_MODES = ['warn', 'checker', 'error'];
+
+/**
+ * How the packed atlas is sized
+ * - native: texture pixels as they are
+ * - multiplier: every texture pixel becomes `multiplier` × `multiplier` pixels
+ * - max: the largest whole-number upscale within `maxSize`; larger atlases are
+ *   scaled down to fit
+ */
+export const ATLAS_SIZE_MODES = ['native', 'multiplier', 'max'];
+
+/**
+ * Atlas key of the checker texture that stands in for missing textures
+ */
+const MISSING_TEXTURE_KEY = 'minecraft:missingno';
+
+/**
+ * Default atlas options (see config/default.json)
+ * - padding: pixels around each packed texture, filled with its edge pixels so
+ *   filtering and mipmaps never pick up a neighbor
+ * - missingTexture: see MISSING_TEXTURE_MODES
+ * - sizeMode, multiplier, maxSize: see ATLAS_SIZE_MODES
+ */
+export const DEFAULT_ATLAS_OPTIONS = {
+  padding: 2,
+  missingTexture: 'warn',
+  sizeMode: 'max',
+  multiplier: 4,
+  maxSize: 1024
+};
+
+/**
+ * Merge and validate atlas options
+ * @param {Object} options - Run options (config/CLI)
+ * @returns {{padding: number, missingTexture: string, sizeMode: string, multiplier: number, maxSize: number}} Resolved options
+ */
+export function resolveAtlasOptions(options = {}) {
+  const resolved = { ...DEFAULT_ATLAS_OPTIONS };
+  for (const key of Object.keys(DEFAULT_ATLAS_OPTIONS)) {
+    if (options[key] !== undefined && options[key] !== null) {
+      resolved[key] = options[key];
+    }
+  }
+
+  if (!Number.isInteger(resolved.padding) || resolved.padding < 0) {
+    throw new Error(`Invalid atlas padding: ${resolved.padding} (expected a whole number of pixels >= 0)`);
+  }
+  if (!MISSING_TEXTURE_MODES.includes(resolved.missingTexture)) {
+    throw new Error(`Invalid missing texture mode: ${resolved.missingTexture} (expected ${MISSING_TEXTURE_MODES.join(', ')})`);
+  }
+  if (!ATLAS_SIZE_MODES.includes(resolved.sizeMode)) {
+    throw new Error(`Invalid atlas size mode: ${resolved.sizeMode} (expected ${ATLAS_SIZE_MODES.join(', ')})`);
+  }
+  if (!Number.isInteger(resolved.multiplier) || resolved.multiplier < 1) {
+    throw new Error(`Invalid atlas multiplier: ${resolved.multiplier} (expected a whole number >= 1)`);
+  }
+  if (!Number.isInteger(resolved.maxSize) || resolved.maxSize < 1) {
+    throw new Error(`Invalid atlas max size: ${resolved.maxSize} (expected a whole number of pixels >= 1)`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Get the canonical resource location of a texture reference
+ * "entity/chest/normal", "minecraft:entity/chest/normal" and
+ * "minecraft:entity/chest/normal.png" all name the same texture.
+ * @param {string} ref - Texture reference (without "#")
+ * @returns {string} Resource location ("minecraft:entity/chest/normal")
+ */
+export function toResourceLocation(ref) {
+  const location = ref.replace(/\\/g, '/').replace(/\.png$/, '');
+  return location.includes(':') ? location : `minecraft:${location}`;
+}
+
 /**
  * TextureAtlas class for managing textures and UV mappings
  */
 export class TextureAtlas {
   constructor(options = {}) {
-    this.textures = new Map(); // path -> { image, width, height, x, y }
+    this.textures = new Map(); // path (or embedded texture reference) -> { image | data, width, height, rect }
+    this.locations = new Map(); // resource location -> Set of paths it was resolved to (see registerModelTextures)
     this.atlasImage = null;
     this.atlasWidth = 0;
     this.atlasHeight = 0;
-    this.textureSize = 16; // Default Minecraft texture size
-    this.targetResolution = options.targetResolution || 8192; // Target output resolution for upscaling
+    this.sizeMode = options.sizeMode || DEFAULT_ATLAS_OPTIONS.sizeMode; // See ATLAS_SIZE_MODES
+    this.multiplier = options.multiplier || DEFAULT_ATLAS_OPTIONS.multiplier; // Pixels per texture pixel ('multiplier')
+    this.maxSize = options.maxSize || DEFAULT_ATLAS_OPTIONS.maxSize; // Longest side ('max')
+    this.padding = options.padding ?? DEFAULT_ATLAS_OPTIONS.padding; // Extruded edge pixels around packed textures
+    this.missingTexture = options.missingTexture || DEFAULT_ATLAS_OPTIONS.missingTexture; // See MISSING_TEXTURE_MODES
     this.originalTextureSize = 0; // Track original texture size for UV calculations
   }
   
@@ -42,15 +127,8 @@ export class TextureAtlas {
             height: metadata.height,
             originalWidth: metadata.width,  // Store original for UV calculations
             originalHeight: metadata.height,
-            x: 0,
-            y: 0
+            rect: null
           });
-          
-          // Update texture size if different (use larger dimension for non-square)
-          const maxDim = Math.max(metadata.width, metadata.height);
-          if (maxDim > this.textureSize) {
-            this.textureSize = maxDim;
-          }
         } else {
           console.warn(`Texture not found: ${texturePath}`);
         }
@@ -60,39 +138,128 @@ export class TextureAtlas {
     }
   }
   
+  /**
+   * Load textures embedded in a model (e.g. base64 textures of a .bbmodel)
+   * @param {Object} embeddedTextures - PNG buffers by texture reference; the reference stands in for the path
+   * @returns {Promise<void>}
+   */
+  async loadEmbeddedTextures(embeddedTextures) {
+    for (const [textureRef, data] of Object.entries(embeddedTextures)) {
+      if (this.textures.has(textureRef)) continue;
+      
+      try {
+        const metadata = await sharp(data).metadata();
+        this.textures.set(textureRef, {
+          path: textureRef,
+          data,
+          width: metadata.width,
+          height: metadata.height,
+          originalWidth: metadata.width,
+          originalHeight: metadata.height,
+          rect: null
+        });
+      } catch (err) {
+        console.warn(`Failed to load embedded texture ${textureRef}: ${err.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Map a model's texture references to the paths they were resolved to
+   * @param {Object} model - Parsed model; `rawTextures` holds the references, `textures` the resolved paths by the same key
+   */
+  registerModelTextures(model) {
+    for (const [key, value] of Object.entries(model.rawTextures || {})) {
+      const texturePath = (model.textures || {})[key];
+      if (!value || value.startsWith('#') || !texturePath) continue;
+      
+      const location = toResourceLocation(value);
+      if (!this.locations.has(location)) {
+        this.locations.set(location, new Set());
+      }
+      this.locations.get(location).add(texturePath);
+    }
+  }
+  
+  /**
+   * Check that every face of a model resolves to exactly one loaded texture
+   * Problems are reported once per texture, with the faces that use it. In
+   * `error` mode they fail the model; in `checker` mode the checker texture is
+   * loaded so those faces can use it (call before buildAtlas).
+   * @param {Object} model - Parsed model (registered with registerModelTextures)
+   * @returns {Promise<string[]>} Problem messages
+   * @throws {Error} In `error` mode, if any face can't be resolved
+   */
+  async checkModelTextures(model) {
+    const problems = new Map(); // problem -> face labels
+    (model.elements || []).forEach((element, index) => {
+      const elementName = element.name || element.__comment || `#${index}`;
+      for (const [faceName, faceData] of Object.entries(element.faces || {})) {
+        const { problem } = this.resolveTexture(faceData.texture, model.rawTextures || {});
+        if (!problem) continue;
+        if (!problems.has(problem)) problems.set(problem, []);
+        problems.get(problem).push(`${elementName}/${faceName}`);
+      }
+    });
+    
+    const messages = [...problems].map(([problem, faces]) => {
+      const shown = faces.slice(0, 6).join(', ');
+      const more = faces.length > 6 ? ` and ${faces.length - 6} more` : '';
+      return `Model ${model.name}: ${problem} (faces ${shown}${more})`;
+    });
+    if (messages.length === 0) return messages;
+    
+    if (this.missingTexture === 'error') {
+      throw new Error(messages.join('; '));
+    }
+    for (const message of messages) {
+      console.warn(message);
+    }
+    if (this.missingTexture === 'checker' && !this.textures.has(MISSING_TEXTURE_KEY)) {
+      await this.loadEmbeddedTextures({ [MISSING_TEXTURE_KEY]: await createCheckerTexture() });
+    }
+    return messages;
+  }
+  
   /**
    * Build the texture atlas from loaded textures
-   * Upscales to targetResolution using nearest-neighbor to preserve pixel art
+   * Textures keep their native size and are packed into rectangles (see
+   * packRectangles), each with `padding` extruded edge pixels. The packed atlas
+   * is then resized per sizeMode (see getOutputSize) with nearest-neighbor to
+   * preserve pixel art, so it keeps its aspect ratio and may be non-square or
+   * non-power-of-two.
    * @returns {Promise<Buffer>} Atlas image as PNG buffer
    */
   async buildAtlas() {
     const textureCount = this.textures.size;
     
     if (textureCount === 0) {
-      // Create a placeholder magenta texture at target resolution
-      this.atlasWidth = this.targetResolution;
-      this.atlasHeight = this.targetResolution;
+      // Create a placeholder magenta texture, sized like a 16x16 texture
+      const { width, height } = this.getOutputSize(16, 16);
+      this.atlasWidth = width;
+      this.atlasHeight = height;
       this.atlasImage = await sharp({
         create: {
-          width: this.targetResolution,
-          height: this.targetResolution,
+          width,
+          height,
           channels: 4,
-          background: { r: 255, g: 0, b: 255, a: 255 }
+          background: { r: 255, g: 0, b: 255, alpha: 1 }
         }
       }).png().toBuffer();
       return this.atlasImage;
     }
     
     if (textureCount === 1) {
-      // Single texture - upscale to target resolution
+      // Single texture - the atlas is the texture, resized
       const [texture] = this.textures.values();
       this.originalTextureSize = texture.width; // Store original for UV calculation
-      this.atlasWidth = this.targetResolution;
-      this.atlasHeight = this.targetResolution;
+      const { width, height } = this.getOutputSize(texture.width, texture.height);
+      this.atlasWidth = width;
+      this.atlasHeight = height;
+      texture.rect = { x: 0, y: 0, width: this.atlasWidth, height: this.atlasHeight };
       
-      // Upscale using nearest-neighbor to preserve pixel art
-      this.atlasImage = await sharp(texture.path)
-        .resize(this.targetResolution, this.targetResolution, { 
+      this.atlasImage = await sharp(texture.data || texture.path)
+        .resize(this.atlasWidth, this.atlasHeight, { 
           kernel: 'nearest',
           fit: 'fill'
         })
@@ -102,47 +269,31 @@ export class TextureAtlas {
       return this.atlasImage;
     }
     
-    // Multiple textures - create atlas then upscale
-    // Calculate atlas dimensions (power of 2, square)
-    const gridSize = Math.ceil(Math.sqrt(textureCount));
-    const baseAtlasSize = gridSize * this.textureSize;
-    
-    // Round up to power of 2
-    const baseSize = nextPowerOf2(baseAtlasSize);
-    
-    // Position textures in grid at base size
-    let index = 0;
-    for (const [texturePath, texture] of this.textures) {
-      const gridX = index % gridSize;
-      const gridY = Math.floor(index / gridSize);
-      texture.x = gridX * this.textureSize;
-      texture.y = gridY * this.textureSize;
-      index++;
-    }
+    // Multiple textures - pack at native size, padding included
+    const padding = this.padding;
+    const textures = [...this.textures.values()];
+    const packed = packRectangles(textures.map(texture => ({
+      width: texture.width + padding * 2,
+      height: texture.height + padding * 2
+    })));
     
-    // Composite textures into atlas at base size
     const composites = [];
-    for (const [texturePath, texture] of this.textures) {
-      // Resize texture to standard size if needed
-      let input = texture.path;
-      if (texture.width !== this.textureSize || texture.height !== this.textureSize) {
-        input = await sharp(texture.path)
-          .resize(this.textureSize, this.textureSize, { kernel: 'nearest' })
-          .toBuffer();
+    for (const [index, texture] of textures.entries()) {
+      const { x, y } = packed.positions[index];
+      let image = sharp(texture.data || texture.path).ensureAlpha();
+      if (padding > 0) {
+        // Repeat the edge pixels into the padding
+        image = image.extend({ top: padding, bottom: padding, left: padding, right: padding, extendWith: 'copy' });
       }
-      
-      composites.push({
-        input: typeof input === 'string' ? input : input,
-        left: texture.x,
-        top: texture.y
-      });
+      composites.push({ input: await image.png().toBuffer(), left: x, top: y });
+      texture.rect = { x: x + padding, y: y + padding, width: texture.width, height: texture.height };
     }
     
     // Create base atlas with transparent background
     const baseAtlas = await sharp({
       create: {
-        width: baseSize,
-        height: baseSize,
+        width: packed.width,
+        height: packed.height,
         channels: 4,
         background: { r: 0, g: 0, b: 0, alpha: 0 }
       }
@@ -151,29 +302,54 @@ export class TextureAtlas {
     .png()
     .toBuffer();
     
-    // Upscale to target resolution
-    this.atlasWidth = this.targetResolution;
-    this.atlasHeight = this.targetResolution;
+    const { width, height } = this.getOutputSize(packed.width, packed.height);
+    this.atlasWidth = width;
+    this.atlasHeight = height;
     
     this.atlasImage = await sharp(baseAtlas)
-      .resize(this.targetResolution, this.targetResolution, {
+      .resize(this.atlasWidth, this.atlasHeight, {
         kernel: 'nearest',
         fit: 'fill'
       })
       .png()
       .toBuffer();
     
-    // Update texture positions for upscaled atlas
-    const scaleFactor = this.targetResolution / baseSize;
-    for (const [texturePath, texture] of this.textures) {
-      texture.x = Math.round(texture.x * scaleFactor);
-      texture.y = Math.round(texture.y * scaleFactor);
+    // Texture rects in the resized atlas, snapped to the pixels nearest-neighbor
+    // gave each texture when it was scaled down (UVs then never reach a neighbour)
+    const scaleX = width / packed.width;
+    const scaleY = height / packed.height;
+    for (const texture of textures) {
+      texture.rect = scaleRect(texture.rect, scaleX, scaleY);
     }
-    this.textureSize = Math.round(this.textureSize * scaleFactor);
     
     return this.atlasImage;
   }
   
+  /**
+   * Get the size of the atlas image for a packed size
+   * `max` upscales by a whole number so every texel stays square; only an atlas
+   * already larger than maxSize is scaled down, by whatever factor fits.
+   * @param {number} width - Packed width in texture pixels
+   * @param {number} height - Packed height in texture pixels
+   * @returns {{width: number, height: number}} Atlas size in pixels
+   */
+  getOutputSize(width, height) {
+    if (this.sizeMode === 'native') {
+      return { width, height };
+    }
+    if (this.sizeMode === 'multiplier') {
+      return { width: width * this.multiplier, height: height * this.multiplier };
+    }
+    
+    const longest = Math.max(width, height);
+    if (longest > this.maxSize) {
+      const scale = this.maxSize / longest;
+      return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+    }
+    const factor = Math.floor(this.maxSize / longest);
+    return { width: width * factor, height: height * factor };
+  }
+  
   /**
    * Get UV coordinates for a face
    * @param {string} textureRef - Texture reference (e.g., "#body")
@@ -188,15 +364,8 @@ export class TextureAtlas {
       uv = [0, 0, 16, 16];
     }
     
-    // Resolve texture reference
-    let texturePath = textureRef;
-    if (textureRef && textureRef.startsWith('#')) {
-      const key = textureRef.slice(1);
-      texturePath = this.resolveTextureChain(key, rawTextures);
-    }
-    
-    // Get texture info from atlas
-    const texture = this.getTextureByRef(texturePath, rawTextures);
+    // Resolve texture reference; unresolved faces were reported by checkModelTextures
+    const texture = this.resolveTexture(textureRef, rawTextures).texture || this.getFallbackTexture();
     
     // Normalize UV to 0-1 range
     // For entity textures, use the stored original dimensions for proper aspect ratio
@@ -227,12 +396,12 @@ export class TextureAtlas {
     if (flipU) [u1, u2] = [u2, u1];
     if (flipV) [v1, v2] = [v2, v1];
     
-    // If we have multiple textures, remap to atlas position
-    if (texture && this.textures.size > 1) {
-      const atlasU1 = texture.x / this.atlasWidth;
-      const atlasV1 = texture.y / this.atlasHeight;
-      const atlasU2 = (texture.x + this.textureSize) / this.atlasWidth;
-      const atlasV2 = (texture.y + this.textureSize) / this.atlasHeight;
+    // If we have multiple textures, remap to the texture's rect
+    if (texture && texture.rect && this.textures.size > 1) {
+      const atlasU1 = texture.rect.x / this.atlasWidth;
+      const atlasV1 = texture.rect.y / this.atlasHeight;
+      const atlasU2 = (texture.rect.x + texture.rect.width) / this.atlasWidth;
+      const atlasV2 = (texture.rect.y + texture.rect.height) / this.atlasHeight;
       
       // Remap UVs to atlas space
       u1 = atlasU1 + u1 * (atlasU2 - atlasU1);
@@ -295,24 +464,73 @@ export class TextureAtlas {
   }
   
   /**
-   * Get texture info by reference
+   * Resolve a face's texture
+   * @param {string} textureRef - Face texture ("#body", or a reference)
+   * @param {Object} rawTextures - Raw texture mappings from model
+   * @returns {{texture: Object|null, location: string|null, problem: string|null}} The texture, its resource location,
+   *   and why it could not be resolved (the texture is then null)
    */
-  getTextureByRef(ref, rawTextures) {
-    // Try direct path lookup
-    for (const [path, texture] of this.textures) {
-      if (path.includes(ref) || path.includes(ref.replace('block/', '').replace('entity/', ''))) {
-        return texture;
+  resolveTexture(textureRef, rawTextures) {
+    let ref = textureRef;
+    if (textureRef && textureRef.startsWith('#')) {
+      ref = this.resolveTextureChain(textureRef.slice(1), rawTextures);
+      if (!ref) {
+        return { texture: null, location: null, problem: `texture variable ${textureRef} is not defined` };
       }
     }
+    if (!ref) {
+      return { texture: null, location: null, problem: 'face has no texture' };
+    }
     
-    // Return first texture as fallback
-    if (this.textures.size > 0) {
-      return this.textures.values().next().value;
+    const location = toResourceLocation(ref);
+    const { texture, problem } = this.getTextureByRef(ref);
+    return { texture, location, problem: problem && `${textureRef} -> ${problem}` };
+  }
+  
+  /**
+   * Get texture info by reference
+   * Only the texture registered for the reference's resource location matches
+   * (see registerModelTextures); nothing else is guessed.
+   * @param {string} ref - Texture reference ("entity/chest/normal", "minecraft:block/stone")
+   * @returns {{texture: Object|null, problem: string|null}} The texture, or why there is none
+   */
+  getTextureByRef(ref) {
+    const location = toResourceLocation(ref);
+    const paths = [...(this.locations.get(location) || [])];
+    if (paths.length === 0) {
+      return { texture: null, problem: `${location} is not one of the model's textures` };
+    }
+    if (paths.length > 1) {
+      return { texture: null, problem: `${location} is ambiguous (${paths.join(', ')})` };
     }
     
-    return null;
+    const texture = this.textures.get(paths[0]);
+    if (!texture) {
+      return { texture: null, problem: `${location} not found (${paths[0]})` };
+    }
+    return { texture, problem: null };
+  }
+  
+  /**
+   * Get the texture faces fall back to when theirs can't be resolved
+   * @returns {Object|null} The checker texture if loaded, else the first texture
+   */
+  getFallbackTexture() {
+    return this.textures.get(MISSING_TEXTURE_KEY) || this.textures.values().next().value || null;
   }
   
+  /**
+   * Get the rectangle a loaded texture occupies in the built atlas
+   * @param {string} texturePath - Texture file path (as passed to loadTextures)
+   * @returns {{x: number, y: number, width: number, height: number}|null} Rect in atlas pixels, or null if not loaded
+   */
+  getTextureRect(texturePath) {
+    const texture = this.textures.get(texturePath);
+    if (!texture || !texture.rect) return null;
+
+    return { ...texture.rect };
+  }
+
   /**
    * Get the atlas image buffer
    * @returns {Buffer} PNG image buffer
@@ -323,27 +541,156 @@ export class TextureAtlas {
 }
 
 /**
- * Get next power of 2
+ * Create the checker that stands in for missing textures
+ * 16x16 with magenta and black 8x8 quarters, like the game's missing texture.
+ * @returns {Promise<Buffer>} PNG buffer
  */
-function nextPowerOf2(n) {
-  let p = 1;
-  while (p < n) p *= 2;
-  return p;
+async function createCheckerTexture() {
+  const size = 16;
+  const pixels = Buffer.alloc(size * size * 4);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const magenta = (x < size / 2) !== (y < size / 2);
+      pixels.set([magenta ? 248 : 0, 0, magenta ? 248 : 0, 255], (y * size + x) * 4);
+    }
+  }
+  return sharp(pixels, { raw: { width: size, height: size, channels: 4 } }).png().toBuffer();
+}
+
+/**
+ * Scale a texture rect into a resized atlas, rounding its edges to whole pixels
+ * @param {{x: number, y: number, width: number, height: number}} rect - Rect in the packed atlas
+ * @param {number} scaleX - Horizontal scale of the resized atlas
+ * @param {number} scaleY - Vertical scale of the resized atlas
+ * @returns {{x: number, y: number, width: number, height: number}} Rect in the resized atlas, at least 1x1
+ */
+function scaleRect(rect, scaleX, scaleY) {
+  const x = Math.round(rect.x * scaleX);
+  const y = Math.round(rect.y * scaleY);
+  const right = Math.max(x + 1, Math.round((rect.x + rect.width) * scaleX));
+  const bottom = Math.max(y + 1, Math.round((rect.y + rect.height) * scaleY));
+  return { x, y, width: right - x, height: bottom - y };
+}
+
+/**
+ * Pack rectangles as compactly as possible
+ * A few bin widths around the square root of the total area are tried; the
+ * packing with the shortest longest side (then the smallest area) wins.
+ * @param {{width: number, height: number}[]} sizes - Rectangle sizes
+ * @returns {{positions: {x: number, y: number}[], width: number, height: number}} Position per rectangle (input order) and the packed size
+ */
+function packRectangles(sizes) {
+  const totalArea = sizes.reduce((sum, { width, height }) => sum + width * height, 0);
+  const minWidth = Math.max(...sizes.map(({ width }) => width));
+  const maxWidth = sizes.reduce((sum, { width }) => sum + width, 0);
+  const binWidths = new Set([1, 1.15, 1.3, 1.5, 2].map(factor =>
+    Math.min(maxWidth, Math.max(minWidth, Math.ceil(Math.sqrt(totalArea) * factor)))
+  ));
+
+  let best = null;
+  for (const binWidth of binWidths) {
+    const packed = packMaxRects(sizes, binWidth);
+    const side = Math.max(packed.width, packed.height);
+    if (!best || side < best.side || (side === best.side && packed.width * packed.height < best.width * best.height)) {
+      best = { ...packed, side };
+    }
+  }
+  return { positions: best.positions, width: best.width, height: best.height };
+}
+
+/**
+ * Pack rectangles into a bin of a given width with the MaxRects algorithm
+ * (bottom-left rule, no rotation). The result is cropped to the space used.
+ * @param {{width: number, height: number}[]} sizes - Rectangle sizes
+ * @param {number} binWidth - Bin width (at least the widest rectangle)
+ * @returns {{positions: {x: number, y: number}[], width: number, height: number}}
+ */
+function packMaxRects(sizes, binWidth) {
+  const binHeight = sizes.reduce((sum, { height }) => sum + height, 0);
+  let freeRects = [{ x: 0, y: 0, width: binWidth, height: binHeight }];
+
+  const intersects = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+  const contains = (a, b) => b.x >= a.x && b.y >= a.y && b.x + b.width <= a.x + a.width && b.y + b.height <= a.y + a.height;
+
+  // Tallest first packs tightest
+  const order = sizes.map((size, index) => index)
+    .sort((a, b) => sizes[b].height - sizes[a].height || sizes[b].width - sizes[a].width);
+
+  const positions = new Array(sizes.length);
+  for (const index of order) {
+    const { width, height } = sizes[index];
+
+    // Bottom-left: the free spot whose top edge ends up highest, then leftmost
+    let best = null;
+    for (const free of freeRects) {
+      if (free.width < width || free.height < height) continue;
+      if (!best || free.y < best.y || (free.y === best.y && free.x < best.x)) {
+        best = free;
+      }
+    }
+    const placed = { x: best.x, y: best.y, width, height };
+    positions[index] = { x: placed.x, y: placed.y };
+
+    // Split every free rect the new one overlaps into the (overlapping) rects around it
+    const split = [];
+    for (const free of freeRects) {
+      if (!intersects(free, placed)) {
+        split.push(free);
+        continue;
+      }
+      if (placed.x > free.x) {
+        split.push({ x: free.x, y: free.y, width: placed.x - free.x, height: free.height });
+      }
+      if (placed.x + placed.width < free.x + free.width) {
+        split.push({ x: placed.x + placed.width, y: free.y, width: free.x + free.width - placed.x - placed.width, height: free.height });
+      }
+      if (placed.y > free.y) {
+        split.push({ x: free.x, y: free.y, width: free.width, height: placed.y - free.y });
+      }
+      if (placed.y + placed.height < free.y + free.height) {
+        split.push({ x: free.x, y: placed.y + placed.height, width: free.width, height: free.y + free.height - placed.y - placed.height });
+      }
+    }
+
+    // Drop free rects inside other free rects (keep one of identical ones)
+    freeRects = split.filter((rect, i) => !split.some((other, j) => j !== i && contains(other, rect) && (!contains(rect, other) || j < i)));
+  }
+
+  return {
+    positions,
+    width: Math.max(...positions.map(({ x }, index) => x + sizes[index].width)),
+    height: Math.max(...positions.map(({ y }, index) => y + sizes[index].height))
+  };
 }
 
 /**
  * Create a texture atlas for a model
- * @param {Object} model - Parsed model
+ * Faces whose texture can't be resolved are reported (see checkModelTextures).
+ * @param {Object} model - Parsed model (its `embeddedTextures`, if any, are loaded too)
  * @param {string[]} texturePaths - Resolved texture paths
  * @param {Object} options - Options
- * @param {number} options.targetResolution - Target resolution for upscaling (default: 8192)
+ * @param {string} options.sizeMode - Atlas size: 'native', 'multiplier' or 'max' (default: 'max')
+ * @param {number} options.multiplier - Pixels per texture pixel in 'multiplier' mode (default: 4)
+ * @param {number} options.maxSize - Longest side in 'max' mode (default: 1024)
+ * @param {number} options.padding - Extruded edge pixels around packed textures (default: 2)
+ * @param {string} options.missingTexture - Unresolved faces: 'warn', 'checker' or 'error' (default: 'warn')
  * @returns {Promise<TextureAtlas>}
+ * @throws {Error} In `error` mode, if a face's texture can't be resolved
  */
 export async function createTextureAtlas(model, texturePaths, options = {}) {
   const atlas = new TextureAtlas({
-    targetResolution: options.targetResolution || 8192
+    sizeMode: options.sizeMode,
+    multiplier: options.multiplier,
+    maxSize: options.maxSize,
+    padding: options.padding,
+    missingTexture: options.missingTexture
   });
   await atlas.loadTextures(texturePaths);
+  if (model.embeddedTextures) {
+    await atlas.loadEmbeddedTextures(model.embeddedTextures);
+  }
+  atlas.registerModelTextures(model);
+  await atlas.checkModelTextures(model);
   await atlas.buildAtlas();
   return atlas;
 }
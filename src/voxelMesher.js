@@ -0,0 +1,253 @@
+/**
+ * Voxel Mesher for pixel-based item models
+ * Culls faces hidden between neighboring opaque pixels and greedily merges
+ * coplanar faces into larger quads. Shared by the OBJ, GLB and FBX writers.
+ */
+
+/**
+ * Outward normal for each voxel face (model space: +X right, +Y up, +Z front)
+ */
+export const FACE_NORMALS = {
+  front:  [0, 0, 1],
+  back:   [0, 0, -1],
+  top:    [0, 1, 0],
+  bottom: [0, -1, 0],
+  right:  [1, 0, 0],
+  left:   [-1, 0, 0]
+};
+
+/**
+ * Build an opacity mask from RGBA pixel data
+ * @param {Uint8Array} pixels - Pixel data (RGBA format)
+ * @param {number} width - Texture width in pixels
+ * @param {number} height - Texture height in pixels
+ * @param {number} channels - Number of channels (4 for RGBA)
+ * @param {number} alphaThreshold - Minimum alpha for a pixel to be solid
+ * @returns {Uint8Array} 1 for solid pixels, 0 otherwise (row-major, y=0 is top)
+ */
+export function buildOpacityMask(pixels, width, height, channels = 4, alphaThreshold = 128) {
+  const mask = new Uint8Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    mask[i] = pixels[i * channels + 3] >= alphaThreshold ? 1 : 0;
+  }
+  return mask;
+}
+
+/**
+ * Build per-cell color keys from RGBA pixel data
+ * Cells only merge with neighbors of the same key, so every quad has one color.
+ * @param {Uint8Array} pixels - Pixel data (RGBA format)
+ * @param {number} width - Texture width in pixels
+ * @param {number} height - Texture height in pixels
+ * @param {number} channels - Number of channels (4 for RGBA)
+ * @returns {Uint32Array} Packed RGBA per cell (row-major, y=0 is top)
+ */
+export function buildColorKeys(pixels, width, height, channels = 4) {
+  const keys = new Uint32Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    const offset = i * channels;
+    keys[i] = ((pixels[offset] << 24) | (pixels[offset + 1] << 16) | (pixels[offset + 2] << 8) | pixels[offset + 3]) >>> 0;
+  }
+  return keys;
+}
+
+/**
+ * Greedily merge solid cells of a mask into rectangles
+ * @param {Uint8Array} mask - Opacity mask
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @param {Uint32Array} keys - Cells only merge with cells of the same key (optional)
+ * @returns {{x0: number, y0: number, x1: number, y1: number}[]} Cell rectangles (x1/y1 exclusive)
+ */
+function mergeRectangles(mask, width, height, keys = null) {
+  const visited = new Uint8Array(width * height);
+  const rects = [];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const start = y * width + x;
+      if (!mask[start] || visited[start]) continue;
+      const canJoin = (i) => mask[i] && !visited[i] && (keys === null || keys[i] === keys[start]);
+
+      // Extend along the row
+      let x1 = x + 1;
+      while (x1 < width && canJoin(y * width + x1)) {
+        x1++;
+      }
+
+      // Extend downwards while the whole span is solid and unclaimed
+      let y1 = y + 1;
+      while (y1 < height) {
+        let rowFits = true;
+        for (let cx = x; cx < x1; cx++) {
+          if (!canJoin(y1 * width + cx)) {
+            rowFits = false;
+            break;
+          }
+        }
+        if (!rowFits) break;
+        y1++;
+      }
+
+      for (let cy = y; cy < y1; cy++) {
+        for (let cx = x; cx < x1; cx++) {
+          visited[cy * width + cx] = 1;
+        }
+      }
+
+      rects.push({ x0: x, y0: y, x1, y1 });
+    }
+  }
+
+  return rects;
+}
+
+/**
+ * Collect exposed side faces along rows (top/bottom) or columns (left/right)
+ * and merge consecutive exposed cells (of the same key, if given) into runs
+ * A face is hidden when the neighboring cell is solid in the mask or in the occluders
+ */
+function mergeSideRuns(mask, width, height, face, occluders = null, keys = null) {
+  const runs = [];
+  const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height;
+  const isSolid = (x, y) => inside(x, y) && mask[y * width + x] === 1;
+  const isHidden = (x, y) => isSolid(x, y) || (occluders !== null && inside(x, y) && occluders[y * width + x] === 1);
+
+  // Neighbor offset in image space (y=0 is top of the image)
+  const [dx, dy] = {
+    top: [0, -1],
+    bottom: [0, 1],
+    left: [-1, 0],
+    right: [1, 0]
+  }[face];
+  const horizontal = face === 'top' || face === 'bottom';
+  const lineCount = horizontal ? height : width;
+  const lineLength = horizontal ? width : height;
+
+  for (let line = 0; line < lineCount; line++) {
+    let runStart = -1;
+    let runKey = null;
+    for (let i = 0; i <= lineLength; i++) {
+      const x = horizontal ? i : line;
+      const y = horizontal ? line : i;
+      const exposed = i < lineLength && isSolid(x, y) && !isHidden(x + dx, y + dy);
+      const key = exposed && keys !== null ? keys[y * width + x] : null;
+
+      // Close the current run when the face is hidden or changes key
+      if (runStart >= 0 && (!exposed || key !== runKey)) {
+        runs.push(horizontal
+          ? { x0: runStart, y0: line, x1: i, y1: line + 1 }
+          : { x0: line, y0: runStart, x1: line + 1, y1: i });
+        runStart = -1;
+      }
+      if (exposed && runStart < 0) {
+        runStart = i;
+        runKey = key;
+      }
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Build the four corners of a face quad
+ * Corners are in pixel units with Y up (0 at the bottom of the texture) and
+ * z as -1 (back) / +1 (front), so writers only have to apply their own scale.
+ * UVs are in pixel units in image space (v=0 at the top of the texture).
+ * Side quads sample the middle of their own pixel row or column, so every
+ * wall shows exactly the colors of the pixels it closes off instead of the
+ * pixel boundary (where the neighboring, often transparent, pixel begins).
+ * Corner order is counter-clockwise when seen from outside.
+ */
+function buildQuad(face, rect, height) {
+  const { x0, y0, x1, y1 } = rect;
+  const bottom = height - y1;
+  const top = height - y0;
+  let corners;
+  let uvs;
+
+  switch (face) {
+    case 'front':
+      corners = [[x0, bottom, 1], [x1, bottom, 1], [x1, top, 1], [x0, top, 1]];
+      uvs = [[x0, y1], [x1, y1], [x1, y0], [x0, y0]];
+      break;
+    case 'back':
+      corners = [[x1, bottom, -1], [x0, bottom, -1], [x0, top, -1], [x1, top, -1]];
+      uvs = [[x1, y1], [x0, y1], [x0, y0], [x1, y0]];
+      break;
+    case 'top':
+      corners = [[x0, top, 1], [x1, top, 1], [x1, top, -1], [x0, top, -1]];
+      uvs = [[x0, y0 + 0.5], [x1, y0 + 0.5], [x1, y0 + 0.5], [x0, y0 + 0.5]];
+      break;
+    case 'bottom':
+      corners = [[x0, bottom, -1], [x1, bottom, -1], [x1, bottom, 1], [x0, bottom, 1]];
+      uvs = [[x0, y1 - 0.5], [x1, y1 - 0.5], [x1, y1 - 0.5], [x0, y1 - 0.5]];
+      break;
+    case 'right':
+      corners = [[x1, bottom, 1], [x1, bottom, -1], [x1, top, -1], [x1, top, 1]];
+      uvs = [[x1 - 0.5, y1], [x1 - 0.5, y1], [x1 - 0.5, y0], [x1 - 0.5, y0]];
+      break;
+    case 'left':
+      corners = [[x0, bottom, -1], [x0, bottom, 1], [x0, top, 1], [x0, top, -1]];
+      uvs = [[x0 + 0.5, y1], [x0 + 0.5, y1], [x0 + 0.5, y0], [x0 + 0.5, y0]];
+      break;
+  }
+
+  return { face, normal: FACE_NORMALS[face], rect, corners, uvs };
+}
+
+/**
+ * Mesh the solid pixels of a texture into culled, greedily merged quads
+ * @param {Object} options - Meshing options
+ * @param {number} options.width - Texture width in pixels
+ * @param {number} options.height - Texture height in pixels
+ * @param {Uint8Array} options.pixels - Pixel data (RGBA format)
+ * @param {number} options.channels - Number of channels (4 for RGBA)
+ * @param {number} options.alphaThreshold - Minimum alpha for a pixel to be solid (default: 128)
+ * @returns {{quads: Object[], solidCount: number}} Quads with face, normal, rect (source cells), corners and uvs
+ */
+export function meshPixels({
+  width,
+  height,
+  pixels,
+  channels = 4,
+  alphaThreshold = 128
+}) {
+  const mask = buildOpacityMask(pixels, width, height, channels, alphaThreshold);
+  return meshMask({ mask, width, height });
+}
+
+/**
+ * Mesh the solid cells of a mask into culled, greedily merged quads
+ * @param {Object} options - Meshing options
+ * @param {Uint8Array} options.mask - Solid cells (1) in row-major order, y=0 is top
+ * @param {number} options.width - Mask width in pixels
+ * @param {number} options.height - Mask height in pixels
+ * @param {Uint8Array} options.occluders - Cells of another mesh that hide side faces touching them (optional)
+ * @param {Uint32Array} options.keys - Per-cell keys; quads never span cells with different keys (optional)
+ * @returns {{quads: Object[], solidCount: number}} Quads with face, normal, rect (source cells), corners and uvs
+ */
+export function meshMask({ mask, width, height, occluders = null, keys = null }) {
+  const solidCount = mask.reduce((sum, value) => sum + value, 0);
+  const quads = [];
+
+  if (solidCount === 0) {
+    return { quads, solidCount };
+  }
+
+  // Front and back caps share the same merged rectangles
+  for (const rect of mergeRectangles(mask, width, height, keys)) {
+    quads.push(buildQuad('front', rect, height));
+    quads.push(buildQuad('back', rect, height));
+  }
+
+  // Side walls only where the neighboring pixel is empty
+  for (const face of ['top', 'bottom', 'right', 'left']) {
+    for (const run of mergeSideRuns(mask, width, height, face, occluders, keys)) {
+      quads.push(buildQuad(face, run, height));
+    }
+  }
+
+  return { quads, solidCount };
+}
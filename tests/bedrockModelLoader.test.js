@@ -0,0 +1,215 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { loadBedrockModel, getBoxUVFaces } from '../src/bedrockModelLoader.js';
+
+/**
+ * Bones: a body, an inflated and rotated head, and a mirrored leg with a rotated cube
+ */
+const BONES = [
+  {
+    name: 'body',
+    pivot: [0, 6, 0],
+    cubes: [{ origin: [-4, 0, -2], size: [8, 6, 4], uv: [0, 0] }]
+  },
+  {
+    name: 'head',
+    parent: 'body',
+    pivot: [0, 6, -2],
+    rotation: [10, 20, 30],
+    cubes: [{ origin: [-2, 6, -4], size: [4, 4, 4], uv: [24, 0], inflate: 0.5 }]
+  },
+  {
+    name: 'leg',
+    parent: 'body',
+    pivot: [2, 2, 0],
+    mirror: true,
+    cubes: [{ origin: [1, 0, -1], size: [2, 2, 2], uv: [0, 10], rotation: [0, 0, 45], pivot: [2, 1, 0] }]
+  }
+];
+
+/**
+ * UVs in model units for a 64-pixel-wide texture
+ */
+const units = rect => rect.map(value => value / 4);
+
+describe('loadBedrockModel', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'bedrock-models-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  const writeModel = async (name, data) => {
+    const modelPath = path.join(root, `${name}.geo.json`);
+    await fs.writeJson(modelPath, data);
+    return modelPath;
+  };
+
+  test('1.12 geometry converts positions, inflate and box UVs', async () => {
+    const modelPath = await writeModel('pig', {
+      format_version: '1.12.0',
+      'minecraft:geometry': [{ description: { identifier: 'geometry.pig', texture_width: 64, texture_height: 32 }, bones: BONES }]
+    });
+    const model = await loadBedrockModel(modelPath, root);
+
+    expect(model.name).toBe('pig');
+    expect(model.identifier).toBe('geometry.pig');
+    expect(model.rawTextures).toEqual({ texture: 'entity/pig' });
+
+    // x' = 8 - x (the cube's far corner becomes `from`), z' = z + 8
+    const [body, head, leg] = model.elements;
+    expect([body.from, body.to]).toEqual([[4, 0, 6], [12, 6, 10]]);
+    // Inflate grows the cube on every side
+    expect([head.from, head.to]).toEqual([[5.5, 5.5, 3.5], [10.5, 10.5, 8.5]]);
+    expect([leg.from, leg.to]).toEqual([[5, 0, 7], [7, 2, 9]]);
+
+    // Box UV: up and down on top, then east, north, west and south; up and down flipped
+    expect(Object.fromEntries(Object.entries(body.faces).map(([name, face]) => [name, face.uv]))).toEqual({
+      east: units([0, 4, 4, 10]),
+      north: units([4, 4, 12, 10]),
+      west: units([12, 4, 16, 10]),
+      south: units([16, 4, 24, 10]),
+      up: units([12, 4, 4, 0]),
+      down: units([20, 0, 12, 4])
+    });
+    // Inflate leaves the UVs at the cube's size
+    expect(head.faces.north.uv).toEqual(units([28, 4, 32, 8]));
+    expect(Object.values(body.faces).every(face => face.texture === '#texture')).toBe(true);
+  });
+
+  test('rotations keep their pivots, innermost first', async () => {
+    const modelPath = await writeModel('pig', {
+      'minecraft:geometry': [{ description: { identifier: 'geometry.pig', texture_width: 64, texture_height: 32 }, bones: BONES }]
+    });
+    const { elements, groups } = await loadBedrockModel(modelPath, root);
+
+    expect(elements[0].rotations).toEqual([]);
+    // Bedrock X and Y turn the other way in Java space
+    expect(elements[1].rotations).toEqual([
+      { origin: [8, 6, 6], axis: 'x', angle: -10 },
+      { origin: [8, 6, 6], axis: 'y', angle: -20 },
+      { origin: [8, 6, 6], axis: 'z', angle: 30 }
+    ]);
+    // The cube's own rotation comes before its bone's (none here)
+    expect(elements[2].rotations).toEqual([{ origin: [6, 1, 8], axis: 'z', angle: 45 }]);
+
+    expect(groups).toEqual([{
+      name: 'body',
+      origin: [8, 6, 8],
+      rotation: [0, 0, 0],
+      children: [
+        0,
+        { name: 'head', origin: [8, 6, 6], rotation: [-10, -20, 30], children: [1] },
+        { name: 'leg', origin: [6, 2, 8], rotation: [0, 0, 0], children: [2] }
+      ]
+    }]);
+  });
+
+  test('mirror flips the box horizontally and swaps east and west', async () => {
+    const modelPath = await writeModel('pig', {
+      'minecraft:geometry': [{ description: { identifier: 'geometry.pig', texture_width: 64, texture_height: 32 }, bones: BONES }]
+    });
+    const leg = (await loadBedrockModel(modelPath, root)).elements[2];
+
+    // The bone's mirror applies to its cubes
+    const plain = getBoxUVFaces([0, 10], [2, 2, 2], false);
+    expect(plain.east.uv).toEqual([0, 12, 2, 14]);
+    expect(plain.west.uv).toEqual([4, 12, 6, 14]);
+    expect(leg.faces.east.uv).toEqual(units([6, 12, 4, 14]));
+    expect(leg.faces.west.uv).toEqual(units([2, 12, 0, 14]));
+    expect(leg.faces.north.uv).toEqual(units([4, 12, 2, 14]));
+    expect(leg.faces.up.uv).toEqual(units([2, 12, 4, 10]));
+
+    // A cube can turn it back off
+    const unmirrored = await writeModel('leg', {
+      'minecraft:geometry': [{
+        description: { identifier: 'geometry.leg', texture_width: 64, texture_height: 32 },
+        bones: [{ name: 'leg', mirror: true, cubes: [{ origin: [0, 0, 0], size: [2, 2, 2], uv: [0, 10], mirror: false }] }]
+      }]
+    });
+    expect((await loadBedrockModel(unmirrored, root)).elements[0].faces.east.uv).toEqual(units(plain.east.uv));
+  });
+
+  test('box UV uses whole pixels of the cube size', () => {
+    expect(getBoxUVFaces([0, 0], [2.5, 1.9, 3], false).north.uv).toEqual([3, 3, 5, 4]);
+  });
+
+  test('per-face UVs render only listed faces, with up and down flipped', async () => {
+    const modelPath = await writeModel('sign', {
+      'minecraft:geometry': [{
+        description: { identifier: 'geometry.sign', texture_width: 32, texture_height: 32 },
+        bones: [{
+          name: 'board',
+          cubes: [{
+            origin: [-8, 0, -1],
+            size: [16, 8, 2],
+            uv: {
+              north: { uv: [2, 2], uv_size: [16, 8] },
+              south: { uv: [20, 2], uv_size: [-16, 8] },
+              up: { uv: [2, 0], uv_size: [16, 2] },
+              down: { uv: [18, 0], uv_size: [16, 2] }
+            }
+          }]
+        }]
+      }]
+    });
+    const [board] = (await loadBedrockModel(modelPath, root)).elements;
+
+    // 16 units span the 32-pixel texture
+    const half = rect => rect.map(value => value / 2);
+    expect(Object.keys(board.faces)).toEqual(['north', 'south', 'up', 'down']);
+    expect(board.faces.north.uv).toEqual(half([2, 2, 18, 10]));
+    // A negative size mirrors the face
+    expect(board.faces.south.uv).toEqual(half([20, 2, 4, 10]));
+    expect(board.faces.up.uv).toEqual(half([18, 2, 2, 0]));
+    expect(board.faces.down.uv).toEqual(half([34, 2, 18, 0]));
+  });
+
+  test('legacy geometry loads by identifier', async () => {
+    const modelPath = await writeModel('cow', {
+      format_version: '1.8.0',
+      'geometry.cow': {
+        texturewidth: 64,
+        textureheight: 32,
+        bones: [{ name: 'body', pivot: [0, 0, 0], cubes: [{ origin: [-4, 0, -2], size: [8, 6, 4], uv: [0, 0] }] }]
+      },
+      'geometry.cow.baby:geometry.cow': {
+        texturewidth: 128,
+        textureheight: 64,
+        bones: [{ name: 'body', cubes: [{ origin: [-2, 0, -1], size: [4, 3, 2], uv: [8, 8], inflate: 0.25 }] }]
+      }
+    });
+
+    const adult = await loadBedrockModel(modelPath, root);
+    expect(adult.identifier).toBe('geometry.cow');
+    expect([adult.elements[0].from, adult.elements[0].to]).toEqual([[4, 0, 6], [12, 6, 10]]);
+    expect(adult.elements[0].faces.north.uv).toEqual(units([4, 4, 12, 10]));
+
+    // "name:parent" keys load under their own name, with their own texture size
+    const baby = await loadBedrockModel(modelPath, root, { identifier: 'geometry.cow.baby', texture: 'entity/cow/baby' });
+    expect(baby.rawTextures).toEqual({ texture: 'entity/cow/baby' });
+    expect([baby.elements[0].from, baby.elements[0].to]).toEqual([[5.75, -0.25, 6.75], [10.25, 3.25, 9.25]]);
+    expect(baby.elements[0].faces.north.uv).toEqual([10, 10, 14, 13].map(value => value / 8));
+
+    await expect(loadBedrockModel(modelPath, root, { identifier: 'geometry.sheep' }))
+      .rejects.toThrow(`Geometry geometry.sheep not found in ${modelPath}`);
+  });
+
+  test('a bone parent cycle fails the model', async () => {
+    const modelPath = await writeModel('loop', {
+      'minecraft:geometry': [{
+        description: { identifier: 'geometry.loop' },
+        bones: [
+          { name: 'a', parent: 'b', cubes: [{ origin: [0, 0, 0], size: [1, 1, 1] }] },
+          { name: 'b', parent: 'a' }
+        ]
+      }]
+    });
+    await expect(loadBedrockModel(modelPath, root)).rejects.toThrow('Model loop: bone parent cycle at a');
+  });
+});
@@ -0,0 +1,206 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import sharp from 'sharp';
+import { processBlockModelsForPack } from '../src/blockModelParser.js';
+
+/**
+ * The UVs (0-16) an unrotated full face gets at a block-space point, per direction
+ */
+const WORLD_UVS = {
+  north: ([x, y]) => [16 - x, 16 - y],
+  south: ([x, y]) => [x, 16 - y],
+  east: ([, y, z]) => [16 - z, 16 - y],
+  west: ([, y, z]) => [z, 16 - y],
+  up: ([x, , z]) => [x, z],
+  down: ([x, , z]) => [x, z]
+};
+/**
+ * Bundled template parents and the texture variables they use
+ */
+const TEMPLATES = {
+  template_torch: ['torch'],
+  template_torch_wall: ['torch'],
+  stairs: ['bottom', 'top', 'side'],
+  inner_stairs: ['bottom', 'top', 'side'],
+  outer_stairs: ['bottom', 'top', 'side'],
+  fence_post: ['texture'],
+  fence_side: ['texture'],
+  fence_inventory: ['texture'],
+  template_fence_gate: ['texture'],
+  template_fence_gate_open: ['texture'],
+  template_fence_gate_wall: ['texture'],
+  template_fence_gate_wall_open: ['texture'],
+  ...Object.fromEntries(['bottom', 'top'].flatMap(half => ['left', 'left_open', 'right', 'right_open'].map(hinge => [`door_${half}_${hinge}`, [half]]))),
+  cube_mirrored_all: ['all']
+};
+const NORMAL_FACES = { '0,0,-1': 'north', '0,0,1': 'south', '1,0,0': 'east', '-1,0,0': 'west', '0,1,0': 'up', '0,-1,0': 'down' };
+
+/**
+ * A half slab with default UVs on every face
+ */
+const SLAB_MODEL = {
+  textures: { all: 'block/slab', particle: '#all' },
+  elements: [{
+    from: [0, 0, 0],
+    to: [16, 8, 16],
+    faces: Object.fromEntries(['north', 'south', 'east', 'west', 'up', 'down'].map(face => [face, { texture: '#all' }]))
+  }]
+};
+
+/**
+ * Create a pack with the slab model, one texture and a blockstate
+ */
+async function createPack(root, variants) {
+  const assets = path.join(root, 'assets', 'minecraft');
+  await fs.outputJson(path.join(assets, 'models', 'block', 'slab.json'), SLAB_MODEL);
+  await fs.outputJson(path.join(assets, 'blockstates', 'slab.json'), { variants });
+  const texturePath = path.join(assets, 'textures', 'block', 'slab.png');
+  await fs.ensureDir(path.dirname(texturePath));
+  await sharp(Buffer.alloc(16 * 16 * 4, 255), { raw: { width: 16, height: 16, channels: 4 } }).png().toFile(texturePath);
+  return {
+    blockModelsDir: path.join(assets, 'models', 'block'),
+    blockstatesDir: path.join(assets, 'blockstates'),
+    blocksPath: path.dirname(texturePath)
+  };
+}
+
+/**
+ * Read a GLB's corners as { point (0-16), face (world direction), uv (0-16) }
+ */
+async function readCorners(glbPath) {
+  const glb = await fs.readFile(glbPath);
+  const jsonLength = glb.readUInt32LE(12);
+  const gltf = JSON.parse(glb.subarray(20, 20 + jsonLength).toString('utf8'));
+  const bin = glb.subarray(28 + jsonLength);
+  const read = (index, components) => {
+    const accessor = gltf.accessors[index];
+    const view = gltf.bufferViews[accessor.bufferView];
+    const values = [];
+    for (let i = 0; i < accessor.count * components; i++) {
+      values.push(bin.readFloatLE((view.byteOffset || 0) + (accessor.byteOffset || 0) + i * 4));
+    }
+    return values;
+  };
+
+  const { attributes } = gltf.meshes[0].primitives[0];
+  const positions = read(attributes.POSITION, 3);
+  const normals = read(attributes.NORMAL, 3);
+  const uvs = read(attributes.TEXCOORD_0, 2);
+  return Array.from({ length: positions.length / 3 }, (_, i) => ({
+    point: positions.slice(i * 3, i * 3 + 3).map(c => Math.round(c * 16 + 8)),
+    face: NORMAL_FACES[normals.slice(i * 3, i * 3 + 3).map(Math.round).join(',')],
+    uv: uvs.slice(i * 2, i * 2 + 2).map(c => +(c * 16).toFixed(4))
+  }));
+}
+
+/**
+ * Check whether every corner has the UV an unrotated face in its direction would have
+ */
+const isWorldAligned = (corners) => corners.every(({ point, face, uv }) => {
+  const [u, v] = WORLD_UVS[face](point);
+  return uv[0] === u && uv[1] === v;
+});
+
+describe('processBlockModelsForPack', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'block-models-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  test('uvlock keeps rotated textures aligned to the world', async () => {
+    const pack = await createPack(root, {
+      'type=bottom': { model: 'block/slab' },
+      'type=top': { model: 'block/slab', x: 180, uvlock: true },
+      'type=wall': { model: 'block/slab', x: 90, y: 270, uvlock: true },
+      'type=turned': { model: 'block/slab', x: 90, y: 270 }
+    });
+    const outputBaseDir = path.join(root, 'export');
+
+    const { results, errors } = await processBlockModelsForPack({ texturepackName: 'Pack', outputBaseDir, ...pack, showProgress: false });
+    expect(errors).toEqual([]);
+
+    const { variants } = results[0];
+    expect(variants['type=top'].file).toBe('models/blocks/slab_x180_uvlock.glb');
+    expect(variants['type=wall'].file).toBe('models/blocks/slab_x90_y270_uvlock.glb');
+    expect(variants['type=turned'].file).toBe('models/blocks/slab_x90_y270.glb');
+
+    const corners = async (key) => readCorners(path.join(outputBaseDir, 'Pack', variants[key].file));
+    expect(isWorldAligned(await corners('type=bottom'))).toBe(true);
+    expect(isWorldAligned(await corners('type=top'))).toBe(true);
+    expect(isWorldAligned(await corners('type=wall'))).toBe(true);
+    // Without uvlock the textures turn with the model
+    expect(isWorldAligned(await corners('type=turned'))).toBe(false);
+
+    // The upside-down slab's sides show the texture's top half, where they now are
+    const sides = (await corners('type=top')).filter(({ face }) => !['up', 'down'].includes(face));
+    expect(sides.every(({ uv }) => uv[1] <= 8)).toBe(true);
+
+    const manifest = await fs.readJson(path.join(outputBaseDir, 'Pack', 'block_models.json'));
+    expect(manifest.slab.variants['type=top']).toEqual({ file: 'models/blocks/slab_x180_uvlock.glb', model: 'slab', x: 180, y: 0, uvlock: true });
+    expect(manifest.slab.variants['type=bottom']).toEqual({ file: 'models/blocks/slab.glb', model: 'slab', x: 0, y: 0 });
+  });
+
+  test('weighted variants export every alternative with its weight', async () => {
+    const pack = await createPack(root, {
+      '': [
+        { model: 'block/slab', weight: 3 },
+        { model: 'block/slab', y: 90 },
+        { model: 'block/slab', y: 180, weight: 2 }
+      ]
+    });
+    const outputBaseDir = path.join(root, 'export');
+
+    const { errors } = await processBlockModelsForPack({ texturepackName: 'Pack', outputBaseDir, ...pack, showProgress: false });
+    expect(errors).toEqual([]);
+
+    const manifest = await fs.readJson(path.join(outputBaseDir, 'Pack', 'block_models.json'));
+    expect(manifest.slab.variants['']).toEqual({
+      file: 'models/blocks/slab.glb',
+      model: 'slab',
+      x: 0,
+      y: 0,
+      alternatives: [
+        { file: 'models/blocks/slab.glb', model: 'slab', x: 0, y: 0, weight: 3 },
+        { file: 'models/blocks/slab_y90.glb', model: 'slab', x: 0, y: 90, weight: 1 },
+        { file: 'models/blocks/slab_y180.glb', model: 'slab', x: 0, y: 180, weight: 2 }
+      ]
+    });
+    for (const file of ['slab.glb', 'slab_y90.glb', 'slab_y180.glb']) {
+      expect(await fs.pathExists(path.join(outputBaseDir, 'Pack', 'models', 'blocks', file))).toBe(true);
+    }
+
+    const lua = await fs.readFile(path.join(outputBaseDir, 'Pack', 'block_models.lua'), 'utf8');
+    expect(lua).toContain('alternatives = {{file = "models/blocks/slab.glb", model = "slab", x = 0, y = 0, weight = 3}, ');
+  });
+
+  test('pack models inherit the bundled template parents', async () => {
+    const templates = Object.keys(TEMPLATES);
+    const pack = await createPack(root, Object.fromEntries(templates.map(template => [`template=${template}`, { model: `block/slab_${template}` }])));
+    for (const [template, variables] of Object.entries(TEMPLATES)) {
+      const textures = Object.fromEntries(variables.map(variable => [variable, 'block/slab']));
+      await fs.outputJson(path.join(pack.blockModelsDir, `slab_${template}.json`), { parent: `minecraft:block/${template}`, textures });
+    }
+    const outputBaseDir = path.join(root, 'export');
+
+    const { results, errors } = await processBlockModelsForPack({ texturepackName: 'Pack', outputBaseDir, ...pack, showProgress: false });
+    expect(errors).toEqual([]);
+    for (const template of templates) {
+      const { file } = results[0].variants[`template=${template}`];
+      const corners = await readCorners(path.join(outputBaseDir, 'Pack', file));
+      expect(corners.length).toBeGreaterThan(0);
+    }
+  });
+
+  test('reject invalid weights', async () => {
+    const pack = await createPack(root, { '': [{ model: 'block/slab', weight: 0 }] });
+
+    const { errors } = await processBlockModelsForPack({ texturepackName: 'Pack', outputBaseDir: path.join(root, 'export'), ...pack, showProgress: false });
+    expect(errors).toEqual([{ name: 'slab', error: 'Blockstate slab has an invalid weight 0 (expected a positive integer)' }]);
+  });
+});
@@ -0,0 +1,175 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import sharp from 'sharp';
+import { jest } from '@jest/globals';
+import { loadBlockbenchModel } from '../src/blockbenchModelLoader.js';
+import { getBoxUVFaces } from '../src/bedrockModelLoader.js';
+
+/**
+ * UV rects of an element's faces by face name
+ */
+const faceUVs = element => Object.fromEntries(Object.entries(element.faces).map(([name, face]) => [name, face.uv]));
+
+describe('loadBlockbenchModel', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'blockbench-models-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  const writeProject = async (name, data) => {
+    const modelPath = path.join(root, `${name}.bbmodel`);
+    await fs.writeJson(modelPath, data);
+    return modelPath;
+  };
+
+  test('box UV projects unfold each cube from its uv_offset', async () => {
+    const png = await sharp({ create: { width: 64, height: 32, channels: 4, background: { r: 255, g: 128, b: 0, alpha: 1 } } }).png().toBuffer();
+    const modelPath = await writeProject('pig', {
+      meta: { format_version: '4.5', model_format: 'free', box_uv: true },
+      resolution: { width: 64, height: 32 },
+      elements: [
+        { name: 'body', uuid: 'body', from: [-4, 0, -2], to: [4, 6, 2], origin: [0, 0, 0], uv_offset: [0, 0] },
+        { name: 'leg', uuid: 'leg', from: [1, 0, -1], to: [3, 2, 1], origin: [0, 0, 0], uv_offset: [0, 10], mirror_uv: true, inflate: 0.5 }
+      ],
+      outliner: ['body', 'leg'],
+      textures: [{ name: 'pig.png', source: `data:image/png;base64,${png.toString('base64')}` }]
+    });
+    const model = await loadBlockbenchModel(modelPath, root);
+
+    // Embedded textures are keyed by model and texture name
+    expect(model.rawTextures).toEqual({ 0: 'pig/pig' });
+    expect(model.textures).toEqual({ 0: 'pig/pig' });
+    expect(model.embeddedTextures['pig/pig']).toEqual(png);
+
+    // Entity projects move by 8 on X and Z; inflate grows the cube, not its UVs
+    const [body, leg] = model.elements;
+    expect([body.from, body.to]).toEqual([[4, 0, 6], [12, 6, 10]]);
+    expect([leg.from, leg.to]).toEqual([[8.5, -0.5, 6.5], [11.5, 2.5, 9.5]]);
+
+    // 16 units span the 64-pixel texture
+    const units = faces => Object.fromEntries(Object.entries(faces).map(([name, face]) => [name, face.uv.map(value => value / 4)]));
+    expect(faceUVs(body)).toEqual(units(getBoxUVFaces([0, 0], [8, 6, 4], false)));
+    expect(faceUVs(body).north).toEqual([1, 1, 3, 2.5]);
+    expect(faceUVs(leg)).toEqual(units(getBoxUVFaces([0, 10], [2, 2, 2], true)));
+    expect(faceUVs(leg).east).toEqual([1.5, 3, 1, 3.5]);
+    expect(Object.values(body.faces).every(face => face.texture === '#0')).toBe(true);
+
+    // Outliner entries that are bare uuids are not groups
+    expect(model.groups).toEqual([]);
+  });
+
+  test('per-face UV projects keep each face\'s UV, rotation, cullface and tint', async () => {
+    const modelPath = await writeProject('lamp', {
+      meta: { format_version: '4.5', model_format: 'java_block', box_uv: false },
+      resolution: { width: 16, height: 16 },
+      elements: [{
+        name: 'base',
+        uuid: 'base',
+        from: [2, 0, 2],
+        to: [14, 4, 14],
+        origin: [8, 2, 8],
+        rotation: [0, 22.5, 0],
+        rescale: true,
+        shade: false,
+        faces: {
+          north: { uv: [2, 12, 14, 16], texture: 0, cullface: 'north' },
+          east: { uv: [14, 12, 2, 16], texture: 'glass-uuid', rotation: 90 },
+          south: { uv: [0, 0, 16, 16], texture: null },
+          up: { uv: [2, 2, 14, 14], texture: 0, tint: 0 },
+          down: { uv: [2, 2, 14, 14], texture: 0, tint: -1 }
+        }
+      }],
+      outliner: [],
+      textures: [
+        { name: 'lamp.png', folder: 'block', uuid: 'lamp-uuid' },
+        { name: 'glass', folder: 'block', uuid: 'glass-uuid', uv_width: 32 }
+      ]
+    });
+    const model = await loadBlockbenchModel(modelPath, root);
+
+    // Textures without data resolve like Java model textures
+    expect(model.rawTextures).toEqual({ 0: 'block/lamp', 1: 'block/glass' });
+    expect(model.embeddedTextures).toEqual({});
+
+    const [base] = model.elements;
+    // Java block projects are already in model space; a single rescaled rotation stays a Java rotation
+    expect([base.from, base.to]).toEqual([[2, 0, 2], [14, 4, 14]]);
+    expect(base.rotation).toEqual({ origin: [8, 2, 8], axis: 'y', angle: 22.5, rescale: true });
+    expect(base.rotations).toEqual([]);
+    expect(base.shade).toBe(false);
+
+    expect(base.faces).toEqual({
+      north: { uv: [2, 12, 14, 16], texture: '#0', cullface: 'north' },
+      // Faces may name their texture by uuid; UVs follow that texture's uv_width
+      east: { uv: [7, 6, 1, 8], texture: '#1', rotation: 90 },
+      up: { uv: [2, 2, 14, 14], texture: '#0', tintindex: 0 },
+      down: { uv: [2, 2, 14, 14], texture: '#0' }
+    });
+  });
+
+  test('nested groups add their rotations to their elements, innermost first', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const face = { uv: [0, 0, 4, 4], texture: 0 };
+    const cube = (uuid, rotation = [0, 0, 0]) => ({
+      name: uuid, uuid, from: [-1, 0, -1], to: [1, 2, 1], origin: [0, 1, 0], rotation, faces: { north: face }
+    });
+    const modelPath = await writeProject('arm', {
+      meta: { format_version: '4.10', model_format: 'bedrock', box_uv: false },
+      resolution: { width: 16, height: 16 },
+      elements: [
+        cube('shoulder'),
+        cube('hand', [0, 0, 10]),
+        cube('loose'),
+        { name: 'hidden', uuid: 'hidden', from: [0, 0, 0], to: [1, 1, 1], export: false },
+        { name: 'blob', uuid: 'blob', type: 'mesh', vertices: {}, faces: {} }
+      ],
+      // Newer projects keep groups apart and reference them by uuid in the outliner
+      groups: [{ uuid: 'arm-group', name: 'arm', origin: [0, 4, 0], rotation: [30, 0, 0] }],
+      outliner: [
+        {
+          uuid: 'arm-group',
+          children: [
+            'shoulder',
+            'hidden',
+            { uuid: 'hand-group', name: 'hand', origin: [2, 2, 0], rotation: [0, 45, 0], children: ['hand', 'blob'] }
+          ]
+        },
+        'loose'
+      ],
+      textures: [{ name: 'arm', folder: 'entity' }]
+    });
+    const model = await loadBlockbenchModel(modelPath, root);
+    expect(warn).toHaveBeenCalledWith('Model arm: skipping 1 mesh element(s), only cubes are supported');
+    warn.mockRestore();
+
+    // Hidden and mesh elements are left out
+    expect(model.elements.map(element => element.name)).toEqual(['shoulder', 'hand', 'loose']);
+    const [shoulder, hand, loose] = model.elements;
+    expect(shoulder.rotations).toEqual([{ origin: [8, 4, 8], axis: 'x', angle: 30 }]);
+    expect(hand.rotations).toEqual([
+      { origin: [8, 1, 8], axis: 'z', angle: 10 },
+      { origin: [10, 2, 8], axis: 'y', angle: 45 },
+      { origin: [8, 4, 8], axis: 'x', angle: 30 }
+    ]);
+    expect(loose.rotations).toEqual([]);
+
+    // Elements outside any group are not part of the tree
+    expect(model.groups).toEqual([{
+      name: 'arm',
+      origin: [8, 4, 8],
+      rotation: [30, 0, 0],
+      children: [0, { name: 'hand', origin: [10, 2, 8], rotation: [0, 45, 0], children: [1] }]
+    }]);
+  });
+
+  test('reject files that are not Blockbench projects', async () => {
+    const modelPath = await writeProject('chest', { parent: 'block/block', elements: [] });
+    await expect(loadBlockbenchModel(modelPath, root)).rejects.toThrow(`Not a Blockbench project: ${modelPath}`);
+  });
+});
@@ -0,0 +1,393 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import sharp from 'sharp';
+import {
+  convertDirectory,
+  convertTexturepack,
+  findItemsFolder,
+  findBlocksFolder,
+  findEntityFolder,
+  findItemModelsFolder,
+  findBlockModelsFolder,
+  findBlockstatesFolder
+} from '../src/converter.js';
+
+/**
+ * Write a 16x16 PNG with one opaque pixel
+ */
+async function writeTexture(filePath) {
+  const pixels = Buffer.alloc(16 * 16 * 4);
+  pixels.set([200, 40, 40, 255], 0);
+  await fs.ensureDir(path.dirname(filePath));
+  await sharp(pixels, { raw: { width: 16, height: 16, channels: 4 } }).png().toFile(filePath);
+}
+
+/**
+ * Create a pack with the vanilla layout:
+ * assets/minecraft/{blockstates,items,models/{block,item},textures/{block,item,entity}}
+ */
+async function createVanillaPack(root) {
+  const packPath = path.join(root, 'VanillaPack');
+  const assets = path.join(packPath, 'assets', 'minecraft');
+  await fs.outputJson(path.join(assets, 'blockstates', 'stone.json'), { variants: { '': { model: 'block/stone' } } });
+  await fs.outputJson(path.join(assets, 'items', 'sword.json'), { model: { type: 'minecraft:model', model: 'item/sword' } });
+  await fs.outputJson(path.join(assets, 'models', 'block', 'stone.json'), { parent: 'block/cube_all', textures: { all: 'block/stone' } });
+  await fs.outputJson(path.join(assets, 'models', 'item', 'sword.json'), { parent: 'item/generated', textures: { layer0: 'item/sword' } });
+  await writeTexture(path.join(assets, 'textures', 'item', 'sword.png'));
+  await writeTexture(path.join(assets, 'textures', 'block', 'stone.png'));
+  await writeTexture(path.join(assets, 'textures', 'entity', 'chest.png'));
+  return { packPath, assets };
+}
+
+describe('texturepack folders', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'texturepack-converter-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  test('resolve textures, models and blockstates in the vanilla layout', async () => {
+    const { packPath, assets } = await createVanillaPack(root);
+
+    expect(await findItemsFolder(packPath)).toBe(path.join(assets, 'textures', 'item'));
+    expect(await findBlocksFolder(packPath)).toBe(path.join(assets, 'textures', 'block'));
+    expect(await findEntityFolder(packPath)).toBe(path.join(assets, 'textures', 'entity'));
+    expect(await findItemModelsFolder(packPath)).toBe(path.join(assets, 'models', 'item'));
+    expect(await findBlockModelsFolder(packPath)).toBe(path.join(assets, 'models', 'block'));
+    expect(await findBlockstatesFolder(packPath)).toBe(path.join(assets, 'blockstates'));
+  });
+
+  test('resolve textures when the pack path is assets/minecraft', async () => {
+    const { assets } = await createVanillaPack(root);
+
+    expect(await findItemsFolder(assets)).toBe(path.join(assets, 'textures', 'item'));
+    expect(await findBlocksFolder(assets)).toBe(path.join(assets, 'textures', 'block'));
+  });
+
+  test('still find flat texture folders', async () => {
+    const packPath = path.join(root, 'FlatPack');
+    await writeTexture(path.join(packPath, 'items', 'sword.png'));
+    await writeTexture(path.join(packPath, 'blocks', 'stone.png'));
+
+    expect(await findItemsFolder(packPath)).toBe(path.join(packPath, 'items'));
+    expect(await findBlocksFolder(packPath)).toBe(path.join(packPath, 'blocks'));
+  });
+
+  test('convert the items of a vanilla layout pack', async () => {
+    const { packPath } = await createVanillaPack(root);
+    // Items only: block textures are also upscaled to 8192px, too large for a unit test
+    await fs.remove(path.join(packPath, 'assets', 'minecraft', 'textures', 'block'));
+    const outputDir = path.join(root, 'export');
+
+    const results = await convertTexturepack({
+      texturepackPath: packPath,
+      outputBaseDir: outputDir,
+      format: 'obj',
+      showProgress: false,
+      processEntities: false
+    });
+
+    expect(results.errors).toEqual([]);
+    expect(results.success).toBeGreaterThan(0);
+    expect(await fs.pathExists(path.join(outputDir, 'VanillaPack', 'models', 'items', 'sword.obj'))).toBe(true);
+  }, 60000);
+
+  test('convert the bundled entity models for a pack with an entity folder', async () => {
+    const { packPath } = await createVanillaPack(root);
+    await fs.remove(path.join(packPath, 'assets', 'minecraft', 'textures', 'block'));
+    const outputDir = path.join(root, 'export');
+
+    // No entitiesModelDir: the bundled entities/model folder must be found
+    const results = await convertTexturepack({
+      texturepackPath: packPath,
+      outputBaseDir: outputDir,
+      format: 'obj',
+      showProgress: false
+    });
+
+    expect(results.errors).toEqual([]);
+    expect(results.entityResults.errors).toEqual([]);
+    expect(results.entityResults.results.length).toBeGreaterThan(0);
+    const entitiesDir = path.join(outputDir, 'VanillaPack', 'models', 'entities');
+    // Entities stay GLB unless an entity format is given
+    expect(await fs.pathExists(path.join(entitiesDir, 'Containers', 'chest.glb'))).toBe(true);
+    expect(await fs.pathExists(path.join(entitiesDir, 'Containers', 'chest.obj'))).toBe(false);
+    expect(await fs.pathExists(path.join(outputDir, 'VanillaPack', 'models', 'items', 'sword.obj'))).toBe(true);
+  }, 120000);
+
+  test('export entities in the format given as entityFormat', async () => {
+    const { packPath } = await createVanillaPack(root);
+    await fs.remove(path.join(packPath, 'assets', 'minecraft', 'textures', 'block'));
+    const outputDir = path.join(root, 'export');
+
+    const results = await convertTexturepack({
+      texturepackPath: packPath,
+      outputBaseDir: outputDir,
+      format: 'obj',
+      entityFormat: 'obj',
+      showProgress: false
+    });
+
+    expect(results.entityResults.errors).toEqual([]);
+    const entitiesDir = path.join(outputDir, 'VanillaPack', 'models', 'entities');
+    expect(await fs.pathExists(path.join(entitiesDir, 'Containers', 'chest.obj'))).toBe(true);
+    expect(await fs.pathExists(path.join(entitiesDir, 'Containers', 'chest.glb'))).toBe(false);
+  }, 120000);
+
+  test('pack items into the item atlas by their color mode after sidecar overrides', async () => {
+    const packPath = path.join(root, 'FlatPack');
+    for (const name of ['sword', 'gem', 'apple']) {
+      await writeTexture(path.join(packPath, 'items', `${name}.png`));
+    }
+    const outputDir = path.join(root, 'export');
+    const convert = (colorMode) => convertTexturepack({
+      texturepackPath: packPath,
+      outputBaseDir: outputDir,
+      format: 'obj',
+      itemOptions: { colorMode },
+      itemAtlas: { resolution: 256, itemsPerPage: 16 },
+      showProgress: false,
+      processEntities: false
+    });
+    const atlasItems = async () => Object.keys((await fs.readJson(path.join(outputDir, 'FlatPack', 'item_atlas.json'))).items).sort();
+    const mtl = name => fs.readFile(path.join(outputDir, 'FlatPack', 'models', 'items', `${name}.mtl`), 'utf8');
+
+    // Textured run: a vertex-colored sidecar keeps the gem out of the atlas
+    await fs.writeJson(path.join(packPath, 'items', 'gem.json'), { colorMode: 'vertex' });
+    expect((await convert('texture')).errors).toEqual([]);
+    expect(await atlasItems()).toEqual(['apple', 'sword']);
+    expect(await mtl('sword')).toContain('item_atlas_0.png');
+    expect(await mtl('gem')).not.toContain('map_Kd');
+
+    // Vertex-colored run: only the textured sidecar's item is packed
+    await fs.remove(outputDir);
+    await fs.remove(path.join(packPath, 'items', 'gem.json'));
+    await fs.writeJson(path.join(packPath, 'items', 'apple.json'), { colorMode: 'texture' });
+    expect((await convert('vertex')).errors).toEqual([]);
+    expect(await atlasItems()).toEqual(['apple']);
+    expect(await mtl('apple')).toContain('item_atlas_0.png');
+    expect(await mtl('sword')).not.toContain('map_Kd');
+
+    // Without textured items there is no atlas
+    await fs.remove(outputDir);
+    await fs.remove(path.join(packPath, 'items', 'apple.json'));
+    expect((await convert('vertex')).errors).toEqual([]);
+    expect(await fs.pathExists(path.join(outputDir, 'FlatPack', 'item_atlas.json'))).toBe(false);
+    expect(await fs.pathExists(path.join(outputDir, 'FlatPack', 'textures', 'items'))).toBe(false);
+  }, 60000);
+
+  test('export item display transforms as GLB nodes and a manifest', async () => {
+    const { packPath, assets } = await createVanillaPack(root);
+    await fs.remove(path.join(assets, 'textures', 'block'));
+    await fs.outputJson(path.join(assets, 'models', 'item', 'sword.json'), {
+      parent: 'item/handheld',
+      textures: { layer0: 'item/sword' },
+      display: { gui: { rotation: [0, 0, 45] } }
+    });
+    // No model: displayed like item/generated
+    await writeTexture(path.join(assets, 'textures', 'item', 'apple.png'));
+    const outputDir = path.join(root, 'export');
+
+    const results = await convertTexturepack({
+      texturepackPath: packPath,
+      outputBaseDir: outputDir,
+      format: 'glb',
+      displayOptions: { mode: 'nodes', transform: 'thirdperson_righthand' },
+      showProgress: false,
+      processEntities: false
+    });
+    expect(results.errors).toEqual([]);
+
+    const packDir = path.join(outputDir, 'VanillaPack');
+    const displays = await fs.readJson(path.join(packDir, 'item_display.json'));
+    expect(Object.keys(displays).sort()).toEqual(['apple', 'sword']);
+    expect(displays.sword.gui).toEqual({ rotation: [0, 0, 45] });
+    expect(displays.sword.thirdperson_righthand.rotation).toEqual([0, -90, 55]);
+    expect(displays.apple.thirdperson_righthand.rotation).toEqual([0, 0, 0]);
+    expect(await fs.readFile(path.join(packDir, 'item_display.lua'), 'utf8')).toContain('["sword"] = {thirdperson_righthand = {rotation = {0, -90, 55}');
+
+    // Every slot is an empty child node of the item
+    const glb = await fs.readFile(path.join(packDir, 'models', 'items', 'sword.glb'));
+    const gltf = JSON.parse(glb.subarray(20, 20 + glb.readUInt32LE(12)).toString('utf8'));
+    const children = gltf.nodes[0].children.map(index => gltf.nodes[index]);
+    expect(children.map(node => node.name)).toEqual([
+      'display_thirdperson_righthand',
+      'display_thirdperson_lefthand',
+      'display_firstperson_righthand',
+      'display_firstperson_lefthand',
+      'display_gui',
+      'display_head',
+      'display_ground',
+      'display_fixed'
+    ]);
+    expect(children.every(node => node.mesh === undefined)).toBe(true);
+  }, 60000);
+
+  test('export every frame of animated item textures', async () => {
+    const packPath = path.join(root, 'FlatPack');
+    const texturePath = path.join(packPath, 'items', 'compass.png');
+    // Two 16x16 frames stacked; the second has a second pixel
+    const pixels = Buffer.alloc(16 * 32 * 4);
+    pixels.set([200, 40, 40, 255], 0);
+    pixels.set([200, 40, 40, 255, 200, 40, 40, 255], 16 * 16 * 4);
+    await fs.ensureDir(path.dirname(texturePath));
+    await sharp(pixels, { raw: { width: 16, height: 32, channels: 4 } }).png().toFile(texturePath);
+    await fs.writeJson(`${texturePath}.mcmeta`, { animation: { frametime: 3, frames: [1, { index: 0, time: 8 }] } });
+    const outputDir = path.join(root, 'export');
+
+    const results = await convertTexturepack({
+      texturepackPath: packPath,
+      outputBaseDir: outputDir,
+      format: 'obj',
+      animationOptions: { frame: 1, exportFrames: true },
+      showProgress: false,
+      processEntities: false
+    });
+    expect(results.errors).toEqual([]);
+
+    // The manifest lists the frames in mcmeta order with their files
+    const packDir = path.join(outputDir, 'FlatPack');
+    const manifest = await fs.readJson(path.join(packDir, 'texture_animations.json'));
+    expect(manifest.items.compass).toEqual({
+      frameWidth: 16,
+      frameHeight: 16,
+      interpolate: false,
+      frames: [
+        { index: 1, time: 3, file: 'textures/items/compass_frame1_1024.png' },
+        { index: 0, time: 8, file: 'textures/items/compass_frame0_1024.png' }
+      ]
+    });
+    for (const file of ['compass_frame0_1024.png', 'compass_frame1_1024.png']) {
+      expect(await sharp(path.join(packDir, 'textures', 'items', file)).metadata()).toMatchObject({ width: 1024, height: 1024 });
+    }
+    expect(await fs.readFile(path.join(packDir, 'texture_animations.lua'), 'utf8'))
+      .toContain('{index = 1, time = 3, file = "textures/items/compass_frame1_1024.png"}');
+
+    // The geometry comes from the chosen frame: two pixels wide
+    const obj = await fs.readFile(path.join(packDir, 'models', 'items', 'compass.obj'), 'utf8');
+    expect(obj).toContain('from 2 voxels');
+  }, 60000);
+
+  test('convert layered item models with their layer tints', async () => {
+    const packPath = path.join(root, 'LayeredPack');
+    const assets = path.join(packPath, 'assets', 'minecraft');
+    const itemsDir = path.join(assets, 'textures', 'item');
+    // White layers: the base on the left pixel, the overlay on the one next to it
+    for (const [name, x] of [['egg_base', 0], ['egg_overlay', 1]]) {
+      const pixels = Buffer.alloc(16 * 16 * 4);
+      pixels.fill(255, x * 4, x * 4 + 4);
+      await fs.ensureDir(itemsDir);
+      await sharp(pixels, { raw: { width: 16, height: 16, channels: 4 } }).png().toFile(path.join(itemsDir, `${name}.png`));
+    }
+    // The egg has no PNG of its own
+    await fs.outputJson(path.join(assets, 'models', 'item', 'egg.json'), {
+      parent: 'item/generated',
+      textures: { layer0: 'item/egg_base', layer1: 'item/egg_overlay' }
+    });
+    const outputDir = path.join(root, 'export');
+    const itemsOutput = path.join(outputDir, 'LayeredPack');
+    const convert = (layerMode) => convertTexturepack({
+      texturepackPath: packPath,
+      outputBaseDir: outputDir,
+      format: 'obj',
+      itemOptions: { layerMode, tints: { layer0: '#ff0000', layer1: [0, 0, 255] } },
+      showProgress: false,
+      processEntities: false
+    });
+
+    // Composite: the tinted layers are flattened into the egg's texture
+    expect((await convert('composite')).errors).toEqual([]);
+    const texture = await sharp(path.join(itemsOutput, 'textures', 'items', 'egg_1024.png')).raw().toBuffer({ resolveWithObject: true });
+    const pixelAt = (x, y) => Array.from(texture.data.subarray((y * texture.info.width + x) * 4, (y * texture.info.width + x) * 4 + 4));
+    expect(pixelAt(32, 32)).toEqual([255, 0, 0, 255]);
+    expect(pixelAt(96, 32)).toEqual([0, 0, 255, 255]);
+    const compositeMtl = await fs.readFile(path.join(itemsOutput, 'models', 'items', 'egg.mtl'), 'utf8');
+    expect(compositeMtl).toContain('newmtl egg\n');
+
+    // Materials: every layer keeps its material, tinted by its color
+    await fs.remove(outputDir);
+    expect((await convert('materials')).errors).toEqual([]);
+    const mtl = await fs.readFile(path.join(itemsOutput, 'models', 'items', 'egg.mtl'), 'utf8');
+    expect(mtl).toContain('newmtl egg_layer0\nKa 1.000 1.000 1.000\nKd 1.000 0.000 0.000');
+    expect(mtl).toContain('newmtl egg_layer1\nKa 1.000 1.000 1.000\nKd 0.000 0.000 1.000');
+    const obj = await fs.readFile(path.join(itemsOutput, 'models', 'items', 'egg.obj'), 'utf8');
+    expect(obj).toContain('usemtl egg_layer0');
+    expect(obj).toContain('usemtl egg_layer1');
+  }, 60000);
+});
+
+/**
+ * List the files under a directory, relative to it
+ */
+async function listFiles(dir, base = dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(entryPath, base));
+    } else {
+      files.push(path.relative(base, entryPath));
+    }
+  }
+  return files.sort();
+}
+
+describe('directory mode', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'texturepack-directory-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  test('write the requested format with the FBX options', async () => {
+    const inputDir = path.join(root, 'input');
+    const outputDir = path.join(root, 'output');
+    await writeTexture(path.join(inputDir, 'sword.png'));
+
+    const results = await convertDirectory({
+      inputDir,
+      outputDir,
+      format: 'fbx-binary',
+      fbxOptions: { embedTexture: true }
+    });
+
+    expect(results.errors).toEqual([]);
+    expect(results.success).toBe(1);
+    const models = (await listFiles(outputDir)).filter(file => /\.(obj|mtl|fbx|glb)$/.test(file));
+    expect(models.map(file => path.basename(file))).toEqual(['sword.fbx']);
+
+    const fbx = await fs.readFile(path.join(outputDir, models[0]));
+    expect(fbx.subarray(0, 20).toString('latin1')).toBe('Kaydara FBX Binary  ');
+    // The upscaled texture is embedded
+    expect(fbx.includes(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))).toBe(true);
+  });
+
+  test('compress GLBs with the GLB options', async () => {
+    const inputDir = path.join(root, 'input');
+    const outputDir = path.join(root, 'output');
+    await writeTexture(path.join(inputDir, 'sword.png'));
+
+    const results = await convertDirectory({
+      inputDir,
+      outputDir,
+      format: 'glb',
+      glbOptions: { quantize: true, compression: 'meshopt' }
+    });
+
+    expect(results.errors).toEqual([]);
+    const [glbFile] = (await listFiles(outputDir)).filter(file => file.endsWith('.glb'));
+    const glb = await fs.readFile(path.join(outputDir, glbFile));
+    // JSON chunk: length at byte 12, data from byte 20
+    const gltf = JSON.parse(glb.subarray(20, 20 + glb.readUInt32LE(12)).toString('utf8'));
+    expect(gltf.extensionsUsed).toEqual(expect.arrayContaining(['KHR_mesh_quantization', 'EXT_meshopt_compression']));
+  });
+});
@@ -0,0 +1,134 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import {
+  resolveDisplayOptions,
+  mergeDisplay,
+  bakeDisplayTransform,
+  buildDisplayNodes,
+  displayToLua
+} from '../src/displayTransforms.js';
+import { loadItemModel, loadVanillaItemDisplay } from '../src/jsonModelLoader.js';
+
+/**
+ * One triangle with its normal along +X
+ */
+const TRIANGLE = {
+  positions: Float32Array.from([1, 0, 0, 1, 1, 0, 1, 0, 1]),
+  normals: Float32Array.from([1, 0, 0, 1, 0, 0, 1, 0, 0]),
+  indices: Uint16Array.from([0, 1, 2]),
+  bounds: { min: [1, 0, 0], max: [1, 1, 1] }
+};
+
+const expectCloseTo = (actual, expected) => {
+  expect(actual.length).toBe(expected.length);
+  Array.from(actual).forEach((value, index) => expect(value).toBeCloseTo(expected[index], 5));
+};
+
+describe('display transforms', () => {
+  test('options default to extras and the right hand', () => {
+    expect(resolveDisplayOptions()).toEqual({ mode: 'extras', transform: 'thirdperson_righthand' });
+    expect(resolveDisplayOptions({ mode: 'bake', transform: 'gui' })).toEqual({ mode: 'bake', transform: 'gui' });
+    expect(() => resolveDisplayOptions({ mode: 'matrix' })).toThrow('Invalid display mode: matrix');
+    expect(() => resolveDisplayOptions({ transform: 'hand' })).toThrow('Invalid display transform: hand');
+  });
+
+  test('children override their parent slot by slot', () => {
+    const parent = { gui: { scale: [1, 1, 1] }, ground: { translation: [0, 2, 0] } };
+    expect(mergeDisplay(parent, { gui: { rotation: [30, 225, 0] } })).toEqual({
+      gui: { rotation: [30, 225, 0] },
+      ground: { translation: [0, 2, 0] }
+    });
+    expect(mergeDisplay(undefined, undefined)).toEqual({});
+  });
+
+  test('baking scales, then rotates, then translates in pixels', () => {
+    const baked = bakeDisplayTransform(TRIANGLE, { rotation: [0, 90, 0], translation: [16, 0, 0], scale: [2, 2, 2] }, 1 / 16);
+
+    // (1, 0, 0) doubles, turns to -Z around Y, then moves one block along X
+    expectCloseTo(baked.positions.subarray(0, 3), [1, 0, -2]);
+    expectCloseTo(baked.normals.subarray(0, 3), [0, 0, -1]);
+    expect(Array.from(baked.indices)).toEqual([0, 1, 2]);
+    expectCloseTo(baked.bounds.min, [1, 0, -2]);
+    expectCloseTo(baked.bounds.max, [3, 2, -2]);
+
+    // The source geometry is left alone
+    expect(Array.from(TRIANGLE.positions.subarray(0, 3))).toEqual([1, 0, 0]);
+  });
+
+  test('rotations turn around X, then around the turned Y and Z', () => {
+    // X sends +Z to -Y and turns the Y axis onto world Z, so Y carries it on to +X
+    // (turning around the world Y axis would leave -Y in place)
+    const baked = bakeDisplayTransform({ ...TRIANGLE, positions: Float32Array.from([0, 0, 1, 0, 0, 1, 0, 0, 1]) }, { rotation: [90, 90, 0] }, 1 / 16);
+    expectCloseTo(baked.positions.subarray(0, 3), [1, 0, 0]);
+  });
+
+  test('mirroring scales flip the winding and keep normals outward', () => {
+    const baked = bakeDisplayTransform(TRIANGLE, { scale: [-1, 1, 1] }, 1 / 16);
+
+    expect(Array.from(baked.indices)).toEqual([0, 2, 1]);
+    expectCloseTo(baked.normals.subarray(0, 3), [-1, 0, 0]);
+  });
+
+  test('display nodes carry one slot each, in slot order', () => {
+    const display = {
+      gui: { rotation: [0, 90, 0], translation: [0, 16, 0] },
+      thirdperson_righthand: { scale: [1, 2, 3] }
+    };
+
+    const nodes = buildDisplayNodes(display, 1 / 16);
+    expect(nodes.map(node => node.name)).toEqual(['display_thirdperson_righthand', 'display_gui']);
+    expect(nodes[0]).toMatchObject({ translation: [0, 0, 0], rotation: [0, 0, 0, 1], scale: [1, 2, 3] });
+    expect(nodes[1].translation).toEqual([0, 1, 0]);
+    expectCloseTo(nodes[1].rotation, [0, Math.SQRT1_2, 0, Math.SQRT1_2]);
+
+    // Under a Z-up parent, Y and Z swap
+    const zUp = buildDisplayNodes(display, 1 / 16, 'z-up');
+    expect(zUp[0].scale).toEqual([1, 3, 2]);
+    expect(zUp[1].translation).toEqual([0, 0, -1]);
+    expectCloseTo(zUp[1].rotation, [0, 0, -Math.SQRT1_2, Math.SQRT1_2]);
+  });
+
+  test('Lua tables fill in missing fields', () => {
+    expect(displayToLua({ head: { rotation: [0, 180, 0] }, gui: { scale: [0.5, 0.5, 0.5] } })).toBe(
+      '{gui = {rotation = {0, 0, 0}, translation = {0, 0, 0}, scale = {0.5, 0.5, 0.5}}, ' +
+      'head = {rotation = {0, 180, 0}, translation = {0, 0, 0}, scale = {1, 1, 1}}}'
+    );
+  });
+});
+
+describe('item model display', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'item-display-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  test('item models inherit display slots from pack and bundled parents', async () => {
+    const modelsDir = path.join(root, 'models', 'item');
+    const itemsDir = path.join(root, 'textures', 'item');
+    // sword -> pack tool -> bundled handheld -> bundled generated
+    await fs.outputJson(path.join(modelsDir, 'tool.json'), {
+      parent: 'minecraft:item/handheld',
+      display: { gui: { rotation: [0, 0, 45] } }
+    });
+    await fs.outputJson(path.join(modelsDir, 'sword.json'), {
+      parent: 'item/tool',
+      textures: { layer0: 'item/sword' },
+      display: { thirdperson_righthand: { scale: [2, 2, 2] } }
+    });
+
+    const { display } = await loadItemModel(path.join(modelsDir, 'sword.json'), modelsDir, itemsDir);
+    const generated = await loadVanillaItemDisplay('generated');
+
+    expect(display.thirdperson_righthand).toEqual({ scale: [2, 2, 2] });
+    expect(display.gui).toEqual({ rotation: [0, 0, 45] });
+    expect(display.firstperson_lefthand).toEqual({ rotation: [0, 90, -25], translation: [1.13, 3.2, 1.13], scale: [0.68, 0.68, 0.68] });
+    expect(display.ground).toEqual(generated.ground);
+    expect(display.head).toEqual(generated.head);
+  });
+});
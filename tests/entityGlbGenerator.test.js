@@ -0,0 +1,161 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import sharp from 'sharp';
+import { loadModel } from '../src/jsonModelLoader.js';
+import { loadBlockbenchModel } from '../src/blockbenchModelLoader.js';
+import { createTextureAtlas } from '../src/textureAtlas.js';
+import { generateEntityGLB } from '../src/entityGlbGenerator.js';
+
+/**
+ * Every face of an element, on texture #0
+ */
+const allFaces = () => Object.fromEntries(['north', 'east', 'south', 'west', 'up', 'down']
+  .map(face => [face, { uv: [0, 0, 4, 4], texture: '#0' }]));
+
+/**
+ * A chest: a base named by __comment, a lid hinged at the back and an unnamed latch
+ */
+const CHEST_ELEMENTS = [
+  { __comment: 'Base', from: [1, 0, 1], to: [15, 10, 15], faces: allFaces() },
+  { name: 'Lid', from: [1, 9, 1], to: [15, 14, 15], rotation: { origin: [8, 9, 15], axis: 'x', angle: 0 }, faces: allFaces() },
+  { from: [7, 7, 0], to: [9, 11, 1], faces: allFaces() }
+];
+
+/**
+ * Read a GLB's JSON and the position bounds of each node's mesh
+ */
+function readNodes(glb) {
+  const gltf = JSON.parse(glb.subarray(20, 20 + glb.readUInt32LE(12)).toString('utf8'));
+  const bounds = mesh => {
+    const { min, max } = gltf.accessors[gltf.meshes[mesh].primitives[0].attributes.POSITION];
+    return { min, max };
+  };
+  return gltf.nodes.map(node => ({ ...node, ...(node.mesh !== undefined && { bounds: bounds(node.mesh) }) }));
+}
+
+const expectCloseTo = (actual, expected) => {
+  expect(actual.length).toBe(expected.length);
+  actual.forEach((value, index) => expect(value).toBeCloseTo(expected[index], 5));
+};
+
+describe('generateEntityGLB nodes', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'entity-nodes-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  /**
+   * Write a 16x16 texture to each of the model's texture paths and build its atlas
+   */
+  async function buildAtlas(model) {
+    for (const texturePath of Object.values(model.textures)) {
+      await fs.ensureDir(path.dirname(texturePath));
+      await sharp({ create: { width: 16, height: 16, channels: 4, background: { r: 120, g: 80, b: 40, alpha: 1 } } })
+        .png().toFile(texturePath);
+    }
+    return createTextureAtlas(model, Object.values(model.textures));
+  }
+
+  async function loadChest() {
+    const modelPath = path.join(root, 'chest.json');
+    await fs.writeJson(modelPath, { textures: { 0: 'entity/chest' }, elements: CHEST_ELEMENTS });
+    const model = await loadModel(modelPath, root);
+    return { model, textureAtlas: await buildAtlas(model) };
+  }
+
+  test('single mode keeps one mesh on the model node', async () => {
+    const { model, textureAtlas } = await loadChest();
+    const nodes = readNodes(generateEntityGLB({ model, textureAtlas }));
+
+    expect(nodes).toHaveLength(1);
+    expect(nodes[0].name).toBe('chest');
+    expect(nodes[0].translation).toBeUndefined();
+    expectCloseTo(nodes[0].bounds.min, [-7 / 16, -8 / 16, -8 / 16]);
+    expectCloseTo(nodes[0].bounds.max, [7 / 16, 6 / 16, 7 / 16]);
+  });
+
+  test('elements mode gives each element a node at its pivot', async () => {
+    const { model, textureAtlas } = await loadChest();
+    const nodes = readNodes(generateEntityGLB({ model, textureAtlas, nodeMode: 'elements' }));
+
+    // The model node has no mesh of its own
+    const [chest, ...parts] = nodes;
+    expect(chest.mesh).toBeUndefined();
+    expect(chest.children).toEqual([1, 2, 3]);
+    expect(parts.map(node => node.name)).toEqual(['Base', 'Lid', 'chest_2']);
+
+    // Unrotated elements pivot on their center, rotated ones on their rotation origin
+    const [base, lid, latch] = parts;
+    expectCloseTo(base.translation, [0, -3 / 16, 0]);
+    expectCloseTo(lid.translation, [0, 1 / 16, 7 / 16]);
+    expectCloseTo(latch.translation, [0, 1 / 16, -7.5 / 16]);
+
+    // Vertices are relative to the pivot, so the lid turns around its hinge
+    expectCloseTo(lid.bounds.min, [-7 / 16, 0, -14 / 16]);
+    expectCloseTo(lid.bounds.max, [7 / 16, 5 / 16, 0]);
+    expectCloseTo(base.bounds.min, [-7 / 16, -5 / 16, -7 / 16]);
+  });
+
+  test('groups mode nests nodes like the Blockbench groups', async () => {
+    const modelPath = path.join(root, 'chest.bbmodel');
+    const face = { uv: [0, 0, 4, 4], texture: 0 };
+    const faces = Object.fromEntries(['north', 'east', 'south', 'west', 'up', 'down'].map(name => [name, face]));
+    await fs.writeJson(modelPath, {
+      meta: { format_version: '4.5', model_format: 'java_block', box_uv: false },
+      resolution: { width: 16, height: 16 },
+      elements: CHEST_ELEMENTS.map((element, index) => ({
+        name: element.name || element.__comment || `latch${index}`,
+        uuid: `element-${index}`,
+        from: element.from,
+        to: element.to,
+        origin: [8, 8, 8],
+        faces
+      })),
+      outliner: [
+        {
+          uuid: 'lid-group',
+          name: 'lid',
+          origin: [8, 9, 15],
+          rotation: [0, 0, 0],
+          children: ['element-1', { uuid: 'latch-group', name: 'latch', origin: [8, 9, 0], rotation: [0, 0, 0], children: ['element-2'] }]
+        },
+        'element-0'
+      ],
+      textures: [{ name: 'chest', folder: 'entity' }]
+    });
+    const model = await loadBlockbenchModel(modelPath, root);
+    model.textures = { 0: path.join(root, 'texture', 'chest.png') };
+    const textureAtlas = await buildAtlas(model);
+    const nodes = readNodes(generateEntityGLB({ model, textureAtlas, nodeMode: 'groups' }));
+    const byName = Object.fromEntries(nodes.map((node, index) => [node.name, { ...node, index }]));
+
+    // Ungrouped elements hang off the model node after the groups
+    expect(nodes[0].children.map(index => nodes[index].name)).toEqual(['lid', 'Base']);
+    expect(byName.lid.children.map(index => nodes[index].name)).toEqual(['latch']);
+
+    // Group nodes sit at their origin, relative to their parent group
+    expectCloseTo(byName.lid.translation, [0, 1 / 16, 7 / 16]);
+    expectCloseTo(byName.latch.translation, [0, 0, -15 / 16]);
+    expectCloseTo(byName.latch.bounds.min, [-1 / 16, -2 / 16, 0]);
+    expectCloseTo(byName.latch.bounds.max, [1 / 16, 2 / 16, 1 / 16]);
+  });
+
+  test('groups mode splits models without groups by element', async () => {
+    const { model, textureAtlas } = await loadChest();
+    const nodes = readNodes(generateEntityGLB({ model, textureAtlas, nodeMode: 'groups' }));
+
+    expect(nodes.map(node => node.name)).toEqual(['chest', 'Base', 'Lid', 'chest_2']);
+  });
+
+  test('unknown node modes fail', async () => {
+    const { model, textureAtlas } = await loadChest();
+    expect(() => generateEntityGLB({ model, textureAtlas, nodeMode: 'bones' }))
+      .toThrow('Invalid node mode: bones (expected single, elements, groups)');
+  });
+});
@@ -0,0 +1,237 @@
+import zlib from 'zlib';
+import { node, int, objectName, encodeFBXBinary, FBX_VERSION } from '../src/fbxWriter.js';
+import { generateFBXFromMesh } from '../src/fbxGenerator.js';
+import { buildItemMesh } from '../src/itemMesh.js';
+
+const MAGIC = Buffer.from('Kaydara FBX Binary  \0\x1a\0', 'binary');
+const FOOTER_MAGIC = Buffer.from('f85a8c6adef5d97eece90ce3758f290b', 'hex');
+const ARRAY_TYPES = { i: [Int32Array, 4], d: [Float64Array, 8], f: [Float32Array, 4], l: [BigInt64Array, 8] };
+
+/**
+ * Read one property value; arrays record whether they were compressed
+ */
+function readProperty(buffer, offset) {
+  const code = String.fromCharCode(buffer[offset]);
+  const start = offset + 1;
+  switch (code) {
+    case 'C': return { value: buffer[start] === 1, end: start + 1 };
+    case 'I': return { value: buffer.readInt32LE(start), end: start + 4 };
+    case 'D': return { value: buffer.readDoubleLE(start), end: start + 8 };
+    case 'L': return { value: buffer.readBigInt64LE(start), end: start + 8 };
+    case 'S':
+    case 'R': {
+      const length = buffer.readUInt32LE(start);
+      const data = buffer.subarray(start + 4, start + 4 + length);
+      return { value: code === 'S' ? data.toString('utf8') : Buffer.from(data), end: start + 4 + length };
+    }
+    default: {
+      const [ArrayType, size] = ARRAY_TYPES[code];
+      const count = buffer.readUInt32LE(start);
+      const encoding = buffer.readUInt32LE(start + 4);
+      const length = buffer.readUInt32LE(start + 8);
+      const stored = buffer.subarray(start + 12, start + 12 + length);
+      const raw = encoding === 1 ? zlib.inflateSync(stored) : Buffer.from(stored);
+      expect(raw.length).toBe(count * size);
+      const value = new ArrayType(raw.buffer, raw.byteOffset, count);
+      return { value, compressed: encoding === 1, storedLength: length, end: start + 12 + length };
+    }
+  }
+}
+
+/**
+ * Read a node record, checking that its end offset matches its content
+ * @returns {{node: Object|null, end: number}} Node (null for a null record) and the offset after it
+ */
+function readNode(buffer, offset) {
+  const end = buffer.readUInt32LE(offset);
+  const propertyCount = buffer.readUInt32LE(offset + 4);
+  const propertyLength = buffer.readUInt32LE(offset + 8);
+  const nameLength = buffer[offset + 12];
+  if (end === 0) {
+    expect(buffer.subarray(offset, offset + 13).every(byte => byte === 0)).toBe(true);
+    return { node: null, end: offset + 13 };
+  }
+
+  const name = buffer.toString('ascii', offset + 13, offset + 13 + nameLength);
+  let cursor = offset + 13 + nameLength;
+  const propertiesStart = cursor;
+  const properties = [];
+  for (let i = 0; i < propertyCount; i++) {
+    const property = readProperty(buffer, cursor);
+    properties.push(property);
+    cursor = property.end;
+  }
+  expect(cursor - propertiesStart).toBe(propertyLength);
+
+  const children = [];
+  while (cursor < end) {
+    const child = readNode(buffer, cursor);
+    cursor = child.end;
+    if (!child.node) break;
+    children.push(child.node);
+  }
+  expect(cursor).toBe(end);
+  return { node: { name, properties, children }, end };
+}
+
+/**
+ * Parse a binary FBX file, checking its header and footer
+ * @returns {{version: number, nodes: Object[]}}
+ */
+function parseFBXBinary(buffer) {
+  expect(buffer.subarray(0, MAGIC.length)).toEqual(MAGIC);
+  const version = buffer.readUInt32LE(MAGIC.length);
+
+  const nodes = [];
+  let offset = MAGIC.length + 4;
+  for (;;) {
+    const record = readNode(buffer, offset);
+    offset = record.end;
+    if (!record.node) break;
+    nodes.push(record.node);
+  }
+
+  // Footer: id, 4 zero bytes, padding to 16 bytes, version, 120 zero bytes, magic
+  offset += 16 + 4;
+  const padding = 16 - (offset % 16);
+  expect(buffer.subarray(offset - 4, offset + padding).every(byte => byte === 0)).toBe(true);
+  offset += padding;
+  expect(buffer.readUInt32LE(offset)).toBe(version);
+  expect(buffer.subarray(offset + 4, offset + 124).every(byte => byte === 0)).toBe(true);
+  expect(buffer.subarray(offset + 124)).toEqual(FOOTER_MAGIC);
+  return { version, nodes };
+}
+
+const findChild = (parent, name) => parent.children.find(child => child.name === name);
+
+describe('encodeFBXBinary', () => {
+  test('writes records that read back with matching end offsets', () => {
+    const large = new Float64Array(32).map((_, i) => i / 4); // 256 bytes
+    const small = new Int32Array([0, 1, -3]);
+    const fbx = encodeFBXBinary([
+      node('FBXHeaderExtension', [], [node('FBXVersion', [int(FBX_VERSION)])]),
+      node('Objects', [], [
+        node('Geometry', [123n, objectName('Geometry', 'cube'), 'Mesh'], [
+          node('Vertices', [large]),
+          node('PolygonVertexIndex', [small]),
+          node('Flags', [true, 0.5, Buffer.from([1, 2, 3])])
+        ])
+      ]),
+      node('References')
+    ]);
+
+    const { version, nodes } = parseFBXBinary(fbx);
+    expect(version).toBe(FBX_VERSION);
+    // File id and creation time follow the header extension
+    expect(nodes.map(current => current.name)).toEqual(['FBXHeaderExtension', 'FileId', 'CreationTime', 'Objects', 'References']);
+    expect(nodes[0].children[0].properties[0].value).toBe(FBX_VERSION);
+
+    const geometry = nodes[3].children[0];
+    expect(geometry.properties.map(property => property.value)).toEqual([123n, 'cube\0\x01Geometry', 'Mesh']);
+
+    const [vertices] = findChild(geometry, 'Vertices').properties;
+    expect(vertices.compressed).toBe(true);
+    expect(vertices.storedLength).toBeLessThan(large.byteLength);
+    expect(Array.from(vertices.value)).toEqual(Array.from(large));
+
+    const [indices] = findChild(geometry, 'PolygonVertexIndex').properties;
+    expect(indices.compressed).toBe(false);
+    expect(Array.from(indices.value)).toEqual([0, 1, -3]);
+
+    expect(findChild(geometry, 'Flags').properties.map(property => property.value)).toEqual([true, 0.5, Buffer.from([1, 2, 3])]);
+    expect(nodes[4].children).toEqual([]);
+  });
+
+  test('footer padding is a full 16 bytes when the records end aligned', () => {
+    // Vary the content length so the records end at every offset modulo 16
+    for (let extra = 0; extra < 16; extra++) {
+      const fbx = encodeFBXBinary([node('FBXHeaderExtension'), node('Comment', ['x'.repeat(extra)])]);
+      expect(parseFBXBinary(fbx).nodes[3].properties[0].value).toBe('x'.repeat(extra));
+      // Version, 120 zero bytes and the magic follow the aligned padding
+      expect((fbx.length - 140) % 16).toBe(0);
+    }
+  });
+});
+
+describe('generateFBXFromMesh (binary)', () => {
+  test('stores the mesh arrays compressed', () => {
+    const pixels = new Uint8Array(4 * 4 * 4);
+    for (let i = 0; i < 16; i += 3) pixels.set([255, 0, 0, 255], i * 4);
+    const mesh = buildItemMesh({ name: 'gem', width: 4, height: 4, pixels, channels: 4, scale: 1 });
+
+    const fbx = generateFBXFromMesh({ mesh, texturePath: 'gem.png', binary: true, textureData: Buffer.from('png') });
+    const { version, nodes } = parseFBXBinary(fbx);
+    expect(version).toBe(FBX_VERSION);
+
+    const objects = nodes.find(current => current.name === 'Objects');
+    const geometry = findChild(objects, 'Geometry');
+    const [vertices] = findChild(geometry, 'Vertices').properties;
+    expect(vertices.value.byteLength).toBeGreaterThanOrEqual(128);
+    expect(vertices.compressed).toBe(true);
+    Array.from(mesh.positions).forEach((value, i) => expect(vertices.value[i]).toBeCloseTo(value, 6));
+
+    const [polygons] = findChild(geometry, 'PolygonVertexIndex').properties;
+    expect(polygons.compressed).toBe(true);
+    expect(polygons.value.length).toBe(mesh.indices.length);
+    // Every third index closes a triangle as -(index + 1)
+    expect(Array.from(polygons.value).filter((_, i) => i % 3 === 2).every(index => index < 0)).toBe(true);
+
+    const video = findChild(objects, 'Video');
+    expect(findChild(video, 'Content').properties[0].value).toEqual(Buffer.from('png'));
+  });
+
+  /**
+   * Read the vertices, per-polygon-vertex normals and up axis of a binary FBX
+   */
+  const readMesh = (fbx) => {
+    const { nodes } = parseFBXBinary(fbx);
+    const geometry = findChild(nodes.find(current => current.name === 'Objects'), 'Geometry');
+    const settings = findChild(nodes.find(current => current.name === 'GlobalSettings'), 'Properties70');
+    const upAxis = settings.children.find(property => property.properties[0].value === 'UpAxis');
+    return {
+      vertices: Array.from(findChild(geometry, 'Vertices').properties[0].value),
+      normals: Array.from(findChild(findChild(geometry, 'LayerElementNormal'), 'Normals').properties[0].value),
+      indices: Array.from(findChild(geometry, 'PolygonVertexIndex').properties[0].value).map(index => index < 0 ? -index - 1 : index),
+      upAxis: upAxis.properties[4].value
+    };
+  };
+
+  test('converts positions and normals to y-up', () => {
+    const pixels = new Uint8Array(2 * 2 * 4);
+    pixels.set([255, 0, 0, 255], 0);
+    const mesh = buildItemMesh({ name: 'pixel', width: 2, height: 2, pixels, channels: 4, scale: 1 });
+
+    const zUp = readMesh(generateFBXFromMesh({ mesh, texturePath: null, binary: true }));
+    expect(zUp.upAxis).toBe(2);
+    Array.from(mesh.positions).forEach((value, i) => expect(zUp.vertices[i]).toBeCloseTo(value, 6));
+
+    // (x, y, z) -> (x, z, -y), like the OBJ writer
+    const yUp = readMesh(generateFBXFromMesh({ mesh, texturePath: null, coordinateSystem: 'y-up', binary: true }));
+    expect(yUp.upAxis).toBe(1);
+    for (let i = 0; i < mesh.positions.length; i += 3) {
+      expect(yUp.vertices[i]).toBeCloseTo(mesh.positions[i], 6);
+      expect(yUp.vertices[i + 1]).toBeCloseTo(mesh.positions[i + 2], 6);
+      expect(yUp.vertices[i + 2]).toBeCloseTo(-mesh.positions[i + 1], 6);
+    }
+    // Normals are stored per polygon vertex
+    yUp.indices.forEach((index, corner) => {
+      expect(yUp.normals[corner * 3]).toBeCloseTo(mesh.normals[index * 3], 6);
+      expect(yUp.normals[corner * 3 + 1]).toBeCloseTo(mesh.normals[index * 3 + 2], 6);
+      expect(yUp.normals[corner * 3 + 2]).toBeCloseTo(-mesh.normals[index * 3 + 1], 6);
+    });
+    // The item's front (+Z) now faces up
+    expect(yUp.normals.some((value, i) => i % 3 === 1 && value === 1)).toBe(true);
+  });
+
+  test('writes y-up meshes as built', () => {
+    const pixels = new Uint8Array(2 * 2 * 4);
+    pixels.set([255, 0, 0, 255], 0);
+    const mesh = buildItemMesh({ name: 'pixel', width: 2, height: 2, pixels, channels: 4, scale: 1 });
+
+    // Entity meshes are already Y-up
+    const fbx = generateFBXFromMesh({ mesh, texturePath: null, coordinateSystem: 'y-up', sourceCoordinateSystem: 'y-up', binary: true });
+    const { vertices, upAxis } = readMesh(fbx);
+    expect(upAxis).toBe(1);
+    Array.from(mesh.positions).forEach((value, i) => expect(vertices[i]).toBeCloseTo(value, 6));
+  });
+});
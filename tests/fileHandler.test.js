@@ -0,0 +1,108 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import sharp from 'sharp';
+import { readTextureAnimation, extractTexturePixels, validateImage } from '../src/fileHandler.js';
+
+/**
+ * Frame colors, top to bottom
+ */
+const COLORS = [[255, 0, 0], [0, 255, 0], [0, 0, 255]];
+
+/**
+ * Write a 16x48 strip of three solid 16x16 frames
+ */
+async function writeStrip(filePath) {
+  const pixels = Buffer.alloc(16 * 48 * 4);
+  COLORS.forEach((color, frame) => {
+    for (let i = frame * 256; i < (frame + 1) * 256; i++) {
+      pixels.set([...color, 255], i * 4);
+    }
+  });
+  await sharp(pixels, { raw: { width: 16, height: 48, channels: 4 } }).png().toFile(filePath);
+}
+
+describe('texture animations', () => {
+  let root;
+  let texturePath;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'texture-animations-'));
+    texturePath = path.join(root, 'lamp.png');
+    await writeStrip(texturePath);
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  const writeMeta = meta => fs.writeJson(`${texturePath}.mcmeta`, meta);
+
+  test('frames default to square frames in order', async () => {
+    await writeMeta({ animation: {} });
+
+    expect(await readTextureAnimation(texturePath, 16, 48)).toEqual({
+      frameWidth: 16,
+      frameHeight: 16,
+      frameCount: 3,
+      interpolate: false,
+      frames: [{ index: 0, time: 1 }, { index: 1, time: 1 }, { index: 2, time: 1 }]
+    });
+  });
+
+  test('explicit frames take the frametime unless they have their own', async () => {
+    await writeMeta({ animation: { frametime: 4, interpolate: true, frames: [2, { index: 0, time: 10 }, { index: 1 }, 0] } });
+    const animation = await readTextureAnimation(texturePath, 16, 48);
+
+    expect(animation.interpolate).toBe(true);
+    expect(animation.frames).toEqual([{ index: 2, time: 4 }, { index: 0, time: 10 }, { index: 1, time: 4 }, { index: 0, time: 4 }]);
+  });
+
+  test('explicit frame sizes split the texture left to right, top to bottom', async () => {
+    await writeMeta({ animation: { width: 8 } });
+    const animation = await readTextureAnimation(texturePath, 16, 48);
+
+    // 8 wide and the full height tall
+    expect(animation).toMatchObject({ frameWidth: 8, frameHeight: 48, frameCount: 2 });
+  });
+
+  test('textures without an animation section are not animated', async () => {
+    expect(await readTextureAnimation(texturePath, 16, 48)).toBeNull();
+    await writeMeta({ texture: { blur: true } });
+    expect(await readTextureAnimation(texturePath, 16, 48)).toBeNull();
+  });
+
+  test('invalid metadata fails the texture', async () => {
+    const metaPath = `${texturePath}.mcmeta`;
+    await writeMeta({ animation: { frames: [0, 3] } });
+    await expect(readTextureAnimation(texturePath, 16, 48))
+      .rejects.toThrow(`Animation frame 3 out of range, texture has 3 frames (${metaPath})`);
+
+    await writeMeta({ animation: { width: 32 } });
+    await expect(readTextureAnimation(texturePath, 16, 48))
+      .rejects.toThrow(`Animation frames of 32x48 don't fit in 16x48 (${metaPath})`);
+
+    await fs.writeFile(metaPath, '{ "animation": ');
+    await expect(readTextureAnimation(texturePath, 16, 48)).rejects.toThrow(`Invalid animation metadata in ${metaPath}`);
+  });
+
+  test('geometry uses one frame, clamped to the last', async () => {
+    await writeMeta({ animation: {} });
+    const firstPixel = ({ pixels }) => Array.from(pixels.subarray(0, 3));
+
+    const first = await extractTexturePixels(texturePath);
+    expect(first).toMatchObject({ width: 16, height: 16, frame: 0 });
+    expect(first.pixels).toHaveLength(16 * 16 * 4);
+    expect(firstPixel(first)).toEqual(COLORS[0]);
+
+    expect(firstPixel(await extractTexturePixels(texturePath, 1))).toEqual(COLORS[1]);
+    const clamped = await extractTexturePixels(texturePath, 9);
+    expect(clamped.frame).toBe(2);
+    expect(firstPixel(clamped)).toEqual(COLORS[2]);
+
+    // Frames are validated by their own size, not the strip's
+    const info = await validateImage(texturePath);
+    expect(info).toMatchObject({ width: 16, height: 48, valid: true });
+    expect(info.animation.frameCount).toBe(3);
+  });
+});
@@ -0,0 +1,264 @@
+import draco3d from 'draco3d';
+import { MeshoptDecoder } from 'meshoptimizer';
+import { compressGLTF, loadGLBEncoders, resolveGLBOptions } from '../src/glbCompression.js';
+
+const COMPONENT_COUNTS = { SCALAR: 1, VEC2: 2, VEC3: 3 };
+const NORMALIZED_MAX = { 5120: 127, 5123: 65535 };
+
+// Two faces of a pixel-grid box: positions in 1/16 steps, axis-aligned normals
+const POSITIONS = [
+  -0.5, 0, 0.25, 0.5, 0, 0.25, 0.5, 0.0625, 0.25, -0.5, 0.0625, 0.25,
+  0.5, 0, 0.25, 0.5, 0, -0.25, 0.5, 0.0625, -0.25, 0.5, 0.0625, 0.25
+];
+const NORMALS = [0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0];
+const UVS = [0, 1, 1, 1, 1, 0.9375, 0, 0.9375, 0, 0.5, 0.5, 0.5, 0.5, 0.4375, 0, 0.4375];
+const INDICES = [0, 1, 2, 0, 2, 3, 4, 5, 6, 4, 6, 7];
+
+/**
+ * Build a glTF document laid out as the GLB writers do: tightly packed accessors in buffer 0
+ */
+function createDocument() {
+  const arrays = [new Float32Array(POSITIONS), new Float32Array(NORMALS), new Float32Array(UVS), new Uint16Array(INDICES)];
+  const bufferViews = [];
+  let byteOffset = 0;
+  for (const array of arrays) {
+    bufferViews.push({ buffer: 0, byteOffset, byteLength: array.byteLength });
+    byteOffset += Math.ceil(array.byteLength / 4) * 4;
+  }
+  const binBuffer = Buffer.alloc(byteOffset);
+  arrays.forEach((array, i) => Buffer.from(array.buffer).copy(binBuffer, bufferViews[i].byteOffset));
+
+  const gltf = {
+    asset: { version: '2.0' },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ name: 'box', mesh: 0 }],
+    meshes: [{ name: 'box', primitives: [{ attributes: { POSITION: 0, NORMAL: 1, TEXCOORD_0: 2 }, indices: 3, material: 0 }] }],
+    materials: [{ name: 'box' }],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 8, type: 'VEC3', min: [-0.5, 0, -0.25], max: [0.5, 0.0625, 0.25] },
+      { bufferView: 1, componentType: 5126, count: 8, type: 'VEC3' },
+      { bufferView: 2, componentType: 5126, count: 8, type: 'VEC2' },
+      { bufferView: 3, componentType: 5123, count: 12, type: 'SCALAR' }
+    ],
+    bufferViews,
+    buffers: [{ byteLength: binBuffer.length }]
+  };
+  return { gltf, binBuffer };
+}
+
+/**
+ * Read a buffer view's bytes, decoding EXT_meshopt_compression
+ */
+function readView(gltf, binBuffer, viewIndex) {
+  const view = gltf.bufferViews[viewIndex];
+  const meshopt = view.extensions?.EXT_meshopt_compression;
+  if (meshopt) {
+    const target = new Uint8Array(meshopt.count * meshopt.byteStride);
+    const source = binBuffer.subarray(meshopt.byteOffset, meshopt.byteOffset + meshopt.byteLength);
+    MeshoptDecoder.decodeGltfBuffer(target, meshopt.count, meshopt.byteStride, source, meshopt.mode, meshopt.filter);
+    return Buffer.from(target);
+  }
+  expect(view.buffer).toBe(0);
+  return binBuffer.subarray(view.byteOffset, view.byteOffset + view.byteLength);
+}
+
+/**
+ * Read an accessor's values as numbers (normalized integers are mapped back to floats)
+ */
+function readValues(gltf, binBuffer, accessorIndex) {
+  const accessor = gltf.accessors[accessorIndex];
+  const view = gltf.bufferViews[accessor.bufferView];
+  const bytes = readView(gltf, binBuffer, accessor.bufferView);
+  const components = COMPONENT_COUNTS[accessor.type];
+  const read = {
+    5120: (offset) => bytes.readInt8(offset),
+    5123: (offset) => bytes.readUInt16LE(offset),
+    5125: (offset) => bytes.readUInt32LE(offset),
+    5126: (offset) => bytes.readFloatLE(offset)
+  }[accessor.componentType];
+  const size = { 5120: 1, 5123: 2, 5125: 4, 5126: 4 }[accessor.componentType];
+  const stride = view.byteStride || components * size;
+
+  const values = [];
+  for (let i = 0; i < accessor.count; i++) {
+    for (let c = 0; c < components; c++) {
+      const value = read((accessor.byteOffset || 0) + i * stride + c * size);
+      values.push(accessor.normalized ? Math.max(value / NORMALIZED_MAX[accessor.componentType], -1) : value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Decode a KHR_draco_mesh_compression primitive into attribute values and indices
+ */
+function decodeDraco(decoderModule, gltf, binBuffer, primitive) {
+  const extension = primitive.extensions.KHR_draco_mesh_compression;
+  const data = readView(gltf, binBuffer, extension.bufferView);
+  const decoder = new decoderModule.Decoder();
+  const mesh = new decoderModule.Mesh();
+  const status = decoder.DecodeArrayToMesh(new Int8Array(data.buffer, data.byteOffset, data.byteLength), data.byteLength, mesh);
+  expect(status.ok()).toBe(true);
+
+  const indices = [];
+  const face = new decoderModule.DracoUInt32Array();
+  for (let f = 0; f < mesh.num_faces(); f++) {
+    decoder.GetFaceFromMesh(mesh, f, face);
+    indices.push(face.GetValue(0), face.GetValue(1), face.GetValue(2));
+  }
+  const attributes = {};
+  for (const [semantic, id] of Object.entries(extension.attributes)) {
+    const attribute = decoder.GetAttributeByUniqueId(mesh, id);
+    const values = new decoderModule.DracoFloat32Array();
+    decoder.GetAttributeFloatForAllPoints(mesh, attribute, values);
+    attributes[semantic] = Array.from({ length: values.size() }, (_, i) => values.GetValue(i));
+    decoderModule.destroy(values);
+  }
+  [face, mesh, decoder].forEach(object => decoderModule.destroy(object));
+  return { attributes, indices };
+}
+
+/**
+ * Decode the document's triangles to [position, normal, uv] corners in node space
+ * Quantized meshes sit in a child node that scales and offsets them back.
+ */
+function decodeCorners(gltf, binBuffer, decoderModule) {
+  const meshNode = gltf.nodes.find(node => node.mesh === 0);
+  const [tx, ty, tz] = meshNode.translation || [0, 0, 0];
+  const [sx, sy, sz] = meshNode.scale || [1, 1, 1];
+  const primitive = gltf.meshes[0].primitives[0];
+
+  const { attributes, indices } = primitive.extensions?.KHR_draco_mesh_compression
+    ? decodeDraco(decoderModule, gltf, binBuffer, primitive)
+    : {
+      attributes: Object.fromEntries(Object.entries(primitive.attributes)
+        .map(([semantic, index]) => [semantic, readValues(gltf, binBuffer, index)])),
+      indices: readValues(gltf, binBuffer, primitive.indices)
+    };
+
+  return indices.map(vertex => [
+    [tx + sx * attributes.POSITION[vertex * 3], ty + sy * attributes.POSITION[vertex * 3 + 1], tz + sz * attributes.POSITION[vertex * 3 + 2]],
+    attributes.NORMAL.slice(vertex * 3, vertex * 3 + 3),
+    attributes.TEXCOORD_0.slice(vertex * 2, vertex * 2 + 2)
+  ]);
+}
+
+/**
+ * The source triangles as [position, normal, uv] corners
+ */
+function sourceCorners() {
+  return INDICES.map(vertex => [
+    POSITIONS.slice(vertex * 3, vertex * 3 + 3),
+    NORMALS.slice(vertex * 3, vertex * 3 + 3),
+    UVS.slice(vertex * 2, vertex * 2 + 2)
+  ]);
+}
+
+/**
+ * Sort triangles by their corners, starting each at its smallest corner (Draco may reorder both)
+ */
+function sortTriangles(corners) {
+  const key = (corner) => corner[0].map(value => value.toFixed(4)).join(',');
+  const triangles = [];
+  for (let i = 0; i < corners.length; i += 3) {
+    const triangle = corners.slice(i, i + 3);
+    const first = triangle.reduce((best, corner, k) => key(corner) < key(triangle[best]) ? k : best, 0);
+    triangles.push([0, 1, 2].map(k => triangle[(first + k) % 3]));
+  }
+  return triangles.sort((a, b) => a.map(key).join('|') < b.map(key).join('|') ? -1 : 1);
+}
+
+/**
+ * Expect decoded triangles to match the source within per-attribute tolerances
+ */
+function expectSameTriangles(decoded, { normal, uv }) {
+  const actual = sortTriangles(decoded);
+  const expected = sortTriangles(sourceCorners());
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((triangle, t) => triangle.forEach(([position, normals, uvs], k) => {
+    const [expectedPosition, expectedNormal, expectedUv] = expected[t][k];
+    position.forEach((value, c) => expect(value).toBeCloseTo(expectedPosition[c], 6));
+    normals.forEach((value, c) => expect(Math.abs(value - expectedNormal[c])).toBeLessThanOrEqual(normal));
+    uvs.forEach((value, c) => expect(Math.abs(value - expectedUv[c])).toBeLessThanOrEqual(uv));
+  }));
+}
+
+describe('compressGLTF', () => {
+  let dracoDecoder;
+
+  beforeAll(async () => {
+    await loadGLBEncoders({ compression: 'meshopt' });
+    await loadGLBEncoders({ compression: 'draco' });
+    await MeshoptDecoder.ready;
+    dracoDecoder = await draco3d.createDecoderModule({});
+  });
+
+  test('quantize stores integer attributes in a dequantizing child node', () => {
+    const { gltf, binBuffer } = createDocument();
+    const result = compressGLTF(gltf, binBuffer, resolveGLBOptions({ quantize: true }));
+
+    expect(result.gltf.extensionsUsed).toEqual(['KHR_mesh_quantization']);
+    expect(result.gltf.extensionsRequired).toEqual(['KHR_mesh_quantization']);
+    const { attributes, indices } = result.gltf.meshes[0].primitives[0];
+    const position = result.gltf.accessors[attributes.POSITION];
+    expect(position).toMatchObject({ componentType: 5123, count: 8 });
+    expect(result.gltf.accessors[attributes.NORMAL]).toMatchObject({ componentType: 5120, normalized: true, count: 8 });
+    expect(result.gltf.accessors[attributes.TEXCOORD_0]).toMatchObject({ componentType: 5123, normalized: true, count: 8 });
+    expect(result.gltf.accessors[indices].count).toBe(12);
+
+    // Bounds in grid steps map back to the source bounds
+    const meshNode = result.gltf.nodes[result.gltf.nodes[0].children[0]];
+    expect(result.gltf.nodes[0].mesh).toBeUndefined();
+    expect(meshNode.scale).toEqual([0.0625, 0.0625, 0.0625]);
+    expect(position.min.map((value, c) => meshNode.translation[c] + value * 0.0625)).toEqual([-0.5, 0, -0.25]);
+    expect(position.max.map((value, c) => meshNode.translation[c] + value * 0.0625)).toEqual([0.5, 0.0625, 0.25]);
+
+    expectSameTriangles(decodeCorners(result.gltf, result.binBuffer), { normal: 0, uv: 1 / 65535 });
+  });
+
+  test('meshopt compresses vertex and index views into buffer 0', () => {
+    const { gltf, binBuffer } = createDocument();
+    const result = compressGLTF(gltf, binBuffer, resolveGLBOptions({ compression: 'meshopt' }));
+
+    expect(result.gltf.extensionsUsed).toEqual(['EXT_meshopt_compression']);
+    expect(result.gltf.extensionsRequired).toEqual(['EXT_meshopt_compression']);
+    expect(result.gltf.accessors.map(accessor => accessor.count)).toEqual([8, 8, 8, 12]);
+    expect(result.gltf.accessors[0]).toMatchObject({ min: [-0.5, 0, -0.25], max: [0.5, 0.0625, 0.25] });
+    expect(result.gltf.buffers[1].extensions.EXT_meshopt_compression.fallback).toBe(true);
+    for (const view of result.gltf.bufferViews) {
+      expect(view.buffer).toBe(1);
+      expect(view.extensions.EXT_meshopt_compression.buffer).toBe(0);
+    }
+    expect(result.binBuffer.length).toBe(result.gltf.buffers[0].byteLength);
+
+    expectSameTriangles(decodeCorners(result.gltf, result.binBuffer), { normal: 0, uv: 0 });
+  });
+
+  test('quantize and meshopt combine', () => {
+    const { gltf, binBuffer } = createDocument();
+    const result = compressGLTF(gltf, binBuffer, resolveGLBOptions({ quantize: true, compression: 'meshopt' }));
+
+    expect(result.gltf.extensionsUsed).toEqual(['KHR_mesh_quantization', 'EXT_meshopt_compression']);
+    expect(result.gltf.extensionsRequired).toEqual(['KHR_mesh_quantization', 'EXT_meshopt_compression']);
+    expect(result.gltf.accessors.map(accessor => accessor.count)).toEqual([8, 8, 8, 12]);
+    expect(result.gltf.accessors[0].componentType).toBe(5123);
+
+    expectSameTriangles(decodeCorners(result.gltf, result.binBuffer), { normal: 0, uv: 1 / 65535 });
+  });
+
+  test('draco replaces the primitive with a compressed blob', () => {
+    const { gltf, binBuffer } = createDocument();
+    const result = compressGLTF(gltf, binBuffer, resolveGLBOptions({ compression: 'draco' }));
+
+    expect(result.gltf.extensionsUsed).toEqual(['KHR_draco_mesh_compression']);
+    expect(result.gltf.extensionsRequired).toEqual(['KHR_draco_mesh_compression']);
+    const primitive = result.gltf.meshes[0].primitives[0];
+    const position = result.gltf.accessors[primitive.attributes.POSITION];
+    expect(position).toMatchObject({ componentType: 5126, count: 8, min: [-0.5, 0, -0.25], max: [0.5, 0.0625, 0.25] });
+    expect(position.bufferView).toBeUndefined();
+    expect(result.gltf.accessors[primitive.indices].count).toBe(12);
+
+    expectSameTriangles(decodeCorners(result.gltf, result.binBuffer, dracoDecoder), { normal: 2 / 1023, uv: 1 / 65535 });
+  });
+});
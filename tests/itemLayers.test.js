@@ -0,0 +1,44 @@
+import { parseTint, applyTint, compositeLayers, buildLayerSheet } from '../src/itemLayers.js';
+
+describe('item layers', () => {
+  test('tints are "#rrggbb" or [r, g, b]', () => {
+    expect(parseTint('#A06540')).toEqual([160, 101, 64]);
+    expect(parseTint([0, 128, 255])).toEqual([0, 128, 255]);
+    for (const tint of ['a06540', '#a0654', [0, 0], [0, 0, 256], [0, 0.5, 0]]) {
+      expect(() => parseTint(tint)).toThrow(`Invalid tint: ${JSON.stringify(tint)}`);
+    }
+  });
+
+  test('tinting multiplies RGB and keeps alpha', () => {
+    const pixels = Uint8Array.from([255, 255, 255, 255, 200, 100, 50, 128]);
+    const tinted = applyTint(pixels, [255, 128, 0]);
+
+    expect(Array.from(tinted)).toEqual([255, 128, 0, 255, 200, 50, 0, 128]);
+    // The source pixels stay untouched
+    expect(pixels[1]).toBe(255);
+  });
+
+  test('layers composite bottom to top', () => {
+    const bottom = Uint8Array.from([255, 0, 0, 255, 255, 0, 0, 255, 0, 0, 0, 0]);
+    const top = Uint8Array.from([0, 0, 255, 255, 0, 0, 255, 0, 0, 0, 255, 128]);
+
+    // Opaque pixels cover, transparent ones leave the layer below, and over an empty pixel the top keeps its alpha
+    expect(Array.from(compositeLayers([bottom, top]))).toEqual([
+      0, 0, 255, 255,
+      255, 0, 0, 255,
+      0, 0, 255, 128
+    ]);
+    expect(Array.from(compositeLayers([bottom, Uint8Array.from([0, 0, 255, 128, 0, 0, 0, 0, 0, 0, 0, 0])]).subarray(0, 4)))
+      .toEqual([127, 0, 128, 255]);
+  });
+
+  test('layer sheets lay the layers out left to right', () => {
+    const layer0 = Uint8Array.from([1, 1, 1, 1, 2, 2, 2, 2]);
+    const layer1 = Uint8Array.from([3, 3, 3, 3, 4, 4, 4, 4]);
+    const sheet = buildLayerSheet([layer0, layer1], 1, 2);
+
+    expect(sheet).toMatchObject({ width: 2, height: 2, channels: 4 });
+    // Rows: layer0 then layer1 on each row
+    expect(Array.from(sheet.pixels)).toEqual([1, 1, 1, 1, 3, 3, 3, 3, 2, 2, 2, 2, 4, 4, 4, 4]);
+  });
+});
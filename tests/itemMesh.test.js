@@ -0,0 +1,202 @@
+import { buildItemMesh, resolveItemOptions } from '../src/itemMesh.js';
+import { generateOBJFromMesh, generateMTL } from '../src/objGenerator.js';
+import { generateGLBFromMesh } from '../src/glbGenerator.js';
+import { generateFBXFromMesh } from '../src/fbxGenerator.js';
+
+/**
+ * A 3x1 texture: an opaque pixel, a translucent pixel (alpha 100) and an empty one
+ */
+const GLASS = Uint8Array.from([
+  200, 40, 40, 255,
+  120, 200, 255, 100,
+  0, 0, 0, 0
+]);
+
+/**
+ * Read a GLB's JSON chunk
+ */
+function readGLBJson(glb) {
+  const jsonLength = glb.readUInt32LE(12);
+  return JSON.parse(glb.subarray(20, 20 + jsonLength).toString('utf8'));
+}
+
+/**
+ * Normals of the vertices drawn by one group, as "x,y,z" strings
+ */
+function groupNormals(mesh, { start, count }) {
+  const normals = new Set();
+  for (const index of mesh.indices.subarray(start, start + count)) {
+    normals.add(Array.from(mesh.normals.subarray(index * 3, index * 3 + 3)).join(','));
+  }
+  return [...normals].sort();
+}
+
+describe('buildItemMesh translucent pixels', () => {
+  const buildGlass = alphaMode => buildItemMesh({ name: 'glass', width: 3, height: 1, pixels: GLASS, scale: 1, alphaMode });
+
+  test('mask mode drops pixels below the alpha threshold', () => {
+    const mesh = buildGlass('mask');
+
+    expect(mesh.solidCount).toBe(1);
+    expect(mesh.materials).toEqual([{ name: 'glass_material', alphaMode: 'OPAQUE' }]);
+    expect(mesh.groups).toEqual([{ material: 0, start: 0, count: 36 }]);
+  });
+
+  test('blend mode keeps them on a separate blended material', () => {
+    const mesh = buildGlass('blend');
+
+    // Fully transparent pixels stay empty
+    expect(mesh.solidCount).toBe(2);
+    expect(mesh.materials).toEqual([
+      { name: 'glass_material', alphaMode: 'OPAQUE' },
+      { name: 'glass_material_translucent', alphaMode: 'BLEND' }
+    ]);
+
+    // The opaque pixel keeps its wall towards the glass, the glass loses its wall towards the opaque pixel
+    const [opaque, translucent] = mesh.groups;
+    expect(opaque).toEqual({ material: 0, start: 0, count: 36 });
+    expect(translucent).toEqual({ material: 1, start: 36, count: 30 });
+    expect(groupNormals(mesh, opaque)).toContain('1,0,0');
+    expect(groupNormals(mesh, translucent)).toEqual(['0,-1,0', '0,0,-1', '0,0,1', '0,1,0', '1,0,0']);
+  });
+
+  test('translucent materials blend in every output format', () => {
+    const mesh = buildGlass('blend');
+
+    // MTL dissolves from the texture alpha
+    const mtl = generateMTL({ materials: mesh.materials, texturePath: 'glass.png' });
+    const [opaqueMtl, translucentMtl] = mtl.split('\n\n');
+    expect(opaqueMtl).toContain('newmtl glass_material\n');
+    expect(opaqueMtl).not.toContain('map_d');
+    expect(translucentMtl).toContain('newmtl glass_material_translucent\n');
+    expect(translucentMtl).toContain('map_d glass.png');
+
+    const gltf = readGLBJson(generateGLBFromMesh({ mesh }));
+    expect(gltf.materials.map(({ name, alphaMode }) => ({ name, alphaMode }))).toEqual([
+      { name: 'glass_material', alphaMode: undefined },
+      { name: 'glass_material_translucent', alphaMode: 'BLEND' }
+    ]);
+    expect(gltf.meshes[0].primitives.map(primitive => primitive.material)).toEqual([0, 1]);
+
+    // FBX takes transparency from the diffuse texture
+    const fbx = generateFBXFromMesh({ mesh, texturePath: 'glass.png' });
+    expect(fbx.match(/"TransparencyFactor"/g)).toHaveLength(1);
+    expect(fbx.match(/"TransparentColor"/g)).toHaveLength(2);
+  });
+});
+
+describe('buildItemMesh vertex colors', () => {
+  /**
+   * A 2x1 texture: a red pixel and a half-transparent blue one
+   */
+  const PIXELS = Uint8Array.from([
+    255, 0, 0, 255,
+    0, 0, 255, 128
+  ]);
+  const buildColored = (options = {}) => buildItemMesh({ name: 'flag', width: 2, height: 1, pixels: PIXELS, scale: 1, colorMode: 'vertex', ...options });
+
+  test('every vertex carries the RGBA of its pixel', () => {
+    const mesh = buildColored();
+    const vertexCount = mesh.positions.length / 3;
+
+    expect(mesh.colors).toHaveLength(vertexCount * 4);
+    for (let i = 0; i < vertexCount; i++) {
+      const color = Array.from(mesh.colors.subarray(i * 4, i * 4 + 4));
+      // Quads never span both pixels, so the left half is red and the right half blue
+      const x = mesh.positions[i * 3];
+      if (x < 0) expect(color).toEqual([1, 0, 0, 1]);
+      if (x > 0) color.forEach((value, k) => expect(value).toBeCloseTo([0, 0, 1, 128 / 255][k]));
+    }
+
+    // Two front and two back quads instead of one merged quad each
+    const frontVertices = Array.from({ length: vertexCount }, (_, i) => mesh.normals[i * 3 + 2]).filter(z => z === 1);
+    expect(frontVertices).toHaveLength(8);
+  });
+
+  test('texture mode has no colors', () => {
+    expect(buildColored({ colorMode: 'texture' }).colors).toBeNull();
+  });
+
+  test('vertex colors reach every output format without a texture', () => {
+    const mesh = buildColored();
+
+    // OBJ writes `v x y z r g b`
+    const obj = generateOBJFromMesh({ mesh, mtlFileName: 'flag.mtl' });
+    const vertexLines = obj.split('\n').filter(line => line.startsWith('v '));
+    expect(vertexLines[0].split(' ')).toHaveLength(7);
+    expect(generateMTL({ materials: mesh.materials, texturePath: null })).not.toContain('map_Kd');
+
+    // glTF colors are linear, alpha stays as is
+    const glb = generateGLBFromMesh({ mesh });
+    const gltf = readGLBJson(glb);
+    const [primitive] = gltf.meshes[0].primitives;
+    const accessor = gltf.accessors[primitive.attributes.COLOR_0];
+    expect(accessor).toMatchObject({ type: 'VEC4', componentType: 5126, count: mesh.positions.length / 3 });
+    expect(gltf.images).toBeUndefined();
+    const bin = glb.subarray(28 + glb.readUInt32LE(12));
+    const offset = gltf.bufferViews[accessor.bufferView].byteOffset;
+    const blue = Array.from({ length: accessor.count }, (_, i) => bin.readFloatLE(offset + i * 16 + 12)).filter(alpha => alpha < 1);
+    expect(blue.length).toBeGreaterThan(0);
+    blue.forEach(alpha => expect(alpha).toBeCloseTo(128 / 255));
+
+    const fbx = generateFBXFromMesh({ mesh, texturePath: null });
+    expect(fbx).toContain('LayerElementColor');
+    expect(fbx).not.toContain('"Texture::');
+  });
+
+  test('outline meshes cannot take vertex colors', () => {
+    expect(() => resolveItemOptions({ colorMode: 'vertex' }, { meshMode: 'outline' })).toThrow('Invalid meshMode: outline');
+  });
+});
+
+describe('buildItemMesh layers', () => {
+  /**
+   * A 2x1 item: layer0 covers both pixels, layer1 only the right one
+   */
+  const LAYERS = [
+    { name: 'layer0', pixels: Uint8Array.from([255, 255, 255, 255, 255, 255, 255, 255]), color: [255, 0, 0] },
+    { name: 'layer1', pixels: Uint8Array.from([0, 0, 0, 0, 255, 255, 255, 255]), color: null }
+  ];
+
+  /**
+   * U range of the vertices drawn by one group
+   */
+  function groupURange(mesh, { start, count }) {
+    const us = Array.from(mesh.indices.subarray(start, start + count), index => mesh.uvs[index * 2]);
+    return [Math.min(...us), Math.max(...us)];
+  }
+
+  test('each layer gets its own material and texture section', () => {
+    const mesh = buildItemMesh({ name: 'egg', width: 2, height: 1, layers: LAYERS, scale: 1 });
+
+    // Tints become material colors
+    expect(mesh.materials).toEqual([
+      { name: 'egg_material_layer0', alphaMode: 'OPAQUE', color: [255, 0, 0] },
+      { name: 'egg_material_layer1', alphaMode: 'OPAQUE' }
+    ]);
+
+    // The top layer owns the right pixel; the wall between the layers is culled
+    expect(mesh.solidCount).toBe(2);
+    const [layer0, layer1] = mesh.groups;
+    expect(layer0).toEqual({ material: 0, start: 0, count: 30 });
+    expect(layer1).toEqual({ material: 1, start: 30, count: 30 });
+
+    // The sheet is two layers wide: layer0 on the left half, layer1 on the right
+    expect(groupURange(mesh, layer0)).toEqual([0, 0.25]);
+    expect(groupURange(mesh, layer1)).toEqual([0.75, 1]);
+  });
+
+  test('layer tints reach the materials of every output format', () => {
+    const mesh = buildItemMesh({ name: 'egg', width: 2, height: 1, layers: LAYERS, scale: 1 });
+
+    const mtl = generateMTL({ materials: mesh.materials, texturePath: 'egg.png' });
+    expect(mtl).toContain('newmtl egg_material_layer0\nKa 1.000 1.000 1.000\nKd 1.000 0.000 0.000');
+    expect(mtl).toContain('newmtl egg_material_layer1\nKa 1.000 1.000 1.000\nKd 1.000 1.000 1.000');
+
+    const gltf = readGLBJson(generateGLBFromMesh({ mesh }));
+    expect(gltf.materials.map(material => material.pbrMetallicRoughness.baseColorFactor)).toEqual([[1, 0, 0, 1], [1, 1, 1, 1]]);
+
+    const fbx = generateFBXFromMesh({ mesh, texturePath: 'egg.png' });
+    expect(fbx).toMatch(/"DiffuseColor", "Color", "", "A",\s*1,\s*0,\s*0/);
+  });
+});
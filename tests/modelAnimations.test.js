@@ -0,0 +1,189 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import sharp from 'sharp';
+import { loadBedrockModel } from '../src/bedrockModelLoader.js';
+import { loadAnimationFile, readBlockbenchAnimations } from '../src/modelAnimations.js';
+import { createTextureAtlas } from '../src/textureAtlas.js';
+import { generateEntityGLB } from '../src/entityGlbGenerator.js';
+
+/**
+ * A body with a head tilted 30 degrees around Z
+ */
+const GEOMETRY = {
+  format_version: '1.12.0',
+  'minecraft:geometry': [{
+    description: { identifier: 'geometry.pig', texture_width: 16, texture_height: 16 },
+    bones: [
+      { name: 'body', pivot: [0, 6, 0], cubes: [{ origin: [-4, 0, -4], size: [8, 6, 8], uv: [0, 0] }] },
+      { name: 'head', parent: 'body', pivot: [0, 8, -4], rotation: [0, 0, 30], cubes: [{ origin: [-2, 6, -6], size: [4, 4, 2], uv: [0, 0] }] }
+    ]
+  }]
+};
+
+/**
+ * Quaternion [x, y, z, w] of a turn around one axis
+ */
+const axisQuaternion = (axis, degrees) => {
+  const quaternion = [0, 0, 0, Math.cos((degrees * Math.PI) / 360)];
+  quaternion['xyz'.indexOf(axis)] = Math.sin((degrees * Math.PI) / 360);
+  return quaternion;
+};
+
+/**
+ * Read a GLB's JSON and the float values of its accessors
+ */
+function readGLB(glb) {
+  const jsonLength = glb.readUInt32LE(12);
+  const gltf = JSON.parse(glb.subarray(20, 20 + jsonLength).toString('utf8'));
+  const bin = glb.subarray(28 + jsonLength);
+  const read = (index) => {
+    const accessor = gltf.accessors[index];
+    const view = gltf.bufferViews[accessor.bufferView];
+    const components = { SCALAR: 1, VEC3: 3, VEC4: 4 }[accessor.type];
+    const start = (view.byteOffset || 0) + (accessor.byteOffset || 0);
+    return Array.from({ length: accessor.count * components }, (_, i) => bin.readFloatLE(start + i * 4));
+  };
+  return { gltf, read };
+}
+
+/**
+ * The sampler keys of each animation channel by "<node name> <path>"
+ */
+function readChannels(gltf, read, animation) {
+  return Object.fromEntries(animation.channels.map(({ sampler, target }) => {
+    const { input, output, interpolation } = animation.samplers[sampler];
+    const components = target.path === 'rotation' ? 4 : 3;
+    const values = read(output);
+    return [`${gltf.nodes[target.node].name} ${target.path}`, {
+      interpolation,
+      times: read(input),
+      values: Array.from({ length: values.length / components }, (_, i) => values.slice(i * components, (i + 1) * components))
+    }];
+  }));
+}
+
+const expectCloseTo = (actual, expected) => {
+  expect(actual.length).toBe(expected.length);
+  actual.forEach((value, index) => expect(value).toBeCloseTo(expected[index], 4));
+};
+
+describe('model animations', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'model-animations-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  /**
+   * Export the pig with the given animations as a GLB in groups mode
+   */
+  async function exportPig(animations) {
+    const modelPath = path.join(root, 'pig.geo.json');
+    await fs.writeJson(modelPath, GEOMETRY);
+    const model = await loadBedrockModel(modelPath, root);
+    await fs.ensureDir(path.dirname(model.textures.texture));
+    await sharp({ create: { width: 16, height: 16, channels: 4, background: { r: 255, g: 180, b: 180, alpha: 1 } } })
+      .png().toFile(model.textures.texture);
+    const textureAtlas = await createTextureAtlas(model, Object.values(model.textures));
+    return readGLB(generateEntityGLB({ model: { ...model, animations }, textureAtlas, nodeMode: 'groups' }));
+  }
+
+  test('Bedrock keyframes become rotation and translation keys', async () => {
+    const animationPath = path.join(root, 'pig.animation.json');
+    await fs.writeJson(animationPath, {
+      format_version: '1.8.0',
+      animations: {
+        'animation.pig.nod': {
+          loop: true,
+          animation_length: 2,
+          bones: {
+            // Bone names ignore case; Bedrock Z turns like Java Z and the head's rest tilt stays out of the key
+            HEAD: {
+              rotation: { '0.0': [0, 0, 0], '1.0': [0, 0, 20], '1.5': { pre: [0, 0, 20], post: [0, 0, -10] }, '2.0': [0, 0, 0] },
+              position: [1, 2, 0]
+            },
+            // Bedrock Y turns the other way; half a turn is split so it takes the long way
+            body: { rotation: { '0': [0, 0, 0], '1': [0, -180, 0] } },
+            tail: { rotation: [10, 0, 0] }
+          }
+        }
+      }
+    });
+    const animations = await loadAnimationFile(animationPath);
+    expect(animations.map(({ name, loop, length }) => ({ name, loop, length }))).toEqual([{ name: 'animation.pig.nod', loop: 'loop', length: 2 }]);
+
+    const { gltf, read } = await exportPig(animations);
+    expect(gltf.animations).toHaveLength(1);
+    const [animation] = gltf.animations;
+    expect(animation.name).toBe('animation.pig.nod');
+    expect(animation.extras).toEqual({ loop: 'loop', length: 2 });
+
+    // Bones without a node (tail) are left out
+    const channels = readChannels(gltf, read, animation);
+    expect(Object.keys(channels).sort()).toEqual(['body rotation', 'head rotation', 'head translation']);
+
+    const head = channels['head rotation'];
+    expect(head.interpolation).toBe('LINEAR');
+    // The jump at 1.5 is two keys 0.0001 apart
+    expectCloseTo(head.times, [0, 1, 1.5, 1.5001, 2]);
+    const expected = [0, 20, 20, -10, 0].map(angle => axisQuaternion('z', angle));
+    head.values.forEach((value, index) => expectCloseTo(value, expected[index]));
+
+    // Positions are pixels from the rest translation (head pivot relative to the body), X mirrored
+    const translation = channels['head translation'];
+    expectCloseTo(translation.times, [0]);
+    expectCloseTo(translation.values[0], [-1 / 16, 4 / 16, -4 / 16]);
+
+    const body = channels['body rotation'];
+    expectCloseTo(body.times, [0, 0.5, 1]);
+    [0, 90, 180].forEach((angle, index) => expectCloseTo(body.values[index], axisQuaternion('y', angle)));
+
+    // Sampler inputs carry their range
+    const sampler = animation.samplers[animation.channels.find(channel => gltf.nodes[channel.target.node].name === 'head' && channel.target.path === 'rotation').sampler];
+    expect(gltf.accessors[sampler.input].min).toEqual([0]);
+    expect(gltf.accessors[sampler.input].max[0]).toBeCloseTo(2, 5);
+  });
+
+  test('Blockbench step keyframes become STEP keys', async () => {
+    const animations = readBlockbenchAnimations([{
+      name: 'blink',
+      loop: 'hold',
+      animators: {
+        'head-uuid': {
+          name: 'head',
+          type: 'bone',
+          keyframes: [
+            { channel: 'rotation', time: 0.5, interpolation: 'step', data_points: [{ x: '0', y: '0', z: '15' }] },
+            { channel: 'rotation', time: 0, interpolation: 'step', data_points: [{ x: 0, y: 0, z: 0 }] },
+            { channel: 'scale', time: 0, interpolation: 'linear', data_points: [{ x: 1, y: 1, z: 1 }] },
+            { channel: 'scale', time: 1, interpolation: 'linear', data_points: [{ x: 2, y: '', z: 1 }] }
+          ]
+        }
+      }
+    }]);
+    expect(animations[0]).toMatchObject({ name: 'blink', loop: 'hold', length: 1 });
+
+    const { gltf, read } = await exportPig(animations);
+    const [animation] = gltf.animations;
+    expect(animation.extras).toEqual({ loop: 'hold', length: 1 });
+    const channels = readChannels(gltf, read, animation);
+
+    // Keyframes are sorted by time
+    const rotation = channels['head rotation'];
+    expect(rotation.interpolation).toBe('STEP');
+    expectCloseTo(rotation.times, [0, 0.5]);
+    expectCloseTo(rotation.values[0], [0, 0, 0, 1]);
+    expectCloseTo(rotation.values[1], axisQuaternion('z', 15));
+
+    // An empty scale component is 1
+    const scale = channels['head scale'];
+    expect(scale.interpolation).toBe('LINEAR');
+    expectCloseTo(scale.times, [0, 1]);
+    expect(scale.values).toEqual([[1, 1, 1], [2, 1, 1]]);
+  });
+});
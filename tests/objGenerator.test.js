@@ -0,0 +1,68 @@
+import { buildItemMesh } from '../src/itemMesh.js';
+import { generateOBJFromMesh } from '../src/objGenerator.js';
+
+/**
+ * A 2x2 texture with one opaque pixel (top left)
+ */
+function buildPixelMesh() {
+  const pixels = new Uint8Array(2 * 2 * 4);
+  pixels.set([255, 0, 0, 255], 0);
+  return buildItemMesh({ name: 'pixel', width: 2, height: 2, pixels, channels: 4, scale: 1 });
+}
+
+function parseLines(obj, prefix) {
+  return obj.split('\n')
+    .filter(line => line.startsWith(`${prefix} `))
+    .map(line => line.split(' ').slice(1, 4).map(Number));
+}
+
+describe('generateOBJFromMesh', () => {
+  test('writes z-up meshes as built', () => {
+    const mesh = buildPixelMesh();
+    const obj = generateOBJFromMesh({ mesh, mtlFileName: 'pixel.mtl' });
+
+    const vertices = parseLines(obj, 'v');
+    expect(vertices).toHaveLength(mesh.positions.length / 3);
+    vertices.forEach(([x, y, z], i) => {
+      expect(x).toBeCloseTo(mesh.positions[i * 3]);
+      expect(y).toBeCloseTo(mesh.positions[i * 3 + 1]);
+      expect(z).toBeCloseTo(mesh.positions[i * 3 + 2]);
+    });
+    expect(parseLines(obj, 'vn')).toContainEqual([0, 0, 1]);
+  });
+
+  test('converts positions and normals to y-up', () => {
+    const mesh = buildPixelMesh();
+    const obj = generateOBJFromMesh({ mesh, mtlFileName: 'pixel.mtl', coordinateSystem: 'y-up' });
+
+    const vertices = parseLines(obj, 'v');
+    vertices.forEach(([x, y, z], i) => {
+      expect(x).toBeCloseTo(mesh.positions[i * 3]);
+      expect(y).toBeCloseTo(mesh.positions[i * 3 + 2]);
+      expect(z).toBeCloseTo(-mesh.positions[i * 3 + 1]);
+    });
+
+    const normals = parseLines(obj, 'vn');
+    const meshNormals = new Set();
+    for (let i = 0; i < mesh.normals.length; i += 3) {
+      meshNormals.add(`${mesh.normals[i]} ${mesh.normals[i + 2]} ${-mesh.normals[i + 1]}`);
+    }
+    expect(normals.map(normal => normal.join(' '))).toEqual([...meshNormals]);
+  });
+
+  test('keeps each vertex normal on its face', () => {
+    const mesh = buildPixelMesh();
+    const obj = generateOBJFromMesh({ mesh, mtlFileName: 'pixel.mtl', coordinateSystem: 'y-up' });
+    const vertices = parseLines(obj, 'v');
+    const normals = parseLines(obj, 'vn');
+
+    // Every corner of a face lies on the plane its normal points out of
+    for (const line of obj.split('\n').filter(line => line.startsWith('f '))) {
+      const corners = line.split(' ').slice(1).map(corner => corner.split('/').map(Number));
+      const normal = normals[corners[0][2] - 1];
+      const axis = normal.findIndex(value => value !== 0);
+      const planes = corners.map(([vertex]) => vertices[vertex - 1][axis]);
+      expect(Math.max(...planes) - Math.min(...planes)).toBeCloseTo(0);
+    }
+  });
+});
@@ -0,0 +1,73 @@
+import { meshOutline } from '../src/outlineMesher.js';
+
+/**
+ * A 4x4 staircase (y=0 is the top row)
+ *   #...
+ *   ##..
+ *   ###.
+ *   ####
+ */
+const WIDTH = 4;
+const HEIGHT = 4;
+const STAIRCASE = Uint8Array.from([
+  1, 0, 0, 0,
+  1, 1, 0, 0,
+  1, 1, 1, 0,
+  1, 1, 1, 1
+]);
+
+/**
+ * Area covered by the front cap triangles, in pixels
+ */
+function frontArea(quads) {
+  let area = 0;
+  for (const quad of quads.filter(({ face }) => face === 'front')) {
+    for (let t = 0; t < quad.triangles.length; t += 3) {
+      const [a, b, c] = [0, 1, 2].map(k => quad.corners[quad.triangles[t + k]]);
+      area += ((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0])) / 2;
+    }
+  }
+  return area;
+}
+
+describe('meshOutline', () => {
+  test('follows the exact pixel silhouette by default', () => {
+    const { quads, solidCount } = meshOutline({ mask: STAIRCASE, width: WIDTH, height: HEIGHT });
+
+    expect(solidCount).toBe(10);
+    expect(frontArea(quads)).toBeCloseTo(solidCount);
+
+    // Every cap edge and every wall runs along the pixel grid
+    const front = quads.find(({ face }) => face === 'front');
+    front.corners.forEach(([x, y], i) => {
+      const [nx, ny] = front.corners[(i + 1) % front.corners.length];
+      expect(x === nx || y === ny).toBe(true);
+    });
+    const walls = quads.filter(({ face }) => face !== 'front' && face !== 'back');
+    for (const { normal } of walls) {
+      expect(normal.filter(value => value !== 0)).toHaveLength(1);
+    }
+  });
+
+  test('merges collinear corners only', () => {
+    const { quads } = meshOutline({ mask: STAIRCASE, width: WIDTH, height: HEIGHT });
+    const front = quads.find(({ face }) => face === 'front');
+
+    // Three corners of the square and two per step of the staircase
+    expect(front.corners.map(([x, y]) => [x, y])).toEqual([
+      [0, 0], [4, 0], [4, 1], [3, 1], [3, 2], [2, 2], [2, 3], [1, 3], [1, 4], [0, 4]
+    ]);
+  });
+
+  test('cuts staircases into diagonals when asked', () => {
+    const exact = meshOutline({ mask: STAIRCASE, width: WIDTH, height: HEIGHT });
+    const cut = meshOutline({ mask: STAIRCASE, width: WIDTH, height: HEIGHT, diagonals: true });
+    const front = cut.quads.find(({ face }) => face === 'front');
+
+    expect(front.corners.length).toBeLessThan(10);
+    expect(front.triangles.length).toBeLessThan(exact.quads.find(({ face }) => face === 'front').triangles.length);
+    // Diagonals only cut into solid corner pixels
+    expect(frontArea(cut.quads)).toBeLessThan(cut.solidCount);
+    expect(frontArea(cut.quads)).toBeGreaterThan(cut.solidCount - 2);
+  });
+});
@@ -0,0 +1,226 @@
+import sharp from 'sharp';
+import { jest } from '@jest/globals';
+import { TextureAtlas, createTextureAtlas } from '../src/textureAtlas.js';
+
+/**
+ * A PNG filled with one colour
+ */
+const solidTexture = (width, height, [r, g, b]) =>
+  sharp({ create: { width, height, channels: 4, background: { r, g, b, alpha: 1 } } }).png().toBuffer();
+
+/**
+ * A PNG whose every pixel has its own colour (r = x, g = y)
+ */
+const gradientTexture = (width, height) => {
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels.set([x * 10, y * 10, 100, 255], (y * width + x) * 4);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 4 } }).png().toBuffer();
+};
+
+/**
+ * Build an atlas from PNGs by name, as the textures of a model ("#name" -> block/name)
+ * @returns {Promise<{atlas: TextureAtlas, model: Object, pixel: Function}>} The atlas, the model and a pixel reader
+ */
+async function buildAtlas(textures, options) {
+  const names = Object.keys(textures);
+  const model = {
+    rawTextures: Object.fromEntries(names.map(name => [name, `block/${name}`])),
+    textures: Object.fromEntries(names.map(name => [name, `${name}.png`]))
+  };
+  const atlas = new TextureAtlas(options);
+  await atlas.loadEmbeddedTextures(Object.fromEntries(names.map(name => [`${name}.png`, textures[name]])));
+  atlas.registerModelTextures(model);
+  await atlas.buildAtlas();
+  const { data, info } = await sharp(atlas.getAtlasBuffer()).raw().toBuffer({ resolveWithObject: true });
+  expect([info.width, info.height]).toEqual([atlas.atlasWidth, atlas.atlasHeight]);
+  const pixel = (x, y) => Array.from(data.subarray((y * info.width + x) * 4, (y * info.width + x) * 4 + 4));
+  return { atlas, model, pixel };
+}
+
+const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+const grow = ({ x, y, width, height }, by) => ({ x: x - by, y: y - by, width: width + by * 2, height: height + by * 2 });
+
+describe('TextureAtlas packing', () => {
+  const SIZES = [[16, 16], [16, 16], [16, 16], [16, 16], [16, 16], [16, 16], [32, 32], [64, 32], [8, 8], [16, 32], [48, 16]];
+  const colour = index => [(index * 37) % 256, (index * 91) % 256, (index * 53 + 40) % 256];
+
+  test('MaxRects packs native-size textures without overlap', async () => {
+    const textures = {};
+    for (const [index, [width, height]] of SIZES.entries()) {
+      textures[`t${index}`] = await solidTexture(width, height, colour(index));
+    }
+    const padding = 2;
+    const { atlas, pixel } = await buildAtlas(textures, { sizeMode: 'native', padding });
+
+    const rects = SIZES.map((size, index) => atlas.textures.get(`t${index}.png`).rect);
+    rects.forEach((rect, index) => {
+      expect([rect.width, rect.height]).toEqual(SIZES[index]);
+      const padded = grow(rect, padding);
+      expect(padded.x).toBeGreaterThanOrEqual(0);
+      expect(padded.y).toBeGreaterThanOrEqual(0);
+      expect(padded.x + padded.width).toBeLessThanOrEqual(atlas.atlasWidth);
+      expect(padded.y + padded.height).toBeLessThanOrEqual(atlas.atlasHeight);
+      rects.forEach((other, otherIndex) => {
+        if (otherIndex !== index) expect(overlaps(padded, grow(other, padding))).toBe(false);
+      });
+      expect(pixel(rect.x, rect.y)).toEqual([...colour(index), 255]);
+      expect(pixel(rect.x + rect.width - 1, rect.y + rect.height - 1)).toEqual([...colour(index), 255]);
+    });
+
+    // Packed tightly: the padded textures fill most of the atlas
+    const used = rects.reduce((sum, rect) => sum + (rect.width + padding * 2) * (rect.height + padding * 2), 0);
+    expect(used / (atlas.atlasWidth * atlas.atlasHeight)).toBeGreaterThan(0.75);
+  });
+
+  test('padding repeats each texture\'s edge pixels', async () => {
+    const padding = 3;
+    const { atlas, pixel } = await buildAtlas({
+      gradient: await gradientTexture(5, 4),
+      solid: await solidTexture(8, 8, [0, 200, 0])
+    }, { sizeMode: 'native', padding });
+
+    const { x, y, width, height } = atlas.textures.get('gradient.png').rect;
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+    for (let py = y - padding; py < y + height + padding; py++) {
+      for (let px = x - padding; px < x + width + padding; px++) {
+        // Padding pixels (corners included) copy the nearest texture pixel
+        const tx = clamp(px - x, 0, width - 1);
+        const ty = clamp(py - y, 0, height - 1);
+        expect(pixel(px, py)).toEqual([tx * 10, ty * 10, 100, 255]);
+      }
+    }
+  });
+
+  test('max mode upscales by a whole number', async () => {
+    const { atlas } = await buildAtlas({
+      a: await solidTexture(16, 16, [255, 0, 0]),
+      b: await solidTexture(16, 16, [0, 0, 255])
+    }, { sizeMode: 'max', maxSize: 256, padding: 1 });
+
+    const { width, height } = atlas.textures.get('a.png').rect;
+    expect(width).toBe(height);
+    expect(Number.isInteger(width / 16)).toBe(true);
+    expect(Math.max(atlas.atlasWidth, atlas.atlasHeight)).toBeLessThanOrEqual(256);
+  });
+
+  test.each([50, 67, 83, 95])('max mode scaled down to %i keeps each texture on its own pixels', async (maxSize) => {
+    const textures = {};
+    for (const [index, [width, height]] of SIZES.entries()) {
+      textures[`t${index}`] = await solidTexture(width, height, colour(index));
+    }
+    const { atlas, model, pixel } = await buildAtlas(textures, { sizeMode: 'max', maxSize, padding: 2 });
+    expect(Math.max(atlas.atlasWidth, atlas.atlasHeight)).toBe(maxSize);
+
+    for (const index of SIZES.keys()) {
+      const { x, y, width, height } = atlas.textures.get(`t${index}.png`).rect;
+      expect([x, y, width, height].every(Number.isInteger)).toBe(true);
+      for (let py = y; py < y + height; py++) {
+        for (let px = x; px < x + width; px++) {
+          expect(pixel(px, py)).toEqual([...colour(index), 255]);
+        }
+      }
+
+      // The whole texture maps exactly onto the rect (16 units across, as tall as the aspect ratio)
+      const [textureWidth, textureHeight] = SIZES[index];
+      const uv = atlas.getUV(`#t${index}`, [0, 0, 16, 16 * textureHeight / textureWidth], model.rawTextures);
+      expect(Math.min(uv[0], uv[2], uv[4], uv[6]) * atlas.atlasWidth).toBeCloseTo(x, 6);
+      expect(Math.max(uv[0], uv[2], uv[4], uv[6]) * atlas.atlasWidth).toBeCloseTo(x + width, 6);
+      expect(Math.min(uv[1], uv[3], uv[5], uv[7]) * atlas.atlasHeight).toBeCloseTo(y, 6);
+      expect(Math.max(uv[1], uv[3], uv[5], uv[7]) * atlas.atlasHeight).toBeCloseTo(y + height, 6);
+    }
+  });
+});
+
+describe('TextureAtlas texture references', () => {
+  /**
+   * A model with one face per texture variable; `textures` maps each variable to [reference, PNG or null]
+   */
+  const createModel = (textures) => ({
+    name: 'chest',
+    rawTextures: Object.fromEntries(Object.entries(textures).map(([key, [ref]]) => [key, ref])),
+    textures: Object.fromEntries(Object.keys(textures).map(key => [key, `${key}.png`])),
+    embeddedTextures: Object.fromEntries(Object.entries(textures).filter(([, [, png]]) => png).map(([key, [, png]]) => [`${key}.png`, png])),
+    elements: [{
+      name: 'box',
+      from: [0, 0, 0],
+      to: [16, 16, 16],
+      faces: Object.fromEntries(['north', 'south', 'east', 'west', 'up', 'down'].map((face, index) => [face, { texture: `#${Object.keys(textures)[index % Object.keys(textures).length]}` }]))
+    }]
+  });
+
+  let warn;
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  test('namespaced and plain references name the same texture', async () => {
+    const model = createModel({
+      body: ['minecraft:entity/chest/normal.png', await solidTexture(16, 16, [255, 0, 0])],
+      modded: ['mymod:entity/chest/normal', await solidTexture(16, 16, [0, 0, 255])]
+    });
+    const atlas = await createTextureAtlas(model, [], { sizeMode: 'native' });
+    expect(warn).not.toHaveBeenCalled();
+
+    const body = atlas.textures.get('body.png');
+    for (const ref of ['entity/chest/normal', 'minecraft:entity/chest/normal', 'entity/chest/normal.png']) {
+      expect(atlas.getTextureByRef(ref)).toEqual({ texture: body, problem: null });
+    }
+    // Another namespace is another texture
+    expect(atlas.getTextureByRef('mymod:entity/chest/normal').texture).toBe(atlas.textures.get('modded.png'));
+    expect(atlas.getTextureByRef('block/stone')).toEqual({ texture: null, problem: 'minecraft:block/stone is not one of the model\'s textures' });
+  });
+
+  test('a reference registered to two files is ambiguous', async () => {
+    const model = createModel({
+      body: ['entity/chest/normal', await solidTexture(16, 16, [255, 0, 0])],
+      lid: ['minecraft:entity/chest/normal', await solidTexture(16, 16, [0, 0, 255])]
+    });
+    const atlas = await createTextureAtlas(model, [], { sizeMode: 'native' });
+
+    expect(atlas.getTextureByRef('entity/chest/normal')).toEqual({
+      texture: null,
+      problem: 'minecraft:entity/chest/normal is ambiguous (body.png, lid.png)'
+    });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Model chest: #body -> minecraft:entity/chest/normal is ambiguous'));
+  });
+
+  test('checker mode draws missing textures with the checker', async () => {
+    const model = createModel({
+      body: ['entity/chest/normal', await solidTexture(16, 16, [255, 0, 0])],
+      lid: ['entity/chest/lid', null]
+    });
+    const atlas = await createTextureAtlas(model, [], { sizeMode: 'native', padding: 0, missingTexture: 'checker' });
+    expect(warn).toHaveBeenCalledWith('Model chest: #lid -> minecraft:entity/chest/lid not found (lid.png) (faces box/south, box/west, box/down)');
+
+    // The lid's faces map onto the checker: magenta and black quarters
+    const uv = atlas.getUV('#lid', [0, 0, 16, 16], model.rawTextures);
+    const x = Math.min(uv[0], uv[2], uv[4], uv[6]) * atlas.atlasWidth;
+    const y = Math.min(uv[1], uv[3], uv[5], uv[7]) * atlas.atlasHeight;
+    expect(Math.max(uv[0], uv[2], uv[4], uv[6]) * atlas.atlasWidth - x).toBe(16);
+    const { data, info } = await sharp(atlas.getAtlasBuffer()).raw().toBuffer({ resolveWithObject: true });
+    const pixel = (px, py) => Array.from(data.subarray(((y + py) * info.width + x + px) * 4, ((y + py) * info.width + x + px) * 4 + 4));
+    expect(pixel(0, 0)).toEqual([0, 0, 0, 255]);
+    expect(pixel(12, 0)).toEqual([248, 0, 248, 255]);
+    expect(pixel(0, 12)).toEqual([248, 0, 248, 255]);
+    expect(pixel(12, 12)).toEqual([0, 0, 0, 255]);
+
+    // The body keeps its own texture
+    expect(atlas.getTextureByRef('entity/chest/normal').texture).toBe(atlas.textures.get('body.png'));
+  });
+
+  test('error mode fails the model on a missing texture', async () => {
+    const model = createModel({
+      body: ['entity/chest/normal', await solidTexture(16, 16, [255, 0, 0])],
+      lid: ['entity/chest/lid', null]
+    });
+    await expect(createTextureAtlas(model, [], { missingTexture: 'error' }))
+      .rejects.toThrow('Model chest: #lid -> minecraft:entity/chest/lid not found (lid.png)');
+  });
+});
@@ -0,0 +1,157 @@
+import { meshMask, meshPixels, buildColorKeys } from '../src/voxelMesher.js';
+import { buildItemMesh } from '../src/itemMesh.js';
+
+/**
+ * Build a mask from rows of '#' (solid) and '.' (empty), y=0 is the top row
+ */
+function parseMask(rows) {
+  return {
+    mask: Uint8Array.from(rows.join('').split(''), cell => cell === '#' ? 1 : 0),
+    width: rows[0].length,
+    height: rows.length
+  };
+}
+
+/**
+ * Source cell rects of the quads facing one way
+ */
+const rectsOf = (quads, face) => quads.filter(quad => quad.face === face).map(({ rect }) => rect);
+
+/**
+ * Cells covered by a list of rects, as "x,y" strings
+ */
+function coveredCells(rects) {
+  const cells = [];
+  for (const { x0, y0, x1, y1 } of rects) {
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        cells.push(`${x},${y}`);
+      }
+    }
+  }
+  return cells;
+}
+
+describe('meshMask', () => {
+  test('a solid square becomes one quad per side', () => {
+    const { quads, solidCount } = meshMask(parseMask(['####', '####', '####', '####']));
+
+    expect(solidCount).toBe(16);
+    expect(rectsOf(quads, 'front')).toEqual([{ x0: 0, y0: 0, x1: 4, y1: 4 }]);
+    expect(rectsOf(quads, 'back')).toEqual([{ x0: 0, y0: 0, x1: 4, y1: 4 }]);
+    expect(rectsOf(quads, 'top')).toEqual([{ x0: 0, y0: 0, x1: 4, y1: 1 }]);
+    expect(rectsOf(quads, 'bottom')).toEqual([{ x0: 0, y0: 3, x1: 4, y1: 4 }]);
+    expect(rectsOf(quads, 'left')).toEqual([{ x0: 0, y0: 0, x1: 1, y1: 4 }]);
+    expect(rectsOf(quads, 'right')).toEqual([{ x0: 3, y0: 0, x1: 4, y1: 4 }]);
+
+    // Corners are pixels with Y up; the front is z=1, the back z=-1
+    const front = quads.find(quad => quad.face === 'front');
+    expect(front.normal).toEqual([0, 0, 1]);
+    expect(front.corners).toEqual([[0, 0, 1], [4, 0, 1], [4, 4, 1], [0, 4, 1]]);
+    expect(front.uvs).toEqual([[0, 4], [4, 4], [4, 0], [0, 0]]);
+  });
+
+  test('walls between solid pixels are culled', () => {
+    // A ring around a hole, with a notch on the right
+    const { quads } = meshMask(parseMask([
+      '###',
+      '#.#',
+      '##.'
+    ]));
+
+    // Caps cover every solid cell exactly once
+    const front = coveredCells(rectsOf(quads, 'front'));
+    expect(front.sort()).toEqual(['0,0', '0,1', '0,2', '1,0', '1,2', '2,0', '2,1'].sort());
+    expect(new Set(front).size).toBe(front.length);
+
+    // Walls face the hole and the outside only; consecutive exposed cells share one wall
+    expect(rectsOf(quads, 'top')).toEqual([
+      { x0: 0, y0: 0, x1: 3, y1: 1 },
+      { x0: 1, y0: 2, x1: 2, y1: 3 }
+    ]);
+    expect(rectsOf(quads, 'bottom')).toEqual([
+      { x0: 1, y0: 0, x1: 2, y1: 1 },
+      { x0: 2, y0: 1, x1: 3, y1: 2 },
+      { x0: 0, y0: 2, x1: 2, y1: 3 }
+    ]);
+    expect(rectsOf(quads, 'left')).toEqual([
+      { x0: 0, y0: 0, x1: 1, y1: 3 },
+      { x0: 2, y0: 1, x1: 3, y1: 2 }
+    ]);
+    expect(rectsOf(quads, 'right')).toEqual([
+      { x0: 0, y0: 1, x1: 1, y1: 2 },
+      { x0: 1, y0: 2, x1: 2, y1: 3 },
+      { x0: 2, y0: 0, x1: 3, y1: 2 }
+    ]);
+  });
+
+  test('walls sample the middle of their own pixels', () => {
+    const { quads } = meshMask(parseMask(['..', '#.']));
+    const uvsOf = face => quads.find(quad => quad.face === face).uvs;
+
+    expect(uvsOf('top').map(([, v]) => v)).toEqual([1.5, 1.5, 1.5, 1.5]);
+    expect(uvsOf('bottom').map(([, v]) => v)).toEqual([1.5, 1.5, 1.5, 1.5]);
+    expect(uvsOf('left').map(([u]) => u)).toEqual([0.5, 0.5, 0.5, 0.5]);
+    expect(uvsOf('right').map(([u]) => u)).toEqual([0.5, 0.5, 0.5, 0.5]);
+  });
+
+  test('occluders hide walls without adding caps', () => {
+    const { mask, width, height } = parseMask(['#.']);
+    const occluders = Uint8Array.from([0, 1]);
+    const { quads } = meshMask({ mask, width, height, occluders });
+
+    expect(rectsOf(quads, 'right')).toEqual([]);
+    expect(rectsOf(quads, 'front')).toEqual([{ x0: 0, y0: 0, x1: 1, y1: 1 }]);
+    expect(rectsOf(quads, 'left')).toHaveLength(1);
+  });
+
+  test('keys stop quads at color changes', () => {
+    const { mask, width, height } = parseMask(['###']);
+    const pixels = Uint8Array.from([
+      255, 0, 0, 255,
+      255, 0, 0, 255,
+      0, 0, 255, 255
+    ]);
+    const keys = buildColorKeys(pixels, width, height);
+    const { quads } = meshMask({ mask, width, height, keys });
+
+    expect(rectsOf(quads, 'front')).toEqual([{ x0: 0, y0: 0, x1: 2, y1: 1 }, { x0: 2, y0: 0, x1: 3, y1: 1 }]);
+    expect(rectsOf(quads, 'top')).toEqual([{ x0: 0, y0: 0, x1: 2, y1: 1 }, { x0: 2, y0: 0, x1: 3, y1: 1 }]);
+    // The wall between the two colors is still culled
+    expect(rectsOf(quads, 'right')).toEqual([{ x0: 2, y0: 0, x1: 3, y1: 1 }]);
+  });
+
+  test('meshPixels drops pixels below the alpha threshold', () => {
+    const pixels = Uint8Array.from([
+      0, 0, 0, 255,
+      0, 0, 0, 127
+    ]);
+    const { quads, solidCount } = meshPixels({ width: 2, height: 1, pixels });
+
+    expect(solidCount).toBe(1);
+    expect(rectsOf(quads, 'front')).toEqual([{ x0: 0, y0: 0, x1: 1, y1: 1 }]);
+  });
+});
+
+describe('buildItemMesh', () => {
+  test('a solid texture has 6 quads whatever its size', () => {
+    const pixels = new Uint8Array(16 * 16 * 4).fill(255);
+    const mesh = buildItemMesh({ name: 'block', width: 16, height: 16, pixels, scale: 1 });
+
+    expect(mesh.positions.length / 3).toBe(24);
+    expect(mesh.indices.length).toBe(36);
+    expect(mesh.groups).toEqual([{ material: 0, start: 0, count: 36 }]);
+
+    // Centered, one unit wide and one pixel deep
+    expect(mesh.bounds.min).toEqual([-0.5, -0.5, -1 / 32]);
+    expect(mesh.bounds.max).toEqual([0.5, 0.5, 1 / 32]);
+  });
+
+  test('empty textures keep their material', () => {
+    const mesh = buildItemMesh({ name: 'air', width: 2, height: 2, pixels: new Uint8Array(16), scale: 1 });
+
+    expect(mesh.solidCount).toBe(0);
+    expect(mesh.indices.length).toBe(0);
+    expect(mesh.materials).toEqual([{ name: 'air_material', alphaMode: 'OPAQUE' }]);
+  });
+});